@@ -0,0 +1,322 @@
+// ai-detectors.js - BLOQUE 3.2 (REGISTRO DE DETECTORES)
+// Interfaz de detectores de señales de IA deterministas y registro de técnicas
+
+// ================================
+// CONSTANTES Y ENUMS (INMUTABLES)
+// ================================
+
+export const DETECTOR_REGISTRY_VERSION = '1.0.0';
+
+// Versión del análisis de BLOQUE 3.2 (filas de ai_signal_results, audit_logs y respuesta)
+export const AI_SIGNAL_ANALYSIS_VERSION = '3.7.0';
+
+// Técnicas de BLOQUE 3.2: clave de la señal en ai_signal_results.ai_signals
+export const SIGNAL_TECHNIQUES = Object.freeze({
+  CLIP: 'clip',
+  NOISE: 'noise',
+  SPECTRAL: 'spectral',
+  FINGERPRINT: 'fingerprint',
+  DATASET: 'dataset'
+});
+
+export const DETECTOR_STATUS = Object.freeze({
+  EXECUTED: 'executed',
+  NOT_EXECUTED: 'not_executed'
+});
+
+// Motivo por el que una técnica no produjo señal
+export const NOT_EXECUTED_REASONS = Object.freeze({
+  NO_DETECTOR_REGISTERED: 'NO_DETECTOR_REGISTERED',   // técnica sin implementación instalada
+  DETECTOR_UNAVAILABLE: 'DETECTOR_UNAVAILABLE',       // implementación presente pero sin recursos (modelo, binario…)
+  INPUT_UNAVAILABLE: 'INPUT_UNAVAILABLE',             // la evidencia no aporta lo que el detector necesita
+  DETECTOR_ERROR: 'DETECTOR_ERROR'                    // el detector falló en esta evidencia
+});
+
+// Entradas que un detector puede requerir de la evidencia
+export const DETECTOR_INPUTS = Object.freeze({
+  METADATA: 'metadata',                 // metadatos normalizados de BLOQUE 3.1
+  PIXEL_FORENSICS: 'pixel_forensics',   // medidas de píxel de BLOQUE 3.1 (pixel-forensics.js)
+  FILE: 'file'                          // archivo descargado en disco (file_path)
+});
+
+// ================================
+// 🚫 DECLARACIÓN DE NO-DECISIÓN
+// ================================
+
+/*
+ * Un detector produce una señal auxiliar, nunca un veredicto.
+ * Contrato: analyze(evidence) es DETERMINISTA (misma entrada → misma salida, sin azar
+ * ni red). Una técnica que no se puede ejecutar se declara "not_executed" con su motivo;
+ * jamás se sustituye por un valor inventado.
+ */
+
+/**
+ * 🧩 Detector de señales de IA (interfaz)
+ *
+ * @typedef {Object} Detector
+ * @property {string} id - Identificador estable (p. ej. 'generative-parameters')
+ * @property {string} version - Versión del detector (cambia si cambia su salida)
+ * @property {string} technique - Clave de SIGNAL_TECHNIQUES que alimenta
+ * @property {number} reliability - Fiabilidad declarada (0..1) usada en la agregación
+ * @property {Array<string>} requires - Entradas de DETECTOR_INPUTS
+ * @property {Function} [isAvailable] - () => { available: boolean, reason?: string }
+ * @property {Object} [model] - Modelo aprendido: { model_id, model_sha256, manifest_version, … } (model-runtime.js)
+ * @property {Function} analyze - async (evidence) => { score: number (0..1), reliability?: number, ...medidas }
+ */
+
+/**
+ * 🗂️ Registro de detectores
+ *
+ * @param {Array<Detector>} detectors - Detectores instalados (DEFAULT_DETECTORS por defecto)
+ * @returns {{ register: Function, list: Function, models: Function, runAll: Function }}
+ */
+export function createDetectorRegistry(detectors = DEFAULT_DETECTORS) {
+  const byTechnique = new Map();
+
+  function register(detector) {
+    validateDetector(detector);
+    if (byTechnique.has(detector.technique)) {
+      throw new Error(`Técnica ${detector.technique} ya tiene detector: ${byTechnique.get(detector.technique).id}`);
+    }
+    byTechnique.set(detector.technique, detector);
+  }
+
+  detectors.forEach(register);
+
+  /**
+   * Técnicas y su detector (o su ausencia), en el orden de SIGNAL_TECHNIQUES.
+   */
+  function list() {
+    return Object.values(SIGNAL_TECHNIQUES).map(technique => {
+      const detector = byTechnique.get(technique);
+      if (!detector) {
+        return { technique, detector_id: null, available: false, reason: NOT_EXECUTED_REASONS.NO_DETECTOR_REGISTERED };
+      }
+
+      const availability = availabilityOf(detector);
+      return {
+        technique,
+        detector_id: detector.id,
+        detector_version: detector.version,
+        reliability: detector.reliability,
+        requires: detector.requires,
+        ...(detector.model && { model: detector.model }),
+        available: availability.available,
+        reason: availability.available ? undefined : availability.reason
+      };
+    });
+  }
+
+  /**
+   * Modelos aprendidos registrados (hash y versión de manifiesto), se ejecuten o no.
+   */
+  function models() {
+    return [...byTechnique.values()]
+      .filter(detector => detector.model)
+      .map(detector => ({ technique: detector.technique, detector_id: detector.id, ...detector.model }));
+  }
+
+  /**
+   * Ejecuta todas las técnicas sobre una evidencia.
+   *
+   * @param {Object} evidence - { case_id, evidence_id, metadata, pixel_forensics (o null), file_path (o null) }
+   * @returns {Promise<Object>} Señales por técnica: executed → score/reliability/medidas; not_executed → reason
+   */
+  async function runAll(evidence) {
+    const signals = {};
+
+    for (const technique of Object.values(SIGNAL_TECHNIQUES)) {
+      const detector = byTechnique.get(technique);
+
+      if (!detector) {
+        signals[technique] = notExecuted(null, NOT_EXECUTED_REASONS.NO_DETECTOR_REGISTERED);
+        continue;
+      }
+
+      const availability = availabilityOf(detector);
+      if (!availability.available) {
+        signals[technique] = notExecuted(detector, NOT_EXECUTED_REASONS.DETECTOR_UNAVAILABLE, availability.reason);
+        continue;
+      }
+
+      const missingInput = detector.requires.find(input => !hasInput(evidence, input));
+      if (missingInput) {
+        signals[technique] = notExecuted(detector, NOT_EXECUTED_REASONS.INPUT_UNAVAILABLE, `Entrada requerida: ${missingInput}`);
+        continue;
+      }
+
+      try {
+        const { score, reliability = detector.reliability, ...measurements } = await detector.analyze(evidence);
+        signals[technique] = {
+          detector_id: detector.id,
+          detector_version: detector.version,
+          status: DETECTOR_STATUS.EXECUTED,
+          score,
+          reliability,
+          ...measurements
+        };
+      } catch (error) {
+        console.error(`Detector ${detector.id} falló en ${evidence.evidence_id}:`, error.message);
+        signals[technique] = notExecuted(detector, NOT_EXECUTED_REASONS.DETECTOR_ERROR, error.message);
+      }
+    }
+
+    return signals;
+  }
+
+  return { register, list, models, runAll };
+}
+
+// ================================
+// DETECTORES INCLUIDOS
+// ================================
+
+// Huella de modelo: parámetros generativos embebidos (BLOQUE 3.1, generative-params.js)
+const generativeParametersDetector = Object.freeze({
+  id: 'generative-parameters',
+  version: '1.0.0',
+  technique: SIGNAL_TECHNIQUES.FINGERPRINT,
+  reliability: 0.3,
+  requires: [DETECTOR_INPUTS.METADATA],
+
+  async analyze({ metadata }) {
+    const params = metadata.generative_parameters;
+
+    if (!params?.tool) {
+      return {
+        score: 0.2,
+        model: 'No detectable'
+      };
+    }
+
+    // Más campos estructurados coherentes → huella más fiable
+    const structuredFields = [params.model?.name, params.sampler, params.seed, params.prompt_hash, params.steps]
+      .filter(value => value !== null && value !== undefined).length;
+
+    return {
+      score: 0.9,
+      reliability: Math.min(0.5 + structuredFields * 0.1, 0.95),
+      model: params.model?.name || params.tool,
+      tool: params.tool,
+      tool_version: params.tool_version,
+      model_hash: params.model?.hash ?? null,
+      loras: (params.loras || []).map(lora => lora.name),
+      structured_fields: structuredFields
+    };
+  }
+});
+
+// Ruido: residuo escaso y uniforme entre bloques (el ruido de sensor varía con la escena).
+// Umbrales heurísticos sin calibrar sobre corpus etiquetado
+const noiseResidualDetector = Object.freeze({
+  id: 'noise-residual',
+  version: '1.0.0',
+  technique: SIGNAL_TECHNIQUES.NOISE,
+  reliability: 0.25,
+  requires: [DETECTOR_INPUTS.PIXEL_FORENSICS],
+
+  async analyze({ pixel_forensics }) {
+    const residual = pixel_forensics.noise_residual;
+    const smoothness = clamp01((2 - residual.std) / 1.5);
+    const uniformity = clamp01((0.5 - residual.block_std_cv) / 0.4);
+
+    return {
+      score: round3((smoothness + uniformity) / 2),
+      forensics_version: pixel_forensics.forensics_version,
+      smoothness: round3(smoothness),
+      uniformity: round3(uniformity),
+      measurements: residual
+    };
+  }
+});
+
+// Espectro: picos periódicos de remuestreo (decodificadores ×2/×4/×8).
+// En JPEG todos los periodos coinciden con la rejilla 8×8: la señal se conserva con fiabilidad mínima
+const spectralPeaksDetector = Object.freeze({
+  id: 'spectral-peaks',
+  version: '1.0.0',
+  technique: SIGNAL_TECHNIQUES.SPECTRAL,
+  reliability: 0.35,
+  requires: [DETECTOR_INPUTS.PIXEL_FORENSICS],
+
+  async analyze({ pixel_forensics }) {
+    const spectrum = pixel_forensics.spectrum;
+    const strongest = Math.max(0, ...spectrum.periodic_peaks.map(peak => peak.ratio));
+
+    // Razón en el umbral → 0; veinte veces el umbral o más → 1 (escala logarítmica)
+    const score = strongest > 0
+      ? clamp01(Math.log10(strongest / spectrum.peak_ratio_threshold) / Math.log10(20))
+      : 0;
+
+    return {
+      score: round3(score),
+      ...(spectrum.jpeg_block_grid && { reliability: 0.1 }),
+      forensics_version: pixel_forensics.forensics_version,
+      strongest_peak_ratio: strongest,
+      jpeg_block_grid: spectrum.jpeg_block_grid,
+      periodic_peaks: spectrum.periodic_peaks,
+      high_frequency_ratio: spectrum.high_frequency_ratio,
+      spectral_slope: spectrum.spectral_slope,
+      radial_profile: spectrum.radial_profile,
+      spectrum_image: spectrum.spectrum_image
+    };
+  }
+});
+
+export const DEFAULT_DETECTORS = Object.freeze([
+  generativeParametersDetector,
+  noiseResidualDetector,
+  spectralPeaksDetector
+]);
+
+// ================================
+// FUNCIONES AUXILIARES
+// ================================
+
+function validateDetector(detector) {
+  const problems = [];
+  if (typeof detector?.id !== 'string' || !detector.id) problems.push('id');
+  if (typeof detector?.version !== 'string' || !detector.version) problems.push('version');
+  if (!Object.values(SIGNAL_TECHNIQUES).includes(detector?.technique)) problems.push('technique');
+  if (typeof detector?.reliability !== 'number' || detector.reliability < 0 || detector.reliability > 1) problems.push('reliability');
+  if (!Array.isArray(detector?.requires) || detector.requires.some(input => !Object.values(DETECTOR_INPUTS).includes(input))) problems.push('requires');
+  if (typeof detector?.analyze !== 'function') problems.push('analyze');
+
+  if (problems.length > 0) {
+    throw new Error(`Detector no válido (${detector?.id ?? 'sin id'}): ${problems.join(', ')}`);
+  }
+}
+
+function availabilityOf(detector) {
+  if (typeof detector.isAvailable !== 'function') return { available: true };
+  try {
+    return detector.isAvailable();
+  } catch (error) {
+    return { available: false, reason: error.message };
+  }
+}
+
+function hasInput(evidence, input) {
+  if (input === DETECTOR_INPUTS.METADATA) return Boolean(evidence.metadata);
+  if (input === DETECTOR_INPUTS.PIXEL_FORENSICS) return Boolean(evidence.pixel_forensics);
+  if (input === DETECTOR_INPUTS.FILE) return Boolean(evidence.file_path);
+  return false;
+}
+
+function notExecuted(detector, reason, detail = null) {
+  return {
+    detector_id: detector?.id ?? null,
+    detector_version: detector?.version ?? null,
+    status: DETECTOR_STATUS.NOT_EXECUTED,
+    reason,
+    ...(detail && { detail })
+  };
+}
+
+function clamp01(value) {
+  return Math.min(Math.max(value, 0), 1);
+}
+
+function round3(value) {
+  return Math.round(value * 1000) / 1000;
+}
@@ -0,0 +1,159 @@
+// ai-detectors.test.js - TESTS DEL REGISTRO DE DETECTORES
+// Orden y salida deterministas, técnicas no ejecutadas con su motivo y validación de detectores
+
+import assert from 'assert/strict';
+import {
+  createDetectorRegistry,
+  DEFAULT_DETECTORS,
+  SIGNAL_TECHNIQUES,
+  DETECTOR_STATUS,
+  NOT_EXECUTED_REASONS,
+  DETECTOR_INPUTS
+} from './ai-detectors.js';
+
+const pixelForensics = () => ({
+  forensics_version: '1.0.0',
+  noise_residual: { std: 0.5, block_std_cv: 0.3 },
+  spectrum: {
+    periodic_peaks: [{ period: 2, ratio: 8 }, { period: 4, ratio: 80 }],
+    peak_ratio_threshold: 4,
+    jpeg_block_grid: false,
+    high_frequency_ratio: 0.12,
+    spectral_slope: -2.1,
+    radial_profile: [1, 0.5, 0.25],
+    spectrum_image: null
+  }
+});
+
+const evidence = () => ({
+  case_id: 'case-1',
+  evidence_id: 'ev-1',
+  metadata: {
+    generative_parameters: {
+      tool: 'stable-diffusion-webui',
+      tool_version: 'v1.9.4',
+      model: { name: 'sd_xl_base_1.0', hash: '31e35c80fc' },
+      sampler: 'DPM++ 2M',
+      seed: '42',
+      steps: 28,
+      prompt_hash: null,
+      loras: [{ name: 'estiloOleo', weight: 0.8 }]
+    }
+  },
+  pixel_forensics: pixelForensics(),
+  file_path: null
+});
+
+const stubDetector = (overrides) => ({
+  id: 'stub',
+  version: '1.0.0',
+  technique: SIGNAL_TECHNIQUES.CLIP,
+  reliability: 0.5,
+  requires: [],
+  analyze: async () => ({ score: 0.5 }),
+  ...overrides
+});
+
+const statusOf = (signals) => Object.fromEntries(Object.entries(signals).map(([technique, signal]) => [technique, signal.reason ?? signal.status]));
+
+export const aiDetectorsTests = {
+  test1_stable_order: async () => {
+    console.log('Test 1 (ORDEN): técnicas en el orden de SIGNAL_TECHNIQUES, sea cual sea el orden de registro');
+    const forward = createDetectorRegistry();
+    const reversed = createDetectorRegistry([...DEFAULT_DETECTORS].reverse());
+
+    assert.deepEqual(forward.list().map(entry => entry.technique), Object.values(SIGNAL_TECHNIQUES));
+    assert.deepEqual(reversed.list(), forward.list());
+    assert.deepEqual(Object.keys(await reversed.runAll(evidence())), Object.values(SIGNAL_TECHNIQUES));
+
+    assert.deepEqual(forward.list().map(entry => [entry.technique, entry.detector_id]), [
+      [SIGNAL_TECHNIQUES.CLIP, null],
+      [SIGNAL_TECHNIQUES.NOISE, 'noise-residual'],
+      [SIGNAL_TECHNIQUES.SPECTRAL, 'spectral-peaks'],
+      [SIGNAL_TECHNIQUES.FINGERPRINT, 'generative-parameters'],
+      [SIGNAL_TECHNIQUES.DATASET, null]
+    ]);
+  },
+
+  test2_deterministic_output: async () => {
+    console.log('Test 2 (DETERMINISMO): misma evidencia → mismas señales; registros distintos con los mismos detectores → iguales');
+    const registry = createDetectorRegistry();
+    const first = await registry.runAll(evidence());
+    const second = await registry.runAll(evidence());
+
+    assert.deepEqual(second, first);
+    assert.deepEqual(await createDetectorRegistry([...DEFAULT_DETECTORS].reverse()).runAll(evidence()), first);
+
+    assert.deepEqual(statusOf(first), {
+      clip: NOT_EXECUTED_REASONS.NO_DETECTOR_REGISTERED,
+      noise: DETECTOR_STATUS.EXECUTED,
+      spectral: DETECTOR_STATUS.EXECUTED,
+      fingerprint: DETECTOR_STATUS.EXECUTED,
+      dataset: NOT_EXECUTED_REASONS.NO_DETECTOR_REGISTERED
+    });
+    assert.equal(first.clip.score, undefined);
+
+    // Valores fijados por la fórmula de cada detector
+    assert.deepEqual([first.noise.score, first.noise.smoothness, first.noise.uniformity], [0.75, 1, 0.5]);
+    assert.deepEqual([first.spectral.score, first.spectral.reliability, first.spectral.strongest_peak_ratio], [1, 0.35, 80]);
+    assert.deepEqual([first.fingerprint.score, first.fingerprint.reliability, first.fingerprint.structured_fields], [0.9, 0.9, 4]);
+    assert.deepEqual(first.fingerprint.loras, ['estiloOleo']);
+  },
+
+  test3_not_executed_reasons: async () => {
+    console.log('Test 3 (NO EJECUTADO): sin entrada, sin recursos o con error → not_executed con motivo, nunca una puntuación');
+    const registry = createDetectorRegistry([
+      ...DEFAULT_DETECTORS,
+      stubDetector({ id: 'sin-modelo', isAvailable: () => ({ available: false, reason: 'Modelo no instalado' }) }),
+      stubDetector({
+        id: 'falla',
+        technique: SIGNAL_TECHNIQUES.DATASET,
+        analyze: async () => { throw new Error('lectura imposible'); }
+      })
+    ]);
+
+    const signals = await registry.runAll({ ...evidence(), pixel_forensics: null });
+
+    assert.deepEqual(statusOf(signals), {
+      clip: NOT_EXECUTED_REASONS.DETECTOR_UNAVAILABLE,
+      noise: NOT_EXECUTED_REASONS.INPUT_UNAVAILABLE,
+      spectral: NOT_EXECUTED_REASONS.INPUT_UNAVAILABLE,
+      fingerprint: DETECTOR_STATUS.EXECUTED,
+      dataset: NOT_EXECUTED_REASONS.DETECTOR_ERROR
+    });
+    assert.equal(signals.clip.detail, 'Modelo no instalado');
+    assert.equal(signals.noise.detail, `Entrada requerida: ${DETECTOR_INPUTS.PIXEL_FORENSICS}`);
+    assert.equal(signals.dataset.detail, 'lectura imposible');
+    ['clip', 'noise', 'spectral', 'dataset'].forEach(technique => assert.equal(signals[technique].score, undefined, technique));
+
+    // Sin parámetros generativos la huella es baja pero se ejecuta
+    const plain = await createDetectorRegistry().runAll({ ...evidence(), metadata: {} });
+    assert.deepEqual([plain.fingerprint.score, plain.fingerprint.model], [0.2, 'No detectable']);
+  },
+
+  test4_registration_validation: async () => {
+    console.log('Test 4 (REGISTRO): detector incompleto o técnica ya ocupada → error al registrar');
+    assert.throws(
+      () => createDetectorRegistry([stubDetector({ version: '', reliability: 2, requires: ['red'] })]),
+      /Detector no válido \(stub\): version, reliability, requires/
+    );
+    assert.throws(() => createDetectorRegistry([stubDetector({ technique: 'otra' })]), /technique/);
+
+    const registry = createDetectorRegistry();
+    assert.throws(
+      () => registry.register(stubDetector({ technique: SIGNAL_TECHNIQUES.NOISE })),
+      /Técnica noise ya tiene detector: noise-residual/
+    );
+    assert.equal(registry.list().find(entry => entry.technique === SIGNAL_TECHNIQUES.NOISE).detector_id, 'noise-residual');
+  },
+
+  test5_models: async () => {
+    console.log('Test 5 (MODELOS): solo los detectores con modelo aprendido se listan, con hash y manifiesto');
+    const model = { model_id: 'clip-vit', model_sha256: 'a'.repeat(64), manifest_version: '1.0.0' };
+    const registry = createDetectorRegistry([...DEFAULT_DETECTORS, stubDetector({ id: 'clip-probe', model })]);
+
+    assert.deepEqual(registry.models(), [{ technique: SIGNAL_TECHNIQUES.CLIP, detector_id: 'clip-probe', ...model }]);
+    assert.deepEqual(registry.list()[0].model, model);
+    assert.deepEqual(createDetectorRegistry().models(), []);
+  }
+};
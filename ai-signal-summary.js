@@ -0,0 +1,90 @@
+// ai-signal-summary.js - BLOQUE 3.2 (RESUMEN POR CASO)
+// Señales de IA por evidencia agrupadas según su papel: obra final, proceso o referencia
+
+import { EVIDENCE_STAGES } from './timeline.js';
+
+// ================================
+// CONSTANTES Y ENUMS (INMUTABLES)
+// ================================
+
+export const AI_SIGNAL_SUMMARY_VERSION = '1.0.0';
+
+// Canon §2: la IA en ideación (GIT 2) no equivale a la IA en el archivo final
+export const EVIDENCE_ROLES = Object.freeze({
+  FINAL_WORK: 'final_work',   // etapa final o sin etapa declarada (se trata como obra final)
+  PROCESS: 'process',         // boceto y estados intermedios
+  REFERENCE: 'reference'      // material de referencia (fuera del proceso)
+});
+
+const CONFIDENCE_RANK = Object.freeze({ LOW: 1, MEDIUM: 2, HIGH: 3 });
+
+// ================================
+// 🚫 DECLARACIÓN DE NO-DECISIÓN
+// ================================
+
+/*
+ * El resumen agrupa y ordena señales; no las combina en un veredicto.
+ * Que un grupo tenga puntuación alta no clasifica la obra: indica al auditor
+ * en qué parte del proceso se concentran las señales.
+ */
+
+/**
+ * Papel de una evidencia en el caso según su etapa declarada.
+ *
+ * @param {string|null} stage - Etapa de EVIDENCE_STAGES (o null)
+ * @returns {string} Clave de EVIDENCE_ROLES
+ */
+export function roleOfStage(stage) {
+  if (stage === EVIDENCE_STAGES.SKETCH || stage === EVIDENCE_STAGES.PROCESS) return EVIDENCE_ROLES.PROCESS;
+  if (stage === EVIDENCE_STAGES.REFERENCE) return EVIDENCE_ROLES.REFERENCE;
+  return EVIDENCE_ROLES.FINAL_WORK;
+}
+
+/**
+ * 🧮 Resumen del caso a partir de filas de ai_signal_results
+ *
+ * Se usa la fila más reciente de cada evidencia. Por grupo se informa la evidencia
+ * con mayor puntuación agregada (y su confianza); un grupo sin evidencias queda a null.
+ *
+ * @param {Array<Object>} rows - Filas { evidence_id, stage, aggregated_score, confidence, analyzed_at }
+ * @returns {Object} { summary_version, evidences_analyzed, final_work, process, reference }
+ */
+export function summarizeCaseSignals(rows) {
+  // 1️⃣ Última fila por evidencia
+  const latest = new Map();
+  [...rows]
+    .sort((a, b) => String(a.analyzed_at).localeCompare(String(b.analyzed_at)))
+    .forEach(row => latest.set(row.evidence_id, row));
+
+  // 2️⃣ Agrupación por papel
+  const groups = Object.fromEntries(Object.values(EVIDENCE_ROLES).map(role => [role, []]));
+  latest.forEach(row => groups[roleOfStage(row.stage)].push(row));
+
+  return {
+    summary_version: AI_SIGNAL_SUMMARY_VERSION,
+    evidences_analyzed: latest.size,
+    ...Object.fromEntries(Object.entries(groups).map(([role, members]) => [role, summarizeGroup(members)]))
+  };
+}
+
+// ================================
+// FUNCIONES AUXILIARES
+// ================================
+
+function summarizeGroup(members) {
+  if (members.length === 0) return null;
+
+  // Mayor puntuación; a igualdad, mayor confianza y después evidence_id (orden estable)
+  const strongest = [...members].sort((a, b) =>
+    (b.aggregated_score - a.aggregated_score) ||
+    ((CONFIDENCE_RANK[b.confidence] ?? 0) - (CONFIDENCE_RANK[a.confidence] ?? 0)) ||
+    String(a.evidence_id).localeCompare(String(b.evidence_id))
+  )[0];
+
+  return {
+    evidence_ids: members.map(row => row.evidence_id).sort(),
+    aggregated_score: strongest.aggregated_score,
+    confidence: strongest.confidence,
+    strongest_evidence_id: strongest.evidence_id
+  };
+}
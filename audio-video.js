@@ -0,0 +1,138 @@
+// audio-video.js - BLOQUE 3.1 (AUDIO / VÍDEO)
+// Extracción de contenedor, códec, fechas y etiquetas de software con music-metadata
+
+import { parseFile } from 'music-metadata';
+import { identifySoftware, TOOL_CATEGORIES } from './software-catalog.js';
+
+// ================================
+// CONSTANTES Y ENUMS (INMUTABLES)
+// ================================
+
+export const AUDIO_VIDEO_EXTRACTOR_VERSION = '1.0.0';
+
+// Etiquetas nativas que nombran el software codificador (ID3v2, Vorbis, iTunes, RIFF, APE, ASF, Matroska)
+const SOFTWARE_TAG_IDS = /^(TSSE|TENC|ENCODER|ENCODED[_ ]?BY|ENCODER_OPTIONS|ENCODERSETTINGS|©too|©enc|ISFT|IENG|Tool Name|WM\/ToolName|WM\/EncodingSettings|MUXINGAPP|WRITINGAPP|encoder|software)$/i;
+
+// Etiquetas nativas de fecha de creación / grabación
+const DATE_TAG_IDS = /^(TDRC|TDOR|TDEN|TYER|DATE|ORIGINALDATE|©day|ICRD|DATE_RECORDED|creation_time|WM\/EncodingTime)$/i;
+
+// Etiquetas de comentario / descripción donde los servicios generativos dejan su marca
+// (los títulos y letras no se examinan: "Firefly" o "Flux" son también títulos de canción)
+const MARKER_TAG_IDS = /^(COMM|COMMENT|DESCRIPTION|ICMT|ISBJ|©cmt|©des|desc|ldes|TXXX(:.*)?|WM\/Comments?|WM\/Publisher|TPUB|PUBLISHER|ORGANIZATION|IPUB|ICOP|TCOP|COPYRIGHT|cprt|©cpy)$/i;
+
+// Longitud máxima de valores de etiqueta persistidos (letras, comentarios largos)
+const MAX_TAG_VALUE_LENGTH = 512;
+
+// ================================
+// 🚫 DECLARACIÓN DE NO-DECISIÓN
+// ================================
+
+/*
+ * Las etiquetas de audio y vídeo las escribe el software de exportación o el propio usuario.
+ * Este módulo solo las extrae; una marca de servicio generativo es un hecho textual,
+ * NO una determinación de uso de IA.
+ */
+
+/**
+ * 🎵 Extracción técnica de audio / vídeo
+ *
+ * Devuelve claves equivalentes a las de exiftool (Software, CreateDate, FileType…)
+ * para que normalizeMetadata y las comprobaciones de timeline y software las traten igual,
+ * más un bloque estructurado audio_video.
+ *
+ * @param {string} filePath - Ruta del archivo temporal
+ * @returns {Promise<Object>} Metadatos crudos
+ */
+export async function extractAudioVideoMetadata(filePath) {
+  const { format, native, common } = await parseFile(filePath, { duration: false, skipCovers: true });
+
+  // 1️⃣ Etiquetas nativas relevantes (software y fechas)
+  const nativeTags = Object.entries(native || {}).flatMap(([tag_type, tags]) =>
+    tags.map(tag => ({ tag_type, id: tag.id, value: tagText(tag.value) }))
+  );
+
+  const softwareTags = nativeTags.filter(tag => SOFTWARE_TAG_IDS.test(tag.id) && tag.value);
+  const dateTags = nativeTags.filter(tag => DATE_TAG_IDS.test(tag.id) && tag.value);
+
+  // 2️⃣ Marcas de herramientas generativas del catálogo (software, comentarios, editor)
+  const ai_music_markers = [];
+  nativeTags.filter(tag => SOFTWARE_TAG_IDS.test(tag.id) || MARKER_TAG_IDS.test(tag.id)).forEach(tag => {
+    identifySoftware(tag.value)
+      .filter(tool => tool.category === TOOL_CATEGORIES.GENERATIVE)
+      .filter(tool => !ai_music_markers.some(marker => marker.tool_id === tool.id))
+      .forEach(tool => ai_music_markers.push({
+        tool: tool.name,
+        tool_id: tool.id,
+        tag_type: tag.tag_type,
+        tag_id: tag.id,
+        value: tag.value
+      }));
+  });
+
+  const encoder = format.tool || softwareTags[0]?.value || null;
+  const video = (format.trackInfo || []).find(track => track.video);
+
+  // Hora de contenedor (mvhd, UTC por especificación) o, si falta, la etiqueta tal cual:
+  // timeline.js interpreta precisión (día/año) y zona (flotante) del texto original
+  const creationDate = toIso(format.creationTime) || tagDate(common.date) || tagDate(dateTags[0]?.value) ||
+    (common.year ? String(common.year) : null);
+
+  return {
+    // Claves compatibles con exiftool (ver normalizeMetadata)
+    ...(encoder && { Software: encoder }),
+    ...(common.encodedby && common.encodedby !== encoder && { ProcessingSoftware: common.encodedby }),
+    ...(creationDate && { CreateDate: creationDate }),
+    ...(toIso(format.modificationTime) && { ModifyDate: toIso(format.modificationTime) }),
+    ...(format.container && { FileType: format.container }),
+
+    audio_video: {
+      extractor_version: AUDIO_VIDEO_EXTRACTOR_VERSION,
+      container: format.container ?? null,
+      codec: format.codec ?? null,
+      codec_profile: format.codecProfile ?? null,
+      encoder,
+      lossless: format.lossless ?? null,
+      duration_seconds: format.duration ?? null,
+      bitrate: format.bitrate ?? null,
+      sample_rate: format.sampleRate ?? null,
+      channels: format.numberOfChannels ?? null,
+      video: video
+        ? { width: video.video.pixelWidth ?? null, height: video.video.pixelHeight ?? null, codec: video.codecName ?? null }
+        : null,
+      tag_types: format.tagTypes || [],
+      creation_time: toIso(format.creationTime),
+      modification_time: toIso(format.modificationTime),
+      title: common.title ?? null,
+      artist: common.artist ?? null,
+      software_tags: softwareTags,
+      date_tags: dateTags,
+      ai_music_markers
+    }
+  };
+}
+
+// ================================
+// FUNCIONES AUXILIARES
+// ================================
+
+function tagText(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'string') return value.slice(0, MAX_TAG_VALUE_LENGTH);
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value.text === 'string') return value.text.slice(0, MAX_TAG_VALUE_LENGTH);   // COMM / USLT
+  return null;   // binarios (carátulas, GEOB, PRIV)
+}
+
+// Solo para horas de contenedor (Date en UTC); las etiquetas de texto no pasan por aquí
+function toIso(value) {
+  if (!(value instanceof Date)) return null;
+  return Number.isNaN(value.getTime()) ? null : value.toISOString();
+}
+
+// Etiquetas de fecha (ICRD, TYER, TDRC, ©day…) sin reinterpretar: "2031-01-02" sigue siendo un día sin zona
+function tagDate(value) {
+  if (value instanceof Date) return toIso(value);
+  if (typeof value === 'number') return String(value);
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
@@ -0,0 +1,169 @@
+// audit-chain.js - CADENA DE AUDITORÍA
+// audit_logs encadenados por hash (tamper-evident)
+
+import { calculateSHA256Deterministic } from './forensic-hash.js';
+
+// ================================
+// CONSTANTES Y ENUMS (INMUTABLES)
+// ================================
+
+export const AUDIT_CHAIN_VERSION = '1.0.0';
+
+// prev_hash de la primera entrada de cada caso
+export const GENESIS_HASH = '0'.repeat(64);
+
+const MAX_APPEND_RETRIES = 3;
+
+const CHAIN_BREAKS = Object.freeze({
+  UNCHAINED_ENTRY: 'UNCHAINED_ENTRY',
+  SEQUENCE_GAP: 'SEQUENCE_GAP',
+  PREV_HASH_MISMATCH: 'PREV_HASH_MISMATCH',
+  ENTRY_HASH_MISMATCH: 'ENTRY_HASH_MISMATCH'
+});
+
+// ================================
+// 🚫 PRINCIPIO DE NO-DESTRUCCIÓN
+// ================================
+
+/*
+ * "Nada se borra. Nada se sobrescribe."
+ * Cada entrada sella: secuencia por caso, hash de la entrada anterior y su propio hash.
+ * Editar o borrar cualquier entrada rompe la cadena a partir de ese punto.
+ */
+
+/**
+ * 🔗 Hash determinista de una entrada de auditoría
+ * Cubre todos los campos con significado forense. Quedan fuera id y created_at,
+ * que gestiona la base de datos (Postgres reformatea timestamptz al leer);
+ * el instante sellado es sealed_at, guardado como texto ISO.
+ *
+ * @param {Object} entry - Fila de audit_logs
+ * @returns {string} entry_hash
+ */
+export function computeEntryHash(entry) {
+  return calculateSHA256Deterministic({
+    case_id: entry.case_id,
+    sequence: entry.sequence,
+    action: entry.action,
+    details: entry.details ?? null,
+    actor_type: entry.actor_type,
+    actor_id: entry.actor_id,
+    sealed_at: entry.sealed_at,
+    prev_hash: entry.prev_hash
+  });
+}
+
+/**
+ * 🔗 Cadena de auditoría sobre el repositorio audit_logs
+ *
+ * @param {Object} auditLogs - Repositorio storage.auditLogs
+ * @returns {{ append: Function, verify: Function }}
+ */
+export function createAuditChain(auditLogs) {
+  const queues = new Map(); // case_id -> Promise (serializa anexados por caso)
+
+  async function appendOnce(entry) {
+    const { data: head, error: headError } = await auditLogs.findChainHead(entry.case_id);
+    if (headError) return { data: null, error: headError };
+
+    const chained = {
+      ...entry,
+      sequence: (head?.sequence ?? 0) + 1,
+      prev_hash: head?.entry_hash ?? GENESIS_HASH,
+      sealed_at: new Date().toISOString()
+    };
+    chained.entry_hash = computeEntryHash(chained);
+
+    return auditLogs.insert(chained);
+  }
+
+  /**
+   * Añade una entrada al final de la cadena del caso.
+   * Si otro proceso ocupó la misma secuencia (23505), se reintenta sobre la nueva cabeza.
+   */
+  function append(entry) {
+    const previous = queues.get(entry.case_id) || Promise.resolve();
+
+    const next = previous.then(async () => {
+      let result;
+      for (let attempt = 0; attempt < MAX_APPEND_RETRIES; attempt++) {
+        result = await appendOnce(entry);
+        if (result.error?.code !== '23505') break;
+      }
+      return result;
+    });
+
+    queues.set(entry.case_id, next.catch(() => {}));
+    return next;
+  }
+
+  /**
+   * Recorre la cadena del caso y reporta el primer eslabón roto.
+   */
+  async function verify(case_id) {
+    const { data: entries, error } = await auditLogs.listByCase(case_id);
+    if (error) return { data: null, error };
+
+    let prev_hash = GENESIS_HASH;
+    let first_broken_link = null;
+    let entries_checked = 0;
+
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i];
+      const reason = findBreak(entry, i + 1, prev_hash);
+
+      if (reason) {
+        first_broken_link = {
+          sequence: entry.sequence ?? null,
+          entry_id: entry.id,
+          action: entry.action,
+          reason
+        };
+        break;
+      }
+
+      prev_hash = entry.entry_hash;
+      entries_checked++;
+    }
+
+    return {
+      data: {
+        case_id,
+        valid: first_broken_link === null,
+        entries_checked,
+        total_entries: entries.length,
+        head_hash: first_broken_link ? null : prev_hash,
+        first_broken_link,
+        chain_version: AUDIT_CHAIN_VERSION,
+        verified_at: new Date().toISOString()
+      },
+      error: null
+    };
+  }
+
+  return { append, verify };
+}
+
+// ================================
+// FUNCIONES AUXILIARES
+// ================================
+
+function findBreak(entry, expectedSequence, expectedPrevHash) {
+  if (!entry.entry_hash || entry.sequence === undefined || entry.sequence === null) {
+    return CHAIN_BREAKS.UNCHAINED_ENTRY;
+  }
+
+  if (entry.sequence !== expectedSequence) {
+    return CHAIN_BREAKS.SEQUENCE_GAP;
+  }
+
+  if (entry.prev_hash !== expectedPrevHash) {
+    return CHAIN_BREAKS.PREV_HASH_MISMATCH;
+  }
+
+  if (computeEntryHash(entry) !== entry.entry_hash) {
+    return CHAIN_BREAKS.ENTRY_HASH_MISMATCH;
+  }
+
+  return null;
+}
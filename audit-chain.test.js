@@ -0,0 +1,133 @@
+// audit-chain.test.js - TESTS DE LA CADENA DE AUDITORÍA
+// Encadenado por hash, anexados concurrentes y detección de manipulación directa en audit_logs
+
+import assert from 'assert/strict';
+import { createAuditChain, computeEntryHash, GENESIS_HASH } from './audit-chain.js';
+import { withLocalStorage, tamperRow, deleteRows } from './test-helpers.js';
+
+const CASE_ID = 'AURA-TEST-CHAIN';
+
+// Persistencia local temporal con su cadena; reopen() relee las tablas tras manipularlas
+const withChain = (run) => withLocalStorage(({ dataDir, open }) => {
+  const reopen = () => {
+    const storage = open();
+    return { storage, auditChain: createAuditChain(storage.auditLogs) };
+  };
+  return run({ ...reopen(), dataDir, reopen });
+});
+
+async function appendEntries(auditChain, count, case_id = CASE_ID) {
+  for (let i = 1; i <= count; i++) {
+    const { error } = await auditChain.append({
+      case_id,
+      action: 'test_event',
+      details: { index: i },
+      actor_type: 'system',
+      actor_id: 'test'
+    });
+    assert.equal(error, null);
+  }
+}
+
+const isEntry = (sequence, case_id = CASE_ID) => row => row.case_id === case_id && row.sequence === sequence;
+
+export const auditChainTests = {
+  test1_chain_links: async () => {
+    console.log('Test 1 (ENCADENADO): secuencia 1..n, prev_hash enlazado y hash propio');
+    await withChain(async ({ storage, auditChain }) => {
+      await appendEntries(auditChain, 3);
+
+      const { data: entries } = await storage.auditLogs.listByCase(CASE_ID);
+      assert.deepEqual(entries.map(entry => entry.sequence), [1, 2, 3]);
+      assert.equal(entries[0].prev_hash, GENESIS_HASH);
+      assert.equal(entries[1].prev_hash, entries[0].entry_hash);
+      assert.equal(entries[2].prev_hash, entries[1].entry_hash);
+      entries.forEach(entry => assert.equal(computeEntryHash(entry), entry.entry_hash));
+
+      const { data: verification } = await auditChain.verify(CASE_ID);
+      assert.equal(verification.valid, true);
+      assert.equal(verification.entries_checked, 3);
+      assert.equal(verification.head_hash, entries[2].entry_hash);
+    });
+  },
+
+  test2_concurrent_appends: async () => {
+    console.log('Test 2 (CONCURRENCIA): anexados simultáneos no repiten secuencia');
+    await withChain(async ({ auditChain }) => {
+      const results = await Promise.all(Array.from({ length: 10 }, (_, index) => auditChain.append({
+        case_id: CASE_ID,
+        action: 'test_event',
+        details: { index },
+        actor_type: 'system',
+        actor_id: 'test'
+      })));
+
+      assert.ok(results.every(result => result.error === null));
+      assert.deepEqual(results.map(result => result.data.sequence).sort((a, b) => a - b),
+        Array.from({ length: 10 }, (_, index) => index + 1));
+
+      const { data: verification } = await auditChain.verify(CASE_ID);
+      assert.equal(verification.valid, true);
+    });
+  },
+
+  test3_edited_entry: async () => {
+    console.log('Test 3 (MANIPULACIÓN): editar details rompe el hash de esa entrada');
+    await withChain(async ({ dataDir, reopen }) => {
+      await appendEntries(reopen().auditChain, 3);
+      tamperRow(dataDir, 'audit_logs', isEntry(2), row => ({ ...row, details: { index: 99 } }));
+
+      const { data: verification } = await reopen().auditChain.verify(CASE_ID);
+      assert.equal(verification.valid, false);
+      assert.equal(verification.entries_checked, 1);
+      assert.equal(verification.head_hash, null);
+      assert.equal(verification.first_broken_link.sequence, 2);
+      assert.equal(verification.first_broken_link.reason, 'ENTRY_HASH_MISMATCH');
+    });
+  },
+
+  test4_rehashed_entry: async () => {
+    console.log('Test 4 (MANIPULACIÓN): recalcular el hash editado rompe el enlace siguiente');
+    await withChain(async ({ dataDir, reopen }) => {
+      await appendEntries(reopen().auditChain, 3);
+      tamperRow(dataDir, 'audit_logs', isEntry(2), row => {
+        const edited = { ...row, actor_id: 'otro' };
+        return { ...edited, entry_hash: computeEntryHash(edited) };
+      });
+
+      const { data: verification } = await reopen().auditChain.verify(CASE_ID);
+      assert.equal(verification.valid, false);
+      assert.equal(verification.entries_checked, 2);
+      assert.equal(verification.first_broken_link.sequence, 3);
+      assert.equal(verification.first_broken_link.reason, 'PREV_HASH_MISMATCH');
+    });
+  },
+
+  test5_deleted_entry: async () => {
+    console.log('Test 5 (MANIPULACIÓN): borrar una entrada deja un hueco de secuencia');
+    await withChain(async ({ dataDir, reopen }) => {
+      await appendEntries(reopen().auditChain, 3);
+      deleteRows(dataDir, 'audit_logs', isEntry(2));
+
+      const { data: verification } = await reopen().auditChain.verify(CASE_ID);
+      assert.equal(verification.valid, false);
+      assert.equal(verification.total_entries, 2);
+      assert.equal(verification.first_broken_link.sequence, 3);
+      assert.equal(verification.first_broken_link.reason, 'SEQUENCE_GAP');
+    });
+  },
+
+  test6_chains_per_case: async () => {
+    console.log('Test 6 (AISLAMIENTO): la manipulación de un caso no afecta a la cadena de otro');
+    await withChain(async ({ dataDir, reopen }) => {
+      const { auditChain } = reopen();
+      await appendEntries(auditChain, 2);
+      await appendEntries(auditChain, 2, 'AURA-TEST-OTHER');
+      tamperRow(dataDir, 'audit_logs', isEntry(1), row => ({ ...row, action: 'editado' }));
+
+      const reopened = reopen().auditChain;
+      assert.equal((await reopened.verify(CASE_ID)).data.valid, false);
+      assert.equal((await reopened.verify('AURA-TEST-OTHER')).data.valid, true);
+    });
+  }
+};
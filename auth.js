@@ -0,0 +1,186 @@
+// auth.js - AUTENTICACIÓN Y CONTROL DE ACCESO
+// API keys y JWT con roles (artist, auditor, admin, system)
+
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+
+// ================================
+// CONSTANTES Y ENUMS (INMUTABLES)
+// ================================
+
+export const ROLES = Object.freeze({
+  ARTIST: 'artist',
+  AUDITOR: 'auditor',
+  ADMIN: 'admin',
+  SYSTEM: 'system'
+});
+
+const VALID_ROLES = Object.freeze(Object.values(ROLES));
+
+// ================================
+// 🚫 PRINCIPIO DE FIRMA
+// ================================
+
+/*
+ * "Toda acción humana queda logada, firmada y justificada."
+ * La identidad del actor sale de su credencial, nunca del cuerpo de la petición:
+ * actor_type/actor_id en audit_logs son siempre el rol y el id del principal autenticado.
+ */
+
+/**
+ * 🔑 Autenticación de peticiones
+ *
+ * Configuración:
+ * - AURA_API_KEYS="role:principal_id:api_key,..." (p. ej. "auditor:ana:k1,artist:luis:k2")
+ * - AURA_JWT_SECRET (HS256) y opcionalmente AURA_JWT_ISSUER; claims: sub + role
+ *
+ * Petición: Authorization: Bearer <api_key | jwt>
+ * Sin cabecera la petición sigue como anónima (req.principal = null); una credencial
+ * presente pero inválida se rechaza siempre con 401.
+ *
+ * @param {Object} env - Variables de entorno (process.env por defecto)
+ * @returns {Function} Middleware Express que deja req.principal = { id, role, auth_method }
+ */
+export function createAuthenticator(env = process.env) {
+  const apiKeys = parseApiKeys(env.AURA_API_KEYS || "");
+  const jwtSecret = env.AURA_JWT_SECRET || null;
+  const jwtIssuer = env.AURA_JWT_ISSUER || undefined;
+
+  return function authenticate(req, res, next) {
+    const token = extractBearerToken(req);
+    req.principal = null;
+
+    if (!token) {
+      return next();
+    }
+
+    const principal = looksLikeJwt(token)
+      ? verifyJwt(token, jwtSecret, jwtIssuer)
+      : findApiKey(token, apiKeys);
+
+    if (!principal) {
+      return res.status(401).json({
+        error: "NO_AUTENTICADO",
+        message: "Credencial inválida o expirada."
+      });
+    }
+
+    req.principal = principal;
+    next();
+  };
+}
+
+/**
+ * 🛂 Autorización por rol
+ *
+ * @param {...string} roles - Roles permitidos (ROLES)
+ * @returns {Function} Middleware Express
+ */
+export function requireRole(...roles) {
+  return function authorize(req, res, next) {
+    if (!req.principal) {
+      return res.status(401).json({
+        error: "NO_AUTENTICADO",
+        message: "Se requiere autenticación."
+      });
+    }
+
+    if (!roles.includes(req.principal.role)) {
+      return res.status(403).json({
+        error: "ACCESO_DENEGADO",
+        role: req.principal.role,
+        allowed_roles: roles
+      });
+    }
+
+    next();
+  };
+}
+
+/**
+ * 🛂 Acceso a un caso concreto: un artista solo accede a sus propios casos
+ *
+ * @param {Object} principal - req.principal
+ * @param {Object} auditCase - Fila de audit_cases
+ * @returns {Object|null} Cuerpo de error 403, o null si el acceso está permitido
+ */
+export function checkCaseAccess(principal, auditCase) {
+  if (principal.role !== ROLES.ARTIST || auditCase.owner_id === principal.id) {
+    return null;
+  }
+
+  return {
+    error: "ACCESO_DENEGADO",
+    message: "El caso pertenece a otro artista."
+  };
+}
+
+/**
+ * Actor para audit_logs a partir del principal autenticado.
+ */
+export function actorOf(principal) {
+  return {
+    actor_type: principal.role,
+    actor_id: principal.id
+  };
+}
+
+// ================================
+// FUNCIONES AUXILIARES
+// ================================
+
+function parseApiKeys(raw) {
+  return raw
+    .split(",")
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [role, id, ...keyParts] = entry.split(":");
+      const key = keyParts.join(":");
+      return { role, id, key_digest: key ? sha256(key) : null };
+    })
+    .filter(credential => VALID_ROLES.includes(credential.role) && credential.id && credential.key_digest);
+}
+
+function findApiKey(token, apiKeys) {
+  const digest = sha256(token);
+  const credential = apiKeys.find(candidate => safeEqual(candidate.key_digest, digest));
+
+  return credential
+    ? { id: credential.id, role: credential.role, auth_method: "api_key" }
+    : null;
+}
+
+function verifyJwt(token, secret, issuer) {
+  if (!secret) return null;
+
+  try {
+    const claims = jwt.verify(token, secret, { algorithms: ["HS256"], issuer });
+
+    if (!claims.sub || !VALID_ROLES.includes(claims.role)) {
+      return null;
+    }
+
+    return { id: claims.sub, role: claims.role, auth_method: "jwt" };
+  } catch (error) {
+    return null;
+  }
+}
+
+function looksLikeJwt(token) {
+  return token.split(".").length === 3;
+}
+
+function extractBearerToken(req) {
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+  return scheme === "Bearer" && token ? token : null;
+}
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(value).digest();
+}
+
+function safeEqual(a, b) {
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
@@ -0,0 +1,127 @@
+// auth.test.js - TESTS DE AUTENTICACIÓN Y CONTROL DE ACCESO
+// API keys y JWT (401) frente a roles y propiedad del caso (403), sobre un servidor Express efímero
+
+import assert from "assert/strict";
+import express from "express";
+import jwt from "jsonwebtoken";
+import { createAuthenticator, requireRole, checkCaseAccess, actorOf, ROLES } from "./auth.js";
+import { withHttpServer } from "./test-helpers.js";
+
+const JWT_SECRET = "test-secret-de-al-menos-32-caracteres";
+const JWT_ISSUER = "aura-test";
+
+const ENV = {
+  AURA_API_KEYS: "auditor:ana:clave-ana,artist:luis:clave:con:dos-puntos,nadie:x:clave-rol-invalido",
+  AURA_JWT_SECRET: JWT_SECRET,
+  AURA_JWT_ISSUER: JWT_ISSUER
+};
+
+// App mínima: ruta abierta que devuelve el principal y ruta solo para auditores
+function withApp(env, run) {
+  const app = express();
+  app.use(express.json());
+  app.use(createAuthenticator(env));
+  app.post("/whoami", (req, res) => res.json({ principal: req.principal, actor: req.principal && actorOf(req.principal) }));
+  app.get("/audit", requireRole(ROLES.AUDITOR, ROLES.ADMIN), (req, res) => res.json({ ok: true }));
+
+  return withHttpServer(app, (base) => run(async (method, route, token, body) => {
+    const response = await fetch(`${base}${route}`, {
+      method,
+      headers: {
+        "content-type": "application/json",
+        ...(token && { authorization: `Bearer ${token}` })
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+  }));
+}
+
+const signJwt = (claims, options = {}) =>
+  jwt.sign(claims, options.secret ?? JWT_SECRET, { algorithm: "HS256", issuer: JWT_ISSUER, expiresIn: "5m", ...options.sign });
+
+// alg "none": cabecera y claims sin firma
+const unsignedJwt = (claims) =>
+  [{ alg: "none", typ: "JWT" }, claims].map(part => Buffer.from(JSON.stringify(part)).toString("base64url")).join(".") + ".";
+
+export const authTests = {
+  test1_api_keys: async () => {
+    console.log("Test 1 (API KEY): clave válida identifica; clave desconocida → 401");
+    await withApp(ENV, async (call) => {
+      const ana = await call("POST", "/whoami", "clave-ana");
+      assert.equal(ana.status, 200);
+      assert.deepEqual(ana.body.principal, { id: "ana", role: "auditor", auth_method: "api_key" });
+
+      const luis = await call("POST", "/whoami", "clave:con:dos-puntos");
+      assert.equal(luis.body.principal.id, "luis");
+
+      assert.equal((await call("POST", "/whoami", "clave-desconocida")).status, 401);
+      assert.equal((await call("POST", "/whoami", "clave-rol-invalido")).status, 401);
+      assert.equal((await call("POST", "/whoami", "clave-an")).status, 401);
+    });
+  },
+
+  test2_jwt: async () => {
+    console.log("Test 2 (JWT): HS256 válido identifica; firma, emisor, expiración, alg o claims inválidos → 401");
+    await withApp(ENV, async (call) => {
+      const valid = await call("POST", "/whoami", signJwt({ sub: "eva", role: "artist" }));
+      assert.equal(valid.status, 200);
+      assert.deepEqual(valid.body.principal, { id: "eva", role: "artist", auth_method: "jwt" });
+
+      const rejected = [
+        signJwt({ sub: "eva", role: "artist" }, { secret: "otro-secreto-de-al-menos-32-caracteres" }),
+        signJwt({ sub: "eva", role: "artist" }, { sign: { issuer: "otro-emisor" } }),
+        jwt.sign({ sub: "eva", role: "artist", exp: Math.floor(Date.now() / 1000) - 60 }, JWT_SECRET, { algorithm: "HS256", issuer: JWT_ISSUER }),
+        signJwt({ sub: "eva", role: "superuser" }),
+        signJwt({ role: "auditor" }),
+        unsignedJwt({ sub: "eva", role: "admin", iss: JWT_ISSUER }),
+        jwt.sign({ sub: "eva", role: "admin" }, JWT_SECRET, { algorithm: "HS512", issuer: JWT_ISSUER })
+      ];
+
+      for (const token of rejected) {
+        assert.equal((await call("POST", "/whoami", token)).status, 401, token);
+      }
+    });
+
+    // Sin secreto configurado ningún JWT es válido
+    await withApp({ AURA_API_KEYS: ENV.AURA_API_KEYS }, async (call) => {
+      assert.equal((await call("POST", "/whoami", signJwt({ sub: "eva", role: "admin" }))).status, 401);
+    });
+  },
+
+  test3_roles: async () => {
+    console.log("Test 3 (ROLES): sin credencial → 401; rol no permitido → 403; rol permitido → 200");
+    await withApp(ENV, async (call) => {
+      assert.equal((await call("GET", "/audit")).status, 401);
+      assert.equal((await call("GET", "/audit", "clave:con:dos-puntos")).status, 403);
+      assert.equal((await call("GET", "/audit", signJwt({ sub: "svc", role: "system" }))).status, 403);
+      assert.equal((await call("GET", "/audit", "clave-ana")).status, 200);
+      assert.equal((await call("GET", "/audit", signJwt({ sub: "root", role: "admin" }))).status, 200);
+
+      const forbidden = await call("GET", "/audit", "clave:con:dos-puntos");
+      assert.equal(forbidden.body.error, "ACCESO_DENEGADO");
+      assert.equal(forbidden.body.role, ROLES.ARTIST);
+    });
+  },
+
+  test4_identity_from_credential: async () => {
+    console.log("Test 4 (FIRMA): el actor sale de la credencial, no del cuerpo de la petición");
+    await withApp(ENV, async (call) => {
+      const { body } = await call("POST", "/whoami", "clave-ana", { actor_type: "admin", actor_id: "mallory" });
+      assert.deepEqual(body.actor, { actor_type: "auditor", actor_id: "ana" });
+
+      const anonymous = await call("POST", "/whoami", null, { actor_id: "mallory" });
+      assert.equal(anonymous.body.principal, null);
+    });
+  },
+
+  test5_case_ownership: async () => {
+    console.log("Test 5 (PROPIEDAD): un artista solo accede a sus casos; auditor y sistema a todos");
+    const auditCase = { case_id: "AURA-TEST", owner_id: "luis" };
+
+    assert.equal(checkCaseAccess({ id: "luis", role: ROLES.ARTIST }, auditCase), null);
+    assert.equal(checkCaseAccess({ id: "eva", role: ROLES.ARTIST }, auditCase).error, "ACCESO_DENEGADO");
+    assert.equal(checkCaseAccess({ id: "ana", role: ROLES.AUDITOR }, auditCase), null);
+    assert.equal(checkCaseAccess({ id: "svc", role: ROLES.SYSTEM }, auditCase), null);
+  }
+};
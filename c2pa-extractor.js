@@ -0,0 +1,507 @@
+// c2pa-extractor.js - BLOQUE 3.1 (PROCEDENCIA C2PA)
+// Extracción de manifiestos C2PA / Content Credentials (JUMBF) y validación de firma
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { decode as decodeCbor } from 'cbor-x';
+
+// ================================
+// CONSTANTES Y ENUMS (INMUTABLES)
+// ================================
+
+export const C2PA_EXTRACTOR_VERSION = '1.0.0';
+
+// Etiquetas COSE (RFC 9052 / RFC 9053)
+const COSE_SIGN1_TAG = 18;
+const COSE_HEADER_ALG = 1;
+const COSE_HEADER_X5CHAIN = 33;
+
+const COSE_ALGORITHMS = Object.freeze({
+  [-7]: { name: 'ES256', hash: 'sha256', kind: 'ecdsa' },
+  [-35]: { name: 'ES384', hash: 'sha384', kind: 'ecdsa' },
+  [-36]: { name: 'ES512', hash: 'sha512', kind: 'ecdsa' },
+  [-37]: { name: 'PS256', hash: 'sha256', kind: 'rsa-pss' },
+  [-38]: { name: 'PS384', hash: 'sha384', kind: 'rsa-pss' },
+  [-39]: { name: 'PS512', hash: 'sha512', kind: 'rsa-pss' },
+  [-8]: { name: 'Ed25519', hash: null, kind: 'eddsa' }
+});
+
+// Tipos de origen digital IPTC que declaran contenido generativo
+const GENERATIVE_SOURCE_TYPES = Object.freeze([
+  'trainedAlgorithmicMedia',
+  'compositeWithTrainedAlgorithmicMedia',
+  'algorithmicallyEnhanced'
+]);
+
+const JPEG_APP11 = 0xFFEB;
+
+// Tope de descompresión del almacén JUMBF embebido en PDF (protección frente a bombas Flate)
+const MAX_JUMBF_BYTES = 64 * 1024 * 1024;
+
+// ================================
+// 🚫 DECLARACIÓN DE NO-DECISIÓN
+// ================================
+
+/*
+ * Un manifiesto C2PA es procedencia declarada por la herramienta que lo firmó.
+ * Este módulo solo lo extrae y valida criptográficamente su firma.
+ * NO valida autenticidad de la obra. NO determina uso de IA.
+ * La vinculación de datos (c2pa.hash.data) NO se verifica: se informa como tal.
+ */
+
+/**
+ * 🧾 Extracción de manifiesto C2PA
+ *
+ * @param {Buffer} buffer - Contenido del archivo
+ * @param {string} mimeType - MIME detectado
+ * @param {Object} options
+ * @param {Array<crypto.X509Certificate>} options.trustList - Anclas de confianza locales
+ * @returns {Object|null} Manifiesto activo normalizado, o null si el archivo no tiene C2PA
+ */
+export function extractC2PAManifest(buffer, mimeType, { trustList = [] } = {}) {
+  try {
+    // Localizar también puede fallar (contenedor corrupto o stream fuera de tope)
+    const jumbf = findJumbf(buffer, mimeType);
+    if (!jumbf) return null;
+
+    const store = parseBoxes(jumbf, 0, jumbf.length)[0];
+    const manifests = store?.children?.filter(box => box.type === 'jumb') || [];
+
+    if (!store || store.label !== 'c2pa' || manifests.length === 0) {
+      return { present: true, parse_error: 'Almacén de manifiestos C2PA no reconocido' };
+    }
+
+    // El manifiesto activo es el último del almacén
+    const active = manifests[manifests.length - 1];
+    const manifest = readManifest(active, trustList);
+
+    return {
+      present: true,
+      extractor_version: C2PA_EXTRACTOR_VERSION,
+      manifests_count: manifests.length,
+      ingredient_manifests: manifests.slice(0, -1).map(box => box.label),
+      ...manifest
+    };
+  } catch (error) {
+    return { present: true, parse_error: error.message };
+  }
+}
+
+/**
+ * 🔐 Carga de la lista de confianza local (PEM en AURA_C2PA_TRUST_DIR)
+ *
+ * @param {string} dir - Directorio con certificados .pem / .crt
+ * @returns {Array<crypto.X509Certificate>}
+ */
+export function loadC2PATrustList(dir) {
+  if (!dir || !fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter(file => /\.(pem|crt)$/i.test(file))
+    .flatMap(file => {
+      const pem = fs.readFileSync(path.join(dir, file), 'utf8');
+      const blocks = pem.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g) || [];
+      return blocks.map(block => new crypto.X509Certificate(block));
+    });
+}
+
+/**
+ * Resumen de procedencia para comparar con declaraciones (herramientas y origen generativo).
+ */
+export function summarizeC2PATools(c2pa) {
+  if (!c2pa?.present || c2pa.parse_error) {
+    return { tools: [], generative: false };
+  }
+
+  const tools = [
+    c2pa.claim_generator,
+    ...(c2pa.claim_generator_info || []).map(info => info.name),
+    ...(c2pa.actions || []).map(action => action.software_agent)
+  ].filter(Boolean);
+
+  const generative = (c2pa.digital_source_types || []).some(type =>
+    GENERATIVE_SOURCE_TYPES.some(generativeType => type.endsWith(`/${generativeType}`) || type === generativeType)
+  );
+
+  return { tools: [...new Set(tools)], generative };
+}
+
+// ================================
+// LOCALIZACIÓN DE JUMBF POR CONTENEDOR
+// ================================
+
+function findJumbf(buffer, mimeType) {
+  switch (mimeType) {
+    case 'image/jpeg':
+      return findJumbfInJpeg(buffer);
+    case 'image/png':
+      return findJumbfInPng(buffer);
+    case 'image/webp':
+      return findJumbfInWebp(buffer);
+    case 'application/pdf':
+      return findJumbfInPdf(buffer);
+    default:
+      return null;
+  }
+}
+
+// JPEG: segmentos APP11 (ISO 19566-5), agrupados por instancia de caja (En) y secuencia (Z)
+function findJumbfInJpeg(buffer) {
+  const instances = new Map();
+  let offset = 2;
+
+  while (offset + 4 <= buffer.length && buffer[offset] === 0xFF) {
+    const marker = buffer.readUInt16BE(offset);
+    if (marker === 0xFFDA || marker === 0xFFD9) break; // inicio de scan / fin de imagen
+
+    const length = buffer.readUInt16BE(offset + 2);
+    const segment = buffer.subarray(offset + 4, offset + 2 + length);
+
+    if (marker === JPEG_APP11 && segment.length > 16 && segment.toString('latin1', 0, 2) === 'JP') {
+      const instance = segment.readUInt16BE(2);
+      const sequence = segment.readUInt32BE(4);
+      const parts = instances.get(instance) || [];
+      parts.push({ sequence, data: segment.subarray(8) });
+      instances.set(instance, parts);
+    }
+
+    offset += 2 + length;
+  }
+
+  for (const parts of instances.values()) {
+    parts.sort((a, b) => a.sequence - b.sequence);
+    // Los segmentos de continuación repiten LBox/TBox (8 bytes)
+    const joined = Buffer.concat(parts.map((part, index) => index === 0 ? part.data : part.data.subarray(8)));
+    if (joined.toString('latin1', 4, 8) === 'jumb') return joined;
+  }
+
+  return null;
+}
+
+// PNG: chunk caBX
+function findJumbfInPng(buffer) {
+  let offset = 8;
+
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+
+    if (type === 'caBX') {
+      return buffer.subarray(offset + 8, offset + 8 + length);
+    }
+    if (type === 'IEND') break;
+
+    offset += 12 + length;
+  }
+
+  return null;
+}
+
+// WebP: chunk RIFF "C2PA"
+function findJumbfInWebp(buffer) {
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const type = buffer.toString('latin1', offset, offset + 4);
+    const length = buffer.readUInt32LE(offset + 4);
+
+    if (type === 'C2PA') {
+      return buffer.subarray(offset + 8, offset + 8 + length);
+    }
+
+    offset += 8 + length + (length % 2);
+  }
+
+  return null;
+}
+
+// PDF: archivo asociado con subtipo application/c2pa (lectura de mejor esfuerzo)
+function findJumbfInPdf(buffer) {
+  const text = buffer.toString('latin1');
+  const marker = text.search(/\/Subtype\s*\/application#2Fc2pa/);
+  if (marker === -1) return null;
+
+  const streamStart = text.indexOf('stream', marker);
+  const streamEnd = text.indexOf('endstream', streamStart);
+  if (streamStart === -1 || streamEnd === -1) return null;
+
+  const dictionary = text.slice(text.lastIndexOf('obj', marker), streamStart);
+  let dataStart = streamStart + 'stream'.length;
+  if (text[dataStart] === '\r') dataStart++;
+  if (text[dataStart] === '\n') dataStart++;
+
+  const raw = buffer.subarray(dataStart, streamEnd);
+  const data = /\/FlateDecode/.test(dictionary) ? zlib.inflateSync(raw, { maxOutputLength: MAX_JUMBF_BYTES }) : raw;
+
+  return data.toString('latin1', 4, 8) === 'jumb' ? data : null;
+}
+
+// ================================
+// PARSEO JUMBF (ISO 19566-5)
+// ================================
+
+function parseBoxes(buffer, start, end) {
+  const boxes = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    let header = 8;
+
+    if (size === 1) {
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+
+    if (size < header || offset + size > end) {
+      throw new Error(`Caja JUMBF corrupta (${type}) en offset ${offset}`);
+    }
+
+    const payload = buffer.subarray(offset + header, offset + size);
+    const box = { type, payload };
+
+    if (type === 'jumb') {
+      const children = parseBoxes(payload, 0, payload.length);
+      const description = children.find(child => child.type === 'jumd');
+      box.label = description ? readDescriptionLabel(description.payload) : null;
+      box.children = children.filter(child => child.type !== 'jumd');
+    }
+
+    boxes.push(box);
+    offset += size;
+  }
+
+  return boxes;
+}
+
+function readDescriptionLabel(payload) {
+  // UUID (16) + toggles (1) + label opcional terminada en NUL
+  const toggles = payload[16];
+  if (!(toggles & 0x02)) return null;
+
+  const end = payload.indexOf(0, 17);
+  return payload.toString('utf8', 17, end === -1 ? payload.length : end);
+}
+
+function findChild(box, predicate) {
+  return (box.children || []).find(child => child.type === 'jumb' && predicate(child.label || ''));
+}
+
+function readContent(box) {
+  const content = (box.children || []).find(child => child.type === 'cbor' || child.type === 'json');
+  if (!content) return { raw: null, data: null };
+
+  const data = content.type === 'cbor'
+    ? decodeCbor(content.payload)
+    : JSON.parse(content.payload.toString('utf8'));
+
+  return { raw: content.payload, data };
+}
+
+// ================================
+// MANIFIESTO: CLAIM, ASERCIONES Y FIRMA
+// ================================
+
+function readManifest(manifestBox, trustList) {
+  const claimBox = findChild(manifestBox, label => label === 'c2pa.claim' || label === 'c2pa.claim.v2');
+  const signatureBox = findChild(manifestBox, label => label === 'c2pa.signature');
+  const assertionStore = findChild(manifestBox, label => label === 'c2pa.assertions');
+
+  if (!claimBox) {
+    throw new Error('Manifiesto sin claim');
+  }
+
+  const { raw: claimBytes, data: claim } = readContent(claimBox);
+
+  const assertions = (assertionStore?.children || [])
+    .filter(child => child.type === 'jumb')
+    .map(child => {
+      try {
+        return { label: child.label, data: toPlain(readContent(child).data) };
+      } catch (error) {
+        return { label: child.label, data: null, parse_error: error.message };
+      }
+    });
+
+  const actions = assertions
+    .filter(assertion => /^c2pa\.actions(\.v\d+)?$/.test(assertion.label))
+    .flatMap(assertion => assertion.data?.actions || [])
+    .map(action => ({
+      action: action.action,
+      when: action.when ?? null,
+      software_agent: typeof action.softwareAgent === 'string'
+        ? action.softwareAgent
+        : action.softwareAgent?.name ?? null,
+      digital_source_type: action.digitalSourceType ?? null
+    }));
+
+  const signature = signatureBox
+    ? validateClaimSignature(readContent(signatureBox).data, claimBytes, trustList)
+    : { valid: false, trusted: false, errors: ['Manifiesto sin firma'] };
+
+  return {
+    active_manifest: manifestBox.label,
+    claim_generator: claim?.claim_generator ?? null,
+    claim_generator_info: toPlain(claim?.claim_generator_info ?? []),
+    title: claim?.['dc:title'] ?? null,
+    format: claim?.['dc:format'] ?? null,
+    instance_id: claim?.instanceID ?? claim?.instance_id ?? null,
+    assertions,
+    actions,
+    digital_source_types: [...new Set(actions.map(action => action.digital_source_type).filter(Boolean))],
+    signature,
+    data_binding_verified: false
+  };
+}
+
+function validateClaimSignature(coseValue, claimBytes, trustList) {
+  const errors = [];
+  const cose = coseValue?.tag === COSE_SIGN1_TAG ? coseValue.value : coseValue;
+
+  if (!Array.isArray(cose) || cose.length !== 4) {
+    return { valid: false, trusted: false, errors: ['COSE_Sign1 no reconocido'] };
+  }
+
+  const [protectedBytes, unprotected, , signatureBytes] = cose;
+  const protectedHeader = protectedBytes?.length ? decodeCbor(protectedBytes) : new Map();
+
+  const alg = headerValue(protectedHeader, COSE_HEADER_ALG);
+  const algorithm = COSE_ALGORITHMS[alg];
+  const x5chain = headerValue(protectedHeader, COSE_HEADER_X5CHAIN) ?? headerValue(unprotected, COSE_HEADER_X5CHAIN);
+  const chain = (Array.isArray(x5chain) ? x5chain : [x5chain])
+    .filter(Boolean)
+    .map(der => new crypto.X509Certificate(Buffer.from(der)));
+
+  if (!algorithm) errors.push(`Algoritmo COSE no soportado: ${alg}`);
+  if (chain.length === 0) errors.push('Firma sin cadena x5chain');
+
+  let valid = false;
+  if (algorithm && chain.length > 0) {
+    // Sig_structure = ["Signature1", protected, external_aad, payload] (payload separado = claim)
+    const toBeSigned = encodeSigStructure(Buffer.from(protectedBytes), Buffer.from(claimBytes));
+    valid = verifyCose(algorithm, chain[0], toBeSigned, Buffer.from(signatureBytes));
+    if (!valid) errors.push('Firma del claim no válida');
+  }
+
+  const trusted = valid && isChainTrusted(chain, trustList, errors);
+  const signer = chain[0];
+
+  return {
+    algorithm: algorithm?.name ?? null,
+    valid,
+    trusted,
+    signer_subject: signer?.subject ?? null,
+    signer_issuer: signer?.issuer ?? null,
+    signer_valid_from: signer?.validFrom ?? null,
+    signer_valid_to: signer?.validTo ?? null,
+    errors
+  };
+}
+
+function verifyCose(algorithm, certificate, data, signature) {
+  const key = certificate.publicKey;
+
+  switch (algorithm.kind) {
+    case 'ecdsa':
+      return crypto.verify(algorithm.hash, data, { key, dsaEncoding: 'ieee-p1363' }, signature);
+    case 'rsa-pss':
+      return crypto.verify(algorithm.hash, data, {
+        key,
+        padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+        saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST
+      }, signature);
+    case 'eddsa':
+      return crypto.verify(null, data, key, signature);
+    default:
+      return false;
+  }
+}
+
+function isChainTrusted(chain, trustList, errors) {
+  if (trustList.length === 0) {
+    errors.push('Lista de confianza local vacía');
+    return false;
+  }
+
+  const now = new Date();
+  for (let i = 0; i < chain.length; i++) {
+    const certificate = chain[i];
+
+    if (new Date(certificate.validFrom) > now || new Date(certificate.validTo) < now) {
+      errors.push(`Certificado fuera de vigencia: ${certificate.subject}`);
+      return false;
+    }
+
+    if (trustList.some(anchor => anchor.fingerprint256 === certificate.fingerprint256 ||
+        (certificate.checkIssued(anchor) && certificate.verify(anchor.publicKey)))) {
+      return true;
+    }
+
+    const issuer = chain[i + 1];
+    if (!issuer || !certificate.checkIssued(issuer) || !certificate.verify(issuer.publicKey)) {
+      errors.push(`Cadena rota en: ${certificate.subject}`);
+      return false;
+    }
+  }
+
+  errors.push('Cadena no anclada en la lista de confianza');
+  return false;
+}
+
+// ================================
+// FUNCIONES AUXILIARES (CBOR)
+// ================================
+
+// Codificación mínima CBOR del Sig_structure (array de 4: tstr, bstr, bstr, bstr)
+function encodeSigStructure(protectedBytes, payload) {
+  return Buffer.concat([
+    Buffer.from([0x84]),
+    cborHead(3, 'Signature1'.length), Buffer.from('Signature1'),
+    cborHead(2, protectedBytes.length), protectedBytes,
+    cborHead(2, 0),
+    cborHead(2, payload.length), payload
+  ]);
+}
+
+function cborHead(majorType, length) {
+  const major = majorType << 5;
+  if (length < 24) return Buffer.from([major | length]);
+  if (length < 0x100) return Buffer.from([major | 24, length]);
+  if (length < 0x10000) {
+    const head = Buffer.alloc(3);
+    head[0] = major | 25;
+    head.writeUInt16BE(length, 1);
+    return head;
+  }
+  const head = Buffer.alloc(5);
+  head[0] = major | 26;
+  head.writeUInt32BE(length, 1);
+  return head;
+}
+
+function headerValue(header, label) {
+  if (!header) return undefined;
+  if (header instanceof Map) return header.get(label);
+  return header[label];
+}
+
+// Convierte Map / Uint8Array de CBOR en valores JSON persistibles
+function toPlain(value) {
+  if (value instanceof Map) {
+    return Object.fromEntries([...value.entries()].map(([key, item]) => [String(key), toPlain(item)]));
+  }
+  if (value instanceof Uint8Array) {
+    return { bytes_sha256: crypto.createHash('sha256').update(value).digest('hex'), length: value.length };
+  }
+  if (Array.isArray(value)) return value.map(toPlain);
+  if (value && typeof value === 'object' && 'tag' in value && 'value' in value) return toPlain(value.value);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toPlain(item)]));
+  }
+  return value;
+}
@@ -0,0 +1,162 @@
+// calibrate-detectors.js - BLOQUE 3.2 (CLI DE CALIBRACIÓN)
+// Ejecuta todos los detectores registrados sobre un corpus local etiquetado y escribe el archivo de calibración
+//
+// Uso: node calibrate-detectors.js --corpus <dir> [--out calibration.json] [--version <id>]
+// Corpus: <dir>/human/**, <dir>/ai/**, <dir>/hybrid/** (la etiqueta es el primer subdirectorio)
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { exiftool } from 'exiftool-vendored';
+import { extractLocalEvidenceMetadata } from './metadata-analyzer.js';
+import { createDetectorRegistry, DEFAULT_DETECTORS, DETECTOR_REGISTRY_VERSION } from './ai-detectors.js';
+import { loadModelDetectors } from './model-runtime.js';
+import { buildCalibration, CORPUS_LABELS, OPERATING_THRESHOLDS } from './signal-calibration.js';
+
+// ================================
+// 🚫 DECLARACIÓN DE NO-DECISIÓN
+// ================================
+
+/*
+ * Mide detectores; no los elige ni los descarta. Un peso 0 o un nivel de confianza
+ * inalcanzable en el archivo resultante son medidas del corpus, revisables por el equipo.
+ * El corpus no sale de la máquina: todo se ejecuta en local y sin red.
+ */
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.corpus) {
+    console.error('Uso: node calibrate-detectors.js --corpus <dir> [--out calibration.json] [--version <id>]');
+    process.exitCode = 1;
+    return;
+  }
+
+  // 1️⃣ Mismo registro de detectores que el servidor (incluidos modelos de AURA_MODELS_DIR)
+  const modelDetectors = loadModelDetectors(process.env);
+  modelDetectors.problems.forEach(problem => {
+    console.warn(`⚠️  Modelo omitido (${problem.directory}): ${problem.reason}`);
+  });
+
+  const registry = createDetectorRegistry([...DEFAULT_DETECTORS, ...modelDetectors.detectors]);
+
+  // 2️⃣ Corpus etiquetado en orden estable
+  const corpusDir = path.resolve(args.corpus);
+  const files = await listCorpus(corpusDir);
+
+  if (files.length === 0) {
+    console.error(`Corpus vacío: se esperan archivos en ${Object.values(CORPUS_LABELS).map(label => `${label}/`).join(', ')}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  // 3️⃣ Extracción local y señales por archivo
+  const records = [];
+  const skipped = [];
+  const corpusHash = crypto.createHash('sha256');
+
+  for (const [index, file] of files.entries()) {
+    const relativePath = path.relative(corpusDir, file.path);
+    const bytes = await fs.readFile(file.path);
+    const sha256 = crypto.createHash('sha256').update(bytes).digest('hex');
+    corpusHash.update(`${file.label}\t${sha256}\n`);
+
+    const extraction = await extractLocalEvidenceMetadata(file.path);
+    if (extraction.extraction_error) {
+      skipped.push({ file: relativePath, reason: extraction.extraction_error });
+      continue;
+    }
+
+    const metadata = extraction.metadata;
+    const signals = await registry.runAll({
+      case_id: 'CALIBRATION',
+      evidence_id: relativePath,
+      metadata,
+      pixel_forensics: extraction.pixel_forensics ?? null,
+      file_path: file.path
+    });
+
+    records.push({ key: relativePath, label: file.label, signals, metadata_integrity: Object.keys(metadata).length > 5 });
+    console.log(`[${index + 1}/${files.length}] ${file.label} ${relativePath}`);
+  }
+
+  // 4️⃣ Métricas y archivo versionado
+  const corpus_sha256 = corpusHash.digest('hex');
+  const calibration = buildCalibration({
+    records,
+    detectors: registry.list(),
+    calibration_version: args.version || `${new Date().toISOString().slice(0, 10)}-${corpus_sha256.slice(0, 8)}`,
+    detector_registry_version: DETECTOR_REGISTRY_VERSION,
+    corpus: {
+      corpus_sha256,
+      files: files.length,
+      labels: Object.fromEntries(Object.values(CORPUS_LABELS)
+        .map(label => [label, records.filter(record => record.label === label).length])),
+      skipped
+    }
+  });
+
+  const outPath = path.resolve(args.out || 'calibration.json');
+  await fs.writeFile(outPath, JSON.stringify(calibration, null, 2) + '\n');
+
+  printSummary(calibration, outPath);
+}
+
+// ================================
+// FUNCIONES AUXILIARES
+// ================================
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+async function listCorpus(corpusDir) {
+  const files = [];
+
+  for (const label of Object.values(CORPUS_LABELS)) {
+    const labelDir = path.join(corpusDir, label);
+    const entries = await fs.readdir(labelDir, { recursive: true, withFileTypes: true }).catch(() => []);
+
+    entries
+      .filter(entry => entry.isFile() && !entry.name.startsWith('.'))
+      .map(entry => path.join(entry.parentPath ?? entry.path, entry.name))
+      .sort()
+      .forEach(filePath => files.push({ label, path: filePath }));
+  }
+
+  return files;
+}
+
+function printSummary(calibration, outPath) {
+  console.log('\n===========================================');
+  console.log(`Calibración ${calibration.calibration_version} → ${outPath}`);
+  console.log(`Corpus: ${JSON.stringify(calibration.corpus.labels)} (omitidos: ${calibration.corpus.skipped.length})`);
+  console.log(`Umbrales operativos: ${OPERATING_THRESHOLDS.join(', ')}`);
+
+  Object.entries(calibration.techniques).forEach(([technique, entry]) => {
+    console.log(`  ${technique.padEnd(12)} ${entry.detector_id.padEnd(24)} ${entry.status.padEnd(21)} ` +
+      `AUC ${entry.auc ?? '—'}  peso ${entry.reliability_weight}  FPR ${JSON.stringify(entry.fpr_at)}`);
+  });
+
+  console.log(`  agregado     AUC ${calibration.aggregate.auc ?? '—'}  FPR ${JSON.stringify(calibration.aggregate.fpr_at)} ` +
+    `(validación cruzada, ${calibration.aggregate.folds} pliegues)`);
+  console.log(`  en muestra   AUC ${calibration.aggregate_in_sample.auc ?? '—'}  FPR ${JSON.stringify(calibration.aggregate_in_sample.fpr_at)}`);
+  Object.entries(calibration.confidence).forEach(([level, entry]) => {
+    console.log(`  ${level.padEnd(12)} min_signals ${entry.min_signals ?? 'inalcanzable'}`);
+  });
+  console.log('===========================================');
+}
+
+main()
+  .catch(error => {
+    console.error('ERROR en calibración:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => exiftool.end());
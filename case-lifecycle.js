@@ -0,0 +1,209 @@
+// case-lifecycle.js - CICLO DE VIDA DEL CASO
+// Máquina de estados de audit_cases.status (transiciones verificadas en servidor)
+
+// ================================
+// CONSTANTES Y ENUMS (INMUTABLES)
+// ================================
+
+export const CASE_STATUS = Object.freeze({
+  DRAFT: 'draft',
+  EVIDENCE_COLLECTED: 'evidence_collected',
+  ANALYZED: 'analyzed',
+  IN_REVIEW: 'in_review',
+  CERTIFIED: 'certified',
+  REJECTED: 'rejected',
+  REOPENED: 'reopened'
+});
+
+const {
+  DRAFT, EVIDENCE_COLLECTED, ANALYZED, IN_REVIEW, CERTIFIED, REJECTED, REOPENED
+} = CASE_STATUS;
+
+// Transiciones permitidas: estado actual → estados destino
+const TRANSITIONS = Object.freeze({
+  [DRAFT]: [EVIDENCE_COLLECTED],
+  [EVIDENCE_COLLECTED]: [ANALYZED],
+  [ANALYZED]: [EVIDENCE_COLLECTED, IN_REVIEW],   // nueva evidencia invalida el análisis
+  [IN_REVIEW]: [CERTIFIED, REJECTED],
+  [CERTIFIED]: [REOPENED],
+  [REJECTED]: [REOPENED],
+  [REOPENED]: [EVIDENCE_COLLECTED, ANALYZED]
+});
+
+// Estados en los que cada operación del servicio puede ejecutarse
+export const OPERATION_STATES = Object.freeze({
+  metadata_analysis: [DRAFT, EVIDENCE_COLLECTED, ANALYZED, REOPENED],
+  metadata_extraction: [DRAFT, EVIDENCE_COLLECTED, ANALYZED, REOPENED],
+  ai_signals: [EVIDENCE_COLLECTED, ANALYZED, REOPENED],
+  consistency: [EVIDENCE_COLLECTED, ANALYZED, REOPENED],
+  process_progression: [EVIDENCE_COLLECTED, ANALYZED, REOPENED],
+  pipeline: [DRAFT, EVIDENCE_COLLECTED, ANALYZED, REOPENED],
+  review_open: [ANALYZED],
+  review_action: [IN_REVIEW],
+  reopen: [CERTIFIED, REJECTED]
+});
+
+// ================================
+// 🚫 PRINCIPIO DE VERSIONADO
+// ================================
+
+/*
+ * "Todo se versiona."
+ * Reabrir un caso cerrado archiva la versión vigente en audit_case_versions
+ * y abre una nueva versión (case_version + 1). Nada del cierre anterior se pierde.
+ */
+
+/**
+ * 🚦 Comprobación de estado previa a una operación
+ *
+ * @param {Object} auditCase - Fila de audit_cases
+ * @param {string} operation - Clave de OPERATION_STATES
+ * @returns {Object|null} Cuerpo de error 409, o null si la operación está permitida
+ */
+export function checkOperation(auditCase, operation) {
+  const allowed = OPERATION_STATES[operation];
+
+  if (allowed.includes(auditCase.status)) {
+    return null;
+  }
+
+  return {
+    error: "ESTADO_CASO_INVALIDO",
+    status: auditCase.status,
+    allowed_states: allowed
+  };
+}
+
+export function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * 🚦 Ciclo de vida sobre los repositorios de persistencia
+ *
+ * @param {Object} deps
+ * @param {Object} deps.cases - Repositorio storage.cases
+ * @param {Object} deps.caseVersions - Repositorio storage.caseVersions
+ * @param {Object} deps.auditChain - Cadena de auditoría (append)
+ * @returns {{ transition: Function, reopen: Function }}
+ */
+export function createCaseLifecycle({ cases, caseVersions, auditChain }) {
+
+  /**
+   * Mueve el caso a `to` si la transición es legal y registra el cambio en audit_logs.
+   * La actualización es condicional al estado leído: si otro proceso lo cambió, falla.
+   * Si el registro en la cadena falla, el cambio se deshace: no hay estado sin entrada en audit_logs.
+   * Permanecer en el mismo estado no es una transición (no se registra).
+   */
+  async function transition(auditCase, to, { actor_type, actor_id, trigger, patch = {}, details = {} }) {
+    const from = auditCase.status;
+
+    if (from === to) {
+      return { data: auditCase, error: null };
+    }
+
+    if (!canTransition(from, to)) {
+      return {
+        data: null,
+        error: { code: 'INVALID_TRANSITION', message: `Transición no permitida: ${from} → ${to}` }
+      };
+    }
+
+    const { data: updated, error: updateError } =
+      await cases.updateIfStatus(auditCase.case_id, from, { ...patch, status: to });
+
+    if (updateError) return { data: null, error: updateError };
+
+    if (!updated || updated.length === 0) {
+      return {
+        data: null,
+        error: { code: 'STATUS_CONFLICT', message: `El caso ya no está en estado ${from}` }
+      };
+    }
+
+    const { error: logError } = await auditChain.append({
+      case_id: auditCase.case_id,
+      action: "case_status_changed",
+      details: {
+        from,
+        to,
+        trigger,
+        case_version: updated[0].case_version ?? 1,
+        ...details
+      },
+      actor_type,
+      actor_id
+    });
+
+    if (logError) {
+      // Compensación: vuelta al estado y campos leídos, condicionada a que nadie haya movido el caso
+      const restore = Object.fromEntries(Object.keys(patch).map(key => [key, auditCase[key] ?? null]));
+      const { error: rollbackError } =
+        await cases.updateIfStatus(auditCase.case_id, to, { ...restore, status: from });
+
+      if (rollbackError) {
+        return {
+          data: null,
+          error: {
+            code: 'STATUS_ROLLBACK_FAILED',
+            message: `${logError.message}; el caso quedó en ${to} sin registro: ${rollbackError.message}`
+          }
+        };
+      }
+
+      return { data: null, error: logError };
+    }
+
+    return { data: updated[0], error: null };
+  }
+
+  /**
+   * Archiva la versión cerrada y abre una nueva versión del caso en estado reopened.
+   * Si la transición falla, el archivo se retira para que un reintento pueda volver a archivar.
+   */
+  async function reopen(auditCase, { actor_type, actor_id, justification }) {
+    const case_version = auditCase.case_version ?? 1;
+
+    const { data: archived, error: archiveError } = await caseVersions.insert({
+      case_id: auditCase.case_id,
+      case_version,
+      snapshot: auditCase,
+      archived_by: actor_id,
+      reopen_justification: justification
+    });
+
+    if (archiveError) return { data: null, error: archiveError };
+
+    const reopened = await transition(auditCase, REOPENED, {
+      actor_type,
+      actor_id,
+      trigger: "case_reopened",
+      patch: {
+        case_version: case_version + 1,
+        final_git: null,
+        final_cg: null
+      },
+      details: {
+        archived_version: case_version,
+        justification
+      }
+    });
+
+    if (reopened.error) {
+      const { error: removeError } = await caseVersions.remove(archived.id);
+      if (removeError) {
+        return {
+          data: null,
+          error: {
+            ...reopened.error,
+            message: `${reopened.error.message}; no se pudo retirar la versión archivada: ${removeError.message}`
+          }
+        };
+      }
+    }
+
+    return reopened;
+  }
+
+  return { transition, reopen };
+}
@@ -0,0 +1,151 @@
+// case-lifecycle.test.js - TESTS DEL CICLO DE VIDA DEL CASO
+// Tabla de transiciones, conflictos de estado y compensación cuando falla el registro en audit_logs
+
+import assert from 'assert/strict';
+import { createAuditChain } from './audit-chain.js';
+import { createCaseLifecycle, canTransition, checkOperation, CASE_STATUS } from './case-lifecycle.js';
+import { withLocalStorage } from './test-helpers.js';
+
+const CASE_ID = 'AURA-TEST-LIFECYCLE';
+const ACTOR = { actor_type: 'auditor', actor_id: 'ana' };
+
+// Cadena cuyo registro siempre falla (p. ej. base de datos caída entre UPDATE e INSERT)
+const FAILING_CHAIN = Object.freeze({
+  append: async () => ({ data: null, error: { message: 'audit_logs no disponible' } })
+});
+
+// Caso en `status` sobre persistencia local; lifecycle(chain) permite sustituir la cadena
+const withCase = (status, run) => withLocalStorage(async ({ open }) => {
+  const storage = open();
+  const auditChain = createAuditChain(storage.auditLogs);
+  const lifecycle = (chain = auditChain) =>
+    createCaseLifecycle({ cases: storage.cases, caseVersions: storage.caseVersions, auditChain: chain });
+
+  const { data: auditCase } = await storage.cases.insert({ case_id: CASE_ID, status, case_version: 1, final_git: 2 });
+  return run({ storage, auditCase, lifecycle });
+});
+
+async function statusChanges(storage) {
+  const { data: entries } = await storage.auditLogs.listByCase(CASE_ID);
+  return entries.filter(entry => entry.action === 'case_status_changed');
+}
+
+export const caseLifecycleTests = {
+  test1_transition_table: async () => {
+    console.log('Test 1 (TABLA): transiciones permitidas y prohibidas; operaciones por estado');
+    const { DRAFT, EVIDENCE_COLLECTED, ANALYZED, IN_REVIEW, CERTIFIED, REJECTED, REOPENED } = CASE_STATUS;
+
+    for (const [from, to] of [
+      [DRAFT, EVIDENCE_COLLECTED], [EVIDENCE_COLLECTED, ANALYZED], [ANALYZED, EVIDENCE_COLLECTED],
+      [ANALYZED, IN_REVIEW], [IN_REVIEW, CERTIFIED], [IN_REVIEW, REJECTED],
+      [CERTIFIED, REOPENED], [REJECTED, REOPENED], [REOPENED, EVIDENCE_COLLECTED], [REOPENED, ANALYZED]
+    ]) {
+      assert.equal(canTransition(from, to), true, `${from} → ${to}`);
+    }
+
+    for (const [from, to] of [
+      [DRAFT, ANALYZED], [DRAFT, CERTIFIED], [ANALYZED, CERTIFIED], [IN_REVIEW, ANALYZED],
+      [CERTIFIED, IN_REVIEW], [CERTIFIED, REJECTED], [REJECTED, CERTIFIED], ['desconocido', DRAFT]
+    ]) {
+      assert.equal(canTransition(from, to), false, `${from} → ${to}`);
+    }
+
+    assert.equal(checkOperation({ status: ANALYZED }, 'review_open'), null);
+    assert.deepEqual(checkOperation({ status: CERTIFIED }, 'metadata_analysis'), {
+      error: 'ESTADO_CASO_INVALIDO',
+      status: CERTIFIED,
+      allowed_states: [DRAFT, EVIDENCE_COLLECTED, ANALYZED, REOPENED]
+    });
+  },
+
+  test2_transition_logged: async () => {
+    console.log('Test 2 (TRANSICIÓN): el cambio de estado queda en la cadena; el mismo estado no se registra');
+    await withCase(CASE_STATUS.ANALYZED, async ({ storage, auditCase, lifecycle }) => {
+      const { data: updated, error } = await lifecycle().transition(auditCase, CASE_STATUS.IN_REVIEW, {
+        ...ACTOR,
+        trigger: 'review_opened',
+        details: { review_id: 'review-1' }
+      });
+
+      assert.equal(error, null);
+      assert.equal(updated.status, CASE_STATUS.IN_REVIEW);
+
+      const [entry] = await statusChanges(storage);
+      assert.deepEqual(entry.details, {
+        from: CASE_STATUS.ANALYZED, to: CASE_STATUS.IN_REVIEW, trigger: 'review_opened', case_version: 1, review_id: 'review-1'
+      });
+      assert.equal(entry.actor_id, 'ana');
+
+      const { data: same } = await lifecycle().transition(updated, CASE_STATUS.IN_REVIEW, { ...ACTOR, trigger: 'noop' });
+      assert.equal(same.status, CASE_STATUS.IN_REVIEW);
+      assert.equal((await statusChanges(storage)).length, 1);
+    });
+  },
+
+  test3_invalid_and_conflict: async () => {
+    console.log('Test 3 (RECHAZOS): transición ilegal → INVALID_TRANSITION; estado leído obsoleto → STATUS_CONFLICT');
+    await withCase(CASE_STATUS.ANALYZED, async ({ storage, auditCase, lifecycle }) => {
+      const invalid = await lifecycle().transition(auditCase, CASE_STATUS.CERTIFIED, { ...ACTOR, trigger: 'test' });
+      assert.equal(invalid.error.code, 'INVALID_TRANSITION');
+
+      // Dos procesos leen el caso en analyzed: solo el primero gana
+      const first = await lifecycle().transition(auditCase, CASE_STATUS.IN_REVIEW, { ...ACTOR, trigger: 'review_opened' });
+      const second = await lifecycle().transition(auditCase, CASE_STATUS.EVIDENCE_COLLECTED, { ...ACTOR, trigger: 'evidence_added' });
+      assert.equal(first.error, null);
+      assert.equal(second.error.code, 'STATUS_CONFLICT');
+
+      assert.equal((await storage.cases.findByCaseId(CASE_ID)).data.status, CASE_STATUS.IN_REVIEW);
+      assert.equal((await statusChanges(storage)).length, 1);
+    });
+  },
+
+  test4_audit_failure_rolls_back: async () => {
+    console.log('Test 4 (COMPENSACIÓN): si falla el registro en audit_logs, el estado y el parche se deshacen');
+    await withCase(CASE_STATUS.IN_REVIEW, async ({ storage, auditCase, lifecycle }) => {
+      const { data, error } = await lifecycle(FAILING_CHAIN).transition(auditCase, CASE_STATUS.CERTIFIED, {
+        ...ACTOR,
+        trigger: 'review_certified',
+        patch: { final_git: 3, final_cg: 'CG-B' }
+      });
+
+      assert.equal(data, null);
+      assert.equal(error.message, 'audit_logs no disponible');
+
+      const { data: stored } = await storage.cases.findByCaseId(CASE_ID);
+      assert.equal(stored.status, CASE_STATUS.IN_REVIEW);
+      assert.equal(stored.final_git, 2);
+      assert.equal(stored.final_cg, null);
+
+      // El reintento con la cadena disponible parte del estado original
+      const retry = await lifecycle().transition(auditCase, CASE_STATUS.CERTIFIED, { ...ACTOR, trigger: 'review_certified' });
+      assert.equal(retry.error, null);
+      assert.equal((await statusChanges(storage)).length, 1);
+    });
+  },
+
+  test5_reopen: async () => {
+    console.log('Test 5 (REAPERTURA): archiva la versión; si la transición falla se retira el archivo y se puede reintentar');
+    await withCase(CASE_STATUS.CERTIFIED, async ({ storage, auditCase, lifecycle }) => {
+      const failed = await lifecycle(FAILING_CHAIN).reopen(auditCase, { ...ACTOR, justification: 'nueva evidencia' });
+      assert.equal(failed.error.message, 'audit_logs no disponible');
+
+      const afterFailure = await storage.cases.findByCaseId(CASE_ID);
+      assert.equal(afterFailure.data.status, CASE_STATUS.CERTIFIED);
+      assert.equal(afterFailure.data.case_version, 1);
+
+      const { data: reopened, error } = await lifecycle().reopen(auditCase, { ...ACTOR, justification: 'nueva evidencia' });
+      assert.equal(error, null);
+      assert.equal(reopened.status, CASE_STATUS.REOPENED);
+      assert.equal(reopened.case_version, 2);
+      assert.equal(reopened.final_git, null);
+
+      const [entry] = await statusChanges(storage);
+      assert.equal(entry.details.archived_version, 1);
+      assert.equal(entry.details.case_version, 2);
+
+      // La versión 1 ya está archivada: una segunda reapertura sobre la misma lectura choca con la clave única
+      const duplicate = await lifecycle().reopen(auditCase, { ...ACTOR, justification: 'otra vez' });
+      assert.notEqual(duplicate.error, null);
+    });
+  }
+};
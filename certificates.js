@@ -0,0 +1,289 @@
+// certificates.js - ARTEFACTO DE CERTIFICACIÓN
+// Certificado canónico firmado (Ed25519) y enlazado al historial completo del caso
+
+import crypto from "crypto";
+import fs from "fs";
+import stableStringify from "json-stable-stringify";
+import { calculateSHA256Deterministic } from './forensic-hash.js';
+import { AUDIT_CHAIN_VERSION } from './audit-chain.js';
+
+// ================================
+// CONSTANTES Y ENUMS (INMUTABLES)
+// ================================
+
+export const CERTIFICATE_VERSION = '1.0.0';
+
+const SIGNATURE_ALGORITHM = 'Ed25519';
+
+// ================================
+// 🚫 PRINCIPIO DE NO-DESTRUCCIÓN
+// ================================
+
+/*
+ * Canon §6: "La salida certificadora se registra como artefacto inmutable,
+ * vinculado al historial completo del caso."
+ * El certificado solo se emite tras una certificación humana, se inserta una única vez
+ * y referencia por hash la ingesta, las evidencias y la cabeza de la cadena de auditoría.
+ */
+
+/**
+ * 🔑 Carga de la clave de firma del servidor
+ *
+ * Configuración: AURA_SIGNING_KEY_FILE (ruta a PEM PKCS#8) o AURA_SIGNING_KEY (PEM en línea).
+ * Sin configuración se genera una clave efímera: los certificados firmados con ella
+ * dejan de ser verificables al reiniciar (solo desarrollo).
+ *
+ * @param {Object} env - Variables de entorno (process.env por defecto)
+ * @returns {Object} { privateKey, publicKey, key_id, public_key_pem, ephemeral }
+ */
+export function loadSigningKey(env = process.env) {
+  let privateKey;
+  let ephemeral = false;
+
+  if (env.AURA_SIGNING_KEY_FILE) {
+    privateKey = crypto.createPrivateKey(fs.readFileSync(env.AURA_SIGNING_KEY_FILE, "utf8"));
+  } else if (env.AURA_SIGNING_KEY) {
+    privateKey = crypto.createPrivateKey(env.AURA_SIGNING_KEY);
+  } else {
+    ({ privateKey } = crypto.generateKeyPairSync("ed25519"));
+    ephemeral = true;
+  }
+
+  if (privateKey.asymmetricKeyType !== "ed25519") {
+    throw new Error(`La clave de firma debe ser Ed25519 (recibida: ${privateKey.asymmetricKeyType})`);
+  }
+
+  const publicKey = crypto.createPublicKey(privateKey);
+  const publicDer = publicKey.export({ type: "spki", format: "der" });
+
+  return {
+    privateKey,
+    publicKey,
+    key_id: crypto.createHash("sha256").update(publicDer).digest("hex").slice(0, 16),
+    public_key_pem: publicKey.export({ type: "spki", format: "pem" }),
+    ephemeral
+  };
+}
+
+/**
+ * 📜 Servicio de emisión y verificación de certificados
+ *
+ * @param {Object} deps
+ * @param {Object} deps.storage - Repositorios de persistencia
+ * @param {Object} deps.auditChain - Cadena de auditoría (append, verify)
+ * @param {Object} deps.signingKey - Resultado de loadSigningKey
+ * @returns {{ issue: Function, verify: Function }}
+ */
+export function createCertificateService({ storage, auditChain, signingKey }) {
+
+  /**
+   * Emite el certificado de un caso recién certificado por un auditor.
+   * Idempotente por case_id/case_version: si el certificado ya existe se devuelve el
+   * almacenado (y se completa su registro en audit_logs si una emisión previa se interrumpió).
+   */
+  async function issue({ auditCase, review_id, decision, actor }) {
+    const case_id = auditCase.case_id;
+    const case_version = auditCase.case_version ?? 1;
+    const certificate_id = `${case_id}-V${case_version}`;
+
+    // 0️⃣ Un único certificado por versión del caso
+    const { data: existing, error: existingError } = await storage.certificates.findById(certificate_id);
+    if (existingError) return { data: null, error: existingError };
+
+    if (existing) {
+      const signed = {
+        certificate: existing.certificate,
+        certificate_hash: existing.certificate_hash,
+        signature: existing.signature
+      };
+      const { error: logError } = await recordIssuance(signed, actor);
+      return logError ? { data: null, error: logError } : { data: signed, error: null };
+    }
+
+    // 1️⃣ Reunir hechos referenciados (SOLO LECTURA)
+    const { data: intake, error: intakeError } = await storage.intakes.findById(auditCase.intake_frozen_id);
+    if (intakeError || !intake) return { data: null, error: intakeError || { message: "Ingesta no encontrada" } };
+
+    const { data: evidenceRows, error: evidenceError } = await storage.evidenceMetadata.listByCase(case_id);
+    if (evidenceError) return { data: null, error: evidenceError };
+
+    const { data: metadataLog } = await storage.auditLogs.findLatest(case_id, "metadata_analysis_executed");
+    const { data: consistencyLog } = await storage.auditLogs.findLatest(case_id, "consistency_evaluation_executed");
+    const { data: aiSignalResult } = await storage.aiSignalResults.findLatest(case_id);
+
+    const { data: head, error: headError } = await storage.auditLogs.findChainHead(case_id);
+    if (headError || !head) return { data: null, error: headError || { message: "Cadena de auditoría vacía" } };
+
+    // 2️⃣ Certificado canónico
+    const certificate = {
+      certificate_version: CERTIFICATE_VERSION,
+      certificate_id,
+      case_id,
+      case_version,
+      final_git: decision.final_git,
+      final_cg: decision.final_cg,
+      intake: {
+        intake_frozen_id: intake.id,
+        server_hash: intake.server_hash,
+        schema_version: intake.schema_version ?? null
+      },
+      evidences: evidenceRows.map(row => ({
+        record_id: row.id,
+        evidence_id: row.evidence_id,
+        extraction_version: row.extraction_version,
+        content_sha256: row.content_sha256 ?? null,
+        content_bytes: row.content_bytes ?? null,
+        metadata_hash: calculateSHA256Deterministic(row.metadata ?? {})
+      })),
+      versions: {
+        metadata_analysis: metadataLog?.details?.analysis_version ?? null,
+        metadata_extraction: [...new Set(evidenceRows.map(row => row.extraction_version))],
+        ai_signals: aiSignalResult?.analysis_version ?? null,
+        consistency_engine: consistencyLog?.details?.engine_version ?? null,
+        audit_chain: AUDIT_CHAIN_VERSION
+      },
+      review: {
+        review_id,
+        decision_id: decision.id,
+        certified_by: actor.actor_id
+      },
+      audit_chain: {
+        head_sequence: head.sequence,
+        head_hash: head.entry_hash
+      },
+      issued_at: new Date().toISOString()
+    };
+
+    // 3️⃣ Firmar y persistir (una única inserción)
+    const signed = signCertificate(certificate, signingKey);
+
+    const { error: insertError } = await storage.certificates.insert({
+      certificate_id: certificate.certificate_id,
+      case_id,
+      case_version,
+      ...signed
+    });
+
+    if (insertError) return { data: null, error: insertError };
+
+    // 4️⃣ Registrar emisión en audit_logs
+    const { error: logError } = await recordIssuance(signed, actor);
+    if (logError) return { data: null, error: logError };
+
+    return { data: signed, error: null };
+  }
+
+  // Registro de emisión en audit_logs (una sola entrada por certificado)
+  async function recordIssuance(signed, actor) {
+    const { certificate } = signed;
+    const { data: lastIssued, error: findError } =
+      await storage.auditLogs.findLatest(certificate.case_id, "certificate_issued");
+
+    if (findError) return { error: findError };
+    if (lastIssued?.details?.certificate_id === certificate.certificate_id) return { error: null };
+
+    return auditChain.append({
+      case_id: certificate.case_id,
+      action: "certificate_issued",
+      details: {
+        component: "certificate-service",
+        certificate_id: certificate.certificate_id,
+        certificate_hash: signed.certificate_hash,
+        key_id: signed.signature.key_id
+      },
+      ...actor
+    });
+  }
+
+  /**
+   * Verifica firma, hash del certificado y hashes referenciados.
+   */
+  async function verify(certificate_id) {
+    const { data: record, error } = await storage.certificates.findById(certificate_id);
+    if (error || !record) return { data: null, error };
+
+    const { certificate } = record;
+
+    const checks = {
+      certificate_hash: calculateSHA256Deterministic(certificate) === record.certificate_hash,
+      signature: verifySignature(record, signingKey),
+      intake_hash: await checkIntakeHash(certificate),
+      evidence_hashes: await checkEvidenceHashes(certificate),
+      audit_chain: await checkAuditChain(certificate)
+    };
+
+    return {
+      data: {
+        certificate_id,
+        valid: Object.values(checks).every(Boolean),
+        checks,
+        key_id: record.signature.key_id,
+        verified_at: new Date().toISOString()
+      },
+      error: null
+    };
+  }
+
+  async function checkIntakeHash(certificate) {
+    const { data: intake } = await storage.intakes.findById(certificate.intake.intake_frozen_id);
+    return !!intake &&
+      intake.server_hash === certificate.intake.server_hash &&
+      calculateSHA256Deterministic(intake.aura_intake_json) === certificate.intake.server_hash;
+  }
+
+  async function checkEvidenceHashes(certificate) {
+    const { data: rows } = await storage.evidenceMetadata.listByCase(certificate.case_id);
+    const byId = new Map((rows || []).map(row => [row.id, row]));
+
+    return certificate.evidences.every(evidence => {
+      const row = byId.get(evidence.record_id);
+      return !!row &&
+        calculateSHA256Deterministic(row.metadata ?? {}) === evidence.metadata_hash &&
+        (row.content_sha256 ?? null) === evidence.content_sha256 &&
+        (row.content_bytes ?? null) === evidence.content_bytes;
+    });
+  }
+
+  async function checkAuditChain(certificate) {
+    const { data: verification } = await auditChain.verify(certificate.case_id);
+    if (!verification) return false;
+
+    // La cadena debe ser íntegra al menos hasta la cabeza sellada en el certificado
+    const { head_sequence, head_hash } = certificate.audit_chain;
+    const { data: entries } = await storage.auditLogs.listByCase(certificate.case_id);
+    const sealed = (entries || []).find(entry => entry.sequence === head_sequence);
+
+    return !!sealed &&
+      sealed.entry_hash === head_hash &&
+      verification.entries_checked >= head_sequence;
+  }
+
+  return { issue, verify };
+}
+
+// ================================
+// FIRMA (FUNCIONES PURAS)
+// ================================
+
+export function signCertificate(certificate, signingKey) {
+  const canonical = Buffer.from(stableStringify(certificate));
+
+  return {
+    certificate,
+    certificate_hash: calculateSHA256Deterministic(certificate),
+    signature: {
+      algorithm: SIGNATURE_ALGORITHM,
+      key_id: signingKey.key_id,
+      value: crypto.sign(null, canonical, signingKey.privateKey).toString("base64")
+    }
+  };
+}
+
+function verifySignature(record, signingKey) {
+  if (record.signature?.key_id !== signingKey.key_id) {
+    return false;
+  }
+
+  const canonical = Buffer.from(stableStringify(record.certificate));
+  return crypto.verify(null, canonical, signingKey.publicKey, Buffer.from(record.signature.value, "base64"));
+}
@@ -0,0 +1,173 @@
+// certificates.test.js - TESTS DEL ARTEFACTO DE CERTIFICACIÓN
+// Firma Ed25519, hashes referenciados, emisión idempotente y detección de manipulación
+
+import assert from "assert/strict";
+import crypto from "crypto";
+import { createAuditChain } from './audit-chain.js';
+import { calculateSHA256Deterministic } from './forensic-hash.js';
+import { loadSigningKey, createCertificateService, signCertificate, CERTIFICATE_VERSION } from './certificates.js';
+import { withLocalStorage, tamperRow } from './test-helpers.js';
+
+const CASE_ID = "AURA-TEST-CERT";
+const ACTOR = { actor_type: "auditor", actor_id: "ana" };
+const DECISION = { id: "decision-1", final_git: 1, final_cg: "CG-B" };
+
+// Caso certificable completo (ingesta, dos evidencias y cadena de auditoría) en un directorio temporal
+const withCertifiedCase = (run) => withLocalStorage(async ({ dataDir, open }) => {
+  const signingKey = loadSigningKey({});
+  const reopen = (key = signingKey) => {
+    const storage = open();
+    const auditChain = createAuditChain(storage.auditLogs);
+    return { storage, auditChain, certificates: createCertificateService({ storage, auditChain, signingKey: key }) };
+  };
+
+  const { storage, auditChain } = reopen();
+  const intake_json = { genesis_declaration: { declared_git_level: 1 } };
+
+  const { data: intake } = await storage.intakes.insert({
+    aura_intake_json: intake_json,
+    server_hash: calculateSHA256Deterministic(intake_json)
+  });
+
+  for (const evidence_id of ["E1", "E2"]) {
+    await storage.evidenceMetadata.insert({
+      case_id: CASE_ID,
+      evidence_id,
+      metadata: { file_name: `${evidence_id}.png`, image_width: 640 },
+      content_sha256: crypto.createHash("sha256").update(evidence_id).digest("hex"),
+      content_bytes: 1024,
+      extraction_version: "3.1.0",
+      extracted_at: new Date().toISOString()
+    });
+    await auditChain.append({ case_id: CASE_ID, action: "metadata_extracted", details: { evidence_id }, ...ACTOR });
+  }
+
+  const auditCase = { case_id: CASE_ID, case_version: 1, status: "certified", intake_frozen_id: intake.id };
+  return run({ ...reopen(), auditCase, dataDir, signingKey, reopen });
+});
+
+async function issueCertificate(certificates, auditCase) {
+  const { data, error } = await certificates.issue({ auditCase, review_id: "review-1", decision: DECISION, actor: ACTOR });
+  assert.equal(error, null);
+  return data;
+}
+
+export const certificateTests = {
+  test1_issue_and_verify: async () => {
+    console.log("Test 1 (EMISIÓN): certificado firmado y verificable con todos sus hashes");
+    await withCertifiedCase(async ({ certificates, auditCase, signingKey }) => {
+      const issued = await issueCertificate(certificates, auditCase);
+
+      assert.equal(issued.certificate.certificate_id, `${CASE_ID}-V1`);
+      assert.equal(issued.certificate.certificate_version, CERTIFICATE_VERSION);
+      assert.equal(issued.signature.algorithm, "Ed25519");
+      assert.equal(issued.signature.key_id, signingKey.key_id);
+      assert.equal(issued.certificate.evidences.length, 2);
+      assert.ok(issued.certificate.evidences.every(evidence => evidence.content_sha256 && evidence.content_bytes === 1024));
+
+      const { data: verification } = await certificates.verify(`${CASE_ID}-V1`);
+      assert.equal(verification.valid, true, JSON.stringify(verification.checks));
+    });
+  },
+
+  test2_signature_tampering: async () => {
+    console.log("Test 2 (FIRMA): certificado editado, firma alterada o clave distinta → no válido");
+    await withCertifiedCase(async ({ certificates, auditCase, dataDir, reopen }) => {
+      await issueCertificate(certificates, auditCase);
+      const isCertificate = row => row.certificate_id === `${CASE_ID}-V1`;
+
+      // Firma de otra clave sobre el mismo contenido
+      const otherKey = loadSigningKey({});
+      const { data: foreign } = await reopen(otherKey).certificates.verify(`${CASE_ID}-V1`);
+      assert.equal(foreign.checks.signature, false);
+      assert.equal(foreign.valid, false);
+
+      // GIT final editado sin volver a firmar
+      tamperRow(dataDir, "certificates", isCertificate, row => {
+        row.certificate.final_git = 4;
+        return row;
+      });
+      const { data: edited } = await reopen().certificates.verify(`${CASE_ID}-V1`);
+      assert.equal(edited.checks.certificate_hash, false);
+      assert.equal(edited.checks.signature, false);
+
+      // Hash recalculado y firma ajena: el hash cuadra pero la firma no
+      tamperRow(dataDir, "certificates", isCertificate, row => ({ ...row, ...signCertificate(row.certificate, otherKey) }));
+      const { data: resigned } = await reopen().certificates.verify(`${CASE_ID}-V1`);
+      assert.equal(resigned.checks.certificate_hash, true);
+      assert.equal(resigned.checks.signature, false);
+      assert.equal(resigned.valid, false);
+    });
+  },
+
+  test3_referenced_hashes: async () => {
+    console.log("Test 3 (REFERENCIAS): cambios en metadatos, contenido o ingesta invalidan el certificado");
+    await withCertifiedCase(async ({ certificates, auditCase, dataDir, reopen }) => {
+      await issueCertificate(certificates, auditCase);
+
+      tamperRow(dataDir, "evidence_metadata", row => row.evidence_id === "E1", row => {
+        row.metadata.image_width = 1280;
+        return row;
+      });
+      const { data: metadata } = await reopen().certificates.verify(`${CASE_ID}-V1`);
+      assert.equal(metadata.checks.evidence_hashes, false);
+      assert.equal(metadata.checks.signature, true);
+
+      tamperRow(dataDir, "intake_frozen", () => true, row => {
+        row.aura_intake_json.genesis_declaration.declared_git_level = 0;
+        return row;
+      });
+      const { data: intake } = await reopen().certificates.verify(`${CASE_ID}-V1`);
+      assert.equal(intake.checks.intake_hash, false);
+    });
+
+    // Mismos metadatos sobre otro archivo: solo lo detecta el hash de contenido sellado
+    await withCertifiedCase(async ({ certificates, auditCase, dataDir, reopen }) => {
+      await issueCertificate(certificates, auditCase);
+
+      tamperRow(dataDir, "evidence_metadata", row => row.evidence_id === "E2", row => ({ ...row, content_sha256: "0".repeat(64) }));
+      const { data: content } = await reopen().certificates.verify(`${CASE_ID}-V1`);
+      assert.equal(content.checks.evidence_hashes, false);
+      assert.equal(content.valid, false);
+    });
+  },
+
+  test4_audit_chain: async () => {
+    console.log("Test 4 (CADENA): manipular la cadena sellada por el certificado lo invalida");
+    await withCertifiedCase(async ({ certificates, auditCase, dataDir, reopen }) => {
+      await issueCertificate(certificates, auditCase);
+
+      tamperRow(dataDir, "audit_logs", row => row.sequence === 1, row => ({ ...row, actor_id: "mallory" }));
+      const { data: verification } = await reopen().certificates.verify(`${CASE_ID}-V1`);
+      assert.equal(verification.checks.audit_chain, false);
+      assert.equal(verification.valid, false);
+    });
+  },
+
+  test5_signing_key: async () => {
+    console.log("Test 5 (CLAVE): solo se aceptan claves Ed25519; key_id estable por clave pública");
+    const { privateKey } = crypto.generateKeyPairSync("ed25519");
+    const pem = privateKey.export({ type: "pkcs8", format: "pem" });
+
+    assert.equal(loadSigningKey({ AURA_SIGNING_KEY: pem }).key_id, loadSigningKey({ AURA_SIGNING_KEY: pem }).key_id);
+    assert.equal(loadSigningKey({ AURA_SIGNING_KEY: pem }).ephemeral, false);
+    assert.equal(loadSigningKey({}).ephemeral, true);
+
+    const { privateKey: ecKey } = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+    assert.throws(() => loadSigningKey({ AURA_SIGNING_KEY: ecKey.export({ type: "pkcs8", format: "pem" }) }), /Ed25519/);
+  },
+
+  test6_idempotent_issue: async () => {
+    console.log("Test 6 (IDEMPOTENCIA): reemitir devuelve el mismo certificado y no duplica el registro");
+    await withCertifiedCase(async ({ storage, certificates, auditCase }) => {
+      const first = await issueCertificate(certificates, auditCase);
+      const second = await issueCertificate(certificates, auditCase);
+
+      assert.equal(second.certificate_hash, first.certificate_hash);
+      assert.equal(second.signature.value, first.signature.value);
+
+      const { data: entries } = await storage.auditLogs.listByCase(CASE_ID);
+      assert.equal(entries.filter(entry => entry.action === "certificate_issued").length, 1);
+    });
+  }
+};
@@ -1,6 +1,8 @@
 // consistency-engine.js - BLOQUE 2.4
 // Evidence vs Declaration Consistency Engine
 
+import { compareTools, SOFTWARE_CATALOG_VERSION } from './software-catalog.js';
+
 // ================================
 // CONSTANTES Y ENUMS (INMUTABLES)
 // ================================
@@ -159,6 +161,7 @@ export async function evaluateConsistency({
     consistency_result: globalResult,
     affected_dimensions: affectedDimensions,
     engine_version: ENGINE_VERSION,
+    catalog_version: SOFTWARE_CATALOG_VERSION,
     evaluated_at: new Date().toISOString()
   };
   
@@ -233,8 +236,9 @@ function evaluateProcessDimension({ expectations, evidence_list, technical_evide
   }
   
   const { source_files, process_evidence } = git_expectation;
-  const has_source_files = evidence_list?.has_source_files || false;
-  const has_process_evidence = evidence_list?.has_process_evidence || false;
+  // Un archivo con capas no acopladas es, por sí mismo, un archivo fuente editable
+  const has_source_files = evidence_list?.has_source_files || hasLayeredFiles(technical_evidence);
+  const has_process_evidence = evidence_list?.has_process_evidence || hasNativeProcessEvidence(technical_evidence);
   
   // Reglas para cada nivel GIT
   if (git_level <= 1) {
@@ -251,7 +255,8 @@ function evaluateProcessDimension({ expectations, evidence_list, technical_evide
     }
   }
   
-  // Verificar consistencia con señales de IA
+  // Verificar consistencia con señales de IA (resumen de la obra final: la IA en bocetos
+  // y referencias es compatible con GIT 2 y no se contrasta aquí)
   const ai_confidence = technical_evidence?.ai_signals?.confidence || 'LOW';
   const ai_score = technical_evidence?.ai_signals?.aggregated_score || 0;
   
@@ -285,7 +290,7 @@ function evaluateControlDimension({ expectations, evidence_list, technical_evide
   }
   
   const has_iteration_evidence = evidence_list?.has_iteration_files || false;
-  const has_layers = evidence_list?.has_layered_files || false;
+  const has_layers = hasLayeredFiles(technical_evidence);
   const has_versions = evidence_list?.has_multiple_versions || false;
   
   // Evidencia débil de control
@@ -324,7 +329,8 @@ function evaluateToolingDimension({ expectations, technical_evidence, intake_dec
   }
   
   // Verificar banderas de metadatos (del Bloque 3.1)
-  if (metadata_flags.includes('UNDECLARED_SOFTWARE')) {
+  if (metadata_flags.includes('UNDECLARED_SOFTWARE') ||
+      metadata_flags.includes('C2PA_MANIFEST_CONTRADICTION')) {
     return CONSISTENCY_LEVELS.CONTRADICTORY;
   }
   
@@ -332,25 +338,17 @@ function evaluateToolingDimension({ expectations, technical_evidence, intake_dec
     return CONSISTENCY_LEVELS.WEAK;
   }
   
-  // Verificar si hay herramientas detectadas sin declarar
-  const detected_software = technical_evidence?.extracted_metadata?.software || [];
-  const detected_ai_models = technical_evidence?.ai_signals?.fingerprint?.model || [];
-  
-  // Comparar herramientas declaradas vs detectadas
-  const all_declared_tools = declared_tools.map(t => t.toLowerCase());
-  
-  let undeclared_count = 0;
+  // Verificar si hay herramientas detectadas sin declarar (campos normalizados de BLOQUE 3.1)
+  const extracted_metadata = technical_evidence?.extracted_metadata || {};
+  const detected_software = [
+    extracted_metadata.software,
+    extracted_metadata.creator_tool,
+    extracted_metadata.application,
+    extracted_metadata.processing_software
+  ].filter(value => typeof value === 'string' && value.trim());
   
-  if (detected_software.length > 0) {
-    detected_software.forEach(tool => {
-      if (!all_declared_tools.some(declared => 
-        tool.toLowerCase().includes(declared) || 
-        declared.includes(tool.toLowerCase())
-      )) {
-        undeclared_count++;
-      }
-    });
-  }
+  // Comparar herramientas declaradas vs detectadas (catálogo compartido con 2.2)
+  const undeclared_count = compareTools(detected_software, declared_tools).undeclared.length;
   
   if (undeclared_count > 1) {
     return CONSISTENCY_LEVELS.CONTRADICTORY;
@@ -361,6 +359,22 @@ function evaluateToolingDimension({ expectations, technical_evidence, intake_dec
   return CONSISTENCY_LEVELS.CONSISTENT;
 }
 
+// has_layered_files se deriva del análisis de capas (BLOQUE 3.1), nunca del cliente
+function hasLayeredFiles(technical_evidence) {
+  const structures = technical_evidence?.evidence_structures || [];
+  return structures.some(({ layer_summary, native_archive }) =>
+    layer_summary?.unflattened === true || native_archive?.layer_count > 1
+  );
+}
+
+// Timelapse o ciclos de guardado registrados por la propia aplicación de pintura
+function hasNativeProcessEvidence(technical_evidence) {
+  const structures = technical_evidence?.evidence_structures || [];
+  return structures.some(({ native_archive }) =>
+    native_archive?.timelapse?.segments > 0 || native_archive?.editing_cycles > 1
+  );
+}
+
 function evaluateEvidenceDimension({ expectations, evidence_list, intake_declarations }) {
   const declared_evidence = intake_declarations?.process_declaration?.evidence_promised || [];
   const actual_evidence = evidence_list?.files || [];
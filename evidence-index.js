@@ -0,0 +1,131 @@
+// evidence-index.js - ÍNDICE DE EVIDENCIAS POR CONTENIDO
+// Detección de reutilización exacta (SHA-256 del archivo) entre casos y artistas
+
+// ================================
+// CONSTANTES Y ENUMS (INMUTABLES)
+// ================================
+
+export const EVIDENCE_INDEX_VERSION = '1.0.0';
+
+export const DUPLICATE_FLAGS = Object.freeze({
+  EVIDENCE_REUSED_ACROSS_CASES: 'EVIDENCE_REUSED_ACROSS_CASES',     // mismo archivo en otro caso
+  EVIDENCE_REUSED_ACROSS_OWNERS: 'EVIDENCE_REUSED_ACROSS_OWNERS'    // … y ese caso es de otro artista
+});
+
+const DUPLICATE_ACTION = 'duplicate_evidence_detected';
+
+// ================================
+// 🚫 DECLARACIÓN DE NO-DECISIÓN
+// ================================
+
+/*
+ * Un archivo idéntico en dos casos es un hecho técnico, no una acusación:
+ * puede ser la misma obra presentada de nuevo tras un rechazo, o una copia ajena.
+ * Este módulo NO bloquea ni cambia el estado de ningún caso; solo deja constancia
+ * en la cadena de auditoría de cada caso implicado.
+ */
+
+/**
+ * 🧬 Índice de evidencias por hash de contenido
+ *
+ * @param {Object} deps
+ * @param {Object} deps.storage - Repositorios de persistencia
+ * @param {Object} deps.auditChain - Cadena de auditoría (append)
+ * @returns {{ registerEvidence: Function, flagsForCase: Function }}
+ */
+export function createEvidenceIndex({ storage, auditChain }) {
+
+  /**
+   * Contrasta una evidencia recién persistida con el resto de casos.
+   * Si hay coincidencias, registra duplicate_evidence_detected en este caso y en cada caso coincidente.
+   *
+   * @param {Object} params
+   * @param {string} params.case_id
+   * @param {string} params.evidence_id
+   * @param {string} params.content_sha256 - SHA-256 del archivo descargado
+   * @param {Object} params.actor - { actor_type, actor_id } (actorOf)
+   * @returns {Promise<{ data: { flags: Array<string>, matches: Array<Object> }|null, error: Object|null }>}
+   */
+  async function registerEvidence({ case_id, evidence_id, content_sha256, actor }) {
+    // 1️⃣ Evidencias con el mismo contenido en otros casos
+    const { data: rows, error } = await storage.evidenceMetadata.listByContentHash(content_sha256);
+    if (error) return { data: null, error };
+
+    const matches = [];
+    rows.filter(row => row.case_id !== case_id).forEach(row => {
+      if (!matches.some(match => match.case_id === row.case_id && match.evidence_id === row.evidence_id)) {
+        matches.push({ case_id: row.case_id, evidence_id: row.evidence_id });
+      }
+    });
+
+    if (matches.length === 0) {
+      return { data: { flags: [], matches }, error: null };
+    }
+
+    // 2️⃣ ¿Mismo artista o artistas distintos?
+    const matchedCaseIds = [...new Set(matches.map(match => match.case_id))];
+    const owners = new Map();
+
+    for (const id of [case_id, ...matchedCaseIds]) {
+      const { data: auditCase, error: caseError } = await storage.cases.findByCaseId(id);
+      if (caseError) return { data: null, error: caseError };
+      owners.set(id, auditCase?.owner_id ?? null);
+    }
+
+    const flags = [DUPLICATE_FLAGS.EVIDENCE_REUSED_ACROSS_CASES];
+    if (matchedCaseIds.some(id => owners.get(id) !== owners.get(case_id))) {
+      flags.push(DUPLICATE_FLAGS.EVIDENCE_REUSED_ACROSS_OWNERS);
+    }
+
+    // 3️⃣ Constancia en la cadena de cada caso implicado (sin bloquear ninguno)
+    const entries = [
+      { case_id, evidence_ids: [evidence_id], matches },
+      ...matchedCaseIds.map(id => ({
+        case_id: id,
+        evidence_ids: matches.filter(match => match.case_id === id).map(match => match.evidence_id),
+        matches: [{ case_id, evidence_id }]
+      }))
+    ];
+
+    for (const entry of entries) {
+      const { error: logError } = await auditChain.append({
+        case_id: entry.case_id,
+        action: DUPLICATE_ACTION,
+        details: {
+          component: 'evidence-index-3.1',
+          index_version: EVIDENCE_INDEX_VERSION,
+          content_sha256,
+          evidence_ids: entry.evidence_ids,
+          flags,
+          matches: entry.matches
+        },
+        ...actor
+      });
+
+      if (logError) {
+        console.error(`Error registrando duplicado en ${entry.case_id}:`, logError.message || logError);
+      }
+    }
+
+    return { data: { flags, matches }, error: null };
+  }
+
+  /**
+   * Flags de duplicado acumulados por un caso (de sus entradas duplicate_evidence_detected).
+   *
+   * @param {string} case_id
+   * @returns {Promise<{ data: Array<string>|null, error: Object|null }>}
+   */
+  async function flagsForCase(case_id) {
+    const { data: logs, error } = await storage.auditLogs.listByCase(case_id);
+    if (error) return { data: null, error };
+
+    const flags = new Set();
+    logs.filter(log => log.action === DUPLICATE_ACTION)
+      .forEach(log => (log.details?.flags || []).forEach(flag => flags.add(flag)));
+
+    return { data: Array.from(flags), error: null };
+  }
+
+  return { registerEvidence, flagsForCase };
+}
@@ -0,0 +1,17 @@
+// forensic-hash.js - HASHING DETERMINISTA
+// Función de hash compartida por ingesta, cadena de auditoría y certificados
+
+import crypto from "crypto";
+import stableStringify from "json-stable-stringify";
+
+/**
+ * 🔐 SHA-256 determinista de un objeto JSON
+ * Las claves se ordenan antes de serializar: el mismo contenido produce siempre el mismo hash.
+ *
+ * @param {Object} obj
+ * @returns {string} Hash hexadecimal
+ */
+export function calculateSHA256Deterministic(obj) {
+  const stable = stableStringify(obj);
+  return crypto.createHash("sha256").update(stable).digest("hex");
+}
@@ -0,0 +1,413 @@
+// generative-params.js - BLOQUE 3.1 (PARÁMETROS GENERATIVOS EMBEBIDOS)
+// Lectura de chunks tEXt/iTXt/zTXt de PNG escritos por herramientas generativas
+
+import crypto from 'crypto';
+import zlib from 'zlib';
+
+// ================================
+// CONSTANTES Y ENUMS (INMUTABLES)
+// ================================
+
+export const GENERATIVE_PARAMS_VERSION = '1.0.0';
+
+export const GENERATIVE_TOOLS = Object.freeze({
+  SD_WEBUI: 'sd_webui',
+  COMFYUI: 'comfyui',
+  NOVELAI: 'novelai',
+  INVOKEAI: 'invokeai',
+  MIDJOURNEY: 'midjourney'
+});
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+// Límite por chunk de texto, comprimido y descomprimido (los workflows de ComfyUI pueden ser grandes)
+const MAX_TEXT_CHUNK_BYTES = 8 * 1024 * 1024;
+
+// ================================
+// 🚫 DECLARACIÓN DE NO-DECISIÓN
+// ================================
+
+/*
+ * Los parámetros embebidos son texto que cualquiera puede escribir o borrar.
+ * Este módulo solo los estructura; NO determina uso de IA.
+ * Los prompts no se almacenan: solo su hash SHA-256 y su longitud.
+ */
+
+/**
+ * 🧪 Extracción de parámetros generativos embebidos
+ *
+ * @param {Buffer} buffer - Contenido del archivo
+ * @param {string} mimeType - MIME detectado
+ * @param {Object} tags - Etiquetas exiftool (fallback para JPEG/WebP: UserComment, Description…)
+ * @returns {Object|null} Parámetros estructurados, o null si no hay rastro de herramienta generativa
+ */
+export function extractGenerativeParameters(buffer, mimeType, tags = {}) {
+  const chunks = mimeType === 'image/png' ? readPngTextChunks(buffer) : textFieldsFromTags(tags);
+  const keys = Object.keys(chunks);
+
+  if (keys.length === 0) return null;
+
+  const parsers = [parseComfyUI, parseInvokeAI, parseNovelAI, parseSdWebUI, parseMidjourney];
+
+  for (const parser of parsers) {
+    try {
+      const parsed = parser(chunks);
+      if (parsed) {
+        return {
+          extractor_version: GENERATIVE_PARAMS_VERSION,
+          text_chunk_keys: keys,
+          ...emptyParameters(),
+          ...parsed
+        };
+      }
+    } catch (error) {
+      // Texto con apariencia de herramienta pero ilegible: se deja constancia, no se interpreta
+      return {
+        extractor_version: GENERATIVE_PARAMS_VERSION,
+        text_chunk_keys: keys,
+        ...emptyParameters(),
+        parse_error: `${parser.name}: ${error.message}`
+      };
+    }
+  }
+
+  return null;
+}
+
+// ================================
+// LECTURA DE CHUNKS PNG
+// ================================
+
+function readPngTextChunks(buffer) {
+  const chunks = {};
+  if (buffer.length < 8 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return chunks;
+
+  let offset = 8;
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, Math.min(offset + 8 + length, buffer.length));
+
+    if (type === 'IEND') break;
+
+    if (length <= MAX_TEXT_CHUNK_BYTES) {
+      try {
+        const entry = decodeTextChunk(type, data);
+        if (entry) chunks[entry.keyword] = entry.text;
+      } catch {
+        // Chunk corrupto o que excede el límite al descomprimir: se omite sin perder los demás
+      }
+    }
+
+    offset += 12 + length;
+  }
+
+  return chunks;
+}
+
+function decodeTextChunk(type, data) {
+  const separator = data.indexOf(0);
+  if (separator <= 0) return null;
+
+  const keyword = data.toString('latin1', 0, separator);
+
+  if (type === 'tEXt') {
+    return { keyword, text: data.toString('latin1', separator + 1) };
+  }
+
+  if (type === 'zTXt') {
+    return { keyword, text: inflateText(data.subarray(separator + 2)).toString('latin1') };
+  }
+
+  if (type === 'iTXt') {
+    // keyword \0 compression_flag compression_method language \0 translated_keyword \0 text
+    const compressed = data[separator + 1] === 1;
+    const languageEnd = data.indexOf(0, separator + 3);
+    const translatedEnd = data.indexOf(0, languageEnd + 1);
+    if (languageEnd === -1 || translatedEnd === -1) return null;
+
+    const text = data.subarray(translatedEnd + 1);
+    return { keyword, text: (compressed ? inflateText(text) : text).toString('utf8') };
+  }
+
+  return null;
+}
+
+function inflateText(data) {
+  return zlib.inflateSync(data, { maxOutputLength: MAX_TEXT_CHUNK_BYTES });
+}
+
+function textFieldsFromTags(tags) {
+  const fields = {};
+  const mapping = {
+    UserComment: 'parameters',
+    Parameters: 'parameters',
+    Description: 'Description',
+    ImageDescription: 'Description',
+    Comment: 'Comment',
+    Software: 'Software',
+    Source: 'Source'
+  };
+
+  Object.entries(mapping).forEach(([tag, keyword]) => {
+    if (typeof tags?.[tag] === 'string' && tags[tag].trim() && !fields[keyword]) {
+      fields[keyword] = tags[tag];
+    }
+  });
+
+  return fields;
+}
+
+// ================================
+// PARSERS POR HERRAMIENTA
+// ================================
+
+// ComfyUI: "prompt" (grafo API) y/o "workflow" (grafo del editor)
+function parseComfyUI(chunks) {
+  if (!chunks.prompt && !chunks.workflow) return null;
+
+  const prompt = chunks.prompt ? JSON.parse(chunks.prompt) : null;
+  const workflow = chunks.workflow ? JSON.parse(chunks.workflow) : null;
+
+  const nodes = prompt && typeof prompt === 'object'
+    ? Object.values(prompt).map(node => ({ type: node.class_type, inputs: node.inputs || {} }))
+    : (workflow?.nodes || []).map(node => ({ type: node.type, inputs: {}, widgets: node.widgets_values || [] }));
+
+  const ofType = pattern => nodes.filter(node => pattern.test(node.type || ''));
+
+  const checkpoint = ofType(/CheckpointLoader|UNETLoader|unCLIPCheckpointLoader/)[0];
+  const sampler = ofType(/KSampler/)[0];
+  const texts = ofType(/CLIPTextEncode/)
+    .map(node => node.inputs.text ?? node.widgets?.[0])
+    .filter(text => typeof text === 'string');
+
+  const class_types = nodes.reduce((counts, node) => {
+    counts[node.type] = (counts[node.type] || 0) + 1;
+    return counts;
+  }, {});
+
+  return {
+    tool: GENERATIVE_TOOLS.COMFYUI,
+    model: {
+      name: checkpoint?.inputs.ckpt_name ?? checkpoint?.inputs.unet_name ?? checkpoint?.widgets?.[0] ?? null,
+      hash: null
+    },
+    sampler: sampler?.inputs.sampler_name ?? null,
+    scheduler: sampler?.inputs.scheduler ?? null,
+    steps: toNumber(sampler?.inputs.steps),
+    cfg_scale: toNumber(sampler?.inputs.cfg),
+    seed: toSeed(sampler?.inputs.seed ?? sampler?.inputs.noise_seed),
+    ...promptFields(texts[0], texts[1]),
+    loras: ofType(/LoraLoader/).map(node => ({
+      name: node.inputs.lora_name ?? node.widgets?.[0] ?? null,
+      weight: toNumber(node.inputs.strength_model ?? node.widgets?.[1]),
+      hash: null
+    })),
+    node_graph: {
+      source: prompt ? 'prompt' : 'workflow',
+      node_count: nodes.length,
+      link_count: Array.isArray(workflow?.links) ? workflow.links.length : null,
+      class_types
+    }
+  };
+}
+
+// InvokeAI: "invokeai_metadata" (3.x+) o "sd-metadata" / "Dream" (2.x)
+function parseInvokeAI(chunks) {
+  if (chunks.invokeai_metadata) {
+    const meta = JSON.parse(chunks.invokeai_metadata);
+    return {
+      tool: GENERATIVE_TOOLS.INVOKEAI,
+      tool_version: meta.app_version ?? null,
+      model: { name: meta.model?.model_name ?? meta.model?.name ?? null, hash: meta.model?.hash ?? null },
+      sampler: meta.scheduler ?? null,
+      scheduler: meta.scheduler ?? null,
+      steps: toNumber(meta.steps),
+      cfg_scale: toNumber(meta.cfg_scale),
+      seed: toSeed(meta.seed),
+      size: meta.width && meta.height ? `${meta.width}x${meta.height}` : null,
+      ...promptFields(meta.positive_prompt, meta.negative_prompt),
+      loras: (meta.loras || []).map(lora => ({
+        name: lora.lora?.model_name ?? lora.model?.name ?? lora.lora?.name ?? null,
+        weight: toNumber(lora.weight),
+        hash: lora.model?.hash ?? null
+      }))
+    };
+  }
+
+  if (chunks['sd-metadata']) {
+    const meta = JSON.parse(chunks['sd-metadata']);
+    const image = meta.image || {};
+    return {
+      tool: GENERATIVE_TOOLS.INVOKEAI,
+      tool_version: meta.app_version ?? null,
+      model: { name: meta.model_weights ?? null, hash: meta.model_hash ?? null },
+      sampler: image.sampler ?? null,
+      steps: toNumber(image.steps),
+      cfg_scale: toNumber(image.cfg_scale),
+      seed: toSeed(image.seed),
+      size: image.width && image.height ? `${image.width}x${image.height}` : null,
+      ...promptFields(Array.isArray(image.prompt) ? image.prompt.map(entry => entry.prompt).join(' ') : image.prompt)
+    };
+  }
+
+  if (chunks.Dream) {
+    const seed = chunks.Dream.match(/-S\s*(\d+)/);
+    return {
+      tool: GENERATIVE_TOOLS.INVOKEAI,
+      seed: seed ? seed[1] : null,
+      ...promptFields(chunks.Dream.match(/^"([^"]*)"/)?.[1])
+    };
+  }
+
+  return null;
+}
+
+// NovelAI: Software = "NovelAI", parámetros JSON en "Comment"
+function parseNovelAI(chunks) {
+  if (!/NovelAI/i.test(chunks.Software || '')) return null;
+
+  const comment = chunks.Comment ? JSON.parse(chunks.Comment) : {};
+
+  return {
+    tool: GENERATIVE_TOOLS.NOVELAI,
+    model: { name: chunks.Source ?? null, hash: null },
+    sampler: comment.sampler ?? null,
+    steps: toNumber(comment.steps),
+    cfg_scale: toNumber(comment.scale),
+    seed: toSeed(comment.seed),
+    size: comment.width && comment.height ? `${comment.width}x${comment.height}` : null,
+    ...promptFields(comment.prompt ?? chunks.Description, comment.uc)
+  };
+}
+
+// Stable Diffusion WebUI (A1111 / Forge): "parameters" en texto plano
+function parseSdWebUI(chunks) {
+  const text = chunks.parameters;
+  if (typeof text !== 'string' || !/Steps:\s*\d+/.test(text)) return null;
+
+  // La última línea contiene "Clave: valor, Clave: valor, ..."
+  const lines = text.split('\n');
+  const settingsIndex = lines.findIndex(line => /^Steps:\s*\d+/.test(line));
+  const settings = parseSettingsLine(lines[settingsIndex] || '');
+
+  const promptLines = lines.slice(0, settingsIndex);
+  const negativeIndex = promptLines.findIndex(line => line.startsWith('Negative prompt:'));
+  const positive = (negativeIndex === -1 ? promptLines : promptLines.slice(0, negativeIndex)).join('\n');
+  const negative = negativeIndex === -1
+    ? null
+    : promptLines.slice(negativeIndex).join('\n').replace(/^Negative prompt:\s*/, '');
+
+  const loraHashes = parseLoraHashes(settings['Lora hashes']);
+  const promptLoras = [...positive.matchAll(/<lora:([^:>]+):?([\d.]*)>/g)].map(match => ({
+    name: match[1],
+    weight: match[2] ? Number(match[2]) : null,
+    hash: loraHashes[match[1]] ?? null
+  }));
+
+  return {
+    tool: GENERATIVE_TOOLS.SD_WEBUI,
+    tool_version: settings.Version ?? null,
+    model: { name: settings.Model ?? null, hash: settings['Model hash'] ?? null },
+    sampler: settings.Sampler ?? null,
+    scheduler: settings['Schedule type'] ?? null,
+    steps: toNumber(settings.Steps),
+    cfg_scale: toNumber(settings['CFG scale']),
+    seed: toSeed(settings.Seed),
+    size: settings.Size ?? null,
+    ...promptFields(positive, negative),
+    loras: promptLoras.length > 0
+      ? promptLoras
+      : Object.entries(loraHashes).map(([name, hash]) => ({ name, weight: null, hash }))
+  };
+}
+
+// Midjourney: prompt con "--v N" / "Job ID: <uuid>" en Description o Comment
+function parseMidjourney(chunks) {
+  const text = [chunks.Description, chunks.Comment, chunks.parameters].find(value =>
+    typeof value === 'string' && /Job ID:\s*[0-9a-f-]{36}/i.test(value)
+  );
+  if (!text) return null;
+
+  const version = text.match(/--(v|niji)\s+([\d.]+)/);
+  const seed = text.match(/--seed\s+(\d+)/);
+  const prompt = text.split(/\s--[a-z]/i)[0].replace(/Job ID:.*$/is, '').trim();
+
+  return {
+    tool: GENERATIVE_TOOLS.MIDJOURNEY,
+    tool_version: version ? `${version[1]} ${version[2]}` : null,
+    model: { name: version ? `midjourney-${version[1]}-${version[2]}` : 'midjourney', hash: null },
+    seed: seed ? seed[1] : null,
+    job_id: text.match(/Job ID:\s*([0-9a-f-]{36})/i)[1],
+    ...promptFields(prompt)
+  };
+}
+
+// ================================
+// FUNCIONES AUXILIARES
+// ================================
+
+function emptyParameters() {
+  return {
+    tool: null,
+    tool_version: null,
+    model: { name: null, hash: null },
+    sampler: null,
+    scheduler: null,
+    steps: null,
+    cfg_scale: null,
+    seed: null,
+    size: null,
+    prompt_hash: null,
+    prompt_length: null,
+    negative_prompt_hash: null,
+    loras: [],
+    node_graph: null
+  };
+}
+
+function promptFields(positive, negative = null) {
+  return {
+    prompt_hash: hashText(positive),
+    prompt_length: typeof positive === 'string' ? positive.length : null,
+    negative_prompt_hash: hashText(negative)
+  };
+}
+
+function hashText(text) {
+  if (typeof text !== 'string' || text.trim() === '') return null;
+  return crypto.createHash('sha256').update(text.trim(), 'utf8').digest('hex');
+}
+
+// "Steps: 20, Sampler: Euler a, Lora hashes: "a: 1, b: 2", Size: 512x512"
+function parseSettingsLine(line) {
+  const settings = {};
+  const pattern = /\s*([\w .-]+):\s*("(?:\\.|[^"])*"|[^,]*)(?:,|$)/g;
+
+  for (const match of line.matchAll(pattern)) {
+    const value = match[2].trim();
+    settings[match[1].trim()] = value.startsWith('"') ? value.slice(1, -1) : value;
+  }
+
+  return settings;
+}
+
+function parseLoraHashes(value) {
+  if (!value) return {};
+
+  return Object.fromEntries(value.split(',')
+    .map(entry => entry.split(':').map(part => part.trim()))
+    .filter(([name, hash]) => name && hash));
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Las semillas pueden superar Number.MAX_SAFE_INTEGER: se guardan como texto
+function toSeed(value) {
+  if (value === null || value === undefined || value === '' || Array.isArray(value)) return null;
+  return String(value);
+}
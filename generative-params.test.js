@@ -0,0 +1,126 @@
+// generative-params.test.js - TESTS DE PARÁMETROS GENERATIVOS EMBEBIDOS
+// Chunks PNG (tEXt/zTXt/iTXt) con sus límites, parámetros A1111 y ComfyUI, y etiquetas EXIF de respaldo
+
+import assert from 'assert/strict';
+import crypto from 'crypto';
+import zlib from 'zlib';
+import { extractGenerativeParameters, GENERATIVE_TOOLS } from './generative-params.js';
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+// PNG mínimo: firma + chunks dados + IEND (el lector no valida CRC)
+function png(...chunks) {
+  const encoded = [...chunks, ['IEND', Buffer.alloc(0)]].map(([type, data]) => {
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(data.length, 0);
+    header.write(type, 4, 'latin1');
+    return Buffer.concat([header, data, Buffer.alloc(4)]);
+  });
+  return Buffer.concat([PNG_SIGNATURE, ...encoded]);
+}
+
+const tEXt = (keyword, text) => ['tEXt', Buffer.from(`${keyword}\0${text}`, 'latin1')];
+const zTXt = (keyword, compressed) => ['zTXt', Buffer.concat([Buffer.from(`${keyword}\0\0`, 'latin1'), compressed])];
+const iTXt = (keyword, text, compress) => ['iTXt', Buffer.concat([
+  Buffer.from(`${keyword}\0${compress ? '\x01' : '\x00'}\0es\0\0`, 'latin1'),
+  compress ? zlib.deflateSync(Buffer.from(text, 'utf8')) : Buffer.from(text, 'utf8')
+])];
+
+const sha256 = (text) => crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+
+const A1111_PROMPT = 'retrato al óleo, luz de ventana <lora:estiloOleo:0.8>';
+const A1111_PARAMETERS = [
+  A1111_PROMPT,
+  'Negative prompt: borroso, manos deformes',
+  'Steps: 28, Sampler: DPM++ 2M, Schedule type: Karras, CFG scale: 6.5, Seed: 18446744073709551615, ' +
+    'Size: 832x1216, Model hash: 31e35c80fc, Model: sd_xl_base_1.0, Lora hashes: "estiloOleo: a1b2c3d4e5f6", Version: v1.9.4'
+].join('\n');
+
+export const generativeParamsTests = {
+  test1_a1111_parameters: async () => {
+    console.log('Test 1 (A1111): "parameters" → modelo, muestreador, semilla exacta, LoRA con hash y prompts solo como hash');
+    const result = extractGenerativeParameters(png(tEXt('parameters', A1111_PARAMETERS)), 'image/png');
+
+    assert.equal(result.tool, GENERATIVE_TOOLS.SD_WEBUI);
+    assert.equal(result.tool_version, 'v1.9.4');
+    assert.deepEqual(result.model, { name: 'sd_xl_base_1.0', hash: '31e35c80fc' });
+    assert.equal(result.sampler, 'DPM++ 2M');
+    assert.equal(result.scheduler, 'Karras');
+    assert.equal(result.steps, 28);
+    assert.equal(result.cfg_scale, 6.5);
+    assert.equal(result.seed, '18446744073709551615');
+    assert.equal(result.size, '832x1216');
+    assert.deepEqual(result.loras, [{ name: 'estiloOleo', weight: 0.8, hash: 'a1b2c3d4e5f6' }]);
+    assert.deepEqual(result.text_chunk_keys, ['parameters']);
+
+    // Los prompts no se almacenan: solo hash y longitud
+    assert.equal(result.prompt_hash, sha256(A1111_PROMPT));
+    assert.equal(result.prompt_length, A1111_PROMPT.length);
+    assert.equal(result.negative_prompt_hash, sha256('borroso, manos deformes'));
+    assert.ok(!JSON.stringify(result).includes('retrato'));
+  },
+
+  test2_compressed_chunks: async () => {
+    console.log('Test 2 (CHUNKS): zTXt e iTXt (comprimido o no) se decodifican igual que tEXt');
+    const expected = extractGenerativeParameters(png(tEXt('parameters', A1111_PARAMETERS)), 'image/png');
+
+    for (const chunk of [
+      zTXt('parameters', zlib.deflateSync(Buffer.from(A1111_PARAMETERS, 'latin1'))),
+      iTXt('parameters', A1111_PARAMETERS, true),
+      iTXt('parameters', A1111_PARAMETERS, false)
+    ]) {
+      assert.deepEqual(extractGenerativeParameters(png(chunk), 'image/png'), expected, chunk[0]);
+    }
+  },
+
+  test3_bad_chunks_isolated: async () => {
+    console.log('Test 3 (LÍMITES): chunk corrupto o que excede el límite al descomprimir se omite sin perder los demás');
+    const oversized = zlib.deflateSync(Buffer.alloc(9 * 1024 * 1024, 0x41));
+    const result = extractGenerativeParameters(png(
+      zTXt('bomba', oversized),
+      zTXt('corrupto', Buffer.from('no es deflate')),
+      iTXt('roto', 'x', true).map((part, index) => index === 1 ? part.subarray(0, part.length - 4) : part),
+      tEXt('parameters', A1111_PARAMETERS)
+    ), 'image/png');
+
+    assert.equal(result.tool, GENERATIVE_TOOLS.SD_WEBUI);
+    assert.deepEqual(result.text_chunk_keys, ['parameters']);
+  },
+
+  test4_comfyui_graph: async () => {
+    console.log('Test 4 (COMFYUI): grafo "prompt" → checkpoint, KSampler, LoRA y recuento de nodos');
+    const prompt = {
+      1: { class_type: 'CheckpointLoaderSimple', inputs: { ckpt_name: 'juggernautXL.safetensors' } },
+      2: { class_type: 'CLIPTextEncode', inputs: { text: 'un faro en la niebla' } },
+      3: { class_type: 'CLIPTextEncode', inputs: { text: 'texto, marca de agua' } },
+      4: { class_type: 'KSampler', inputs: { sampler_name: 'euler', scheduler: 'normal', steps: 30, cfg: 7, seed: 42 } },
+      5: { class_type: 'LoraLoader', inputs: { lora_name: 'faros.safetensors', strength_model: 0.6 } }
+    };
+    const result = extractGenerativeParameters(png(tEXt('prompt', JSON.stringify(prompt))), 'image/png');
+
+    assert.equal(result.tool, GENERATIVE_TOOLS.COMFYUI);
+    assert.equal(result.model.name, 'juggernautXL.safetensors');
+    assert.equal(result.sampler, 'euler');
+    assert.equal(result.steps, 30);
+    assert.equal(result.seed, '42');
+    assert.equal(result.prompt_hash, sha256('un faro en la niebla'));
+    assert.equal(result.negative_prompt_hash, sha256('texto, marca de agua'));
+    assert.deepEqual(result.loras, [{ name: 'faros.safetensors', weight: 0.6, hash: null }]);
+    assert.equal(result.node_graph.node_count, 5);
+    assert.equal(result.node_graph.class_types.CLIPTextEncode, 2);
+  },
+
+  test5_tags_and_absence: async () => {
+    console.log('Test 5 (RESPALDO): UserComment en JPEG, texto sin herramienta → null, JSON ilegible → parse_error');
+    const jpeg = extractGenerativeParameters(Buffer.alloc(0), 'image/jpeg', { UserComment: A1111_PARAMETERS });
+    assert.equal(jpeg.tool, GENERATIVE_TOOLS.SD_WEBUI);
+    assert.equal(jpeg.steps, 28);
+
+    assert.equal(extractGenerativeParameters(png(tEXt('Comment', 'foto de vacaciones')), 'image/png'), null);
+    assert.equal(extractGenerativeParameters(Buffer.from('no es png'), 'image/png'), null);
+
+    const broken = extractGenerativeParameters(png(tEXt('invokeai_metadata', '{sin cerrar')), 'image/png');
+    assert.equal(broken.tool, null);
+    assert.match(broken.parse_error, /^parseInvokeAI:/);
+  }
+};
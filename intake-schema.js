@@ -0,0 +1,170 @@
+// intake-schema.js - FASE 1 (INTAKE)
+// Esquema versionado del payload de ingesta AURA
+
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+
+// ================================
+// CONSTANTES Y ENUMS (INMUTABLES)
+// ================================
+
+export const GIT_LEVELS = Object.freeze([0, 1, 2, 3, 4, 5]);
+
+export const CONFIDENCE_GRADES = Object.freeze(['CG-A', 'CG-B', 'CG-C']);
+
+const HUMAN_CONTROL_LEVELS = Object.freeze([
+  'low', 'medium', 'high',
+  'bajo', 'medio', 'alto'
+]);
+
+// ================================
+// 🚫 DECLARACIÓN DE NO-DECISIÓN
+// ================================
+
+/*
+ * El esquema valida FORMA, no contenido.
+ * NO interpreta declaraciones. NO evalúa coherencia.
+ * Solo garantiza que los bloques posteriores no trabajen con defaults silenciosos
+ * (p. ej. un GIT ausente tratado como GIT 0).
+ */
+
+// ================================
+// ESQUEMA PROTOCOLO 1.0.0
+// ================================
+
+const INTAKE_SCHEMA_1_0_0 = {
+  $id: 'https://aura.protocol/schemas/intake/1.0.0',
+  type: 'object',
+  required: ['aura_protocol', 'genesis_declaration'],
+  properties: {
+    aura_protocol: {
+      type: 'object',
+      required: ['phase', 'version', 'generated_at'],
+      properties: {
+        phase: { type: 'string', minLength: 1 },
+        version: { const: '1.0.0' },
+        generated_at: { type: 'string', format: 'date-time' }
+      }
+    },
+    genesis_declaration: {
+      type: 'object',
+      required: ['declared_git_level'],
+      properties: {
+        declared_git_level: { type: 'integer', enum: [...GIT_LEVELS] },
+        ai_tools_declared: {
+          type: 'array',
+          items: {
+            type: 'object',
+            anyOf: [
+              { required: ['engine'] },
+              { required: ['custom_label'] }
+            ],
+            properties: {
+              engine: { type: 'string', minLength: 1 },
+              custom_label: { type: 'string', minLength: 1 }
+            }
+          }
+        }
+      }
+    },
+    process_declaration: {
+      type: 'object',
+      properties: {
+        no_ai_in_final: { type: 'boolean' },
+        software_used: {
+          type: 'array',
+          items: { type: 'string', minLength: 1 }
+        },
+        evidence_promised: {
+          type: 'array',
+          items: { type: 'string', minLength: 1 }
+        }
+      }
+    },
+    artist_declaration: {
+      type: 'object',
+      properties: {
+        execution_year: { type: 'integer', minimum: 1000, maximum: 9999 },
+        file_format: { type: 'string', minLength: 1 }
+      }
+    },
+    forensic_pre_evaluation: {
+      type: 'object',
+      properties: {
+        pre_confidence_grade: { type: 'string', enum: [...CONFIDENCE_GRADES] }
+      }
+    },
+    declared_human_control: { type: 'string', enum: [...HUMAN_CONTROL_LEVELS] }
+  }
+};
+
+// Registro: versión de protocolo → versión de esquema + definición
+const INTAKE_SCHEMAS = Object.freeze({
+  '1.0.0': Object.freeze({
+    schema_version: '1.0.0-intake.1',
+    schema: INTAKE_SCHEMA_1_0_0
+  })
+});
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+addFormats(ajv);
+
+const validators = Object.fromEntries(
+  Object.entries(INTAKE_SCHEMAS).map(([protocol, { schema }]) => [protocol, ajv.compile(schema)])
+);
+
+// ================================
+// FUNCIÓN PRINCIPAL
+// ================================
+
+/**
+ * 🧩 Validación de esquema del payload de ingesta
+ *
+ * @param {Object} intake - intake_data recibido en /intake-freeze
+ * @returns {{ valid: boolean, schema_version: string|null, errors: Array<Object> }}
+ */
+export function validateIntake(intake) {
+  const protocol_version = intake?.aura_protocol?.version;
+  const entry = INTAKE_SCHEMAS[protocol_version];
+
+  if (!entry) {
+    return {
+      valid: false,
+      schema_version: null,
+      errors: [{
+        field: '/aura_protocol/version',
+        rule: 'supported_version',
+        message: protocol_version
+          ? `Versión de protocolo no soportada: ${protocol_version}`
+          : 'Falta metadata de protocolo AURA',
+        supported: Object.keys(INTAKE_SCHEMAS)
+      }]
+    };
+  }
+
+  const validate = validators[protocol_version];
+  const valid = validate(intake);
+
+  return {
+    valid,
+    schema_version: entry.schema_version,
+    errors: valid ? [] : validate.errors.map(formatError)
+  };
+}
+
+// ================================
+// FUNCIONES AUXILIARES
+// ================================
+
+function formatError(error) {
+  // Para "required" Ajv apunta al objeto padre; apuntamos al campo ausente
+  const field = error.keyword === 'required'
+    ? `${error.instancePath}/${error.params.missingProperty}`
+    : error.instancePath || '/';
+
+  return {
+    field,
+    rule: error.keyword,
+    message: error.message
+  };
+}
@@ -0,0 +1,97 @@
+// intake-schema.test.js - TESTS DEL ESQUEMA DE INGESTA
+// Payload válido, rechazo de versiones no soportadas y errores por campo (todos a la vez)
+
+import assert from 'assert/strict';
+import { validateIntake } from './intake-schema.js';
+
+const validIntake = () => ({
+  aura_protocol: { phase: 'intake', version: '1.0.0', generated_at: '2026-10-18T10:00:00Z' },
+  genesis_declaration: {
+    declared_git_level: 2,
+    ai_tools_declared: [{ engine: 'stable-diffusion' }, { custom_label: 'upscaler propio' }]
+  },
+  process_declaration: { no_ai_in_final: false, software_used: ['Krita'], evidence_promised: ['psd'] },
+  artist_declaration: { execution_year: 2026, file_format: 'png' },
+  forensic_pre_evaluation: { pre_confidence_grade: 'CG-B' },
+  declared_human_control: 'alto'
+});
+
+const fieldsOf = (result) => result.errors.map(error => `${error.field} ${error.rule}`);
+
+export const intakeSchemaTests = {
+  test1_valid_payload: async () => {
+    console.log('Test 1 (VÁLIDO): payload completo 1.0.0 → válido con versión de esquema');
+    const result = validateIntake(validIntake());
+
+    assert.deepEqual(result, { valid: true, schema_version: '1.0.0-intake.1', errors: [] });
+  },
+
+  test2_version_rejection: async () => {
+    console.log('Test 2 (VERSIÓN): sin metadata de protocolo o con versión desconocida → rechazo explícito');
+    const unknown = validateIntake({ ...validIntake(), aura_protocol: { phase: 'intake', version: '2.0.0', generated_at: '2026-10-18T10:00:00Z' } });
+
+    assert.equal(unknown.valid, false);
+    assert.equal(unknown.schema_version, null);
+    assert.deepEqual(unknown.errors.map(error => [error.field, error.rule]), [['/aura_protocol/version', 'supported_version']]);
+    assert.match(unknown.errors[0].message, /2\.0\.0/);
+    assert.deepEqual(unknown.errors[0].supported, ['1.0.0']);
+
+    const { aura_protocol, ...withoutProtocol } = validIntake();
+    const missing = validateIntake(withoutProtocol);
+    assert.equal(missing.errors[0].rule, 'supported_version');
+    assert.match(missing.errors[0].message, /Falta metadata/);
+
+    assert.equal(validateIntake(null).valid, false);
+  },
+
+  test3_field_errors: async () => {
+    console.log('Test 3 (CAMPOS): cada infracción apunta a su campo; se informan todas juntas');
+    const intake = validIntake();
+    intake.aura_protocol.generated_at = 'ayer';
+    intake.genesis_declaration.declared_git_level = 7;
+    intake.genesis_declaration.ai_tools_declared.push({ version: '1.5' });
+    intake.artist_declaration.execution_year = 26;
+    intake.forensic_pre_evaluation.pre_confidence_grade = 'CG-Z';
+    intake.process_declaration.software_used = [''];
+
+    const result = validateIntake(intake);
+    const fields = fieldsOf(result);
+
+    assert.equal(result.valid, false);
+    assert.equal(result.schema_version, '1.0.0-intake.1');
+    for (const expected of [
+      '/aura_protocol/generated_at format',
+      '/genesis_declaration/declared_git_level enum',
+      '/genesis_declaration/ai_tools_declared/2 anyOf',
+      '/artist_declaration/execution_year minimum',
+      '/forensic_pre_evaluation/pre_confidence_grade enum',
+      '/process_declaration/software_used/0 minLength'
+    ]) {
+      assert.ok(fields.includes(expected), `${expected} no está en ${JSON.stringify(fields)}`);
+    }
+  },
+
+  test4_required_fields: async () => {
+    console.log('Test 4 (OBLIGATORIOS): un GIT ausente no se toma como GIT 0; el error apunta al campo ausente');
+    const intake = validIntake();
+    delete intake.genesis_declaration.declared_git_level;
+    delete intake.aura_protocol.phase;
+
+    assert.deepEqual(fieldsOf(validateIntake(intake)).sort(), [
+      '/aura_protocol/phase required',
+      '/genesis_declaration/declared_git_level required'
+    ]);
+
+    const { genesis_declaration, ...withoutGenesis } = validIntake();
+    assert.deepEqual(fieldsOf(validateIntake(withoutGenesis)), ['/genesis_declaration required']);
+
+    // GIT 0 declarado es un valor legítimo, distinto de no declararlo
+    const zero = validIntake();
+    zero.genesis_declaration.declared_git_level = 0;
+    assert.equal(validateIntake(zero).valid, true);
+
+    const asText = validIntake();
+    asText.genesis_declaration.declared_git_level = '2';
+    assert.equal(validateIntake(asText).valid, false);
+  }
+};
@@ -2,11 +2,20 @@
 import { exiftool } from 'exiftool-vendored';
 import { fileTypeFromBuffer } from 'file-type';
 import pdfParse from 'pdf-parse';
-import axios from 'axios';
 import fs from 'fs/promises';
-import path from 'path';
-import { tmpdir } from 'os';
 import crypto from 'crypto';
+import { extractC2PAManifest, loadC2PATrustList, summarizeC2PATools } from './c2pa-extractor.js';
+import { reconstructExportChain } from './xmp-history.js';
+import { extractGenerativeParameters } from './generative-params.js';
+import { analyzePsdLayers } from './psd-layers.js';
+import { detectNativeFormat, analyzeNativeArchive, NATIVE_MIME_TYPES } from './native-archives.js';
+import { extractAudioVideoMetadata } from './audio-video.js';
+import { extractPdfForensics, PDF_ANOMALIES } from './pdf-forensics.js';
+import { buildEvidenceTimeline } from './timeline.js';
+import { compareTools, requiresDeclaration } from './software-catalog.js';
+import { createSafeFetcher } from './safe-fetch.js';
+import { computePerceptualHashes } from './perceptual-hash.js';
+import { analyzePixelForensics } from './pixel-forensics.js';
 
 // ================================
 // CONSTANTES Y ENUMS (INMUTABLES)
@@ -21,9 +30,16 @@ const TECHNICAL_FLAGS = Object.freeze({
   TIMELINE_INCONSISTENCY: 'TIMELINE_INCONSISTENCY',
   FORMAT_VERSION_MISMATCH: 'FORMAT_VERSION_MISMATCH',
   SOFTWARE_SIGNATURE_UNKNOWN: 'SOFTWARE_SIGNATURE_UNKNOWN',
-  EXPORT_CHAIN_BREAK: 'EXPORT_CHAIN_BREAK'
+  EXPORT_CHAIN_BREAK: 'EXPORT_CHAIN_BREAK',
+  C2PA_MANIFEST_CONTRADICTION: 'C2PA_MANIFEST_CONTRADICTION'
 });
 
+// Anclas de confianza C2PA locales (PEM), cargadas una vez al iniciar
+const C2PA_TRUST_LIST = loadC2PATrustList(process.env.AURA_C2PA_TRUST_DIR || './trust/c2pa');
+
+// Descarga de evidencias: esquemas/hosts permitidos, sin redes privadas, con límite de bytes
+const evidenceFetcher = createSafeFetcher(process.env);
+
 // ================================
 // 🚫 DECLARACIÓN DE NO-DECISIÓN
 // ================================
@@ -73,11 +89,13 @@ export async function analyzeMetadata({ case_id, intake_json, file_url = null })
   
   // 🪜 PASO 2: Descargar archivo temporalmente
   let tempFilePath = null;
-  try {
-    tempFilePath = await downloadFile(file_url);
-    console.log(`[${analysis_id}] Archivo descargado: ${tempFilePath}`);
-  } catch (error) {
-    console.error(`[${analysis_id}] Error descargando archivo:`, error.message);
+  const { data: download, error: downloadError } = await evidenceFetcher.download(file_url);
+  
+  if (download) {
+    tempFilePath = download.path;
+    console.log(`[${analysis_id}] Archivo descargado: ${tempFilePath} (${download.bytes} bytes, sha256 ${download.sha256})`);
+  } else {
+    console.error(`[${analysis_id}] Descarga rechazada [${downloadError.reason}]:`, downloadError.message);
     flags.add(TECHNICAL_FLAGS.METADATA_MISSING);
     
     return {
@@ -91,7 +109,7 @@ export async function analyzeMetadata({ case_id, intake_json, file_url = null })
   try {
     // 🪜 PASO 3: Identificar tipo de archivo
     const fileBuffer = await fs.readFile(tempFilePath);
-    const fileType = await fileTypeFromBuffer(fileBuffer);
+    const fileType = detectNativeFormat(fileBuffer) ?? await fileTypeFromBuffer(fileBuffer);
     
     if (!fileType) {
       flags.add(TECHNICAL_FLAGS.METADATA_MISSING);
@@ -107,7 +125,7 @@ export async function analyzeMetadata({ case_id, intake_json, file_url = null })
       if (Object.keys(metadata).length === 0) {
         flags.add(TECHNICAL_FLAGS.METADATA_MISSING);
       } else {
-        // 5.1 Comparación de timeline (solo fechas objetivas)
+        // 5.1 Línea temporal (fechas objetivas, zonas horarias, órdenes imposibles)
         checkTimelineConsistency(metadata, intake_json, flags);
         
         // 5.2 Detección de software (solo comparación con declarado)
@@ -115,6 +133,12 @@ export async function analyzeMetadata({ case_id, intake_json, file_url = null })
         
         // 5.3 Verificación de formato (solo si hay declaración)
         checkFormatConsistency(metadata, intake_json, flags);
+        
+        // 5.4 Procedencia C2PA (manifiesto vs herramientas declaradas)
+        checkC2PAProvenance(metadata, intake_json, flags);
+        
+        // 5.5 Cadena de edición / exportación (xmpMM:History, revisiones PDF)
+        checkExportChain(metadata, flags);
       }
     }
     
@@ -160,38 +184,31 @@ export async function extractEvidenceMetadata(file_url) {
   
   let tempFilePath = null;
   try {
-    // 1. Descargar archivo temporal
-    tempFilePath = await downloadFile(file_url);
-    
-    // 2. Identificar tipo de archivo
-    const fileBuffer = await fs.readFile(tempFilePath);
-    const fileType = await fileTypeFromBuffer(fileBuffer);
+    // 1. Descargar archivo temporal (los rechazos se devuelven con su motivo)
+    const { data: download, error: downloadError } = await evidenceFetcher.download(file_url);
     
-    if (!fileType) {
-      console.log(`[${extraction_id}] Tipo de archivo no identificable`);
+    if (downloadError) {
+      console.log(`[${extraction_id}] Descarga rechazada [${downloadError.reason}]: ${downloadError.message}`);
       return {
         metadata: {},
         extraction_version: EXTRACTION_VERSION,
-        extraction_error: 'Tipo de archivo no identificable'
+        extraction_error: downloadError.message,
+        download_refusal: downloadError.reason
       };
     }
     
-    console.log(`[${extraction_id}] Tipo detectado: ${fileType.mime}`);
-    
-    // 3. Extraer metadatos según formato
-    const rawMetadata = await extractTechnicalMetadata(tempFilePath, fileType.mime);
-    
-    // 4. Normalizar metadatos (claves estables)
-    const normalizedMetadata = normalizeMetadata(rawMetadata);
-    
-    console.log(`[${extraction_id}] Extracción completada: ${Object.keys(normalizedMetadata).length} campos`);
-    
-    return {
-      metadata: normalizedMetadata,
-      extraction_version: EXTRACTION_VERSION,
-      extracted_at: new Date().toISOString()
+    tempFilePath = download.path;
+    const source = {
+      sha256: download.sha256,
+      bytes: download.bytes,
+      content_type: download.content_type,
+      final_url: download.final_url,
+      redirects: download.redirects
     };
     
+    // 2-6. Tipo, metadatos normalizados, huellas y medidas de píxel
+    return { ...await extractFromFile(tempFilePath, extraction_id), source };
+    
   } catch (error) {
     console.error(`[${extraction_id}] Error en extracción:`, error.message);
     return {
@@ -211,26 +228,81 @@ export async function extractEvidenceMetadata(file_url) {
   }
 }
 
-// ================================
-// FUNCIONES AUXILIARES (TÉCNICAS PURAS)
-// ================================
+/**
+ * 📂 Extracción de un archivo local (corpus de calibración, herramientas offline)
+ * Mismo resultado que extractEvidenceMetadata sin descarga ni bloque source; el archivo no se borra
+ *
+ * @param {string} filePath - Ruta del archivo
+ * @returns {Promise<Object>} { metadata, perceptual_hashes, pixel_forensics, extraction_version, extracted_at }
+ */
+export async function extractLocalEvidenceMetadata(filePath) {
+  const extraction_id = crypto.randomUUID();
+  
+  try {
+    return await extractFromFile(filePath, extraction_id);
+  } catch (error) {
+    console.error(`[${extraction_id}] Error en extracción:`, error.message);
+    return {
+      metadata: {},
+      extraction_version: EXTRACTION_VERSION,
+      extraction_error: error.message
+    };
+  }
+}
 
-async function downloadFile(url) {
-  const response = await axios({
-    method: 'GET',
-    url: url,
-    responseType: 'arraybuffer',
-    timeout: 30000
-  });
+async function extractFromFile(filePath, extraction_id) {
+  // 2. Identificar tipo de archivo
+  const fileBuffer = await fs.readFile(filePath);
+  const fileType = detectNativeFormat(fileBuffer) ?? await fileTypeFromBuffer(fileBuffer);
   
-  const tempDir = tmpdir();
-  const filename = `aura_evidence_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
-  const filepath = path.join(tempDir, filename);
+  if (!fileType) {
+    console.log(`[${extraction_id}] Tipo de archivo no identificable`);
+    return {
+      metadata: {},
+      extraction_version: EXTRACTION_VERSION,
+      extraction_error: 'Tipo de archivo no identificable'
+    };
+  }
   
-  await fs.writeFile(filepath, response.data);
-  return filepath;
+  console.log(`[${extraction_id}] Tipo detectado: ${fileType.mime}`);
+  
+  // 3. Extraer metadatos según formato
+  const rawMetadata = await extractTechnicalMetadata(filePath, fileType.mime);
+  
+  // 4. Normalizar metadatos (claves estables)
+  const normalizedMetadata = normalizeMetadata(rawMetadata);
+  
+  // 5. Huellas perceptuales (solo imágenes que se puedan decodificar)
+  const perceptualHashes = fileType.mime.startsWith('image/')
+    ? await computePerceptualHashes(filePath).catch(error => {
+      console.warn(`[${extraction_id}] Huellas perceptuales no calculables:`, error.message);
+      return null;
+    })
+    : null;
+  
+  // 6. Residuo de ruido y espectro de frecuencias (solo imágenes)
+  const pixelForensics = fileType.mime.startsWith('image/')
+    ? await analyzePixelForensics(filePath, fileType.mime).catch(error => {
+      console.warn(`[${extraction_id}] Medidas de píxel no calculables:`, error.message);
+      return null;
+    })
+    : null;
+  
+  console.log(`[${extraction_id}] Extracción completada: ${Object.keys(normalizedMetadata).length} campos`);
+  
+  return {
+    metadata: normalizedMetadata,
+    perceptual_hashes: perceptualHashes,
+    pixel_forensics: pixelForensics,
+    extraction_version: EXTRACTION_VERSION,
+    extracted_at: new Date().toISOString()
+  };
 }
 
+// ================================
+// FUNCIONES AUXILIARES (TÉCNICAS PURAS)
+// ================================
+
 async function extractTechnicalMetadata(filePath, mimeType) {
   const metadata = {};
   
@@ -244,6 +316,10 @@ async function extractTechnicalMetadata(filePath, mimeType) {
     // 📄 PDF
     else if (mimeType === 'application/pdf') {
       const dataBuffer = await fs.readFile(filePath);
+      
+      // Revisiones incrementales, XMP, imágenes y páginas rasterizadas
+      Object.assign(metadata, extractPdfForensics(dataBuffer));
+      
       const pdfData = await pdfParse(dataBuffer);
       metadata.pdfInfo = pdfData.info;
       metadata.pdfMetadata = pdfData.metadata;
@@ -251,9 +327,7 @@ async function extractTechnicalMetadata(filePath, mimeType) {
     
     // 🎵 Video/Audio
     else if (mimeType.startsWith('video/') || mimeType.startsWith('audio/')) {
-      const audioMetadata = await mm.parseFile(filePath);
-      metadata.audioVideoInfo = audioMetadata.format;
-      metadata.audioVideoTags = audioMetadata.common;
+      Object.assign(metadata, await extractAudioVideoMetadata(filePath));
     }
     
     // 🎨 Archivos nativos (PSD, AI, etc.) - lectura básica de metadatos
@@ -269,12 +343,52 @@ async function extractTechnicalMetadata(filePath, mimeType) {
     
   } catch (error) {
     console.warn('Error extracción metadatos:', error.message);
-    // 🚫 NO PROPAGAMOS - retornamos objeto vacío
+    // 🚫 NO PROPAGAMOS - se sigue con los extractores por contenido
+  }
+  
+  let fileBuffer;
+  try {
+    fileBuffer = await fs.readFile(filePath);
+  } catch (error) {
+    console.warn('Error leyendo archivo para extractores:', error.message);
+    return metadata;
+  }
+  
+  // Cada extractor se aísla: un fallo queda como <bloque>_error y no impide los siguientes
+  
+  // 🔏 Manifiesto C2PA / Content Credentials (JPEG, PNG, WebP, PDF)
+  await runExtractor(metadata, 'c2pa_manifest', () =>
+    extractC2PAManifest(fileBuffer, mimeType, { trustList: C2PA_TRUST_LIST }));
+  
+  // 🧪 Parámetros generativos embebidos (chunks de texto PNG, UserComment)
+  await runExtractor(metadata, 'generative_parameters', () =>
+    extractGenerativeParameters(fileBuffer, mimeType, metadata));
+  
+  // 🗂️ Estructura de capas (PSD / PSB)
+  if (mimeType === 'image/vnd.adobe.photoshop') {
+    await runExtractor(metadata, 'layer_summary', () => analyzePsdLayers(fileBuffer));
+  }
+  
+  // 🖌️ Archivos nativos de pintura (Procreate, Krita, OpenRaster, Clip Studio)
+  if (NATIVE_MIME_TYPES.includes(mimeType)) {
+    await runExtractor(metadata, 'native_archive', () => analyzeNativeArchive(fileBuffer, mimeType));
   }
   
   return metadata;
 }
 
+async function runExtractor(metadata, block, extract) {
+  try {
+    const result = await extract();
+    if (result) {
+      metadata[block] = result;
+    }
+  } catch (error) {
+    console.warn(`Error en extractor ${block}:`, error.message);
+    metadata[`${block}_error`] = error.message;
+  }
+}
+
 function normalizeMetadata(rawMetadata) {
   // Normalizar claves para consistencia
   const normalized = {};
@@ -309,6 +423,9 @@ function normalizeMetadata(rawMetadata) {
     normalized[normalizedKey] = rawMetadata[key];
   });
   
+  // Reconstruir cadena de edición / exportación (xmpMM)
+  normalized.export_chain = reconstructExportChain(rawMetadata);
+  
   // Detectar cadena de exportación
   normalized.export_chain_detected = detectExportChain(normalized);
   
@@ -324,34 +441,31 @@ function detectExportChain(metadata) {
     metadata.processing_software
   ].filter(Boolean);
   
-  return chainIndicators.length > 1;
+  const chainSoftware = metadata.export_chain?.software || [];
+  const pdfSoftware = metadata.pdf_structure?.software || [];
+  
+  return chainIndicators.length > 1 || chainSoftware.length > 1 || pdfSoftware.length > 1;
 }
 
 function checkTimelineConsistency(metadata, intake_json, flags) {
-  const declaredYear = intake_json?.artist_declaration?.execution_year;
-  
-  if (declaredYear) {
-    const possibleDateFields = [
-      metadata.DateTimeOriginal,
-      metadata.CreateDate,
-      metadata.ModifyDate,
-      metadata.DateCreated,
-      metadata.CreationDate
-    ];
-    
-    const foundDate = possibleDateFields.find(date => date);
-    
-    if (foundDate) {
-      try {
-        const metadataDate = new Date(foundDate);
-        if (metadataDate.getFullYear() !== declaredYear) {
-          flags.add(TECHNICAL_FLAGS.TIMELINE_INCONSISTENCY);
-          console.log(`Inconsistencia de timeline detectada: Declarado ${declaredYear}, Metadatos ${metadataDate.getFullYear()}`);
-        }
-      } catch (dateError) {
-        // Fecha no parseable - no generamos flag
-      }
-    }
+  // Línea temporal normalizada (zonas horarias, órdenes imposibles, año declarado)
+  const timeline = buildEvidenceTimeline(metadata, {
+    declared_year: intake_json?.artist_declaration?.execution_year ?? null
+  });
+  
+  if (timeline.anomalies.length > 0) {
+    flags.add(TECHNICAL_FLAGS.TIMELINE_INCONSISTENCY);
+    console.log(`Inconsistencia de timeline detectada: ${timeline.anomalies.map(anomaly => anomaly.detail).join('; ')}`);
+  }
+  
+  // Revisiones incrementales PDF: fechas de modificación que retroceden
+  const revisionAnomalies = (metadata.pdf_structure?.anomalies || []).filter(anomaly =>
+    anomaly.type === PDF_ANOMALIES.MOD_DATE_REGRESSION || anomaly.type === PDF_ANOMALIES.MOD_BEFORE_CREATION
+  );
+  
+  if (revisionAnomalies.length > 0) {
+    flags.add(TECHNICAL_FLAGS.TIMELINE_INCONSISTENCY);
+    console.log(`Inconsistencia de timeline en revisiones PDF: ${revisionAnomalies.map(anomaly => anomaly.detail).join('; ')}`);
   }
 }
 
@@ -360,7 +474,8 @@ function checkSoftwareSignatures(metadata, intake_json, flags) {
     metadata.Software,
     metadata.CreatorTool,
     metadata.Application,
-    metadata.ProcessingSoftware
+    metadata.ProcessingSoftware,
+    ...(metadata.audio_video?.ai_music_markers || []).map(marker => marker.tool)
   ];
   
   const detectedSoftware = softwareFields.filter(Boolean);
@@ -385,20 +500,62 @@ function checkSoftwareSignatures(metadata, intake_json, flags) {
   }
   
   if (declaredTools.length > 0) {
-    detectedSoftware.forEach(software => {
-      const isDeclared = declaredTools.some(declared => 
-        software.toLowerCase().includes(declared.toLowerCase()) ||
-        declared.toLowerCase().includes(software.toLowerCase())
-      );
-      
-      if (!isDeclared) {
-        flags.add(TECHNICAL_FLAGS.UNDECLARED_SOFTWARE);
-        console.log(`Software no declarado detectado: ${software}`);
-      }
-    });
-  } else {
+    // Contraste por catálogo (alias, fabricante, categoría)
+    const comparison = compareTools(detectedSoftware, declaredTools);
+    
+    if (comparison.undeclared.length > 0) {
+      flags.add(TECHNICAL_FLAGS.UNDECLARED_SOFTWARE);
+      console.log(`Software no declarado detectado (catálogo ${comparison.catalog_version}): ${comparison.undeclared.join(', ')}`);
+    }
+  } else if (detectedSoftware.some(requiresDeclaration)) {
+    // Codificadores y motores de exportación catalogados no requieren declaración
     flags.add(TECHNICAL_FLAGS.SOFTWARE_SIGNATURE_UNKNOWN);
-    console.log(`Software detectado sin declaración previa: ${detectedSoftware[0]}`);
+    console.log(`Software detectado sin declaración previa: ${detectedSoftware.find(requiresDeclaration)}`);
+  }
+}
+
+function checkC2PAProvenance(metadata, intake_json, flags) {
+  const { tools, generative } = summarizeC2PATools(metadata.c2pa_manifest);
+  
+  if (tools.length === 0 && !generative) {
+    return;
+  }
+  
+  const declaredTools = [
+    ...(intake_json?.genesis_declaration?.ai_tools_declared || []).flatMap(tool => [tool.engine, tool.custom_label]),
+    ...(intake_json?.process_declaration?.software_used || [])
+  ].filter(Boolean);
+  
+  const undeclaredTools = declaredTools.length === 0 ? [] : compareTools(tools, declaredTools).undeclared;
+  
+  // Origen generativo declarado en el manifiesto frente a "sin IA" en la ingesta
+  const generativeContradiction = generative && (
+    intake_json?.process_declaration?.no_ai_in_final === true ||
+    !(intake_json?.genesis_declaration?.ai_tools_declared?.length > 0)
+  );
+  
+  if (undeclaredTools.length > 0 || generativeContradiction) {
+    flags.add(TECHNICAL_FLAGS.C2PA_MANIFEST_CONTRADICTION);
+    console.log(`Manifiesto C2PA contradice la declaración: herramientas ${undeclaredTools.join(', ') || '-'}, generativo ${generative}, firma válida ${metadata.c2pa_manifest.signature?.valid === true}`);
+  }
+}
+
+function checkExportChain(metadata, flags) {
+  const chain = reconstructExportChain(metadata);
+  
+  if (chain && !chain.linked) {
+    flags.add(TECHNICAL_FLAGS.EXPORT_CHAIN_BREAK);
+    console.log(`Cadena de exportación rota: ${chain.breaks.map(chainBreak => chainBreak.reason).join(', ')}`);
+  }
+  
+  // Revisiones incrementales PDF: identidad del documento reescrita
+  const identityAnomalies = (metadata.pdf_structure?.anomalies || []).filter(anomaly =>
+    anomaly.type === PDF_ANOMALIES.CREATION_DATE_REWRITTEN || anomaly.type === PDF_ANOMALIES.DOCUMENT_ID_REWRITTEN
+  );
+  
+  if (identityAnomalies.length > 0) {
+    flags.add(TECHNICAL_FLAGS.EXPORT_CHAIN_BREAK);
+    console.log(`Cadena de revisiones PDF rota: ${identityAnomalies.map(anomaly => anomaly.type).join(', ')}`);
   }
 }
 
@@ -0,0 +1,386 @@
+// model-runtime.js - BLOQUE 3.2 (MODELOS LOCALES)
+// Inferencia ONNX en CPU para detectores aprendidos: manifiesto, hash del modelo y calibración
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { createRequire } from 'module';
+import Ajv from 'ajv';
+import sharp from 'sharp';
+import { SIGNAL_TECHNIQUES, DETECTOR_INPUTS } from './ai-detectors.js';
+
+// ================================
+// CONSTANTES Y ENUMS (INMUTABLES)
+// ================================
+
+export const MODEL_RUNTIME_VERSION = '1.0.0';
+
+// Versión del formato de manifest.json que entiende este runtime
+export const MODEL_MANIFEST_VERSION = '1.0.0';
+
+// Técnicas que se alimentan de modelos aprendidos (las demás tienen detector incluido)
+export const LEARNED_TECHNIQUES = Object.freeze([SIGNAL_TECHNIQUES.CLIP, SIGNAL_TECHNIQUES.DATASET]);
+
+export const MODEL_OUTPUT_TYPES = Object.freeze({
+  PROBABILITY: 'probability',   // vector de probabilidades por clase
+  LOGITS: 'logits',             // logits por clase (softmax) o un logit binario (sigmoide)
+  EMBEDDING: 'embedding'        // vector comparado por coseno con embeddings de referencia
+});
+
+export const CALIBRATION_METHODS = Object.freeze({
+  NONE: 'none',
+  PLATT: 'platt',   // p = 1 / (1 + exp(a·x + b))
+  BINS: 'bins'      // tabla de tramos: primer tramo con x ≤ upper
+});
+
+const DEFAULT_MODELS_DIR = 'models';
+const MANIFEST_FILE = 'manifest.json';
+
+// ================================
+// 🚫 DECLARACIÓN DE NO-DECISIÓN
+// ================================
+
+/*
+ * Un modelo aprendido aporta una señal más, con la fiabilidad que declara su manifiesto.
+ * Sin red: modelos, referencias y calibración se leen del directorio local y se
+ * verifican por SHA-256. Un modelo cuyo hash no coincide queda registrado como
+ * no disponible; nunca se ejecuta un archivo distinto del declarado.
+ */
+
+// ================================
+// ESQUEMA DEL MANIFIESTO 1.0.0
+// ================================
+
+const MANIFEST_SCHEMA = {
+  type: 'object',
+  required: ['manifest_version', 'id', 'version', 'technique', 'reliability', 'model_file', 'sha256', 'input', 'output', 'calibration'],
+  properties: {
+    manifest_version: { const: MODEL_MANIFEST_VERSION },
+    id: { type: 'string', pattern: '^[a-z0-9][a-z0-9._-]*$' },
+    version: { type: 'string', minLength: 1 },
+    technique: { enum: [...LEARNED_TECHNIQUES] },
+    reliability: { type: 'number', minimum: 0, maximum: 1 },
+    model_file: { type: 'string', minLength: 1 },
+    sha256: { type: 'string', pattern: '^[0-9a-f]{64}$' },
+    input: {
+      type: 'object',
+      required: ['name', 'width', 'height'],
+      properties: {
+        name: { type: 'string', minLength: 1 },
+        width: { type: 'integer', minimum: 1, maximum: 4096 },
+        height: { type: 'integer', minimum: 1, maximum: 4096 },
+        resize: { enum: ['fill', 'cover', 'contain'], default: 'cover' },
+        layout: { enum: ['NCHW', 'NHWC'], default: 'NCHW' },
+        scale: { type: 'number', exclusiveMinimum: 0, default: 255 },
+        mean: { type: 'array', items: { type: 'number' }, minItems: 3, maxItems: 3, default: [0, 0, 0] },
+        std: { type: 'array', items: { type: 'number', exclusiveMinimum: 0 }, minItems: 3, maxItems: 3, default: [1, 1, 1] }
+      }
+    },
+    output: {
+      type: 'object',
+      required: ['name', 'type'],
+      properties: {
+        name: { type: 'string', minLength: 1 },
+        type: { enum: Object.values(MODEL_OUTPUT_TYPES) },
+        positive_index: { type: 'integer', minimum: 0 },
+        reference_file: { type: 'string', minLength: 1 },
+        reference_sha256: { type: 'string', pattern: '^[0-9a-f]{64}$' }
+      },
+      if: { properties: { type: { const: MODEL_OUTPUT_TYPES.EMBEDDING } } },
+      then: { required: ['reference_file', 'reference_sha256'] },
+      else: { required: ['positive_index'] }
+    },
+    calibration: {
+      type: 'object',
+      required: ['method'],
+      properties: {
+        method: { enum: Object.values(CALIBRATION_METHODS) },
+        a: { type: 'number' },
+        b: { type: 'number' },
+        bins: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            required: ['upper', 'probability'],
+            properties: {
+              upper: { type: 'number' },
+              probability: { type: 'number', minimum: 0, maximum: 1 }
+            }
+          }
+        },
+        dataset: { type: 'string' },
+        calibrated_at: { type: 'string' }
+      },
+      allOf: [
+        { if: { properties: { method: { const: CALIBRATION_METHODS.PLATT } } }, then: { required: ['a', 'b'] } },
+        { if: { properties: { method: { const: CALIBRATION_METHODS.BINS } } }, then: { required: ['bins'] } }
+      ]
+    }
+  }
+};
+
+const ajv = new Ajv({ allErrors: true, useDefaults: true, strict: false });
+const validateManifest = ajv.compile(MANIFEST_SCHEMA);
+
+/**
+ * 🧠 Detectores de modelos locales
+ *
+ * Cada subdirectorio de AURA_MODELS_DIR con manifest.json es un modelo. Los manifiestos
+ * inválidos o que repiten técnica se omiten y se devuelven en problems.
+ *
+ * @param {Object} env - process.env (AURA_MODELS_DIR)
+ * @returns {{ detectors: Array<Object>, problems: Array<{ directory: string, reason: string }>, models_dir: string }}
+ */
+export function loadModelDetectors(env = process.env) {
+  const modelsDir = path.resolve(env.AURA_MODELS_DIR || DEFAULT_MODELS_DIR);
+  const detectors = [];
+  const problems = [];
+
+  if (!fs.existsSync(modelsDir)) {
+    return { detectors, problems, models_dir: modelsDir };
+  }
+
+  const runtime = loadRuntime();
+  const directories = fs.readdirSync(modelsDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .sort();
+
+  for (const directory of directories) {
+    const modelDir = path.join(modelsDir, directory);
+    const manifestPath = path.join(modelDir, MANIFEST_FILE);
+    if (!fs.existsSync(manifestPath)) continue;
+
+    try {
+      const manifestBytes = fs.readFileSync(manifestPath);
+      const manifest = JSON.parse(manifestBytes.toString('utf8'));
+
+      if (!validateManifest(manifest)) {
+        throw new Error(`Manifiesto no válido: ${ajv.errorsText(validateManifest.errors)}`);
+      }
+
+      if (detectors.some(detector => detector.technique === manifest.technique)) {
+        throw new Error(`Técnica ${manifest.technique} ya asignada a otro modelo`);
+      }
+
+      detectors.push(createModelDetector({
+        manifest,
+        manifest_sha256: sha256Of(manifestBytes),
+        modelDir,
+        runtime
+      }));
+    } catch (error) {
+      problems.push({ directory, reason: error.message });
+    }
+  }
+
+  return { detectors, problems, models_dir: modelsDir };
+}
+
+// ================================
+// DETECTOR POR MODELO
+// ================================
+
+function createModelDetector({ manifest, manifest_sha256, modelDir, runtime }) {
+  const modelPath = resolveInside(modelDir, manifest.model_file);
+  const referencePath = manifest.output.reference_file ? resolveInside(modelDir, manifest.output.reference_file) : null;
+
+  // 1️⃣ Verificación de integridad al cargar (modelo y referencias): los mismos bytes
+  // que se hashean son los que se ejecutan, sin reabrir el archivo por ruta
+  const { availability, modelBytes, references } = verifyFiles({ manifest, modelPath, referencePath, runtime });
+  let pendingModelBytes = modelBytes;
+
+  const model = Object.freeze({
+    model_id: manifest.id,
+    model_version: manifest.version,
+    model_sha256: manifest.sha256,
+    manifest_version: manifest.manifest_version,
+    manifest_sha256,
+    runtime: `onnxruntime-node@${runtime.version ?? 'no disponible'}`,
+    runtime_version: MODEL_RUNTIME_VERSION
+  });
+
+  let session = null;
+
+  return Object.freeze({
+    id: `onnx:${manifest.id}`,
+    version: manifest.version,
+    technique: manifest.technique,
+    reliability: manifest.reliability,
+    requires: [DETECTOR_INPUTS.FILE],
+    model,
+
+    isAvailable: () => availability,
+
+    async analyze({ file_path }) {
+      // Sesión perezosa; un hilo y ejecución secuencial para resultados reproducibles
+      if (!session) {
+        session = await runtime.ort.InferenceSession.create(pendingModelBytes, {
+          executionProviders: ['cpu'],
+          intraOpNumThreads: 1,
+          interOpNumThreads: 1,
+          executionMode: 'sequential',
+          graphOptimizationLevel: 'basic'
+        });
+        pendingModelBytes = null;   // la sesión ya tiene su copia
+      }
+
+      // 2️⃣ Preprocesado declarado en el manifiesto
+      const tensor = await preprocess(runtime.ort, file_path, manifest.input);
+
+      // 3️⃣ Inferencia y puntuación bruta
+      const outputs = await session.run({ [manifest.input.name]: tensor });
+      const output = outputs[manifest.output.name];
+      if (!output) {
+        throw new Error(`Salida ${manifest.output.name} no producida por el modelo`);
+      }
+
+      const raw = rawScore(Array.from(output.data), manifest.output, references);
+
+      // 4️⃣ Calibración declarada
+      return {
+        score: round4(calibrate(raw.value, manifest.calibration)),
+        raw_score: round4(raw.value),
+        ...(raw.nearest_reference !== undefined && { nearest_reference: raw.nearest_reference }),
+        calibration_method: manifest.calibration.method,
+        ...model
+      };
+    }
+  });
+}
+
+// ================================
+// FUNCIONES AUXILIARES
+// ================================
+
+function loadRuntime() {
+  try {
+    const require = createRequire(import.meta.url);
+    const ort = require('onnxruntime-node');
+    const { version } = require('onnxruntime-node/package.json');
+    return { ort, version, error: null };
+  } catch (error) {
+    return { ort: null, version: null, error: `onnxruntime-node no disponible: ${error.message}` };
+  }
+}
+
+function verifyFiles({ manifest, modelPath, referencePath, runtime }) {
+  const unavailable = reason => ({ availability: { available: false, reason }, modelBytes: null, references: null });
+
+  if (!runtime.ort) return unavailable(runtime.error);
+  if (!fs.existsSync(modelPath)) return unavailable(`Modelo no encontrado: ${manifest.model_file}`);
+
+  const modelBytes = new Uint8Array(fs.readFileSync(modelPath));
+  const modelHash = sha256Of(modelBytes);
+  if (modelHash !== manifest.sha256) {
+    return unavailable(`SHA-256 del modelo no coincide (${modelHash})`);
+  }
+
+  let references = null;
+  if (referencePath) {
+    if (!fs.existsSync(referencePath)) return unavailable(`Referencias no encontradas: ${manifest.output.reference_file}`);
+    const referenceBytes = fs.readFileSync(referencePath);
+    const referenceHash = sha256Of(referenceBytes);
+    if (referenceHash !== manifest.output.reference_sha256) {
+      return unavailable(`SHA-256 de referencias no coincide (${referenceHash})`);
+    }
+    references = parseReferences(referenceBytes);
+  }
+
+  return { availability: { available: true }, modelBytes, references };
+}
+
+// Rutas del manifiesto siempre dentro del directorio del modelo
+function resolveInside(modelDir, relativePath) {
+  const resolved = path.resolve(modelDir, relativePath);
+  if (!resolved.startsWith(modelDir + path.sep)) {
+    throw new Error(`Ruta fuera del directorio del modelo: ${relativePath}`);
+  }
+  return resolved;
+}
+
+// Referencias: { embeddings: [[...], ...], labels?: [...] } normalizadas a norma 1
+function parseReferences(referenceBytes) {
+  const { embeddings, labels = [] } = JSON.parse(referenceBytes.toString('utf8'));
+  return embeddings.map((vector, index) => ({
+    label: labels[index] ?? String(index),
+    vector: normalize(vector)
+  }));
+}
+
+async function preprocess(ort, filePath, input) {
+  const { data } = await sharp(filePath, { failOn: 'none' })
+    .rotate()
+    .flatten({ background: '#ffffff' })
+    .toColourspace('srgb')
+    .resize(input.width, input.height, { fit: input.resize, background: '#000000' })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const area = input.width * input.height;
+  const values = new Float32Array(area * 3);
+
+  for (let pixel = 0; pixel < area; pixel++) {
+    for (let channel = 0; channel < 3; channel++) {
+      const value = (data[pixel * 3 + channel] / input.scale - input.mean[channel]) / input.std[channel];
+      const index = input.layout === 'NCHW' ? channel * area + pixel : pixel * 3 + channel;
+      values[index] = value;
+    }
+  }
+
+  const dims = input.layout === 'NCHW' ? [1, 3, input.height, input.width] : [1, input.height, input.width, 3];
+  return new ort.Tensor('float32', values, dims);
+}
+
+function rawScore(values, output, references) {
+  if (output.type === MODEL_OUTPUT_TYPES.EMBEDDING) {
+    const embedding = normalize(values);
+    const mismatch = references.find(reference => reference.vector.length !== embedding.length);
+    if (mismatch) {
+      throw new Error(`Embedding de ${embedding.length} dimensiones; la referencia ${mismatch.label} tiene ${mismatch.vector.length}`);
+    }
+
+    let best = { value: -1, nearest_reference: null };
+    references.forEach(reference => {
+      const similarity = reference.vector.reduce((sum, component, index) => sum + component * embedding[index], 0);
+      if (similarity > best.value) best = { value: similarity, nearest_reference: reference.label };
+    });
+    return best;
+  }
+
+  if (output.type === MODEL_OUTPUT_TYPES.LOGITS) {
+    if (values.length === 1) return { value: 1 / (1 + Math.exp(-values[0])) };
+    const max = Math.max(...values);
+    const exps = values.map(value => Math.exp(value - max));
+    const total = exps.reduce((sum, value) => sum + value, 0);
+    return { value: exps[output.positive_index] / total };
+  }
+
+  return { value: values[output.positive_index] };
+}
+
+function calibrate(value, calibration) {
+  if (calibration.method === CALIBRATION_METHODS.PLATT) {
+    return 1 / (1 + Math.exp(calibration.a * value + calibration.b));
+  }
+  if (calibration.method === CALIBRATION_METHODS.BINS) {
+    const bin = calibration.bins.find(entry => value <= entry.upper) ?? calibration.bins[calibration.bins.length - 1];
+    return bin.probability;
+  }
+  return Math.min(Math.max(value, 0), 1);
+}
+
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return vector.map(value => value / norm);
+}
+
+function sha256Of(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function round4(value) {
+  return Math.round(value * 10000) / 10000;
+}
@@ -0,0 +1,515 @@
+// native-archives.js - BLOQUE 3.1 (ARCHIVOS NATIVOS DE PINTURA)
+// Procreate, Krita (.kra), OpenRaster (.ora) y Clip Studio Paint (.clip), leídos sin conexión
+
+import crypto from 'crypto';
+import zlib from 'zlib';
+import bplist from 'bplist-parser';
+import initSqlJs from 'sql.js';
+import { XMLParser } from 'fast-xml-parser';
+
+// ================================
+// CONSTANTES Y ENUMS (INMUTABLES)
+// ================================
+
+export const NATIVE_ARCHIVE_VERSION = '1.0.0';
+
+export const NATIVE_FORMATS = Object.freeze({
+  PROCREATE: { container: 'procreate', ext: 'procreate', mime: 'application/x-procreate' },
+  KRITA: { container: 'krita', ext: 'kra', mime: 'application/x-krita' },
+  OPENRASTER: { container: 'openraster', ext: 'ora', mime: 'image/openraster' },
+  CLIP_STUDIO: { container: 'clip_studio', ext: 'clip', mime: 'application/x-clip-studio-paint' }
+});
+
+export const NATIVE_MIME_TYPES = Object.freeze(Object.values(NATIVE_FORMATS).map(format => format.mime));
+
+const ZIP_EOCD = 0x06054b50;
+const ZIP_CENTRAL = 0x02014b50;
+const ZIP64_LOCATOR = 0x07064b50;
+
+// Límite de descompresión por entrada (documentos XML, plist, miniaturas)
+const MAX_ENTRY_BYTES = 64 * 1024 * 1024;
+const MAX_LAYERS_LISTED = 500;
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  isArray: name => name === 'layer' || name === 'stack'
+});
+
+// ================================
+// 🚫 DECLARACIÓN DE NO-DECISIÓN
+// ================================
+
+/*
+ * Los archivos nativos documentan el proceso tal como la aplicación lo guardó.
+ * Este módulo solo inventaría su contenido (capas, lienzo, versiones, timelapse).
+ * NO valida autoría. NO reconstruye el proceso. Ningún dato se infiere si el formato no lo guarda.
+ */
+
+/**
+ * 🖌️ Detección de formatos nativos que file-type reporta como ZIP o no reconoce
+ *
+ * @param {Buffer} buffer - Contenido del archivo
+ * @returns {Object|null} { ext, mime } o null
+ */
+export function detectNativeFormat(buffer) {
+  if (buffer.length < 8) return null;
+
+  if (buffer.toString('latin1', 0, 8) === 'CSFCHUNK') {
+    return pick(NATIVE_FORMATS.CLIP_STUDIO);
+  }
+
+  if (buffer.readUInt32LE(0) !== 0x04034b50) return null;
+
+  try {
+    const entries = readZipEntries(buffer);
+    const mimetype = entries.get('mimetype')?.read().toString('utf8').trim();
+
+    if (mimetype === NATIVE_FORMATS.KRITA.mime) return pick(NATIVE_FORMATS.KRITA);
+    if (mimetype === NATIVE_FORMATS.OPENRASTER.mime) return pick(NATIVE_FORMATS.OPENRASTER);
+    if (entries.has('Document.archive')) return pick(NATIVE_FORMATS.PROCREATE);
+  } catch (error) {
+    // ZIP ilegible: no es un formato nativo reconocible
+  }
+
+  return null;
+}
+
+/**
+ * 🖌️ Inventario de un archivo nativo de pintura
+ *
+ * @param {Buffer} buffer - Contenido del archivo
+ * @param {string} mimeType - MIME de NATIVE_FORMATS
+ * @returns {Promise<Object>} Resumen (lienzo, árbol de capas, versiones, timelapse, miniaturas)
+ */
+export async function analyzeNativeArchive(buffer, mimeType) {
+  const format = Object.values(NATIVE_FORMATS).find(candidate => candidate.mime === mimeType);
+
+  try {
+    let summary;
+
+    switch (format) {
+      case NATIVE_FORMATS.PROCREATE:
+        summary = analyzeProcreate(readZipEntries(buffer));
+        break;
+      case NATIVE_FORMATS.KRITA:
+        summary = analyzeKrita(readZipEntries(buffer));
+        break;
+      case NATIVE_FORMATS.OPENRASTER:
+        summary = analyzeOpenRaster(readZipEntries(buffer));
+        break;
+      case NATIVE_FORMATS.CLIP_STUDIO:
+        summary = await analyzeClipStudio(buffer);
+        break;
+      default:
+        throw new Error(`Formato nativo no soportado: ${mimeType}`);
+    }
+
+    return finalize(format, summary);
+  } catch (error) {
+    return {
+      parser_version: NATIVE_ARCHIVE_VERSION,
+      container: format?.container ?? null,
+      parse_error: error.message
+    };
+  }
+}
+
+// ================================
+// PROCREATE (ZIP + NSKeyedArchiver)
+// ================================
+
+function analyzeProcreate(entries) {
+  const [plist] = bplist.parseBuffer(entries.get('Document.archive').read());
+  const objects = plist.$objects || [];
+  const deref = value => unwrap(value && typeof value === 'object' && 'UID' in value ? objects[value.UID] : value);
+  const derefArray = value => {
+    const resolved = deref(value);
+    return Array.isArray(resolved?.['NS.objects']) ? resolved['NS.objects'].map(deref) : [];
+  };
+
+  const root = deref(plist.$top?.root);
+  if (!root || typeof root !== 'object') throw new Error('Document.archive sin objeto raíz');
+
+  const [width, height] = (deref(root.size) || '').match(/[\d.]+/g)?.map(Number) || [];
+
+  const toLayer = (layer, depth = 0) => {
+    const children = depth < 8 ? derefArray(layer.children ?? layer.layers) : [];
+    return {
+      name: deref(layer.name) ?? null,
+      type: children.length > 0 ? 'group' : 'pixel',
+      visible: layer.hidden !== true,
+      opacity: typeof layer.opacity === 'number' ? layer.opacity : null,
+      ...(children.length > 0 && { children: children.map(child => toLayer(child, depth + 1)) })
+    };
+  };
+
+  const strokeKey = Object.keys(root).find(key => /stroke/i.test(key) && typeof root[key] === 'number');
+  const segments = [...entries.keys()].filter(name => /^video\/segments\/.+\.mp4$/i.test(name));
+
+  return {
+    app: 'Procreate',
+    app_version: deref(root.SilicaDocumentArchiveVersionKey) ?? deref(root.version) ?? null,
+    canvas: {
+      width: width ?? null,
+      height: height ?? null,
+      dpi: deref(root.SilicaDocumentArchiveDPIKey) ?? null
+    },
+    layer_tree: derefArray(root.layers).map(layer => toLayer(layer)),
+    stroke_count: strokeKey ? root[strokeKey] : null,
+    editing_time_seconds: typeof root.SilicaDocumentTrackedTimeKey === 'number' ? root.SilicaDocumentTrackedTimeKey : null,
+    timelapse: {
+      segments: segments.length,
+      total_bytes: segments.reduce((total, name) => total + entries.get(name).size, 0),
+      purged: root.SilicaDocumentVideoPurgedKey === true
+    },
+    thumbnails: thumbnailsOf(entries, /^QuickLook\/Thumbnail\.(png|jpe?g)$/i)
+  };
+}
+
+function unwrap(value) {
+  if (value === '$null') return null;
+  if (value && typeof value === 'object' && 'NS.string' in value) return value['NS.string'];
+  return value;
+}
+
+// ================================
+// KRITA (.kra)
+// ================================
+
+function analyzeKrita(entries) {
+  const maindoc = parseXmlEntry(entries, 'maindoc.xml');
+  const doc = maindoc?.DOC;
+  const image = doc?.IMAGE;
+  if (!image) throw new Error('maindoc.xml sin IMAGE');
+
+  const info = parseXmlEntry(entries, 'documentinfo.xml')?.['document-info']?.about || {};
+
+  const toLayer = layer => {
+    const children = layer.layers?.layer || [];
+    return {
+      name: layer.name ?? null,
+      type: layer.nodetype === 'grouplayer' ? 'group' : (layer.nodetype ?? null),
+      visible: layer.visible !== '0',
+      opacity: layer.opacity !== undefined ? Number(layer.opacity) / 255 : null,
+      ...(children.length > 0 && { children: children.map(toLayer) })
+    };
+  };
+
+  return {
+    app: doc.editor ?? 'Krita',
+    app_version: doc.kritaVersion ?? null,
+    canvas: {
+      width: toNumber(image.width),
+      height: toNumber(image.height),
+      dpi: toNumber(image['x-res']),
+      color_space: image.colorspacename ?? null
+    },
+    layer_tree: (image.layers?.layer || []).map(toLayer),
+    editing_cycles: toNumber(info['editing-cycles']),
+    editing_time_seconds: toNumber(info['editing-time']),
+    created_at: info['creation-date'] ?? null,
+    modified_at: info.date ?? null,
+    timelapse: null,
+    thumbnails: thumbnailsOf(entries, /^(preview|mergedimage)\.png$/i)
+  };
+}
+
+// ================================
+// OPENRASTER (.ora)
+// ================================
+
+function analyzeOpenRaster(entries) {
+  const image = parseXmlEntry(entries, 'stack.xml')?.image;
+  if (!image) throw new Error('stack.xml sin image');
+
+  const toNode = (node, isStack) => {
+    const children = isStack ? [...(node.stack || []).map(stack => toNode(stack, true)), ...(node.layer || []).map(layer => toNode(layer, false))] : [];
+    return {
+      name: node.name ?? null,
+      type: isStack ? 'group' : 'pixel',
+      visible: node.visibility !== 'hidden',
+      opacity: node.opacity !== undefined ? Number(node.opacity) : null,
+      ...(children.length > 0 && { children })
+    };
+  };
+
+  // El elemento raíz <image> contiene una única <stack> raíz
+  const rootStack = image.stack?.[0] || {};
+  const generator = Object.keys(image).find(key => key.startsWith('xmlns:') && key !== 'xmlns:xlink');
+
+  return {
+    app: generator ? generator.replace('xmlns:', '') : null,
+    app_version: image.version ?? null,
+    canvas: {
+      width: toNumber(image.w),
+      height: toNumber(image.h),
+      dpi: toNumber(image.xres)
+    },
+    layer_tree: toNode(rootStack, true).children || [],
+    timelapse: null,
+    thumbnails: thumbnailsOf(entries, /^(Thumbnails\/thumbnail|mergedimage)\.png$/i)
+  };
+}
+
+// ================================
+// CLIP STUDIO PAINT (.clip: CSFCHUNK + SQLite)
+// ================================
+
+let sqlJsPromise = null;
+
+async function analyzeClipStudio(buffer) {
+  const chunks = readClipChunks(buffer);
+  const sqlite = chunks.find(chunk => chunk.type === 'SQLi');
+  if (!sqlite) throw new Error('Archivo .clip sin base de datos SQLite');
+
+  sqlJsPromise ??= initSqlJs();
+  const SQL = await sqlJsPromise;
+  const db = new SQL.Database(sqlite.data);
+
+  try {
+    const tables = rows(db, "SELECT name FROM sqlite_master WHERE type = 'table'").map(row => row.name);
+    const canvas = tables.includes('Canvas') ? rows(db, 'SELECT * FROM Canvas LIMIT 1')[0] || {} : {};
+    const layers = tables.includes('Layer') ? rows(db, 'SELECT * FROM Layer') : [];
+    const preview = tables.includes('CanvasPreview') ? rows(db, 'SELECT * FROM CanvasPreview LIMIT 1')[0] : null;
+
+    const versionTable = tables.find(table => /^Project/.test(table));
+    const project = versionTable ? rows(db, `SELECT * FROM "${versionTable}" LIMIT 1`)[0] || {} : {};
+    const versionKey = Object.keys(project).find(key => /version/i.test(key));
+
+    const timelapseTables = tables.filter(table => /time\s*lapse/i.test(table));
+
+    return {
+      app: 'Clip Studio Paint',
+      app_version: versionKey ? String(project[versionKey]) : null,
+      canvas: {
+        width: toNumber(canvas.CanvasWidth),
+        height: toNumber(canvas.CanvasHeight),
+        dpi: toNumber(canvas.CanvasResolution)
+      },
+      layer_tree: buildClipLayerTree(layers, canvas.CanvasRootFolder),
+      timelapse: timelapseTables.length > 0
+        ? {
+          segments: timelapseTables.reduce((total, table) => total + rows(db, `SELECT COUNT(*) AS n FROM "${table}"`)[0].n, 0),
+          total_bytes: null
+        }
+        : null,
+      thumbnails: preview?.ImageData
+        ? [describeThumbnail('CanvasPreview', Buffer.from(preview.ImageData))]
+        : [],
+      external_chunks: chunks.filter(chunk => chunk.type === 'Exta').length
+    };
+  } finally {
+    db.close();
+  }
+}
+
+function readClipChunks(buffer) {
+  const chunks = [];
+  let offset = buffer.indexOf('CHNK', 8, 'latin1');
+
+  while (offset !== -1 && offset + 16 <= buffer.length) {
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const size = Number(buffer.readBigUInt64BE(offset + 8));
+    const data = buffer.subarray(offset + 16, Math.min(offset + 16 + size, buffer.length));
+
+    chunks.push({ type, data });
+    if (type === 'Foot') break;
+
+    offset = offset + 16 + size;
+    if (buffer.toString('latin1', offset, offset + 4) !== 'CHNK') break;
+  }
+
+  return chunks;
+}
+
+// Capas enlazadas por LayerFirstChildIndex / LayerNextIndex (MainId)
+function buildClipLayerTree(layers, rootFolderId) {
+  const byId = new Map(layers.map(layer => [layer.MainId, layer]));
+  const visited = new Set();
+
+  const toLayer = layer => ({
+    name: layer.LayerName ?? null,
+    type: layer.LayerFolder ? 'group' : (layer.LayerType !== undefined ? `type_${layer.LayerType}` : 'pixel'),
+    visible: layer.LayerVisibility === undefined ? true : layer.LayerVisibility !== 0,
+    opacity: layer.LayerOpacity !== undefined ? layer.LayerOpacity / 256 : null,
+    ...(layer.LayerFolder && { children: siblingsFrom(layer.LayerFirstChildIndex) })
+  });
+
+  const siblingsFrom = firstId => {
+    const siblings = [];
+    let current = byId.get(firstId);
+
+    while (current && !visited.has(current.MainId)) {
+      visited.add(current.MainId);
+      siblings.push(toLayer(current));
+      current = byId.get(current.LayerNextIndex);
+    }
+
+    return siblings;
+  };
+
+  const root = byId.get(rootFolderId);
+  if (root && 'LayerFirstChildIndex' in root) {
+    visited.add(root.MainId);
+    return siblingsFrom(root.LayerFirstChildIndex);
+  }
+
+  // Sin enlaces de árbol: lista plana
+  return layers.map(layer => toLayer({ ...layer, LayerFolder: 0 }));
+}
+
+function rows(db, sql) {
+  const [result] = db.exec(sql);
+  if (!result) return [];
+  return result.values.map(values => Object.fromEntries(result.columns.map((column, index) => [column, values[index]])));
+}
+
+// ================================
+// LECTURA ZIP (DIRECTORIO CENTRAL)
+// ================================
+
+function readZipEntries(buffer) {
+  const eocd = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  if (eocd === -1 || buffer.readUInt32LE(eocd) !== ZIP_EOCD) throw new Error('ZIP sin directorio central');
+
+  let count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+
+  // ZIP64 (archivos Procreate grandes)
+  if ((count === 0xFFFF || offset === 0xFFFFFFFF) && eocd >= 20 && buffer.readUInt32LE(eocd - 20) === ZIP64_LOCATOR) {
+    const zip64 = Number(buffer.readBigUInt64LE(eocd - 12));
+    count = Number(buffer.readBigUInt64LE(zip64 + 32));
+    offset = Number(buffer.readBigUInt64LE(zip64 + 48));
+  }
+
+  const entries = new Map();
+
+  for (let i = 0; i < count && offset + 46 <= buffer.length; i++) {
+    if (buffer.readUInt32LE(offset) !== ZIP_CENTRAL) throw new Error('Directorio central ZIP corrupto');
+
+    const method = buffer.readUInt16LE(offset + 10);
+    let compressedSize = buffer.readUInt32LE(offset + 20);
+    let size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    let localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    // Campo extra ZIP64 (0x0001): tamaños y offset de 64 bits
+    const extra = buffer.subarray(offset + 46 + nameLength, offset + 46 + nameLength + extraLength);
+    for (let cursor = 0; cursor + 4 <= extra.length;) {
+      const id = extra.readUInt16LE(cursor);
+      const length = extra.readUInt16LE(cursor + 2);
+      if (id === 0x0001) {
+        let field = cursor + 4;
+        if (size === 0xFFFFFFFF) { size = Number(extra.readBigUInt64LE(field)); field += 8; }
+        if (compressedSize === 0xFFFFFFFF) { compressedSize = Number(extra.readBigUInt64LE(field)); field += 8; }
+        if (localOffset === 0xFFFFFFFF) { localOffset = Number(extra.readBigUInt64LE(field)); }
+      }
+      cursor += 4 + length;
+    }
+
+    entries.set(name, {
+      name,
+      size,
+      read: () => readZipEntry(buffer, { name, method, compressedSize, size, localOffset })
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+function readZipEntry(buffer, { name, method, compressedSize, size, localOffset }) {
+  if (size > MAX_ENTRY_BYTES) throw new Error(`Entrada ZIP demasiado grande: ${name}`);
+
+  const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+  const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+  if (method === 0) return data;
+  if (method === 8) return zlib.inflateRawSync(data, { maxOutputLength: MAX_ENTRY_BYTES });
+
+  throw new Error(`Método de compresión ZIP no soportado (${method}) en ${name}`);
+}
+
+// ================================
+// FUNCIONES AUXILIARES
+// ================================
+
+function finalize(format, summary) {
+  const flat = flattenLayers(summary.layer_tree);
+
+  return {
+    parser_version: NATIVE_ARCHIVE_VERSION,
+    container: format.container,
+    app: summary.app ?? null,
+    app_version: summary.app_version ?? null,
+    canvas: summary.canvas,
+    layer_count: flat.filter(layer => layer.type !== 'group').length,
+    group_count: flat.filter(layer => layer.type === 'group').length,
+    hidden_layers: flat.filter(layer => !layer.visible).length,
+    layer_tree: truncateTree(summary.layer_tree, { remaining: MAX_LAYERS_LISTED }),
+    layers_truncated: flat.length > MAX_LAYERS_LISTED,
+    stroke_count: summary.stroke_count ?? null,
+    undo_count: summary.undo_count ?? null,
+    editing_cycles: summary.editing_cycles ?? null,
+    editing_time_seconds: summary.editing_time_seconds ?? null,
+    created_at: summary.created_at ?? null,
+    modified_at: summary.modified_at ?? null,
+    timelapse: summary.timelapse ?? null,
+    thumbnails: summary.thumbnails || [],
+    ...(summary.external_chunks !== undefined && { external_chunks: summary.external_chunks })
+  };
+}
+
+function flattenLayers(tree = []) {
+  return tree.flatMap(layer => [layer, ...flattenLayers(layer.children)]);
+}
+
+function truncateTree(tree = [], budget) {
+  const kept = [];
+
+  for (const layer of tree) {
+    if (budget.remaining <= 0) break;
+    budget.remaining--;
+    kept.push(layer.children ? { ...layer, children: truncateTree(layer.children, budget) } : layer);
+  }
+
+  return kept;
+}
+
+function parseXmlEntry(entries, name) {
+  const entry = entries.get(name);
+  return entry ? xmlParser.parse(entry.read().toString('utf8')) : null;
+}
+
+function thumbnailsOf(entries, pattern) {
+  return [...entries.values()]
+    .filter(entry => pattern.test(entry.name) && entry.size <= MAX_ENTRY_BYTES)
+    .map(entry => describeThumbnail(entry.name, entry.read()));
+}
+
+function describeThumbnail(path, data) {
+  const isPng = data.length > 24 && data.toString('latin1', 1, 4) === 'PNG';
+
+  return {
+    path,
+    bytes: data.length,
+    sha256: crypto.createHash('sha256').update(data).digest('hex'),
+    width: isPng ? data.readUInt32BE(16) : null,
+    height: isPng ? data.readUInt32BE(20) : null
+  };
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function pick({ ext, mime }) {
+  return { ext, mime };
+}
@@ -0,0 +1,955 @@
+// pdf-forensics.js - BLOQUE 3.1 (FORENSE PDF)
+// Revisiones incrementales, paquete XMP, imágenes embebidas y páginas rasterizadas
+
+import zlib from 'zlib';
+import { XMLParser } from 'fast-xml-parser';
+
+// ================================
+// CONSTANTES Y ENUMS (INMUTABLES)
+// ================================
+
+export const PDF_FORENSICS_VERSION = '1.0.0';
+
+export const PDF_ANOMALIES = Object.freeze({
+  MOD_DATE_REGRESSION: 'MOD_DATE_REGRESSION',           // ModDate de una revisión anterior a la de la revisión previa
+  MOD_BEFORE_CREATION: 'MOD_BEFORE_CREATION',           // ModDate anterior a CreationDate en la misma revisión
+  CREATION_DATE_REWRITTEN: 'CREATION_DATE_REWRITTEN',   // CreationDate distinta entre revisiones
+  DOCUMENT_ID_REWRITTEN: 'DOCUMENT_ID_REWRITTEN'        // xmpMM:DocumentID distinto entre revisiones
+});
+
+// Límites de inventario (documentos con miles de páginas o imágenes)
+const MAX_REVISIONS = 100;
+const MAX_PAGES = 2000;
+const MAX_PAGES_LISTED = 500;
+const MAX_IMAGES_LISTED = 200;
+
+// Tope de descompresión por stream (protección frente a bombas Flate)
+const MAX_STREAM_BYTES = 64 * 1024 * 1024;
+
+// Cobertura mínima de la página para considerar que una imagen la ocupa entera
+const RASTER_COVERAGE = 0.9;
+
+const INFO_FIELDS = Object.freeze({
+  Producer: 'producer',
+  Creator: 'creator',
+  Author: 'author',
+  Title: 'title',
+  CreationDate: 'creation_date',
+  ModDate: 'mod_date'
+});
+
+// Etiquetas EXIF (IFD0 / ExifIFD) leídas de las imágenes JPEG embebidas
+const EXIF_TAGS = Object.freeze({
+  0x010F: 'Make',
+  0x0110: 'Model',
+  0x0131: 'Software',
+  0x0132: 'ModifyDate',
+  0x013B: 'Artist',
+  0x9003: 'DateTimeOriginal',
+  0x9004: 'CreateDate'
+});
+const EXIF_IFD_POINTER = 0x8769;
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  parseTagValue: false,
+  parseAttributeValue: false
+});
+
+// ================================
+// 🚫 DECLARACIÓN DE NO-DECISIÓN
+// ================================
+
+/*
+ * Cada revisión incremental de un PDF guarda los metadatos que escribió el programa que la añadió.
+ * Este módulo solo enumera revisiones, XMP, imágenes y páginas tal como están en el archivo.
+ * Una anomalía de fechas o identificadores es un hecho técnico, NO una prueba de manipulación.
+ */
+
+/**
+ * 📄 Análisis forense de un PDF
+ *
+ * Devuelve claves equivalentes a las de exiftool (Producer, CreatorTool, CreateDate, History…)
+ * tomadas de la última revisión, para que normalizeMetadata, la cadena de exportación y el
+ * timeline las traten igual que en imágenes, más un bloque estructurado pdf_structure.
+ *
+ * @param {Buffer} buffer - Contenido del archivo
+ * @returns {Object} Metadatos crudos (pdf_structure lleva parse_error si el archivo no es legible)
+ */
+export function extractPdfForensics(buffer) {
+  try {
+    const document = new PdfDocument(buffer);
+    const structure = analyzeStructure(document);
+    const latest = structure.revisions[structure.revisions.length - 1]?.info || {};
+    const xmp = structure.xmp || {};
+
+    return {
+      ...(latest.producer && { Producer: latest.producer }),
+      ...(latest.creator && { Creator: latest.creator }),
+      ...(xmp.creator_tool && { CreatorTool: xmp.creator_tool }),
+      ...((latest.creation_date || xmp.create_date) && { CreateDate: latest.creation_date || xmp.create_date }),
+      ...((latest.mod_date || xmp.modify_date) && { ModifyDate: latest.mod_date || xmp.modify_date }),
+      ...(xmp.document_id && { DocumentID: xmp.document_id }),
+      ...(xmp.original_document_id && { OriginalDocumentID: xmp.original_document_id }),
+      ...(xmp.instance_id && { InstanceID: xmp.instance_id }),
+      ...(xmp.history?.length > 0 && { History: xmp.history }),
+      ...(xmp.derived_from && { DerivedFrom: xmp.derived_from }),
+      ...(xmp.ingredients?.length > 0 && { Ingredients: xmp.ingredients }),
+      ...(structure.page_count !== null && { PageCount: structure.page_count }),
+
+      pdf_structure: structure
+    };
+  } catch (error) {
+    return { pdf_structure: { forensics_version: PDF_FORENSICS_VERSION, parse_error: error.message } };
+  }
+}
+
+// ================================
+// ANÁLISIS ESTRUCTURAL
+// ================================
+
+function analyzeStructure(document) {
+  // 1️⃣ Revisiones incrementales (una por %%EOF)
+  const revisions = document.revisions.map((revision, index) => {
+    const info = document.encrypted ? null : readInfo(document, revision);
+    const xmp = document.encrypted ? null : readXmp(document, revision);
+
+    return {
+      index,
+      end_offset: revision.end,
+      startxref: revision.startxref,
+      xref_type: revision.xrefType,
+      objects_updated: document.objectsIn(revision),
+      info,
+      xmp_document_id: xmp?.document_id ?? null,
+      xmp_instance_id: xmp?.instance_id ?? null,
+      xmp_updated: revision.metadataDefinedHere,
+      _xmp: xmp
+    };
+  });
+
+  const latestXmp = revisions[revisions.length - 1]?._xmp ?? null;
+  revisions.forEach(revision => delete revision._xmp);
+
+  // 2️⃣ Páginas y detección de páginas rasterizadas
+  const pages = document.encrypted ? [] : readPages(document);
+
+  // 3️⃣ Imágenes embebidas (con EXIF si son JPEG)
+  const images = document.encrypted ? [] : readImages(document);
+
+  return {
+    forensics_version: PDF_FORENSICS_VERSION,
+    pdf_version: document.version,
+    encrypted: document.encrypted,
+    linearized: document.linearized,
+    revision_count: revisions.length,
+    revisions,
+    producer_chain: producerChain(revisions),
+    software: [...new Set(revisions.flatMap(revision => [revision.info?.creator, revision.info?.producer])
+      .concat(latestXmp?.creator_tool, latestXmp?.producer)
+      .filter(Boolean))],
+    xmp: latestXmp,
+    page_count: document.encrypted ? null : pages.length,
+    pages: pages.slice(0, MAX_PAGES_LISTED),
+    rasterized_pages: pages.filter(page => page.rasterized).length,
+    image_count: images.length,
+    images: images.slice(0, MAX_IMAGES_LISTED),
+    anomalies: revisionAnomalies(revisions)
+  };
+}
+
+function readInfo(document, revision) {
+  const info = document.resolve(revision.trailer.Info, revision.end);
+  if (!isDict(info)) return null;
+
+  const fields = {};
+  Object.entries(INFO_FIELDS).forEach(([key, field]) => {
+    const value = typeof info[key] === 'string' && !isName(info[key]) ? info[key] : null;
+    fields[field] = field.endsWith('_date') ? pdfDateToIso(value) : value;
+  });
+  return fields;
+}
+
+function readXmp(document, revision) {
+  const catalog = document.resolve(revision.trailer.Root, revision.end);
+  if (!isDict(catalog) || !isRef(catalog.Metadata)) return null;
+
+  const definition = document.definitionAt(catalog.Metadata.num, revision.end);
+  revision.metadataDefinedHere = Boolean(definition && definition.position >= revision.start);
+
+  const stream = document.streamAt(catalog.Metadata.num, revision.end);
+  if (!stream) return null;
+
+  return parseXmpPacket(stream.toString('utf8'));
+}
+
+function readPages(document) {
+  const root = document.resolve(document.latestTrailer.Root);
+  if (!isDict(root)) return [];
+
+  const pages = [];
+  const visited = new Set();
+
+  const walk = (ref, inherited) => {
+    if (pages.length >= MAX_PAGES || !isRef(ref) || visited.has(ref.num)) return;
+    visited.add(ref.num);
+
+    const node = document.resolve(ref);
+    if (!isDict(node)) return;
+
+    const attributes = {
+      mediaBox: document.resolve(node.MediaBox) ?? inherited.mediaBox,
+      resources: document.resolve(node.Resources) ?? inherited.resources
+    };
+
+    if (node.Type === '/Pages' || Array.isArray(document.resolve(node.Kids))) {
+      (document.resolve(node.Kids) || []).forEach(kid => walk(kid, attributes));
+    } else {
+      pages.push(describePage(document, ref, attributes, pages.length));
+    }
+  };
+
+  walk(root.Pages, { mediaBox: null, resources: null });
+  return pages;
+}
+
+function describePage(document, ref, { mediaBox, resources }, index) {
+  const page = document.resolve(ref);
+  const box = Array.isArray(mediaBox) ? mediaBox.map(Number) : null;
+  const width = box ? Math.abs(box[2] - box[0]) : null;
+  const height = box ? Math.abs(box[3] - box[1]) : null;
+
+  const contents = document.resolve(page.Contents);
+  const content = (Array.isArray(contents) ? contents : [page.Contents])
+    .map(entry => isRef(entry) ? document.streamAt(entry.num) : null)
+    .filter(Boolean)
+    .map(data => data.toString('latin1'))
+    .join('\n');
+
+  // XObjects de la página: imágenes y formularios (un nivel)
+  const xobjects = document.resolve(isDict(resources) ? resources.XObject : null);
+  const images = new Map();
+  let hasText = hasTextOperators(content);
+
+  Object.entries(isDict(xobjects) ? xobjects : {}).forEach(([name, xref]) => {
+    if (!isRef(xref)) return;
+    const xobject = document.resolve(xref);
+    if (!isDict(xobject)) return;
+
+    if (xobject.Subtype === '/Image') {
+      images.set(name, xref.num);
+    } else if (xobject.Subtype === '/Form' && !hasText && drawsXObject(content, name)) {
+      const formContent = document.streamAt(xref.num);
+      hasText = Boolean(formContent && hasTextOperators(formContent.toString('latin1')));
+    }
+  });
+
+  const drawn = drawnImages(content, images);
+  const coverage = width && height
+    ? Math.max(0, ...drawn.map(area => area / (width * height)))
+    : 0;
+
+  return {
+    index,
+    width,
+    height,
+    has_text: hasText,
+    image_count: drawn.length,
+    image_coverage: Math.round(Math.min(coverage, 1) * 100) / 100,
+    rasterized: !hasText && coverage >= RASTER_COVERAGE
+  };
+}
+
+function readImages(document) {
+  return document.imageObjects().map(num => {
+    const dictionary = document.resolve(new PdfRef(num, 0));
+    if (!isDict(dictionary)) return null;
+
+    const filter = [].concat(dictionary.Filter ?? []).map(name => String(name).slice(1));
+    const colorSpace = document.resolve(dictionary.ColorSpace);
+    const isJpeg = filter.length === 1 && filter[0] === 'DCTDecode';
+
+    return {
+      object: num,
+      width: toNumber(dictionary.Width),
+      height: toNumber(dictionary.Height),
+      bits_per_component: toNumber(dictionary.BitsPerComponent),
+      color_space: Array.isArray(colorSpace) ? String(colorSpace[0]).slice(1) : (isName(colorSpace) ? colorSpace.slice(1) : null),
+      filter,
+      exif: isJpeg ? readJpegExif(document.rawStream(num)) : null
+    };
+  }).filter(Boolean);
+}
+
+function producerChain(revisions) {
+  const chain = [];
+
+  revisions.forEach(revision => {
+    const producer = revision.info?.producer ?? null;
+    const creator = revision.info?.creator ?? null;
+    const previous = chain[chain.length - 1];
+
+    if ((producer || creator) && (!previous || previous.producer !== producer || previous.creator !== creator)) {
+      chain.push({ revision: revision.index, producer, creator });
+    }
+  });
+
+  return chain;
+}
+
+function revisionAnomalies(revisions) {
+  const anomalies = [];
+  const add = (type, revision, detail) => anomalies.push({ type, revision, detail });
+
+  revisions.forEach((revision, index) => {
+    const info = revision.info || {};
+    const previous = revisions.slice(0, index).reverse().find(candidate => candidate.info);
+    const previousInfo = previous?.info || {};
+
+    if (info.creation_date && info.mod_date && Date.parse(info.mod_date) < Date.parse(info.creation_date)) {
+      add(PDF_ANOMALIES.MOD_BEFORE_CREATION, revision.index, `ModDate ${info.mod_date} < CreationDate ${info.creation_date}`);
+    }
+
+    if (!previous) return;
+
+    if (info.mod_date && previousInfo.mod_date && Date.parse(info.mod_date) < Date.parse(previousInfo.mod_date)) {
+      add(PDF_ANOMALIES.MOD_DATE_REGRESSION, revision.index,
+        `ModDate ${info.mod_date} anterior a la revisión ${previous.index} (${previousInfo.mod_date})`);
+    }
+
+    if (info.creation_date && previousInfo.creation_date && info.creation_date !== previousInfo.creation_date) {
+      add(PDF_ANOMALIES.CREATION_DATE_REWRITTEN, revision.index,
+        `CreationDate ${previousInfo.creation_date} → ${info.creation_date}`);
+    }
+  });
+
+  revisions.forEach((revision, index) => {
+    const previous = revisions.slice(0, index).reverse().find(candidate => candidate.xmp_document_id);
+    if (previous && revision.xmp_document_id && revision.xmp_document_id !== previous.xmp_document_id) {
+      add(PDF_ANOMALIES.DOCUMENT_ID_REWRITTEN, revision.index,
+        `DocumentID ${previous.xmp_document_id} → ${revision.xmp_document_id}`);
+    }
+  });
+
+  return anomalies;
+}
+
+// ================================
+// LECTOR PDF (OBJETOS, XREF, STREAMS)
+// ================================
+
+class PdfDocument {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.text = buffer.toString('latin1');
+
+    const header = /^%PDF-(\d\.\d)/.exec(this.text.slice(0, 1024).trimStart());
+    if (!header) throw new Error('Cabecera %PDF ausente');
+    this.version = header[1];
+
+    // Definiciones de objetos en orden de aparición: num → [{ position, offset | value }]
+    this.definitions = new Map();
+    this.images = [];
+    this.indexObjects();
+    this.indexObjectStreams();
+
+    this.linearized = /\/Linearized\b/.test(this.text.slice(0, 2048));
+    this.revisions = this.readRevisions();
+    this.latestTrailer = this.revisions[this.revisions.length - 1]?.trailer || {};
+    this.encrypted = this.revisions.some(revision => revision.trailer.Encrypt);
+  }
+
+  indexObjects() {
+    const pattern = /(?<![\d])(\d+)\s+(\d+)\s+obj\b/g;
+    let match;
+
+    while ((match = pattern.exec(this.text)) !== null) {
+      const num = Number(match[1]);
+      const offset = match.index + match[0].length;
+
+      // Cabecera del diccionario de streams: basta para clasificar imágenes y streams de objetos
+      const head = this.text.slice(offset, offset + 1024);
+      const dictionaryEnd = head.indexOf('stream');
+      const dictionary = dictionaryEnd === -1 ? '' : head.slice(0, dictionaryEnd);
+
+      if (/\/Subtype\s*\/Image\b/.test(dictionary)) this.images.push(num);
+      this.define(num, { position: match.index, offset, objectStream: /\/Type\s*\/ObjStm\b/.test(dictionary) });
+    }
+  }
+
+  indexObjectStreams() {
+    this.definitions.forEach(definitions => definitions
+      .filter(definition => definition.objectStream)
+      .forEach(definition => {
+        try {
+          const { value: dictionary, stream } = this.parseIndirect(definition.offset);
+          const data = this.decodeStream(dictionary, stream)?.toString('latin1');
+          if (!data) return;
+
+          const count = toNumber(dictionary.N) || 0;
+          const first = toNumber(dictionary.First) || 0;
+          const header = data.slice(0, first).trim().split(/\s+/).map(Number);
+
+          for (let i = 0; i < count; i++) {
+            const num = header[i * 2];
+            const start = first + header[i * 2 + 1];
+            if (!Number.isFinite(num) || !Number.isFinite(start)) break;
+            this.define(num, { position: definition.position, value: new Lexer(data, start).value() });
+          }
+        } catch (error) {
+          // Stream de objetos ilegible: sus objetos quedan sin resolver
+        }
+      }));
+  }
+
+  define(num, definition) {
+    if (!this.definitions.has(num)) this.definitions.set(num, []);
+    this.definitions.get(num).push(definition);
+  }
+
+  readRevisions() {
+    const ends = [];
+    const pattern = /%%EOF/g;
+    let match;
+
+    while ((match = pattern.exec(this.text)) !== null) ends.push(match.index + match[0].length);
+    if (ends.length === 0) ends.push(this.text.length);
+
+    // En un PDF linealizado el primer %%EOF cierra la sección de primera página, no una revisión
+    if (this.linearized && ends.length > 1) ends.shift();
+
+    const revisions = [];
+    let start = 0;
+    let previousTrailer = {};
+
+    ends.slice(0, MAX_REVISIONS).forEach(end => {
+      const span = this.text.slice(start, end);
+      const startxrefAt = span.lastIndexOf('startxref');
+      const offset = startxrefAt === -1 ? null : /startxref\s+(\d+)/.exec(span.slice(startxrefAt))?.[1];
+      const startxref = offset ? Number(offset) : null;
+      const { trailer, xrefType } = this.readTrailer(startxref, start, end);
+
+      // Los campos no repetidos en el trailer incremental se heredan de la revisión anterior
+      const merged = { ...previousTrailer, ...trailer };
+      revisions.push({ start, end, startxref, xrefType, trailer: merged, metadataDefinedHere: false });
+
+      previousTrailer = merged;
+      start = end;
+    });
+
+    return revisions;
+  }
+
+  readTrailer(startxref, start, end) {
+    if (startxref !== null && this.text.startsWith('xref', startxref)) {
+      const trailerAt = this.text.indexOf('trailer', startxref);
+      if (trailerAt !== -1 && trailerAt < end) {
+        return { trailer: new Lexer(this.text, trailerAt + 'trailer'.length).value() || {}, xrefType: 'table' };
+      }
+    }
+
+    if (startxref !== null) {
+      const header = /^(\d+)\s+(\d+)\s+obj\b/.exec(this.text.slice(startxref, startxref + 64));
+      if (header) {
+        const dictionary = new Lexer(this.text, startxref + header[0].length).value();
+        if (isDict(dictionary)) return { trailer: dictionary, xrefType: 'stream' };
+      }
+    }
+
+    // startxref dañado: último trailer textual de la revisión
+    const trailerAt = this.text.lastIndexOf('trailer', end);
+    if (trailerAt >= start) {
+      return { trailer: new Lexer(this.text, trailerAt + 'trailer'.length).value() || {}, xrefType: 'table' };
+    }
+
+    return { trailer: {}, xrefType: null };
+  }
+
+  objectsIn(revision) {
+    let count = 0;
+    this.definitions.forEach(definitions => {
+      if (definitions.some(definition => definition.position >= revision.start && definition.position < revision.end)) count++;
+    });
+    return count;
+  }
+
+  imageObjects() {
+    return [...new Set(this.images)];
+  }
+
+  // Última definición del objeto anterior al límite (estado del documento en esa revisión)
+  definitionAt(num, limit = Infinity) {
+    const definitions = this.definitions.get(num) || [];
+    return definitions.filter(definition => definition.position < limit).pop() || null;
+  }
+
+  resolve(value, limit = Infinity, depth = 0) {
+    if (!isRef(value) || depth > 8) return value ?? null;
+
+    const definition = this.definitionAt(value.num, limit);
+    if (!definition) return null;
+
+    const resolved = 'value' in definition ? definition.value : this.parseIndirect(definition.offset).value;
+    return this.resolve(resolved, limit, depth + 1);
+  }
+
+  parseIndirect(offset) {
+    const lexer = new Lexer(this.text, offset);
+    const value = lexer.value();
+    const stream = isDict(value) ? lexer.streamBounds(value, length => toNumber(this.resolve(length))) : null;
+    return { value, stream };
+  }
+
+  rawStream(num, limit = Infinity) {
+    const definition = this.definitionAt(num, limit);
+    if (!definition || 'value' in definition) return null;
+
+    const { stream } = this.parseIndirect(definition.offset);
+    return stream ? this.buffer.subarray(stream.start, stream.end) : null;
+  }
+
+  streamAt(num, limit = Infinity) {
+    const definition = this.definitionAt(num, limit);
+    if (!definition || 'value' in definition) return null;
+
+    const { value, stream } = this.parseIndirect(definition.offset);
+    return stream ? this.decodeStream(value, stream) : null;
+  }
+
+  // Devuelve null si el stream no se puede decodificar o supera MAX_STREAM_BYTES
+  decodeStream(dictionary, stream) {
+    const raw = this.buffer.subarray(stream.start, stream.end);
+    const filters = [].concat(this.resolve(dictionary.Filter) ?? []);
+
+    let data = raw;
+    for (const filter of filters) {
+      if (filter !== '/FlateDecode') return null;   // solo se decodifica Flate (XMP, contenido, ObjStm)
+      data = inflateCapped(data);
+      if (!data) return null;
+    }
+    return data;
+  }
+}
+
+// ================================
+// LÉXICO PDF (VALORES DIRECTOS)
+// ================================
+
+class PdfRef {
+  constructor(num, gen) {
+    this.num = num;
+    this.gen = gen;
+  }
+}
+
+// Nombres: cadena con '/' inicial. Cadenas: texto decodificado. Referencias: PdfRef.
+class Lexer {
+  constructor(text, position) {
+    this.text = text;
+    this.position = position;
+  }
+
+  skipWhitespace() {
+    const text = this.text;
+    while (this.position < text.length) {
+      const char = text[this.position];
+      if (char === '%') {
+        while (this.position < text.length && text[this.position] !== '\n' && text[this.position] !== '\r') this.position++;
+      } else if (/[\s\0]/.test(char)) {
+        this.position++;
+      } else {
+        break;
+      }
+    }
+  }
+
+  value() {
+    this.skipWhitespace();
+    const text = this.text;
+    const char = text[this.position];
+
+    if (char === undefined) return null;
+
+    if (text.startsWith('<<', this.position)) return this.dictionary();
+    if (char === '<') return this.hexString();
+    if (char === '(') return this.literalString();
+    if (char === '[') return this.array();
+    if (char === '/') return this.name();
+
+    const token = /^[^\s\0()<>[\]{}/%]+/.exec(text.slice(this.position, this.position + 64))?.[0] || '';
+    this.position += Math.max(token.length, 1);
+
+    if (token === 'true') return true;
+    if (token === 'false') return false;
+    if (token === 'null' || token === '') return null;
+
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(token)) {
+      // Referencia indirecta "num gen R"
+      const reference = /^\s+(\d+)\s+R\b/.exec(text.slice(this.position, this.position + 32));
+      if (/^\d+$/.test(token) && reference) {
+        this.position += reference[0].length;
+        return new PdfRef(Number(token), Number(reference[1]));
+      }
+      return Number(token);
+    }
+
+    return token;   // operador (obj, endobj, stream…)
+  }
+
+  dictionary() {
+    this.position += 2;
+    const dictionary = {};
+
+    while (this.position < this.text.length) {
+      this.skipWhitespace();
+      if (this.text.startsWith('>>', this.position)) {
+        this.position += 2;
+        break;
+      }
+
+      const key = this.value();
+      if (!isName(key)) break;   // diccionario corrupto
+      dictionary[key.slice(1)] = this.value();
+    }
+
+    return dictionary;
+  }
+
+  array() {
+    this.position++;
+    const array = [];
+
+    while (this.position < this.text.length) {
+      this.skipWhitespace();
+      if (this.text[this.position] === ']') {
+        this.position++;
+        break;
+      }
+      array.push(this.value());
+    }
+
+    return array;
+  }
+
+  name() {
+    const token = /^\/[^\s\0()<>[\]{}/%]*/.exec(this.text.slice(this.position, this.position + 256))[0];
+    this.position += token.length;
+    return token.replace(/#([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+  }
+
+  hexString() {
+    const end = this.text.indexOf('>', this.position);
+    const hex = this.text.slice(this.position + 1, end === -1 ? undefined : end).replace(/[^0-9a-fA-F]/g, '');
+    this.position = end === -1 ? this.text.length : end + 1;
+    return decodePdfText(Buffer.from(hex.length % 2 ? `${hex}0` : hex, 'hex').toString('latin1'));
+  }
+
+  literalString() {
+    const text = this.text;
+    let depth = 1;
+    let result = '';
+    this.position++;
+
+    while (this.position < text.length && depth > 0) {
+      const char = text[this.position++];
+
+      if (char === '\\') {
+        const next = text[this.position++];
+        const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+
+        if (next in escapes) {
+          result += escapes[next];
+        } else if (/[0-7]/.test(next)) {
+          const octal = /^[0-7]{1,3}/.exec(text.slice(this.position - 1, this.position + 2))[0];
+          result += String.fromCharCode(parseInt(octal, 8) & 0xFF);
+          this.position += octal.length - 1;
+        } else if (next === '\r') {
+          if (text[this.position] === '\n') this.position++;   // continuación de línea
+        } else if (next !== '\n') {
+          result += next;
+        }
+        continue;
+      }
+
+      if (char === '(') depth++;
+      if (char === ')' && --depth === 0) break;
+      result += char;
+    }
+
+    return decodePdfText(result);
+  }
+
+  // Límites del stream que sigue al diccionario (Length verificado contra endstream)
+  streamBounds(dictionary, resolveLength) {
+    const keyword = /^\s*stream(\r\n|\n|\r)/.exec(this.text.slice(this.position, this.position + 64));
+    if (!keyword) return null;
+
+    const start = this.position + keyword[0].length;
+    const length = resolveLength(dictionary.Length);
+
+    if (Number.isInteger(length) && length >= 0 && /^\s*endstream/.test(this.text.slice(start + length, start + length + 32))) {
+      return { start, end: start + length };
+    }
+
+    const end = this.text.indexOf('endstream', start);
+    if (end === -1) return null;
+    return { start, end: this.text[end - 1] === '\n' ? end - (this.text[end - 2] === '\r' ? 2 : 1) : end };
+  }
+}
+
+// ================================
+// XMP
+// ================================
+
+function parseXmpPacket(xml) {
+  const start = xml.indexOf('<x:xmpmeta');
+  const end = xml.indexOf('</x:xmpmeta>');
+  const packet = start !== -1 && end !== -1 ? xml.slice(start, end + '</x:xmpmeta>'.length) : xml;
+
+  let tree;
+  try {
+    tree = xmlParser.parse(packet);
+  } catch (error) {
+    return null;
+  }
+
+  const field = (node, key) => xmpText(findXmpProperty(node, key));
+  const derivedFrom = findXmpProperty(tree, 'xmpMM:DerivedFrom');
+
+  return {
+    creator_tool: field(tree, 'xmp:CreatorTool'),
+    producer: field(tree, 'pdf:Producer'),
+    create_date: toIsoDate(field(tree, 'xmp:CreateDate')),
+    modify_date: toIsoDate(field(tree, 'xmp:ModifyDate')),
+    metadata_date: toIsoDate(field(tree, 'xmp:MetadataDate')),
+    document_id: field(tree, 'xmpMM:DocumentID'),
+    original_document_id: field(tree, 'xmpMM:OriginalDocumentID'),
+    instance_id: field(tree, 'xmpMM:InstanceID'),
+
+    // Estructuras con los nombres de exiftool -struct (ver xmp-history.js)
+    history: xmpList(findXmpProperty(tree, 'xmpMM:History')).map(entry => compact({
+      Action: field(entry, 'stEvt:action'),
+      SoftwareAgent: field(entry, 'stEvt:softwareAgent'),
+      When: field(entry, 'stEvt:when'),
+      InstanceID: field(entry, 'stEvt:instanceID'),
+      Changed: field(entry, 'stEvt:changed'),
+      Parameters: field(entry, 'stEvt:parameters')
+    })),
+    derived_from: derivedFrom ? compact({
+      DocumentID: field(derivedFrom, 'stRef:documentID'),
+      InstanceID: field(derivedFrom, 'stRef:instanceID'),
+      OriginalDocumentID: field(derivedFrom, 'stRef:originalDocumentID')
+    }) : null,
+    ingredients: xmpList(findXmpProperty(tree, 'xmpMM:Ingredients')).map(entry => compact({
+      DocumentID: field(entry, 'stRef:documentID'),
+      InstanceID: field(entry, 'stRef:instanceID'),
+      FilePath: field(entry, 'stRef:filePath')
+    }))
+  };
+}
+
+// Las propiedades XMP pueden ser atributos de rdf:Description o elementos hijos
+function findXmpProperty(node, key) {
+  if (!node || typeof node !== 'object') return undefined;
+
+  if (Array.isArray(node)) {
+    for (const child of node) {
+      const found = findXmpProperty(child, key);
+      if (found !== undefined) return found;
+    }
+    return undefined;
+  }
+
+  if (key in node) return node[key];
+
+  for (const child of Object.values(node)) {
+    const found = findXmpProperty(child, key);
+    if (found !== undefined) return found;
+  }
+  return undefined;
+}
+
+function xmpText(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'string') return value.trim() || null;
+  if (typeof value === 'number') return String(value);
+  if (typeof value['#text'] === 'string') return value['#text'].trim() || null;
+
+  const container = value['rdf:Alt'] || value['rdf:Seq'] || value['rdf:Bag'];
+  if (container) return xmpText([].concat(container['rdf:li'] ?? [])[0]);
+
+  return null;
+}
+
+function xmpList(value) {
+  if (!value || typeof value !== 'object') return [];
+  const container = value['rdf:Seq'] || value['rdf:Bag'] || value;
+  return [].concat(container['rdf:li'] ?? []).filter(entry => entry && typeof entry === 'object');
+}
+
+// ================================
+// EXIF DE IMÁGENES JPEG EMBEBIDAS
+// ================================
+
+function readJpegExif(jpeg) {
+  if (!jpeg || jpeg.length < 4 || jpeg.readUInt16BE(0) !== 0xFFD8) return null;
+
+  let offset = 2;
+  while (offset + 4 <= jpeg.length) {
+    if (jpeg[offset] !== 0xFF) return null;
+
+    const marker = jpeg.readUInt16BE(offset);
+    if (marker === 0xFFDA || marker === 0xFFD9) return null;   // inicio de datos: no hay APP1 Exif
+
+    const length = jpeg.readUInt16BE(offset + 2);
+    if (marker === 0xFFE1 && jpeg.toString('latin1', offset + 4, offset + 10) === 'Exif\0\0') {
+      try {
+        return readTiffTags(jpeg.subarray(offset + 10, offset + 2 + length));
+      } catch (error) {
+        return null;
+      }
+    }
+
+    offset += 2 + length;
+  }
+
+  return null;
+}
+
+function readTiffTags(tiff) {
+  const little = tiff.toString('latin1', 0, 2) === 'II';
+  const u16 = position => little ? tiff.readUInt16LE(position) : tiff.readUInt16BE(position);
+  const u32 = position => little ? tiff.readUInt32LE(position) : tiff.readUInt32BE(position);
+
+  const tags = {};
+
+  const readIfd = (ifdOffset, depth) => {
+    if (ifdOffset + 2 > tiff.length || depth > 1) return;
+    const count = u16(ifdOffset);
+
+    for (let i = 0; i < count; i++) {
+      const entry = ifdOffset + 2 + i * 12;
+      if (entry + 12 > tiff.length) return;
+
+      const tag = u16(entry);
+      const type = u16(entry + 2);
+      const length = u32(entry + 4);
+
+      if (tag === EXIF_IFD_POINTER) {
+        readIfd(u32(entry + 8), depth + 1);
+      } else if (EXIF_TAGS[tag] && type === 2) {
+        const valueOffset = length <= 4 ? entry + 8 : u32(entry + 8);
+        const value = tiff.toString('latin1', valueOffset, Math.min(valueOffset + length, tiff.length)).replace(/\0+$/, '').trim();
+        if (value) tags[EXIF_TAGS[tag]] = value;
+      }
+    }
+  };
+
+  readIfd(u32(4), 0);
+  return Object.keys(tags).length > 0 ? tags : null;
+}
+
+// ================================
+// FUNCIONES AUXILIARES
+// ================================
+
+function hasTextOperators(content) {
+  return /(^|[\s\])>])(Tj|TJ|'|")(?=[\s[(<\/]|$)/.test(content);
+}
+
+function drawsXObject(content, name) {
+  return new RegExp(`/${escapeRegExp(name)}\\s+Do\\b`).test(content);
+}
+
+// Área pintada por cada imagen: determinante de la última matriz cm anterior al operador Do
+function drawnImages(content, images) {
+  const matrices = [...content.matchAll(
+    /([-+]?[\d.]+)\s+([-+]?[\d.]+)\s+([-+]?[\d.]+)\s+([-+]?[\d.]+)\s+[-+]?[\d.]+\s+[-+]?[\d.]+\s+cm\b/g
+  )];
+
+  return [...content.matchAll(/\/([^\s\0()<>[\]{}/%]+)\s+Do\b/g)]
+    .filter(match => images.has(match[1]))
+    .map(match => {
+      const last = matrices.filter(matrix => matrix.index < match.index).pop();
+      return last ? Math.abs(last[1] * last[4] - last[2] * last[3]) : 1;
+    });
+}
+
+// Flate con tope de salida; los streams truncados se recuperan hasta donde llegan
+function inflateCapped(data) {
+  try {
+    return zlib.inflateSync(data, { maxOutputLength: MAX_STREAM_BYTES });
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') return null;
+  }
+
+  try {
+    return zlib.inflateSync(data, {
+      finishFlush: zlib.constants.Z_SYNC_FLUSH,
+      maxOutputLength: MAX_STREAM_BYTES
+    });
+  } catch (error) {
+    return null;
+  }
+}
+
+function decodePdfText(bytes) {
+  if (bytes.startsWith('\xFE\xFF')) {
+    const buffer = Buffer.from(bytes.slice(2), 'latin1');
+    const swapped = Buffer.alloc(buffer.length - (buffer.length % 2));
+    for (let i = 0; i + 1 < buffer.length; i += 2) {
+      swapped[i] = buffer[i + 1];
+      swapped[i + 1] = buffer[i];
+    }
+    return swapped.toString('utf16le');
+  }
+  if (bytes.startsWith('\xEF\xBB\xBF')) {
+    return Buffer.from(bytes.slice(3), 'latin1').toString('utf8');
+  }
+  return bytes;   // PDFDocEncoding ≈ Latin-1
+}
+
+// D:YYYYMMDDHHmmSSOHH'mm' (todos los campos salvo el año son opcionales)
+function pdfDateToIso(value) {
+  if (!value) return null;
+
+  const match = /^(?:D:)?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?\s*(Z|[+-])?(\d{2})?'?(\d{2})?'?/.exec(value.trim());
+  if (!match) return null;
+
+  const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', sign, tzHour = '00', tzMinute = '00'] = match;
+  const zone = !sign || sign === 'Z' ? 'Z' : `${sign}${tzHour}:${tzMinute}`;
+  const timestamp = Date.parse(`${year}-${month}-${day}T${hour}:${minute}:${second}${zone}`);
+
+  return Number.isNaN(timestamp) ? null : new Date(timestamp).toISOString();
+}
+
+function toIsoDate(value) {
+  if (!value) return null;
+  const timestamp = Date.parse(value);
+  return Number.isNaN(timestamp) ? null : new Date(timestamp).toISOString();
+}
+
+function compact(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== null && value !== undefined));
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function toNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+function isRef(value) {
+  return value instanceof PdfRef;
+}
+
+function isDict(value) {
+  return Boolean(value && typeof value === 'object' && !Array.isArray(value) && !isRef(value));
+}
+
+function isName(value) {
+  return typeof value === 'string' && value.startsWith('/');
+}
@@ -0,0 +1,169 @@
+// pdf-forensics.test.js - TESTS DEL FORENSE PDF
+// Enumeración de revisiones incrementales, metadatos por revisión y anomalías entre revisiones
+
+import assert from 'assert/strict';
+import { extractPdfForensics, PDF_ANOMALIES } from './pdf-forensics.js';
+
+// PDF mínimo con una revisión por elemento: objetos + tabla xref + trailer (+ /Prev) + %%EOF
+function pdf(...revisions) {
+  let text = '%PDF-1.7\n';
+  let previous = null;
+
+  revisions.forEach(({ objects, trailer }) => {
+    const offsets = objects.map(([num, body]) => {
+      const offset = text.length;
+      text += `${num} 0 obj\n${body}\nendobj\n`;
+      return [num, offset];
+    });
+
+    const xref = text.length;
+    text += 'xref\n' + offsets.map(([num, offset]) => `${num} 1\n${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    text += `trailer\n<< ${trailer}${previous === null ? '' : ` /Prev ${previous}`} >>\nstartxref\n${xref}\n%%EOF\n`;
+    previous = xref;
+  });
+
+  return Buffer.from(text, 'latin1');
+}
+
+const info = (fields) => `<< ${Object.entries(fields).map(([key, value]) => `/${key} (${value})`).join(' ')} >>`;
+
+const xmpStream = (documentId) => {
+  const packet = '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">' +
+    '<rdf:Description rdf:about="" xmlns:xmp="http://ns.adobe.com/xap/1.0/" xmlns:xmpMM="http://ns.adobe.com/xap/1.0/mm/">' +
+    `<xmp:CreatorTool>Microsoft Word</xmp:CreatorTool><xmpMM:DocumentID>${documentId}</xmpMM:DocumentID>` +
+    '</rdf:Description></rdf:RDF></x:xmpmeta>';
+  return `<< /Type /Metadata /Subtype /XML /Length ${packet.length} >>\nstream\n${packet}\nendstream`;
+};
+
+const TRAILER = '/Size 6 /Root 1 0 R /Info 5 0 R';
+
+// Revisión original: catálogo, una página, XMP e Info
+const original = (infoFields) => ({
+  objects: [
+    [1, '<< /Type /Catalog /Pages 2 0 R /Metadata 4 0 R >>'],
+    [2, '<< /Type /Pages /Kids [3 0 R] /Count 1 >>'],
+    [3, '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] >>'],
+    [4, xmpStream('uuid:original')],
+    [5, info(infoFields)]
+  ],
+  trailer: TRAILER
+});
+
+const ORIGINAL_INFO = {
+  Producer: 'Microsoft Word',
+  Creator: 'Word',
+  CreationDate: "D:20260301100000+01'00'",
+  ModDate: "D:20260301120000+01'00'"
+};
+
+const typesOf = (anomalies) => anomalies.map(anomaly => [anomaly.type, anomaly.revision]);
+
+export const pdfForensicsTests = {
+  test1_single_revision: async () => {
+    console.log('Test 1 (REVISIÓN ÚNICA): una revisión con tabla xref, fechas PDF en UTC y claves tipo exiftool');
+    const result = extractPdfForensics(pdf(original(ORIGINAL_INFO)));
+    const structure = result.pdf_structure;
+
+    assert.equal(structure.parse_error, undefined);
+    assert.equal(structure.pdf_version, '1.7');
+    assert.equal(structure.revision_count, 1);
+    assert.equal(structure.revisions[0].xref_type, 'table');
+    assert.equal(structure.revisions[0].objects_updated, 5);
+    assert.equal(structure.revisions[0].xmp_updated, true);
+    assert.deepEqual(structure.revisions[0].info, {
+      producer: 'Microsoft Word',
+      creator: 'Word',
+      author: null,
+      title: null,
+      creation_date: '2026-03-01T09:00:00.000Z',
+      mod_date: '2026-03-01T11:00:00.000Z'
+    });
+    assert.deepEqual(structure.anomalies, []);
+
+    assert.equal(result.Producer, 'Microsoft Word');
+    assert.equal(result.CreatorTool, 'Microsoft Word');
+    assert.equal(result.CreateDate, '2026-03-01T09:00:00.000Z');
+    assert.equal(result.DocumentID, 'uuid:original');
+    assert.equal(result.PageCount, 1);
+  },
+
+  test2_incremental_revisions: async () => {
+    console.log('Test 2 (INCREMENTAL): cada %%EOF es una revisión; se enumeran objetos, Info y cadena de productores');
+    const update = {
+      objects: [[5, info({ ...ORIGINAL_INFO, Producer: 'Adobe Acrobat', ModDate: "D:20260305090000+01'00'" })]],
+      trailer: TRAILER
+    };
+    const structure = extractPdfForensics(pdf(original(ORIGINAL_INFO), update)).pdf_structure;
+
+    assert.equal(structure.revision_count, 2);
+    assert.deepEqual(structure.revisions.map(revision => revision.index), [0, 1]);
+    assert.deepEqual(structure.revisions.map(revision => revision.objects_updated), [5, 1]);
+    assert.ok(structure.revisions[1].end_offset > structure.revisions[0].end_offset);
+    assert.ok(structure.revisions[1].startxref > structure.revisions[0].end_offset);
+
+    // La primera revisión conserva su propio Info; la segunda lo reescribe
+    assert.equal(structure.revisions[0].info.producer, 'Microsoft Word');
+    assert.equal(structure.revisions[1].info.producer, 'Adobe Acrobat');
+    assert.equal(structure.revisions[1].xmp_updated, false);
+    assert.deepEqual(structure.producer_chain, [
+      { revision: 0, producer: 'Microsoft Word', creator: 'Word' },
+      { revision: 1, producer: 'Adobe Acrobat', creator: 'Word' }
+    ]);
+    assert.deepEqual(structure.software, ['Word', 'Microsoft Word', 'Adobe Acrobat']);
+    assert.deepEqual(structure.anomalies, []);
+  },
+
+  test3_revision_anomalies: async () => {
+    console.log('Test 3 (ANOMALÍAS): ModDate que retrocede, CreationDate y DocumentID reescritos en una revisión posterior');
+    const update = {
+      objects: [
+        [4, xmpStream('uuid:otro')],
+        [5, info({ ...ORIGINAL_INFO, CreationDate: "D:20250101000000Z", ModDate: "D:20260301080000Z" })]
+      ],
+      trailer: TRAILER
+    };
+    const structure = extractPdfForensics(pdf(original(ORIGINAL_INFO), update)).pdf_structure;
+
+    assert.equal(structure.revisions[1].xmp_updated, true);
+    assert.deepEqual(typesOf(structure.anomalies), [
+      [PDF_ANOMALIES.MOD_DATE_REGRESSION, 1],
+      [PDF_ANOMALIES.CREATION_DATE_REWRITTEN, 1],
+      [PDF_ANOMALIES.DOCUMENT_ID_REWRITTEN, 1]
+    ]);
+    assert.match(structure.anomalies[2].detail, /uuid:original → uuid:otro/);
+  },
+
+  test4_mod_before_creation: async () => {
+    console.log('Test 4 (MISMA REVISIÓN): ModDate anterior a CreationDate; las zonas horarias se comparan en UTC');
+    const inverted = extractPdfForensics(pdf(original({
+      ...ORIGINAL_INFO,
+      CreationDate: "D:20260301100000Z",
+      ModDate: "D:20260301100000+01'00'"
+    }))).pdf_structure;
+    assert.deepEqual(typesOf(inverted.anomalies), [[PDF_ANOMALIES.MOD_BEFORE_CREATION, 0]]);
+
+    // Misma hora local en otra zona: posterior en UTC → sin anomalía
+    const shifted = extractPdfForensics(pdf(original({
+      ...ORIGINAL_INFO,
+      CreationDate: "D:20260301100000+01'00'",
+      ModDate: "D:20260301100000-05'00'"
+    }))).pdf_structure;
+    assert.deepEqual(shifted.anomalies, []);
+  },
+
+  test5_unreadable_and_encrypted: async () => {
+    console.log('Test 5 (ILEGIBLE): sin cabecera → parse_error; cifrado → revisiones sin Info ni anomalías');
+    const broken = extractPdfForensics(Buffer.from('no es un pdf'));
+    assert.deepEqual(Object.keys(broken), ['pdf_structure']);
+    assert.match(broken.pdf_structure.parse_error, /%PDF/);
+
+    const encrypted = original(ORIGINAL_INFO);
+    encrypted.trailer += ' /Encrypt << /Filter /Standard >>';
+    const structure = extractPdfForensics(pdf(encrypted)).pdf_structure;
+    assert.equal(structure.encrypted, true);
+    assert.equal(structure.revision_count, 1);
+    assert.equal(structure.revisions[0].info, null);
+    assert.equal(structure.page_count, null);
+    assert.deepEqual(structure.anomalies, []);
+  }
+};
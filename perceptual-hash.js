@@ -0,0 +1,265 @@
+// perceptual-hash.js - BLOQUE 3.1 (HUELLAS PERCEPTUALES)
+// pHash / dHash de imagen completa y dHash por ventanas para recortes parciales
+
+import sharp from 'sharp';
+
+// ================================
+// CONSTANTES Y ENUMS (INMUTABLES)
+// ================================
+
+export const PERCEPTUAL_HASH_VERSION = '1.0.0';
+
+export const MATCH_TYPES = Object.freeze({
+  NEAR_DUPLICATE: 'near_duplicate',   // misma imagen recodificada, reescalada o retocada levemente
+  PARTIAL_CROP: 'partial_crop'        // una imagen coincide con una región de la otra
+});
+
+// Distancias de Hamming máximas (sobre 64 bits) para considerar coincidencia
+export const SIMILARITY_THRESHOLDS = Object.freeze({
+  PHASH: 10,
+  DHASH: 10,
+  CROP: 8
+});
+
+// Lado máximo de la imagen reducida de trabajo (escala de grises)
+const WORKING_SIZE = 256;
+
+// Ventanas para recortes: tamaño relativo y 5×5 posiciones equiespaciadas por tamaño
+const WINDOW_SCALES = Object.freeze([0.5, 0.625, 0.75, 0.875]);
+const WINDOW_STEPS = 5;
+
+// Imagen casi uniforme: sus hashes no discriminan (todo coincide con todo)
+const FLAT_STDDEV = 2;
+
+// ================================
+// 🚫 DECLARACIÓN DE NO-DECISIÓN
+// ================================
+
+/*
+ * Una distancia perceptual pequeña indica parecido visual, no copia ni autoría.
+ * Este módulo calcula huellas y distancias; la lectura corresponde al auditor.
+ */
+
+/**
+ * 🧷 Huellas perceptuales de una imagen
+ *
+ * @param {string} filePath - Ruta del archivo temporal
+ * @returns {Promise<Object>} { hash_version, width, height, flat, phash, dhash, block_hashes[{ x, y, w, h, dhash }] }
+ */
+export async function computePerceptualHashes(filePath) {
+  // 1️⃣ Una sola decodificación: orientación EXIF, fondo blanco, escala de grises
+  const { data, info } = await sharp(filePath, { failOn: 'none' })
+    .rotate()
+    .flatten({ background: '#ffffff' })
+    .greyscale()
+    .resize(WORKING_SIZE, WORKING_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const gray = toSingleChannel(data, info);
+  const image = { gray, width: info.width, height: info.height };
+  const full = { x: 0, y: 0, w: 1, h: 1 };
+
+  // 2️⃣ Hashes de la imagen completa
+  const phash = computePhash(image);
+  const dhash = computeDhash(image, full);
+
+  // 3️⃣ dHash por ventanas (detección de recortes)
+  const block_hashes = [];
+  WINDOW_SCALES.forEach(scale => {
+    const offsets = Array.from({ length: WINDOW_STEPS }, (_, step) => round4(((1 - scale) * step) / (WINDOW_STEPS - 1)));
+    offsets.forEach(y => {
+      offsets.forEach(x => {
+        const rect = { x, y, w: scale, h: scale };
+        block_hashes.push({ ...rect, dhash: computeDhash(image, rect) });
+      });
+    });
+  });
+
+  return {
+    hash_version: PERCEPTUAL_HASH_VERSION,
+    width: info.width,
+    height: info.height,
+    flat: standardDeviation(gray) < FLAT_STDDEV,
+    phash,
+    dhash,
+    block_hashes
+  };
+}
+
+/**
+ * 📏 Distancias entre dos juegos de huellas
+ *
+ * crop_distance: mejor coincidencia entre la imagen completa de una y las ventanas de la otra
+ * (en ambos sentidos). match_type es null si ninguna distancia queda bajo su umbral
+ * o si alguna de las dos imágenes es uniforme.
+ *
+ * @param {Object} a - Resultado de computePerceptualHashes
+ * @param {Object} b - Resultado de computePerceptualHashes
+ * @returns {{ phash_distance: number, dhash_distance: number, crop_distance: number, match_type: string|null }}
+ */
+export function compareHashes(a, b) {
+  const phash_distance = hammingDistance(a.phash, b.phash);
+  const dhash_distance = hammingDistance(a.dhash, b.dhash);
+  const crop_distance = Math.min(
+    ...(b.block_hashes || []).map(block => hammingDistance(a.dhash, block.dhash)),
+    ...(a.block_hashes || []).map(block => hammingDistance(b.dhash, block.dhash))
+  );
+
+  let match_type = null;
+  if (!a.flat && !b.flat) {
+    if (phash_distance <= SIMILARITY_THRESHOLDS.PHASH || dhash_distance <= SIMILARITY_THRESHOLDS.DHASH) {
+      match_type = MATCH_TYPES.NEAR_DUPLICATE;
+    } else if (crop_distance <= SIMILARITY_THRESHOLDS.CROP) {
+      match_type = MATCH_TYPES.PARTIAL_CROP;
+    }
+  }
+
+  return { phash_distance, dhash_distance, crop_distance, match_type };
+}
+
+/**
+ * Distancia de Hamming entre dos hashes hexadecimales de igual longitud.
+ */
+export function hammingDistance(hexA, hexB) {
+  let distance = 0;
+  for (let i = 0; i < hexA.length; i++) {
+    let diff = parseInt(hexA[i], 16) ^ parseInt(hexB[i], 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+}
+
+// ================================
+// FUNCIONES AUXILIARES
+// ================================
+
+// pHash: DCT-II 32×32, bloque 8×8 de baja frecuencia, umbral = mediana sin el término DC
+function computePhash(image) {
+  const size = 32;
+  const pixels = resample(image, { x: 0, y: 0, w: 1, h: 1 }, size, size);
+  const dct = dct2d(pixels, size);
+
+  const coefficients = [];
+  for (let v = 0; v < 8; v++) {
+    for (let u = 0; u < 8; u++) {
+      coefficients.push(dct[v * size + u]);
+    }
+  }
+
+  const median = medianOf(coefficients.slice(1));
+  return bitsToHex(coefficients.map(value => value > median));
+}
+
+// dHash: 9×8 píxeles, bit = el píxel es más claro que su vecino derecho
+function computeDhash(image, rect) {
+  const pixels = resample(image, rect, 9, 8);
+  const bits = [];
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      bits.push(pixels[row * 9 + col] > pixels[row * 9 + col + 1]);
+    }
+  }
+  return bitsToHex(bits);
+}
+
+// Reducción por promedio de área de una región relativa (0..1) de la imagen de trabajo
+function resample({ gray, width, height }, rect, outWidth, outHeight) {
+  const output = new Float64Array(outWidth * outHeight);
+  const left = rect.x * width;
+  const top = rect.y * height;
+  const cellWidth = (rect.w * width) / outWidth;
+  const cellHeight = (rect.h * height) / outHeight;
+
+  for (let oy = 0; oy < outHeight; oy++) {
+    const y0 = Math.min(Math.floor(top + oy * cellHeight), height - 1);
+    const y1 = Math.min(Math.max(Math.ceil(top + (oy + 1) * cellHeight), y0 + 1), height);
+
+    for (let ox = 0; ox < outWidth; ox++) {
+      const x0 = Math.min(Math.floor(left + ox * cellWidth), width - 1);
+      const x1 = Math.min(Math.max(Math.ceil(left + (ox + 1) * cellWidth), x0 + 1), width);
+
+      let sum = 0;
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          sum += gray[y * width + x];
+        }
+      }
+      output[oy * outWidth + ox] = sum / ((y1 - y0) * (x1 - x0));
+    }
+  }
+
+  return output;
+}
+
+function dct2d(pixels, size) {
+  const cosines = new Float64Array(size * size);
+  for (let k = 0; k < size; k++) {
+    for (let n = 0; n < size; n++) {
+      cosines[k * size + n] = Math.cos((Math.PI / size) * (n + 0.5) * k);
+    }
+  }
+
+  // Filas y después columnas (DCT separable)
+  const rows = new Float64Array(size * size);
+  for (let y = 0; y < size; y++) {
+    for (let k = 0; k < size; k++) {
+      let sum = 0;
+      for (let n = 0; n < size; n++) sum += pixels[y * size + n] * cosines[k * size + n];
+      rows[y * size + k] = sum;
+    }
+  }
+
+  const output = new Float64Array(size * size);
+  for (let x = 0; x < size; x++) {
+    for (let k = 0; k < size; k++) {
+      let sum = 0;
+      for (let n = 0; n < size; n++) sum += rows[n * size + x] * cosines[k * size + n];
+      output[k * size + x] = sum;
+    }
+  }
+
+  return output;
+}
+
+function toSingleChannel(data, info) {
+  if (info.channels === 1) return data;
+
+  const gray = new Uint8Array(info.width * info.height);
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = data[i * info.channels];
+  }
+  return gray;
+}
+
+function bitsToHex(bits) {
+  let hex = '';
+  for (let i = 0; i < bits.length; i += 4) {
+    hex += ((bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3]).toString(16);
+  }
+  return hex;
+}
+
+function medianOf(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function standardDeviation(values) {
+  let sum = 0;
+  let squares = 0;
+  for (const value of values) {
+    sum += value;
+    squares += value * value;
+  }
+  const mean = sum / values.length;
+  return Math.sqrt(Math.max(squares / values.length - mean * mean, 0));
+}
+
+function round4(value) {
+  return Math.round(value * 10000) / 10000;
+}
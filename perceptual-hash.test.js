@@ -0,0 +1,129 @@
+// perceptual-hash.test.js - TESTS DE HUELLAS PERCEPTUALES
+// Distancia de Hamming, umbrales pHash / dHash / recorte y tipo de coincidencia sobre imágenes sintéticas
+
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import {
+  computePerceptualHashes,
+  compareHashes,
+  hammingDistance,
+  SIMILARITY_THRESHOLDS,
+  MATCH_TYPES
+} from './perceptual-hash.js';
+
+const WIDTH = 480;
+const HEIGHT = 360;
+
+// Imagen determinista con estructura a varias escalas (ondas + manchas), RGB crudo
+function synthetic(seed) {
+  const data = Buffer.alloc(WIDTH * HEIGHT * 3);
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      const wave = Math.sin((x + seed * 37) / (23 + seed)) * Math.cos((y - seed * 11) / (17 + seed * 2));
+      const blob = Math.sin((x * y) / (2900 + seed * 400));
+      const value = Math.round(127 + 80 * wave + 45 * blob);
+      const offset = (y * WIDTH + x) * 3;
+      data[offset] = value;
+      data[offset + 1] = 255 - value;
+      data[offset + 2] = (value + x) & 0xff;
+    }
+  }
+  return sharp(data, { raw: { width: WIDTH, height: HEIGHT, channels: 3 } });
+}
+
+// Escribe cada variante en un directorio temporal y devuelve sus huellas
+async function hashesOf(images) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aura-test-'));
+  try {
+    const result = {};
+    for (const [name, image] of Object.entries(images)) {
+      const file = path.join(dir, `${name}.png`);
+      await image.png().toFile(file);
+      result[name] = await computePerceptualHashes(file);
+    }
+    return result;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// Huellas sintéticas para fijar las distancias exactas frente a los umbrales
+const fingerprint = (phash, dhash, blocks = [], flat = false) => ({ phash, dhash, flat, block_hashes: blocks.map(block => ({ dhash: block })) });
+const withBits = (bits) => (bits === 0n ? 0n : (1n << BigInt(bits)) - 1n).toString(16).padStart(16, '0');
+
+export const perceptualHashTests = {
+  test1_hamming_distance: async () => {
+    console.log('Test 1 (HAMMING): bits distintos entre hashes hexadecimales de 64 bits');
+    assert.equal(hammingDistance('0000000000000000', '0000000000000000'), 0);
+    assert.equal(hammingDistance('0000000000000000', 'ffffffffffffffff'), 64);
+    assert.equal(hammingDistance('f0f0f0f0f0f0f0f0', '0f0f0f0f0f0f0f0f'), 64);
+    assert.equal(hammingDistance('8000000000000001', '0000000000000000'), 2);
+    assert.equal(hammingDistance(withBits(10), withBits(0)), 10);
+  },
+
+  test2_thresholds: async () => {
+    console.log('Test 2 (UMBRALES): pHash ≤ 10 o dHash ≤ 10 → casi duplicado; si no, recorte ≤ 8 → recorte parcial');
+    const zero = withBits(0);
+    const far = 'ffffffffffffffff';
+
+    const atPhash = compareHashes(fingerprint(zero, zero), fingerprint(withBits(SIMILARITY_THRESHOLDS.PHASH), far));
+    assert.deepEqual([atPhash.phash_distance, atPhash.match_type], [10, MATCH_TYPES.NEAR_DUPLICATE]);
+
+    const atDhash = compareHashes(fingerprint(zero, zero), fingerprint(far, withBits(SIMILARITY_THRESHOLDS.DHASH)));
+    assert.deepEqual([atDhash.dhash_distance, atDhash.match_type], [10, MATCH_TYPES.NEAR_DUPLICATE]);
+
+    const beyond = compareHashes(fingerprint(zero, zero), fingerprint(withBits(11), withBits(11)));
+    assert.equal(beyond.match_type, null);
+
+    // Recorte: la imagen completa de una frente a las ventanas de la otra, en ambos sentidos
+    const crop = compareHashes(fingerprint(zero, zero), fingerprint(far, far, [far, withBits(SIMILARITY_THRESHOLDS.CROP)]));
+    assert.deepEqual([crop.crop_distance, crop.match_type], [8, MATCH_TYPES.PARTIAL_CROP]);
+
+    const reverse = compareHashes(fingerprint(far, far, [withBits(3)]), fingerprint(zero, zero));
+    assert.deepEqual([reverse.crop_distance, reverse.match_type], [3, MATCH_TYPES.PARTIAL_CROP]);
+
+    const cropBeyond = compareHashes(fingerprint(zero, zero), fingerprint(far, far, [withBits(9)]));
+    assert.equal(cropBeyond.match_type, null);
+  },
+
+  test3_flat_images_never_match: async () => {
+    console.log('Test 3 (UNIFORME): una imagen uniforme no coincide con nada aunque las distancias sean 0');
+    const zero = withBits(0);
+    const result = compareHashes(fingerprint(zero, zero, [zero], true), fingerprint(zero, zero, [zero]));
+
+    assert.deepEqual(result, { phash_distance: 0, dhash_distance: 0, crop_distance: 0, match_type: null });
+
+    const hashes = await hashesOf({ flat: sharp({ create: { width: 64, height: 64, channels: 3, background: '#808080' } }) });
+    assert.equal(hashes.flat.flat, true);
+  },
+
+  test4_real_images: async () => {
+    console.log('Test 4 (IMÁGENES): recodificada y reescalada → casi duplicado; recorte → recorte parcial; otra → sin coincidencia');
+    const original = await synthetic(1).png().toBuffer();
+    const hashes = await hashesOf({
+      original: sharp(original),
+      resized: sharp(original).resize(240, 180).jpeg({ quality: 70 }),
+      cropped: sharp(original).extract({ left: 0, top: 0, width: WIDTH * 0.75, height: HEIGHT * 0.75 }),
+      other: synthetic(7)
+    });
+
+    assert.equal(hashes.original.phash.length, 16);
+    assert.equal(hashes.original.dhash.length, 16);
+    assert.equal(hashes.original.block_hashes.length, 4 * 5 * 5);
+    assert.equal(hashes.original.flat, false);
+
+    const resized = compareHashes(hashes.original, hashes.resized);
+    assert.equal(resized.match_type, MATCH_TYPES.NEAR_DUPLICATE, JSON.stringify(resized));
+
+    const cropped = compareHashes(hashes.original, hashes.cropped);
+    assert.ok(cropped.crop_distance <= SIMILARITY_THRESHOLDS.CROP, JSON.stringify(cropped));
+    assert.ok(cropped.crop_distance < cropped.dhash_distance, JSON.stringify(cropped));
+    assert.equal(cropped.match_type, MATCH_TYPES.PARTIAL_CROP, JSON.stringify(cropped));
+
+    const other = compareHashes(hashes.original, hashes.other);
+    assert.equal(other.match_type, null, JSON.stringify(other));
+  }
+};
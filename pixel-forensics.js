@@ -0,0 +1,405 @@
+// pixel-forensics.js - BLOQUE 3.2 (MEDIDAS A NIVEL DE PÍXEL)
+// Residuo de ruido de alta frecuencia y espectro de potencia 2D (FFT) con perfil azimutal
+
+import sharp from 'sharp';
+
+// ================================
+// CONSTANTES Y ENUMS (INMUTABLES)
+// ================================
+
+export const PIXEL_FORENSICS_VERSION = '1.0.0';
+
+// Ventana de análisis: recorte central sin reescalar (reescalar borra las huellas de remuestreo)
+const ANALYSIS_SIZE = 512;
+const MIN_ANALYSIS_SIZE = 64;
+
+// Bloques para la uniformidad del ruido local
+const NOISE_BLOCK = 32;
+
+// Perfil azimutal (anillos de frecuencia entre 0 y Nyquist) e imagen de espectro reducida
+const RADIAL_BINS = 64;
+const SPECTRUM_IMAGE_SIZE = 64;
+
+// Periodos de remuestreo típicos de decodificadores (×2, ×4, ×8) y umbral de pico
+export const UPSAMPLING_PERIODS = Object.freeze([2, 4, 8]);
+export const PEAK_RATIO_THRESHOLD = 5;
+
+// ================================
+// 🚫 DECLARACIÓN DE NO-DECISIÓN
+// ================================
+
+/*
+ * Medidas físicas reproducibles de la imagen, sin modelos ni red.
+ * Un pico periódico puede venir de un decodificador generativo, de la compresión JPEG
+ * (periodo 8 y sus armónicos), del interpolado de color
+ * de la cámara (periodo 2), de un reescalado o de la trama de impresión de un escaneo.
+ * Este módulo mide; no atribuye el origen.
+ */
+
+/**
+ * 🔬 Residuo de ruido y espectro de frecuencias de una imagen
+ *
+ * @param {string} filePath - Ruta del archivo temporal
+ * @param {string} mimeType - MIME detectado (en image/jpeg los periodos 2/4/8 son armónicos de la rejilla 8×8)
+ * @returns {Promise<Object>} { forensics_version, window, noise_residual, spectrum }
+ */
+export async function analyzePixelForensics(filePath, mimeType) {
+  // 1️⃣ Luminancia a resolución nativa (orientación EXIF aplicada, alfa sobre blanco)
+  const { data, info } = await sharp(filePath, { failOn: 'none' })
+    .rotate()
+    .flatten({ background: '#ffffff' })
+    .greyscale()
+    .extractChannel(0)
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const size = largestPowerOfTwo(Math.min(info.width, info.height, ANALYSIS_SIZE));
+  if (size < MIN_ANALYSIS_SIZE) {
+    throw new Error(`Imagen demasiado pequeña para análisis espectral (${info.width}×${info.height})`);
+  }
+
+  const left = Math.floor((info.width - size) / 2);
+  const top = Math.floor((info.height - size) / 2);
+  const luma = new Float64Array(size * size);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      luma[y * size + x] = data[(top + y) * info.width + left + x];
+    }
+  }
+
+  // 2️⃣ Residuo de alta frecuencia (laplaciano de 4 vecinos)
+  const residual = highPassResidual(luma, size);
+
+  // 3️⃣ Espectros de potencia (ventana de Hann, FFT 2D): del residuo y de su magnitud.
+  // El remuestreo hace periódica la energía del residuo, no su signo: los picos se buscan en |residuo|
+  const power = powerSpectrum(residual, size);
+  const energyPower = powerSpectrum(centeredMagnitude(residual, size), size);
+
+  return {
+    forensics_version: PIXEL_FORENSICS_VERSION,
+    window: { width: info.width, height: info.height, size, left, top },
+    noise_residual: residualStatistics(residual, size),
+    spectrum: await spectrumFeatures(power, energyPower, size, mimeType === 'image/jpeg')
+  };
+}
+
+// ================================
+// RESIDUO DE RUIDO
+// ================================
+
+function highPassResidual(luma, size) {
+  const residual = new Float64Array(size * size);
+  for (let y = 1; y < size - 1; y++) {
+    for (let x = 1; x < size - 1; x++) {
+      const index = y * size + x;
+      residual[index] = luma[index] -
+        (luma[index - 1] + luma[index + 1] + luma[index - size] + luma[index + size]) / 4;
+    }
+  }
+  return residual;
+}
+
+function centeredMagnitude(residual, size) {
+  const magnitude = new Float64Array(size * size);
+  let sum = 0, count = 0;
+  for (let y = 1; y < size - 1; y++) {
+    for (let x = 1; x < size - 1; x++) {
+      magnitude[y * size + x] = Math.abs(residual[y * size + x]);
+      sum += magnitude[y * size + x];
+      count++;
+    }
+  }
+  const mean = sum / count;
+  for (let y = 1; y < size - 1; y++) {
+    for (let x = 1; x < size - 1; x++) magnitude[y * size + x] -= mean;
+  }
+  return magnitude;
+}
+
+function residualStatistics(residual, size) {
+  const interior = [];
+  for (let y = 1; y < size - 1; y++) {
+    for (let x = 1; x < size - 1; x++) interior.push(residual[y * size + x]);
+  }
+
+  const mean = interior.reduce((sum, value) => sum + value, 0) / interior.length;
+  let m2 = 0, m3 = 0, m4 = 0;
+  interior.forEach(value => {
+    const d = value - mean;
+    m2 += d * d;
+    m3 += d * d * d;
+    m4 += d * d * d * d;
+  });
+  m2 /= interior.length;
+  m3 /= interior.length;
+  m4 /= interior.length;
+  const std = Math.sqrt(m2);
+
+  // Desviación local por bloques: el ruido de sensor varía con la luminancia y la textura
+  const blockStds = [];
+  for (let top = 1; top + NOISE_BLOCK < size; top += NOISE_BLOCK) {
+    for (let left = 1; left + NOISE_BLOCK < size; left += NOISE_BLOCK) {
+      let sum = 0, squares = 0;
+      for (let y = top; y < top + NOISE_BLOCK; y++) {
+        for (let x = left; x < left + NOISE_BLOCK; x++) {
+          const value = residual[y * size + x];
+          sum += value;
+          squares += value * value;
+        }
+      }
+      const count = NOISE_BLOCK * NOISE_BLOCK;
+      blockStds.push(Math.sqrt(Math.max(squares / count - (sum / count) ** 2, 0)));
+    }
+  }
+  const blockMean = blockStds.reduce((sum, value) => sum + value, 0) / blockStds.length;
+  const blockSpread = Math.sqrt(blockStds.reduce((sum, value) => sum + (value - blockMean) ** 2, 0) / blockStds.length);
+
+  return {
+    std: round4(std),
+    skewness: round4(m2 > 0 ? m3 / std ** 3 : 0),
+    kurtosis: round4(m2 > 0 ? m4 / (m2 * m2) : 0),
+    lag1_autocorrelation: {
+      horizontal: round4(lagCorrelation(residual, size, 1, 0, mean, m2)),
+      vertical: round4(lagCorrelation(residual, size, 0, 1, mean, m2))
+    },
+    block_std_mean: round4(blockMean),
+    block_std_cv: round4(blockMean > 0 ? blockSpread / blockMean : 0),
+    blocks: blockStds.length
+  };
+}
+
+function lagCorrelation(residual, size, dx, dy, mean, variance) {
+  if (variance === 0) return 0;
+  let sum = 0, count = 0;
+  for (let y = 1; y < size - 1 - dy; y++) {
+    for (let x = 1; x < size - 1 - dx; x++) {
+      sum += (residual[y * size + x] - mean) * (residual[(y + dy) * size + x + dx] - mean);
+      count++;
+    }
+  }
+  return sum / count / variance;
+}
+
+// ================================
+// ESPECTRO DE FRECUENCIAS
+// ================================
+
+function powerSpectrum(residual, size) {
+  const re = new Float64Array(size * size);
+  const im = new Float64Array(size * size);
+  const hann = Float64Array.from({ length: size }, (_, n) => 0.5 - 0.5 * Math.cos((2 * Math.PI * n) / (size - 1)));
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      re[y * size + x] = residual[y * size + x] * hann[x] * hann[y];
+    }
+  }
+
+  // Filas y columnas (FFT separable)
+  const rowRe = new Float64Array(size);
+  const rowIm = new Float64Array(size);
+  for (let y = 0; y < size; y++) {
+    rowRe.set(re.subarray(y * size, (y + 1) * size));
+    rowIm.set(im.subarray(y * size, (y + 1) * size));
+    fft(rowRe, rowIm);
+    re.set(rowRe, y * size);
+    im.set(rowIm, y * size);
+  }
+  for (let x = 0; x < size; x++) {
+    for (let y = 0; y < size; y++) {
+      rowRe[y] = re[y * size + x];
+      rowIm[y] = im[y * size + x];
+    }
+    fft(rowRe, rowIm);
+    for (let y = 0; y < size; y++) {
+      re[y * size + x] = rowRe[y];
+      im[y * size + x] = rowIm[y];
+    }
+  }
+
+  const power = new Float64Array(size * size);
+  for (let i = 0; i < power.length; i++) power[i] = re[i] * re[i] + im[i] * im[i];
+  return power;
+}
+
+// FFT radix-2 iterativa in situ
+function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let length = 2; length <= n; length <<= 1) {
+    const angle = (-2 * Math.PI) / length;
+    const stepRe = Math.cos(angle);
+    const stepIm = Math.sin(angle);
+    for (let start = 0; start < n; start += length) {
+      let wRe = 1, wIm = 0;
+      for (let k = 0; k < length / 2; k++) {
+        const a = start + k;
+        const b = a + length / 2;
+        const tRe = re[b] * wRe - im[b] * wIm;
+        const tIm = re[b] * wIm + im[b] * wRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+        const nextRe = wRe * stepRe - wIm * stepIm;
+        wIm = wRe * stepIm + wIm * stepRe;
+        wRe = nextRe;
+      }
+    }
+  }
+}
+
+async function spectrumFeatures(power, energyPower, size, isJpeg) {
+  const half = size / 2;
+
+  // Frecuencia con signo de cada índice (0..N-1 → -N/2..N/2-1)
+  const frequency = (index) => (index < half ? index : index - size);
+
+  // 1️⃣ Perfil azimutal: potencia media por anillo de radio normalizado (0 = DC, 1 = Nyquist)
+  const sums = new Float64Array(RADIAL_BINS);
+  const counts = new Uint32Array(RADIAL_BINS);
+  const ringValues = new Map();   // radio entero → potencias de |residuo| (mediana del anillo para los picos)
+  let totalPower = 0;
+  let highPower = 0;
+
+  for (let v = 0; v < size; v++) {
+    for (let u = 0; u < size; u++) {
+      if (u === 0 && v === 0) continue;
+      const radius = Math.hypot(frequency(u), frequency(v));
+      if (radius > half) continue;
+
+      const value = power[v * size + u];
+      const bin = Math.min(Math.floor((radius / half) * RADIAL_BINS), RADIAL_BINS - 1);
+      sums[bin] += value;
+      counts[bin]++;
+      totalPower += value;
+      if (radius > half / 2) highPower += value;
+
+      const ring = Math.round(radius);
+      if (!ringValues.has(ring)) ringValues.set(ring, []);
+      ringValues.get(ring).push(energyPower[v * size + u]);
+    }
+  }
+
+  const radial_profile = Array.from(sums, (sum, bin) => round4(counts[bin] ? Math.log10(sum / counts[bin] + 1e-12) : 0));
+  const ringMedians = new Map([...ringValues].map(([ring, values]) => [ring, medianOf(values)]));
+
+  // 2️⃣ Picos periódicos de |residuo| en N/p sobre ejes y diagonales (p = periodo de remuestreo)
+  const peaks = [];
+  UPSAMPLING_PERIODS.forEach(period => {
+    const offset = size / period;
+    const candidates = [[offset, 0], [0, offset], [offset, offset], [offset, -offset]];
+
+    candidates.forEach(([fu, fv]) => {
+      const u = (fu + size) % size;
+      const v = (fv + size) % size;
+      const peak = maxAround(energyPower, size, u, v);
+      const median = ringMedians.get(Math.round(Math.hypot(fu, fv))) ?? 0;
+      const ratio = median > 0 ? peak / median : 0;
+
+      if (ratio >= PEAK_RATIO_THRESHOLD) {
+        peaks.push({
+          period,
+          direction: fv === 0 ? 'horizontal' : fu === 0 ? 'vertical' : 'diagonal',
+          ratio: round4(ratio),
+          jpeg_grid_harmonic: isJpeg && 8 % period === 0
+        });
+      }
+    });
+  });
+
+  // 3️⃣ Pendiente log-log del perfil (imágenes naturales ≈ ley de potencia)
+  const slope = spectralSlope(sums, counts);
+
+  return {
+    radial_bins: RADIAL_BINS,
+    radial_profile,
+    high_frequency_ratio: round4(totalPower > 0 ? highPower / totalPower : 0),
+    spectral_slope: round4(slope),
+    peak_ratio_threshold: PEAK_RATIO_THRESHOLD,
+    jpeg_block_grid: isJpeg,
+    periodic_peaks: peaks,
+    spectrum_image: await spectrumImage(power, size)
+  };
+}
+
+function maxAround(power, size, u, v) {
+  let best = 0;
+  for (let dv = -1; dv <= 1; dv++) {
+    for (let du = -1; du <= 1; du++) {
+      const value = power[((v + dv + size) % size) * size + ((u + du + size) % size)];
+      if (value > best) best = value;
+    }
+  }
+  return best;
+}
+
+function spectralSlope(sums, counts) {
+  const points = [];
+  for (let bin = 1; bin < RADIAL_BINS; bin++) {
+    if (counts[bin] && sums[bin] > 0) {
+      points.push([Math.log10((bin + 0.5) / RADIAL_BINS), Math.log10(sums[bin] / counts[bin])]);
+    }
+  }
+  if (points.length < 2) return 0;
+
+  const meanX = points.reduce((sum, [x]) => sum + x, 0) / points.length;
+  const meanY = points.reduce((sum, [, y]) => sum + y, 0) / points.length;
+  const covariance = points.reduce((sum, [x, y]) => sum + (x - meanX) * (y - meanY), 0);
+  const variance = points.reduce((sum, [x]) => sum + (x - meanX) ** 2, 0);
+  return variance > 0 ? covariance / variance : 0;
+}
+
+// Log-potencia centrada (DC en el centro), reducida por promedio y normalizada a 8 bits
+async function spectrumImage(power, size) {
+  const cell = size / SPECTRUM_IMAGE_SIZE;
+  const reduced = new Float64Array(SPECTRUM_IMAGE_SIZE * SPECTRUM_IMAGE_SIZE);
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const shiftedY = (y + size / 2) % size;
+      const shiftedX = (x + size / 2) % size;
+      const index = Math.floor(shiftedY / cell) * SPECTRUM_IMAGE_SIZE + Math.floor(shiftedX / cell);
+      reduced[index] += Math.log10(power[y * size + x] + 1);
+    }
+  }
+
+  const min = Math.min(...reduced);
+  const max = Math.max(...reduced);
+  const pixels = Buffer.from(Array.from(reduced, value => (max > min ? Math.round(((value - min) / (max - min)) * 255) : 0)));
+
+  const png = await sharp(pixels, { raw: { width: SPECTRUM_IMAGE_SIZE, height: SPECTRUM_IMAGE_SIZE, channels: 1 } })
+    .png()
+    .toBuffer();
+
+  return `data:image/png;base64,${png.toString('base64')}`;
+}
+
+// ================================
+// FUNCIONES AUXILIARES
+// ================================
+
+function largestPowerOfTwo(value) {
+  let power = 1;
+  while (power * 2 <= value) power *= 2;
+  return power;
+}
+
+function medianOf(values) {
+  const sorted = Float64Array.from(values).sort();
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function round4(value) {
+  return Math.round(value * 10000) / 10000;
+}
@@ -0,0 +1,284 @@
+// process-progression.js - BLOQUE 3.1 (PROGRESIÓN DEL PROCESO)
+// Estados intermedios alineados con la imagen final y similitud estructural (SSIM) por etapa
+
+import sharp from 'sharp';
+import fs from 'fs/promises';
+import { createSafeFetcher } from './safe-fetch.js';
+import { EVIDENCE_STAGES, STAGE_RANK, compareStages } from './timeline.js';
+
+// ================================
+// CONSTANTES Y ENUMS (INMUTABLES)
+// ================================
+
+export const PROGRESSION_VERSION = '1.0.0';
+
+export const PROGRESSION_PATTERNS = Object.freeze({
+  PROGRESSIVE: 'PROGRESSIVE',                     // cada etapa se acerca a la final
+  NON_MONOTONIC: 'NON_MONOTONIC',                 // alguna etapa se aleja de la final respecto a la anterior
+  INSUFFICIENT_STAGES: 'INSUFFICIENT_STAGES'      // sin final o sin estados intermedios analizables
+});
+
+export const PROGRESSION_INDICATORS = Object.freeze({
+  FIRST_STAGE_CONTAINS_FINAL: 'FIRST_STAGE_CONTAINS_FINAL',   // la primera etapa ya tiene la composición terminada (overpainting)
+  STAGE_NEAR_COPY_OF_FINAL: 'STAGE_NEAR_COPY_OF_FINAL',       // etapa intermedia prácticamente idéntica a la final
+  STAGE_REGRESSION: 'STAGE_REGRESSION'                        // etapa más lejos de la final que la anterior
+});
+
+export const PROGRESSION_SKIPS = Object.freeze({
+  NOT_EXTRACTED: 'NOT_EXTRACTED',           // evidencia sin fila en evidence_metadata
+  NOT_STAGED: 'NOT_STAGED',                 // evidencia sin etapa declarada o de referencia
+  DOWNLOAD_REFUSED: 'DOWNLOAD_REFUSED',
+  CONTENT_MISMATCH: 'CONTENT_MISMATCH',     // el archivo no es el extraído (content_sha256 distinto)
+  UNDECODABLE_IMAGE: 'UNDECODABLE_IMAGE'
+});
+
+// Umbrales de SSIM (0..1) sobre imágenes alineadas
+const FIRST_STAGE_MAX_SIMILARITY = 0.75;
+const NEAR_COPY_SIMILARITY = 0.97;
+const REGRESSION_TOLERANCE = 0.05;
+
+// Rejilla de trabajo y búsqueda de alineación (traslación en píxeles de la rejilla y escala)
+const GRID_SIZE = 128;
+const MAX_SHIFT = 8;
+const SHIFT_STEP = 2;
+const ALIGNMENT_SCALES = Object.freeze([0.9, 0.925, 0.95, 0.975, 1, 1.025, 1.05, 1.075, 1.1]);
+
+// Ventanas SSIM
+const SSIM_WINDOW = 8;
+const SSIM_STRIDE = 4;
+const SSIM_C1 = (0.01 * 255) ** 2;
+const SSIM_C2 = (0.03 * 255) ** 2;
+
+const evidenceFetcher = createSafeFetcher(process.env);
+
+// ================================
+// 🚫 DECLARACIÓN DE NO-DECISIÓN
+// ================================
+
+/*
+ * Canon GIT 0: el registro de estados intermedios sirve para descartar overpainting
+ * sobre bases generadas. Este módulo mide cuánto se parece cada etapa a la final;
+ * una primera etapa ya terminada es un INDICADOR para el revisor, no una conclusión.
+ * La alineación solo corrige encuadre (traslación y escala), no perspectiva:
+ * fotos de soporte físico muy inclinadas reducen la similitud medida.
+ */
+
+/**
+ * 🎞️ Progresión de etapas del proceso hacia la imagen final
+ *
+ * @param {Array<Object>} evidences - { evidence_id, stage, sequence, file_url, content_sha256 }
+ * @returns {Promise<Object>} { progression_version, final_evidence_id, pattern, stages, indicators, skipped }
+ */
+export async function analyzeProcessProgression(evidences) {
+  const skipped = [];
+
+  // 1️⃣ Solo etapas del proceso, en orden canónico (sketch → process → final)
+  const staged = evidences
+    .filter(evidence => {
+      if (STAGE_RANK[evidence.stage]) return true;
+      skipped.push({ evidence_id: evidence.evidence_id, reason: PROGRESSION_SKIPS.NOT_STAGED });
+      return false;
+    })
+    .sort(compareStages);
+
+  // 2️⃣ Descarga y decodificación a la rejilla común
+  const loaded = [];
+  for (const evidence of staged) {
+    const { grid, skip } = await loadGrid(evidence);
+    if (skip) {
+      skipped.push({ evidence_id: evidence.evidence_id, ...skip });
+    } else {
+      loaded.push({ ...evidence, grid });
+    }
+  }
+
+  // La final de referencia es la última etapa final en orden
+  const final = loaded.filter(evidence => evidence.stage === EVIDENCE_STAGES.FINAL).pop() || null;
+  const intermediates = loaded.filter(evidence => evidence.stage !== EVIDENCE_STAGES.FINAL);
+
+  if (!final || intermediates.length === 0) {
+    return {
+      progression_version: PROGRESSION_VERSION,
+      final_evidence_id: final?.evidence_id ?? null,
+      pattern: PROGRESSION_PATTERNS.INSUFFICIENT_STAGES,
+      stages: [],
+      indicators: [],
+      skipped
+    };
+  }
+
+  // 3️⃣ Alineación con la final y SSIM por etapa
+  const stages = intermediates.map(evidence => {
+    const { ssim, alignment } = alignAndCompare(evidence.grid, final.grid);
+    return {
+      evidence_id: evidence.evidence_id,
+      stage: evidence.stage,
+      sequence: evidence.sequence ?? null,
+      ssim_to_final: round3(ssim),
+      alignment
+    };
+  });
+
+  // 4️⃣ Indicadores
+  const indicators = [];
+
+  if (stages[0].ssim_to_final >= FIRST_STAGE_MAX_SIMILARITY) {
+    indicators.push({
+      type: PROGRESSION_INDICATORS.FIRST_STAGE_CONTAINS_FINAL,
+      evidence_id: stages[0].evidence_id,
+      detail: `SSIM ${stages[0].ssim_to_final} ≥ ${FIRST_STAGE_MAX_SIMILARITY} en la primera etapa`
+    });
+  }
+
+  stages.filter(stage => stage.ssim_to_final >= NEAR_COPY_SIMILARITY).forEach(stage => {
+    indicators.push({
+      type: PROGRESSION_INDICATORS.STAGE_NEAR_COPY_OF_FINAL,
+      evidence_id: stage.evidence_id,
+      detail: `SSIM ${stage.ssim_to_final} ≥ ${NEAR_COPY_SIMILARITY}`
+    });
+  });
+
+  stages.slice(1).forEach((stage, index) => {
+    const previous = stages[index];
+    if (stage.ssim_to_final < previous.ssim_to_final - REGRESSION_TOLERANCE) {
+      indicators.push({
+        type: PROGRESSION_INDICATORS.STAGE_REGRESSION,
+        evidence_id: stage.evidence_id,
+        detail: `SSIM ${stage.ssim_to_final} < ${previous.ssim_to_final} de ${previous.evidence_id}`
+      });
+    }
+  });
+
+  const regressed = indicators.some(indicator => indicator.type === PROGRESSION_INDICATORS.STAGE_REGRESSION);
+
+  return {
+    progression_version: PROGRESSION_VERSION,
+    final_evidence_id: final.evidence_id,
+    pattern: regressed ? PROGRESSION_PATTERNS.NON_MONOTONIC : PROGRESSION_PATTERNS.PROGRESSIVE,
+    stages,
+    indicators,
+    skipped
+  };
+}
+
+// ================================
+// FUNCIONES AUXILIARES
+// ================================
+
+async function loadGrid(evidence) {
+  const { data: download, error } = await evidenceFetcher.download(evidence.file_url);
+  if (error) {
+    return { skip: { reason: PROGRESSION_SKIPS.DOWNLOAD_REFUSED, detail: `${error.reason}: ${error.message}` } };
+  }
+
+  try {
+    if (evidence.content_sha256 && download.sha256 !== evidence.content_sha256) {
+      return { skip: { reason: PROGRESSION_SKIPS.CONTENT_MISMATCH, detail: `sha256 ${download.sha256}` } };
+    }
+
+    const { data } = await sharp(download.path, { failOn: 'none' })
+      .rotate()
+      .flatten({ background: '#ffffff' })
+      .greyscale()
+      .resize(GRID_SIZE, GRID_SIZE, { fit: 'fill' })
+      .extractChannel(0)
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    return { grid: data };
+  } catch (error) {
+    return { skip: { reason: PROGRESSION_SKIPS.UNDECODABLE_IMAGE, detail: error.message } };
+  } finally {
+    await fs.unlink(download.path).catch(() => {});
+  }
+}
+
+// Búsqueda exhaustiva de escala y traslación (la final queda fija), refinada a 1 px
+function alignAndCompare(stageGrid, finalGrid) {
+  let best = { ssim: -1, alignment: null };
+
+  const tryAlignment = (scale, dx, dy) => {
+    const ssim = structuralSimilarity(warp(stageGrid, scale, dx, dy), finalGrid);
+    if (ssim > best.ssim) {
+      best = { ssim, alignment: { dx, dy, scale, grid_size: GRID_SIZE } };
+    }
+  };
+
+  ALIGNMENT_SCALES.forEach(scale => {
+    for (let dy = -MAX_SHIFT; dy <= MAX_SHIFT; dy += SHIFT_STEP) {
+      for (let dx = -MAX_SHIFT; dx <= MAX_SHIFT; dx += SHIFT_STEP) {
+        tryAlignment(scale, dx, dy);
+      }
+    }
+  });
+
+  const { scale, dx, dy } = best.alignment;
+  for (let refineY = dy - 1; refineY <= dy + 1; refineY++) {
+    for (let refineX = dx - 1; refineX <= dx + 1; refineX++) {
+      tryAlignment(scale, refineX, refineY);
+    }
+  }
+
+  return best;
+}
+
+// Remuestreo por vecino más próximo con bordes replicados
+function warp(grid, scale, dx, dy) {
+  const center = (GRID_SIZE - 1) / 2;
+  const output = new Uint8Array(GRID_SIZE * GRID_SIZE);
+
+  for (let y = 0; y < GRID_SIZE; y++) {
+    const sourceY = clamp(Math.round((y - center) / scale + center - dy), 0, GRID_SIZE - 1);
+    for (let x = 0; x < GRID_SIZE; x++) {
+      const sourceX = clamp(Math.round((x - center) / scale + center - dx), 0, GRID_SIZE - 1);
+      output[y * GRID_SIZE + x] = grid[sourceY * GRID_SIZE + sourceX];
+    }
+  }
+
+  return output;
+}
+
+// SSIM medio sobre ventanas cuadradas
+function structuralSimilarity(a, b) {
+  const area = SSIM_WINDOW * SSIM_WINDOW;
+  let total = 0;
+  let windows = 0;
+
+  for (let top = 0; top + SSIM_WINDOW <= GRID_SIZE; top += SSIM_STRIDE) {
+    for (let left = 0; left + SSIM_WINDOW <= GRID_SIZE; left += SSIM_STRIDE) {
+      let sumA = 0, sumB = 0, sumAA = 0, sumBB = 0, sumAB = 0;
+
+      for (let y = top; y < top + SSIM_WINDOW; y++) {
+        for (let x = left; x < left + SSIM_WINDOW; x++) {
+          const va = a[y * GRID_SIZE + x];
+          const vb = b[y * GRID_SIZE + x];
+          sumA += va;
+          sumB += vb;
+          sumAA += va * va;
+          sumBB += vb * vb;
+          sumAB += va * vb;
+        }
+      }
+
+      const meanA = sumA / area;
+      const meanB = sumB / area;
+      const varA = sumAA / area - meanA * meanA;
+      const varB = sumBB / area - meanB * meanB;
+      const covariance = sumAB / area - meanA * meanB;
+
+      total += ((2 * meanA * meanB + SSIM_C1) * (2 * covariance + SSIM_C2)) /
+        ((meanA * meanA + meanB * meanB + SSIM_C1) * (varA + varB + SSIM_C2));
+      windows++;
+    }
+  }
+
+  return total / windows;
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+function round3(value) {
+  return Math.round(value * 1000) / 1000;
+}
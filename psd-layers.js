@@ -0,0 +1,348 @@
+// psd-layers.js - BLOQUE 3.1 (ESTRUCTURA DE CAPAS PSD/PSB)
+// Lectura de la sección "Layer and Mask Information" de Photoshop
+
+// ================================
+// CONSTANTES Y ENUMS (INMUTABLES)
+// ================================
+
+export const PSD_PARSER_VERSION = '1.0.0';
+
+export const LAYER_TYPES = Object.freeze({
+  PIXEL: 'pixel',
+  ADJUSTMENT: 'adjustment',
+  FILL: 'fill',
+  TYPE: 'type',
+  SMART_OBJECT: 'smart_object',
+  GROUP: 'group'
+});
+
+const COLOR_MODES = Object.freeze({
+  0: 'bitmap', 1: 'grayscale', 2: 'indexed', 3: 'rgb',
+  4: 'cmyk', 7: 'multichannel', 8: 'duotone', 9: 'lab'
+});
+
+// Claves de "additional layer information" por tipo de capa
+const ADJUSTMENT_KEYS = Object.freeze([
+  'levl', 'curv', 'brit', 'blnc', 'hue ', 'hue2', 'selc', 'mixr', 'grdm', 'thrs',
+  'post', 'nvrt', 'phfl', 'vibA', 'expA', 'clrL', 'blwh'
+]);
+const FILL_KEYS = Object.freeze(['SoCo', 'GdFl', 'PtFl']);
+const SMART_OBJECT_KEYS = Object.freeze(['SoLd', 'SoLE', 'PlLd', 'plLd']);
+const TYPE_KEYS = Object.freeze(['TySh', 'tySh']);
+
+// Claves con longitud de 8 bytes en PSB
+const PSB_LONG_KEYS = Object.freeze([
+  'LMsk', 'Lr16', 'Lr32', 'Layr', 'Mt16', 'Mt32', 'Mtrn', 'Alph', 'FMsk', 'lnk2', 'FEid', 'FXid', 'PxSD'
+]);
+
+// Rastros textuales de Generative Fill / Firefly en descriptores de capa o XMP
+const GENERATIVE_MARKERS = /generative\s*(fill|expand|layer)|firefly|genfill|generativeAI/i;
+
+const IMAGE_RESOURCE_XMP = 1060;
+const MAX_LAYERS_LISTED = 500;
+
+// ================================
+// 🚫 DECLARACIÓN DE NO-DECISIÓN
+// ================================
+
+/*
+ * La estructura de capas es un hecho técnico del archivo fuente.
+ * Este módulo NO decide autoría: un archivo con capas puede fabricarse
+ * y uno acoplado puede ser legítimo. Solo resume lo que contiene el archivo.
+ * Los rastros de Generative Fill se detectan por texto en descriptores o nombres de capa (heurística declarada).
+ */
+
+/**
+ * 🗂️ Resumen de la estructura de capas de un PSD/PSB
+ *
+ * @param {Buffer} buffer - Contenido del archivo
+ * @returns {Object} Resumen de capas (o { parse_error } si el archivo no es legible)
+ */
+export function analyzePsdLayers(buffer) {
+  try {
+    return parsePsd(new Reader(buffer));
+  } catch (error) {
+    return { parser_version: PSD_PARSER_VERSION, parse_error: error.message };
+  }
+}
+
+// ================================
+// PARSEO DEL ARCHIVO
+// ================================
+
+function parsePsd(reader) {
+  // 1️⃣ Cabecera
+  if (reader.ascii(4) !== '8BPS') throw new Error('Firma PSD no encontrada');
+
+  const version = reader.uint16();
+  if (version !== 1 && version !== 2) throw new Error(`Versión PSD no soportada: ${version}`);
+
+  const psb = version === 2;
+  reader.skip(6);
+  const channels = reader.uint16();
+  const height = reader.uint32();
+  const width = reader.uint32();
+  const depth = reader.uint16();
+  const colorMode = reader.uint16();
+
+  // 2️⃣ Color mode data
+  reader.skip(reader.uint32());
+
+  // 3️⃣ Image resources (solo XMP para marcas documentales)
+  const resourcesEnd = reader.offset + 4 + reader.peekUint32();
+  const xmp = readXmpResource(reader);
+  reader.offset = resourcesEnd;
+
+  // 4️⃣ Layer and mask information
+  const sectionLength = psb ? reader.uint64() : reader.uint32();
+  const sectionEnd = reader.offset + sectionLength;
+  let layers = [];
+
+  if (sectionLength > 0) {
+    const layerInfoLength = psb ? reader.uint64() : reader.uint32();
+    const layerInfoEnd = reader.offset + layerInfoLength;
+
+    if (layerInfoLength > 0) {
+      layers = readLayerInfo(reader, psb);
+    }
+    reader.offset = layerInfoEnd;
+
+    // Global layer mask info
+    if (reader.offset + 4 <= sectionEnd) {
+      reader.skip(reader.uint32());
+    }
+
+    // Documentos de 16/32 bits guardan las capas en Lr16 / Lr32
+    if (layers.length === 0) {
+      const blocks = readTaggedBlocks(reader, sectionEnd, psb, 4);
+      const deepLayers = blocks.find(block => block.key === 'Lr16' || block.key === 'Lr32');
+      if (deepLayers) {
+        const deepReader = new Reader(deepLayers.data);
+        layers = readLayerInfo(deepReader, psb);
+      }
+    }
+  }
+
+  return summarize({ psb, width, height, channels, depth, colorMode, layers, xmp });
+}
+
+function readXmpResource(reader) {
+  const end = reader.offset + 4 + reader.uint32();
+  let xmp = null;
+
+  while (reader.offset + 12 <= end) {
+    if (reader.ascii(4) !== '8BIM') break;
+    const id = reader.uint16();
+    const nameLength = reader.uint8();
+    reader.skip(padded(nameLength + 1, 2) - 1);
+    const size = reader.uint32();
+
+    if (id === IMAGE_RESOURCE_XMP) {
+      xmp = reader.slice(size).toString('utf8');
+    } else {
+      reader.skip(size);
+    }
+    reader.skip(size % 2);
+  }
+
+  return xmp;
+}
+
+function readLayerInfo(reader, psb) {
+  const count = Math.abs(reader.int16());
+  const records = [];
+
+  for (let i = 0; i < count; i++) {
+    records.push(readLayerRecord(reader, psb));
+  }
+
+  return records;
+}
+
+function readLayerRecord(reader, psb) {
+  const top = reader.int32();
+  const left = reader.int32();
+  const bottom = reader.int32();
+  const right = reader.int32();
+
+  const channelCount = reader.uint16();
+  reader.skip(channelCount * (psb ? 10 : 6));
+
+  if (reader.ascii(4) !== '8BIM') throw new Error('Registro de capa corrupto');
+  const blendMode = reader.ascii(4);
+  const opacity = reader.uint8();
+  reader.skip(1); // clipping
+  const flags = reader.uint8();
+  reader.skip(1); // filler
+
+  const extraEnd = reader.offset + 4 + reader.uint32();
+
+  // Máscara de capa y rangos de fusión
+  const maskLength = reader.uint32();
+  reader.skip(maskLength);
+  reader.skip(reader.uint32());
+
+  // Nombre Pascal, relleno a múltiplo de 4
+  const nameLength = reader.uint8();
+  const pascalName = reader.slice(nameLength).toString('latin1');
+  reader.skip(padded(nameLength + 1, 4) - nameLength - 1);
+
+  const blocks = readTaggedBlocks(reader, extraEnd, psb, 2);
+  reader.offset = extraEnd;
+
+  const keys = blocks.map(block => block.key);
+  const unicodeName = blocks.find(block => block.key === 'luni');
+  const divider = blocks.find(block => block.key === 'lsct' || block.key === 'lsdk');
+  const descriptorText = blocks
+    .filter(block => block.key !== 'luni')
+    .map(block => block.data.toString('latin1') + block.data.toString('utf16le'))
+    .join('\n');
+
+  const name = unicodeName ? readUnicodeString(unicodeName.data) : pascalName;
+
+  return {
+    name,
+    keys,
+    divider_type: divider && divider.data.length >= 4 ? divider.data.readUInt32BE(0) : null,
+    blend_mode: blendMode,
+    opacity,
+    visible: (flags & 0x02) === 0,
+    has_mask: maskLength > 0 || keys.includes('vmsk') || keys.includes('vsms'),
+    width: right - left,
+    height: bottom - top,
+    // El descriptor lo escribe Photoshop; el nombre por defecto ("Generative Layer N") es editable
+    generative: GENERATIVE_MARKERS.test(descriptorText) ? 'descriptor' : (GENERATIVE_MARKERS.test(name) ? 'name' : null)
+  };
+}
+
+function readTaggedBlocks(reader, end, psb, alignment) {
+  const blocks = [];
+
+  while (reader.offset + 12 <= end) {
+    const start = reader.offset;
+    const signature = reader.ascii(4);
+    if (signature !== '8BIM' && signature !== '8B64') break;
+
+    const key = reader.ascii(4);
+    const length = psb && PSB_LONG_KEYS.includes(key) ? reader.uint64() : reader.uint32();
+    const data = reader.slice(Math.min(length, end - reader.offset));
+
+    blocks.push({ key, data });
+
+    // Photoshop rellena a par (o a 4); se avanza hasta la siguiente firma válida
+    const aligned = start + padded(reader.offset - start, alignment);
+    if (aligned <= end) reader.offset = aligned;
+  }
+
+  return blocks;
+}
+
+// ================================
+// RESUMEN
+// ================================
+
+function summarize({ psb, width, height, channels, depth, colorMode, layers, xmp }) {
+  const layer_types = Object.fromEntries(Object.values(LAYER_TYPES).map(type => [type, 0]));
+  const listed = [];
+
+  layers.forEach(layer => {
+    // Los marcadores de cierre de grupo (divider 3) no son capas visibles para el usuario
+    if (layer.divider_type === 3) return;
+
+    const type = classifyLayer(layer);
+    layer_types[type]++;
+
+    listed.push({
+      name: layer.name,
+      type,
+      visible: layer.visible,
+      opacity: layer.opacity,
+      blend_mode: layer.blend_mode,
+      has_mask: layer.has_mask,
+      width: layer.width,
+      height: layer.height,
+      generative: layer.generative
+    });
+  });
+
+  const contentLayers = listed.filter(layer => layer.type !== LAYER_TYPES.GROUP);
+  const generativeLayers = listed
+    .filter(layer => layer.generative)
+    .map(layer => ({ name: layer.name, evidence: layer.generative }));
+  const documentMarkers = xmp ? [...new Set((xmp.match(new RegExp(GENERATIVE_MARKERS.source, 'gi')) || []))] : [];
+
+  return {
+    parser_version: PSD_PARSER_VERSION,
+    format: psb ? 'psb' : 'psd',
+    width,
+    height,
+    channels,
+    depth,
+    color_mode: COLOR_MODES[colorMode] ?? String(colorMode),
+    layer_count: contentLayers.length,
+    group_count: layer_types[LAYER_TYPES.GROUP],
+    layer_types,
+    smart_objects: layer_types[LAYER_TYPES.SMART_OBJECT],
+    adjustment_layers: layer_types[LAYER_TYPES.ADJUSTMENT],
+    hidden_layers: listed.filter(layer => !layer.visible).length,
+    layers_with_masks: listed.filter(layer => layer.has_mask).length,
+    unflattened: contentLayers.length > 1,
+    generative: {
+      detected: generativeLayers.length > 0 || documentMarkers.length > 0,
+      layers: generativeLayers,
+      document_markers: documentMarkers
+    },
+    layers: listed.slice(0, MAX_LAYERS_LISTED),
+    layers_truncated: listed.length > MAX_LAYERS_LISTED
+  };
+}
+
+function classifyLayer(layer) {
+  if (layer.divider_type === 1 || layer.divider_type === 2) return LAYER_TYPES.GROUP;
+  if (layer.keys.some(key => SMART_OBJECT_KEYS.includes(key))) return LAYER_TYPES.SMART_OBJECT;
+  if (layer.keys.some(key => TYPE_KEYS.includes(key))) return LAYER_TYPES.TYPE;
+  if (layer.keys.some(key => FILL_KEYS.includes(key))) return LAYER_TYPES.FILL;
+  if (layer.keys.some(key => ADJUSTMENT_KEYS.includes(key))) return LAYER_TYPES.ADJUSTMENT;
+  return LAYER_TYPES.PIXEL;
+}
+
+// ================================
+// FUNCIONES AUXILIARES
+// ================================
+
+class Reader {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.offset = 0;
+  }
+
+  ensure(length) {
+    if (this.offset + length > this.buffer.length) {
+      throw new Error(`Lectura fuera de rango en offset ${this.offset}`);
+    }
+  }
+
+  uint8() { this.ensure(1); return this.buffer.readUInt8(this.offset++); }
+  uint16() { this.ensure(2); const value = this.buffer.readUInt16BE(this.offset); this.offset += 2; return value; }
+  int16() { this.ensure(2); const value = this.buffer.readInt16BE(this.offset); this.offset += 2; return value; }
+  uint32() { this.ensure(4); const value = this.buffer.readUInt32BE(this.offset); this.offset += 4; return value; }
+  int32() { this.ensure(4); const value = this.buffer.readInt32BE(this.offset); this.offset += 4; return value; }
+  uint64() { this.ensure(8); const value = Number(this.buffer.readBigUInt64BE(this.offset)); this.offset += 8; return value; }
+  peekUint32() { this.ensure(4); return this.buffer.readUInt32BE(this.offset); }
+  ascii(length) { this.ensure(length); const value = this.buffer.toString('latin1', this.offset, this.offset + length); this.offset += length; return value; }
+  slice(length) { this.ensure(length); const value = this.buffer.subarray(this.offset, this.offset + length); this.offset += length; return value; }
+  skip(length) { this.ensure(length); this.offset += length; }
+}
+
+function readUnicodeString(data) {
+  const length = data.readUInt32BE(0);
+  const chars = [];
+  for (let i = 0; i < length && 4 + i * 2 + 1 < data.length; i++) {
+    chars.push(data.readUInt16BE(4 + i * 2));
+  }
+  return String.fromCharCode(...chars).replace(/\0+$/, '');
+}
+
+function padded(length, alignment) {
+  return Math.ceil(length / alignment) * alignment;
+}
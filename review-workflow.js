@@ -0,0 +1,87 @@
+// review-workflow.js - HUMAN REVIEW
+// Reglas del flujo de revisión: único punto de decisión certificadora
+
+import { GIT_LEVELS, CONFIDENCE_GRADES } from './intake-schema.js';
+
+// ================================
+// CONSTANTES Y ENUMS (INMUTABLES)
+// ================================
+
+export const REVIEW_STATUS = Object.freeze({
+  OPEN: 'open',
+  CERTIFIED: 'certified',
+  REJECTED: 'rejected'
+});
+
+const MIN_JUSTIFICATION_LENGTH = 20;
+
+// ================================
+// 🧑‍⚖️ DECLARACIÓN DE DECISIÓN HUMANA
+// ================================
+
+/*
+ * Canon §3: HUMAN REVIEW es el único punto de decisión.
+ * Este módulo NO decide: solo exige que la decisión humana esté completa
+ * (GIT final, CG final y justificación escrita por cada dimensión afectada).
+ * Ningún valor se infiere de las señales técnicas.
+ */
+
+/**
+ * 🧑‍⚖️ Validación de la decisión del auditor
+ *
+ * @param {Object} params
+ * @param {Object} params.decision - Cuerpo enviado por el auditor
+ * @param {Array<string>} params.affected_dimensions - Dimensiones afectadas (BLOQUE 2.4)
+ * @returns {{ valid: boolean, errors: Array<Object> }}
+ */
+export function validateReviewDecision({ decision, affected_dimensions }) {
+  const errors = [];
+  const { final_git, final_cg, justifications } = decision || {};
+
+  if (!Number.isInteger(final_git) || !GIT_LEVELS.includes(final_git)) {
+    errors.push({ field: 'final_git', message: `Debe ser uno de: ${GIT_LEVELS.join(', ')}` });
+  }
+
+  if (!CONFIDENCE_GRADES.includes(final_cg)) {
+    errors.push({ field: 'final_cg', message: `Debe ser uno de: ${CONFIDENCE_GRADES.join(', ')}` });
+  }
+
+  affected_dimensions.forEach(dimension => {
+    if (!isJustification(justifications?.[dimension])) {
+      errors.push({
+        field: `justifications.${dimension}`,
+        message: `Justificación escrita obligatoria (mínimo ${MIN_JUSTIFICATION_LENGTH} caracteres)`
+      });
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * 🧑‍⚖️ Validación de la justificación de una acción humana (certificar, rechazar, reabrir)
+ *
+ * @param {string} justification
+ * @returns {{ valid: boolean, errors: Array<Object> }}
+ */
+export function validateActionJustification(justification) {
+  if (isJustification(justification)) {
+    return { valid: true, errors: [] };
+  }
+
+  return {
+    valid: false,
+    errors: [{
+      field: 'justification',
+      message: `Justificación escrita obligatoria (mínimo ${MIN_JUSTIFICATION_LENGTH} caracteres)`
+    }]
+  };
+}
+
+// ================================
+// FUNCIONES AUXILIARES
+// ================================
+
+function isJustification(text) {
+  return typeof text === 'string' && text.trim().length >= MIN_JUSTIFICATION_LENGTH;
+}
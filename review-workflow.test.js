@@ -0,0 +1,76 @@
+// review-workflow.test.js - TESTS DEL FLUJO DE REVISIÓN HUMANA
+// GIT/CG finales obligatorios y justificación escrita por dimensión afectada y por acción
+
+import assert from 'assert/strict';
+import { validateReviewDecision, validateActionJustification } from './review-workflow.js';
+
+const JUSTIFICATION = 'Capas PSD coherentes con el proceso declarado';
+
+const fieldsOf = (result) => result.errors.map(error => error.field);
+
+export const reviewWorkflowTests = {
+  test1_complete_decision: async () => {
+    console.log('Test 1 (DECISIÓN): GIT y CG válidos con justificación por cada dimensión afectada → válida');
+    const result = validateReviewDecision({
+      decision: {
+        final_git: 0,
+        final_cg: 'CG-A',
+        justifications: { process: JUSTIFICATION, software: JUSTIFICATION }
+      },
+      affected_dimensions: ['process', 'software']
+    });
+
+    assert.deepEqual(result, { valid: true, errors: [] });
+
+    // Sin dimensiones afectadas no se exige justificación
+    const unaffected = validateReviewDecision({ decision: { final_git: 5, final_cg: 'CG-C' }, affected_dimensions: [] });
+    assert.equal(unaffected.valid, true);
+  },
+
+  test2_final_values_required: async () => {
+    console.log('Test 2 (VALORES FINALES): GIT fuera de rango, no entero o CG desconocido → error por campo');
+    for (const final_git of [undefined, 6, -1, 2.5, '2']) {
+      const result = validateReviewDecision({ decision: { final_git, final_cg: 'CG-B' }, affected_dimensions: [] });
+      assert.deepEqual(fieldsOf(result), ['final_git'], `final_git=${final_git}`);
+    }
+
+    for (const final_cg of [undefined, 'CG-?', 'cg-a']) {
+      const result = validateReviewDecision({ decision: { final_git: 1, final_cg }, affected_dimensions: [] });
+      assert.deepEqual(fieldsOf(result), ['final_cg'], `final_cg=${final_cg}`);
+    }
+
+    assert.deepEqual(fieldsOf(validateReviewDecision({ decision: null, affected_dimensions: [] })), ['final_git', 'final_cg']);
+  },
+
+  test3_dimension_justifications: async () => {
+    console.log('Test 3 (JUSTIFICACIONES): cada dimensión afectada exige texto propio de al menos 20 caracteres');
+    const result = validateReviewDecision({
+      decision: {
+        final_git: 2,
+        final_cg: 'CG-B',
+        justifications: {
+          process: JUSTIFICATION,
+          software: 'ok',
+          timeline: `   ${'x'.repeat(10)}          `,
+          unrelated: JUSTIFICATION
+        }
+      },
+      affected_dimensions: ['process', 'software', 'timeline', 'evidence']
+    });
+
+    assert.equal(result.valid, false);
+    assert.deepEqual(fieldsOf(result), ['justifications.software', 'justifications.timeline', 'justifications.evidence']);
+  },
+
+  test4_action_justification: async () => {
+    console.log('Test 4 (ACCIONES): certificar, rechazar o reabrir exige justificación escrita');
+    assert.deepEqual(validateActionJustification(JUSTIFICATION), { valid: true, errors: [] });
+    assert.equal(validateActionJustification('x'.repeat(20)).valid, true);
+
+    for (const justification of [undefined, null, '', 'x'.repeat(19), ` ${'x'.repeat(18)} `, 42]) {
+      const result = validateActionJustification(justification);
+      assert.equal(result.valid, false, JSON.stringify(justification));
+      assert.deepEqual(fieldsOf(result), ['justification']);
+    }
+  }
+};
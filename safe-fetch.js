@@ -0,0 +1,350 @@
+// safe-fetch.js - BLOQUE 3.1 (DESCARGA SEGURA DE EVIDENCIAS)
+// Descarga en streaming con lista de esquemas/hosts, bloqueo de redes privadas, límite de bytes y SHA-256
+
+import http from 'http';
+import https from 'https';
+import dns from 'dns';
+import net from 'net';
+import fs from 'fs';
+import path from 'path';
+import { tmpdir } from 'os';
+import crypto from 'crypto';
+
+// ================================
+// CONSTANTES Y ENUMS (INMUTABLES)
+// ================================
+
+export const SAFE_FETCH_VERSION = '1.0.0';
+
+// Motivo de rechazo de una descarga (se registra por evidencia)
+export const DOWNLOAD_REFUSALS = Object.freeze({
+  INVALID_URL: 'INVALID_URL',
+  SCHEME_NOT_ALLOWED: 'SCHEME_NOT_ALLOWED',
+  HOST_NOT_ALLOWED: 'HOST_NOT_ALLOWED',
+  CREDENTIALS_IN_URL: 'CREDENTIALS_IN_URL',
+  DNS_RESOLUTION_FAILED: 'DNS_RESOLUTION_FAILED',
+  PRIVATE_ADDRESS: 'PRIVATE_ADDRESS',               // loopback, privada, enlace local, metadatos de nube…
+  TOO_MANY_REDIRECTS: 'TOO_MANY_REDIRECTS',
+  HTTP_STATUS: 'HTTP_STATUS',
+  SIZE_LIMIT_EXCEEDED: 'SIZE_LIMIT_EXCEEDED',
+  TIMEOUT: 'TIMEOUT',
+  NETWORK_ERROR: 'NETWORK_ERROR'
+});
+
+const DEFAULTS = Object.freeze({
+  ALLOWED_SCHEMES: 'https',
+  MAX_BYTES: 100 * 1024 * 1024,
+  MAX_REDIRECTS: 3,
+  TIMEOUT_MS: 30000
+});
+
+const REDIRECT_STATUSES = Object.freeze([301, 302, 303, 307, 308]);
+
+// Rangos no enrutables públicamente (RFC 6890 y afines), incluido 169.254.169.254
+const BLOCKED_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.88.99.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24],
+  ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['100::', 64], ['2001::', 32], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+// ================================
+// 🚫 DECLARACIÓN DE NO-DECISIÓN
+// ================================
+
+/*
+ * Un rechazo de descarga describe la URL recibida, no la evidencia.
+ * Este módulo NO juzga el contenido descargado: solo lo guarda y calcula su hash.
+ */
+
+/**
+ * 🛡️ Descargador seguro de evidencias
+ *
+ * Configuración:
+ * - AURA_FETCH_ALLOWED_SCHEMES="https,http" (por defecto solo https)
+ * - AURA_FETCH_ALLOWED_HOSTS="storage.example.com,*.supabase.co" (vacío = cualquier host público)
+ * - AURA_FETCH_ALLOW_PRIVATE_NETWORKS=true desactiva el bloqueo de redes privadas (solo desarrollo)
+ * - AURA_FETCH_MAX_BYTES (100 MiB), AURA_FETCH_MAX_REDIRECTS (3), AURA_FETCH_TIMEOUT_MS (30000)
+ *
+ * Cada host se resuelve una sola vez por conexión y la conexión usa exactamente las
+ * direcciones comprobadas: un DNS que cambie de respuesta (rebinding) no esquiva el bloqueo.
+ * Cada redirección se valida de nuevo como una URL nueva.
+ *
+ * @param {Object} env - Variables de entorno (process.env por defecto)
+ * @returns {{ download: Function, config: Object }}
+ */
+export function createSafeFetcher(env = process.env) {
+  const config = Object.freeze({
+    allowed_schemes: parseList(env.AURA_FETCH_ALLOWED_SCHEMES || DEFAULTS.ALLOWED_SCHEMES),
+    allowed_hosts: parseList(env.AURA_FETCH_ALLOWED_HOSTS || ''),
+    allow_private_networks: env.AURA_FETCH_ALLOW_PRIVATE_NETWORKS === 'true',
+    max_bytes: parsePositiveInt(env.AURA_FETCH_MAX_BYTES, DEFAULTS.MAX_BYTES),
+    max_redirects: parsePositiveInt(env.AURA_FETCH_MAX_REDIRECTS, DEFAULTS.MAX_REDIRECTS, true),
+    timeout_ms: parsePositiveInt(env.AURA_FETCH_TIMEOUT_MS, DEFAULTS.TIMEOUT_MS)
+  });
+
+  /**
+   * Descarga una URL a un archivo temporal.
+   *
+   * @param {string} url - URL de la evidencia
+   * @returns {Promise<{ data: Object|null, error: Object|null }>}
+   *   data: { path, sha256, bytes, content_type, final_url, redirects }
+   *   error: { reason (DOWNLOAD_REFUSALS), message }
+   */
+  async function download(url) {
+    const deadline = Date.now() + config.timeout_ms;
+    let currentUrl = url;
+
+    try {
+      for (let redirects = 0; ; redirects++) {
+        const target = validateUrl(currentUrl, config);
+        const outcome = await fetchOnce(target, config, deadline);
+
+        if (outcome.redirect) {
+          if (redirects >= config.max_redirects) {
+            throw refusal(DOWNLOAD_REFUSALS.TOO_MANY_REDIRECTS, `Más de ${config.max_redirects} redirecciones`);
+          }
+          currentUrl = new URL(outcome.redirect, target).href;
+          continue;
+        }
+
+        return { data: { ...outcome, final_url: target.href, redirects }, error: null };
+      }
+    } catch (error) {
+      if (!error.reason) throw error;
+      return { data: null, error: { reason: error.reason, message: error.message } };
+    }
+  }
+
+  return { download, config };
+}
+
+// ================================
+// FUNCIONES AUXILIARES
+// ================================
+
+function validateUrl(raw, config) {
+  let target;
+  try {
+    target = new URL(raw);
+  } catch (error) {
+    throw refusal(DOWNLOAD_REFUSALS.INVALID_URL, 'URL no válida');
+  }
+
+  const scheme = target.protocol.replace(/:$/, '');
+  if (!['http', 'https'].includes(scheme) || !config.allowed_schemes.includes(scheme)) {
+    throw refusal(DOWNLOAD_REFUSALS.SCHEME_NOT_ALLOWED, `Esquema no permitido: ${scheme}`);
+  }
+
+  if (target.username || target.password) {
+    throw refusal(DOWNLOAD_REFUSALS.CREDENTIALS_IN_URL, 'La URL incluye credenciales');
+  }
+
+  const hostname = bareHostname(target);
+  if (config.allowed_hosts.length > 0 && !config.allowed_hosts.some(pattern => hostMatches(hostname, pattern))) {
+    throw refusal(DOWNLOAD_REFUSALS.HOST_NOT_ALLOWED, `Host no permitido: ${hostname}`);
+  }
+
+  // IP literal: no pasa por el resolvedor, se comprueba aquí
+  if (net.isIP(hostname) && !config.allow_private_networks && isBlockedAddress(hostname)) {
+    throw refusal(DOWNLOAD_REFUSALS.PRIVATE_ADDRESS, `Dirección no pública: ${hostname}`);
+  }
+
+  return target;
+}
+
+function fetchOnce(target, config, deadline) {
+  return new Promise((resolve, reject) => {
+    const client = target.protocol === 'https:' ? https : http;
+    let filepath = null;
+    let output = null;
+    let settled = false;
+
+    const fail = (error) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      request.destroy();
+      output?.destroy();
+      if (filepath) fs.promises.unlink(filepath).catch(() => {});
+      reject(error);
+    };
+
+    const timer = setTimeout(() => {
+      fail(refusal(DOWNLOAD_REFUSALS.TIMEOUT, `Descarga no completada en ${config.timeout_ms} ms`));
+    }, Math.max(deadline - Date.now(), 0));
+
+    const request = client.get(target, {
+      lookup: (hostname, options, callback) => safeLookup(hostname, options, callback, config),
+      headers: { 'accept-encoding': 'identity' }
+    });
+
+    request.on('error', (error) => {
+      fail(error.reason ? error : refusal(DOWNLOAD_REFUSALS.NETWORK_ERROR, error.message));
+    });
+
+    request.on('response', (response) => {
+      // 1️⃣ Redirección: se valida como URL nueva en la siguiente vuelta
+      if (REDIRECT_STATUSES.includes(response.statusCode) && response.headers.location) {
+        response.resume();
+        settled = true;
+        clearTimeout(timer);
+        return resolve({ redirect: response.headers.location });
+      }
+
+      if (response.statusCode < 200 || response.statusCode >= 300) {
+        response.resume();
+        return fail(refusal(DOWNLOAD_REFUSALS.HTTP_STATUS, `HTTP ${response.statusCode}`));
+      }
+
+      // 2️⃣ Tamaño declarado por el servidor
+      const declaredLength = Number(response.headers['content-length']);
+      if (declaredLength > config.max_bytes) {
+        return fail(sizeRefusal(config));
+      }
+
+      // 3️⃣ Streaming a disco con límite de bytes y SHA-256 incremental
+      filepath = path.join(tmpdir(), `aura_evidence_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`);
+      const hash = crypto.createHash('sha256');
+      output = fs.createWriteStream(filepath, { flags: 'wx', mode: 0o600 });
+      let bytes = 0;
+
+      output.on('error', (error) => fail(error));
+
+      response.on('data', (chunk) => {
+        if (settled) return;
+        bytes += chunk.length;
+        if (bytes > config.max_bytes) {
+          return fail(sizeRefusal(config));
+        }
+        hash.update(chunk);
+        if (!output.write(chunk)) {
+          response.pause();
+          output.once('drain', () => response.resume());
+        }
+      });
+
+      response.on('error', (error) => fail(refusal(DOWNLOAD_REFUSALS.NETWORK_ERROR, error.message)));
+
+      response.on('aborted', () => fail(refusal(DOWNLOAD_REFUSALS.NETWORK_ERROR, 'Conexión interrumpida')));
+
+      response.on('end', () => {
+        if (settled) return;
+        output.end(() => {
+          if (settled) return;
+          settled = true;
+          clearTimeout(timer);
+          resolve({
+            path: filepath,
+            sha256: hash.digest('hex'),
+            bytes,
+            content_type: response.headers['content-type'] || null
+          });
+        });
+      });
+    });
+  });
+}
+
+// Resolvedor para http(s).get: comprueba TODAS las direcciones antes de conectar
+function safeLookup(hostname, options, callback, config) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error || addresses.length === 0) {
+      return callback(refusal(DOWNLOAD_REFUSALS.DNS_RESOLUTION_FAILED, `No se pudo resolver ${hostname}`));
+    }
+
+    const blocked = config.allow_private_networks ? null : addresses.find(entry => isBlockedAddress(entry.address));
+    if (blocked) {
+      return callback(refusal(DOWNLOAD_REFUSALS.PRIVATE_ADDRESS, `${hostname} resuelve a dirección no pública: ${blocked.address}`));
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+function isBlockedAddress(address) {
+  const bare = address.replace(/%.*$/, '');
+  const family = net.isIP(bare);
+
+  if (family === 4) {
+    return BLOCKED_RANGES.check(bare, 'ipv4');
+  }
+  if (family !== 6) {
+    return true;
+  }
+  if (BLOCKED_RANGES.check(bare, 'ipv6')) {
+    return true;
+  }
+
+  // IPv4 embebida (mapeada ::ffff:0:0/96, NAT64 64:ff9b::/96, 6to4 2002::/16)
+  const groups = ipv6Groups(bare);
+  if (groups.slice(0, 5).every(group => group === 0) && (groups[5] === 0xffff || groups[5] === 0)) {
+    return BLOCKED_RANGES.check(ipv4FromGroups(groups[6], groups[7]), 'ipv4');
+  }
+  if (groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(group => group === 0)) {
+    return BLOCKED_RANGES.check(ipv4FromGroups(groups[6], groups[7]), 'ipv4');
+  }
+  if (groups[0] === 0x2002) {
+    return BLOCKED_RANGES.check(ipv4FromGroups(groups[1], groups[2]), 'ipv4');
+  }
+  return false;
+}
+
+function ipv6Groups(address) {
+  let text = address;
+  const dotted = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    const octets = dotted[1].split('.').map(Number);
+    text = text.slice(0, -dotted[1].length) +
+      `${((octets[0] << 8) | octets[1]).toString(16)}:${((octets[2] << 8) | octets[3]).toString(16)}`;
+  }
+
+  const [head, tail = null] = text.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const missing = tail === null ? 0 : 8 - headGroups.length - tailGroups.length;
+
+  return [...headGroups, ...Array(missing).fill('0'), ...tailGroups].map(group => parseInt(group, 16));
+}
+
+function ipv4FromGroups(high, low) {
+  return [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+}
+
+function bareHostname(target) {
+  return target.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+}
+
+function hostMatches(hostname, pattern) {
+  if (pattern.startsWith('*.')) {
+    return hostname.endsWith(pattern.slice(1));
+  }
+  return hostname === pattern;
+}
+
+function parseList(raw) {
+  return raw.split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean);
+}
+
+function parsePositiveInt(raw, fallback, allowZero = false) {
+  const value = Number(raw);
+  return Number.isInteger(value) && (value > 0 || (allowZero && value === 0)) ? value : fallback;
+}
+
+function refusal(reason, message) {
+  const error = new Error(message);
+  error.reason = reason;
+  return error;
+}
+
+function sizeRefusal(config) {
+  return refusal(DOWNLOAD_REFUSALS.SIZE_LIMIT_EXCEEDED, `El archivo supera ${config.max_bytes} bytes`);
+}
@@ -3,10 +3,27 @@
 // ================================
 import express from "express";
 import crypto from "crypto";
-import stableStringify from "json-stable-stringify";
-import { createClient } from "@supabase/supabase-js";
+import fs from "fs/promises";
 import { analyzeMetadata, extractEvidenceMetadata } from './metadata-analyzer.js';
 import { evaluateConsistency } from './consistency-engine.js';
+import { validateIntake } from './intake-schema.js';
+import { createStorage } from './storage.js';
+import { calculateSHA256Deterministic } from './forensic-hash.js';
+import { createAuditChain } from './audit-chain.js';
+import { ROLES, createAuthenticator, requireRole, checkCaseAccess, actorOf } from './auth.js';
+import { REVIEW_STATUS, validateReviewDecision, validateActionJustification } from './review-workflow.js';
+import { CASE_STATUS, checkOperation, createCaseLifecycle } from './case-lifecycle.js';
+import { loadSigningKey, createCertificateService } from './certificates.js';
+import { buildCaseTimeline, EVIDENCE_STAGES } from './timeline.js';
+import { SOFTWARE_CATALOG_VERSION } from './software-catalog.js';
+import { createEvidenceIndex } from './evidence-index.js';
+import { compareHashes, SIMILARITY_THRESHOLDS, PERCEPTUAL_HASH_VERSION } from './perceptual-hash.js';
+import { analyzeProcessProgression, PROGRESSION_SKIPS } from './process-progression.js';
+import { createDetectorRegistry, DEFAULT_DETECTORS, DETECTOR_STATUS, DETECTOR_REGISTRY_VERSION, AI_SIGNAL_ANALYSIS_VERSION } from './ai-detectors.js';
+import { loadModelDetectors } from './model-runtime.js';
+import { createSafeFetcher } from './safe-fetch.js';
+import { loadCalibration, createSignalAggregator } from './signal-calibration.js';
+import { summarizeCaseSignals, roleOfStage } from './ai-signal-summary.js';
 
 // ================================
 // CONFIGURACIÓN BÁSICA
@@ -14,13 +31,22 @@ import { evaluateConsistency } from './consistency-engine.js';
 const app = express();
 
 /**
- * 🔓 CORS SIMPLE (DESARROLLO)
- * Permite cualquier origen y maneja preflight OPTIONS
+ * 🔓 CORS
+ * Orígenes permitidos en AURA_CORS_ORIGINS (lista separada por comas); sin configurar, cualquiera.
+ * La autenticación viaja en Authorization, nunca en cookies.
  */
+const corsOrigins = (process.env.AURA_CORS_ORIGINS || "*").split(",").map(origin => origin.trim());
+
 app.use((req, res, next) => {
-  res.header("Access-Control-Allow-Origin", "*");
-  res.header("Access-Control-Allow-Methods", "POST, OPTIONS");
-  res.header("Access-Control-Allow-Headers", "Content-Type");
+  if (corsOrigins.includes("*")) {
+    res.header("Access-Control-Allow-Origin", "*");
+  } else if (corsOrigins.includes(req.headers.origin)) {
+    res.header("Access-Control-Allow-Origin", req.headers.origin);
+    res.header("Vary", "Origin");
+  }
+
+  res.header("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.header("Access-Control-Allow-Headers", "Content-Type, Authorization");
 
   if (req.method === "OPTIONS") {
     return res.sendStatus(204);
@@ -32,26 +58,92 @@ app.use((req, res, next) => {
 app.use(express.json({ limit: '10mb' }));
 
 // ================================
-// INICIALIZACIÓN SUPABASE
+// INICIALIZACIÓN PERSISTENCIA
 // ================================
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+let storage;
+
+try {
+  storage = createStorage(process.env);
+} catch (err) {
+  console.error("ERROR:", err.message);
+  process.exit(1);
+}
+
+// Toda escritura en audit_logs pasa por la cadena de hashes
+const auditChain = createAuditChain(storage.auditLogs);
+
+// Toda transición de audit_cases.status pasa por la máquina de estados
+const lifecycle = createCaseLifecycle({
+  cases: storage.cases,
+  caseVersions: storage.caseVersions,
+  auditChain
+});
+
+// Certificados firmados (Ed25519)
+let signingKey;
+
+try {
+  signingKey = loadSigningKey(process.env);
+} catch (err) {
+  console.error("ERROR cargando clave de firma:", err.message);
+  process.exit(1);
+}
+
+if (signingKey.ephemeral) {
+  console.warn("⚠️  AURA_SIGNING_KEY_FILE no configurada: clave de firma efímera (solo desarrollo)");
+}
+
+const certificates = createCertificateService({ storage, auditChain, signingKey });
 
-if (!supabaseUrl || !supabaseKey) {
-  console.error("ERROR: Variables de entorno SUPABASE_URL y SUPABASE_SERVICE_ROLE_KEY son requeridas");
+// Reutilización exacta de evidencias entre casos (SHA-256 del archivo)
+const evidenceIndex = createEvidenceIndex({ storage, auditChain });
+
+// Modelos locales (ONNX en CPU, AURA_MODELS_DIR) para las técnicas aprendidas
+const modelDetectors = loadModelDetectors(process.env);
+
+modelDetectors.problems.forEach(problem => {
+  console.warn(`⚠️  Modelo omitido (${problem.directory}): ${problem.reason}`);
+});
+
+// Detectores de señales de IA (BLOQUE 3.2): deterministas, los no disponibles se declaran no ejecutados
+const detectorRegistry = createDetectorRegistry([...DEFAULT_DETECTORS, ...modelDetectors.detectors]);
+
+// Pesos y niveles de confianza medidos (calibrate-detectors.js); sin archivo, valores declarados
+let calibration;
+
+try {
+  calibration = loadCalibration(process.env);
+} catch (err) {
+  console.error("ERROR cargando calibración de señales:", err.message);
   process.exit(1);
 }
 
-const supabase = createClient(supabaseUrl, supabaseKey);
+if (!calibration) {
+  console.warn("⚠️  AURA_CALIBRATION_FILE no configurada: agregación de señales SIN CALIBRAR");
+}
+
+const signalAggregator = createSignalAggregator(calibration);
+
+// Descarga de archivos para detectores que leen píxeles (mismas reglas que la extracción)
+const evidenceFetcher = createSafeFetcher(process.env);
 
 // ================================
-// FUNCIONES AUXILIARES (INMUTABLES)
+// AUTENTICACIÓN Y ROLES
 // ================================
 
-function calculateSHA256Deterministic(obj) {
-  const stable = stableStringify(obj);
-  return crypto.createHash("sha256").update(stable).digest("hex");
-}
+// Identifica al principal (API key o JWT); la autorización es por ruta
+app.use(createAuthenticator(process.env));
+
+const requireIntakeSubmitter = requireRole(ROLES.ARTIST, ROLES.SYSTEM, ROLES.ADMIN);
+const requireEvidenceSubmitter = requireRole(ROLES.ARTIST, ROLES.SYSTEM, ROLES.AUDITOR, ROLES.ADMIN);
+const requireAnalysisRunner = requireRole(ROLES.SYSTEM, ROLES.AUDITOR, ROLES.ADMIN);
+const requireAuditor = requireRole(ROLES.AUDITOR);
+const requireArchiveSearcher = requireRole(ROLES.AUDITOR, ROLES.SYSTEM);
+const requireCaseReader = requireRole(ROLES.ARTIST, ROLES.AUDITOR, ROLES.ADMIN, ROLES.SYSTEM);
+
+// ================================
+// FUNCIONES AUXILIARES (INMUTABLES)
+// ================================
 
 function generateCaseId() {
   const now = new Date();
@@ -61,28 +153,23 @@ function generateCaseId() {
   return `AURA-${year}-${month}-${rand}`;
 }
 
-function validateProtocolMetadata(intake) {
-  if (
-    !intake?.aura_protocol ||
-    !intake.aura_protocol.phase ||
-    !intake.aura_protocol.version ||
-    !intake.aura_protocol.generated_at
-  ) {
-    throw new Error("Falta metadata de protocolo AURA");
-  }
-
-  if (intake.aura_protocol.version !== "1.0.0") {
-    throw new Error("Versión de protocolo no soportada");
-  }
-}
-
 // ================================
 // ENDPOINT ÚNICO — INGESTA FORENSE
 // ================================
 
-app.post("/intake-freeze", async (req, res) => {
+app.post("/intake-freeze", requireIntakeSubmitter, async (req, res) => {
   try {
-    const { intake_data, client_hash } = req.body;
+    const { intake_data, client_hash, artist_id } = req.body;
+
+    // El artista es dueño de su caso; system/admin ingresan en nombre de un artista
+    const owner_id = req.principal.role === ROLES.ARTIST ? req.principal.id : artist_id;
+
+    if (!owner_id) {
+      return res.status(400).json({
+        error: "DATOS_INCOMPLETOS",
+        required: ["artist_id"]
+      });
+    }
 
     if (!intake_data || !client_hash) {
       return res.status(400).json({
@@ -91,23 +178,30 @@ app.post("/intake-freeze", async (req, res) => {
       });
     }
 
-    // 1️⃣ Validar SOLO protocolo
-    validateProtocolMetadata(intake_data);
+    // 1️⃣ Validar esquema de ingesta (forma, no contenido)
+    const validation = validateIntake(intake_data);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: "INTAKE_INVALIDO",
+        schema_version: validation.schema_version,
+        errors: validation.errors
+      });
+    }
+
+    const schema_version = validation.schema_version;
 
     // 2️⃣ Calcular server_hash (determinista)
     const server_hash = calculateSHA256Deterministic(intake_data);
 
     // 3️⃣ Insertar intake_frozen (evidencia primaria)
-    const { data: frozen, error: frozenError } = await supabase
-      .from("intake_frozen")
-      .insert({
-        aura_intake_json: intake_data,
-        client_hash,
-        server_hash,
-        hash_match: client_hash === server_hash
-      })
-      .select("id, received_at")
-      .single();
+    const { data: frozen, error: frozenError } = await storage.intakes.insert({
+      aura_intake_json: intake_data,
+      client_hash,
+      server_hash,
+      hash_match: client_hash === server_hash,
+      schema_version
+    });
 
     if (frozenError) {
       if (frozenError.code === "23505") {
@@ -121,38 +215,37 @@ app.post("/intake-freeze", async (req, res) => {
     // 4️⃣ Crear audit_case
     const case_id = generateCaseId();
 
-    const original_git =
-      intake_data.genesis_declaration?.declared_git_level ?? 0;
+    const original_git = intake_data.genesis_declaration.declared_git_level;
 
     const original_cg =
       intake_data.forensic_pre_evaluation?.pre_confidence_grade ?? "CG-?";
 
-    const { error: caseError } = await supabase
-      .from("audit_cases")
-      .insert({
-        case_id,
-        intake_frozen_id: frozen.id,
-        original_git,
-        original_cg,
-        intake_hash: server_hash,
-        status: "draft"
-      });
+    const { error: caseError } = await storage.cases.insert({
+      case_id,
+      intake_frozen_id: frozen.id,
+      original_git,
+      original_cg,
+      intake_hash: server_hash,
+      status: CASE_STATUS.DRAFT,
+      case_version: 1,
+      owner_id
+    });
 
     if (caseError) throw caseError;
 
     // 5️⃣ Escribir audit_log
-    const { error: logError } = await supabase
-      .from("audit_logs")
-      .insert({
-        case_id,
-        action: "intake_frozen",
-        details: {
-          intake_frozen_id: frozen.id,
-          hash_match: client_hash === server_hash
-        },
-        actor_type: "system",
-        actor_id: "render-intake-service"
-      });
+    const { error: logError } = await auditChain.append({
+      case_id,
+      action: "intake_frozen",
+      details: {
+        component: "render-intake-service",
+        intake_frozen_id: frozen.id,
+        hash_match: client_hash === server_hash,
+        schema_version,
+        owner_id
+      },
+      ...actorOf(req.principal)
+    });
 
     if (logError) throw logError;
 
@@ -175,7 +268,7 @@ app.post("/intake-freeze", async (req, res) => {
 // ENDPOINT 2.2 - ANÁLISIS DE METADATOS (CORREGIDO)
 // ================================
 
-app.post("/analysis/metadata", async (req, res) => {
+app.post("/analysis/metadata", requireAnalysisRunner, async (req, res) => {
   // 🚫 DECLARACIÓN DE NO-DECISIÓN (en logs)
   console.log('===========================================');
   console.log('ANÁLISIS DE METADATOS - FASE 2.2');
@@ -194,16 +287,7 @@ app.post("/analysis/metadata", async (req, res) => {
     }
 
     // 1️⃣ Obtener caso y evidencia congelada (SOLO LECTURA)
-    const { data: auditCase, error: caseError } = await supabase
-      .from("audit_cases")
-      .select(`
-        *,
-        intake_frozen (
-          aura_intake_json
-        )
-      `)
-      .eq("case_id", case_id)
-      .single();
+    const { data: auditCase, error: caseError } = await storage.cases.findWithIntake(case_id);
 
     if (caseError || !auditCase) {
       return res.status(404).json({
@@ -211,6 +295,11 @@ app.post("/analysis/metadata", async (req, res) => {
       });
     }
 
+    const stateError = checkOperation(auditCase, "metadata_analysis");
+    if (stateError) {
+      return res.status(409).json(stateError);
+    }
+
     // 2️⃣ Ejecutar análisis no-decisorio
     const intake_json = auditCase.intake_frozen.aura_intake_json;
     
@@ -221,20 +310,19 @@ app.post("/analysis/metadata", async (req, res) => {
     });
 
     // 3️⃣ Registrar en audit_logs (solo traza técnica)
-    const { error: logError } = await supabase
-      .from("audit_logs")
-      .insert({
-        case_id,
-        action: "metadata_analysis_executed",
-        details: {
-          flags_count: analysisResult.metadata_flags.length,
-          flags: analysisResult.metadata_flags,
-          analysis_version: analysisResult.analysis_version,
-          internal_analysis_id: crypto.randomUUID()
-        },
-        actor_type: "system",
-        actor_id: "metadata-analyzer-v2.2"
-      });
+    const { error: logError } = await auditChain.append({
+      case_id,
+      action: "metadata_analysis_executed",
+      details: {
+        component: "metadata-analyzer-v2.2",
+        flags_count: analysisResult.metadata_flags.length,
+        flags: analysisResult.metadata_flags,
+        analysis_version: analysisResult.analysis_version,
+        catalog_version: SOFTWARE_CATALOG_VERSION,
+        internal_analysis_id: crypto.randomUUID()
+      },
+      ...actorOf(req.principal)
+    });
 
     if (logError) {
       console.error("Error registrando log de análisis:", logError);
@@ -259,7 +347,7 @@ app.post("/analysis/metadata", async (req, res) => {
 // BLOQUE 3.1 — EVIDENCE METADATA FORENSICS
 // ================================
 
-app.post("/analysis/metadata-extract", async (req, res) => {
+app.post("/analysis/metadata-extract", requireEvidenceSubmitter, async (req, res) => {
   // 🚫 DECLARACIÓN DE NO-DECISIÓN
   console.log('===========================================');
   console.log('BLOQUE 3.1 — EVIDENCE METADATA FORENSICS');
@@ -278,11 +366,7 @@ app.post("/analysis/metadata-extract", async (req, res) => {
     }
 
     // 1️⃣ Obtener caso (SOLO LECTURA)
-    const { data: auditCase, error: caseError } = await supabase
-      .from("audit_cases")
-      .select("case_id")
-      .eq("case_id", case_id)
-      .single();
+    const { data: auditCase, error: caseError } = await storage.cases.findByCaseId(case_id);
 
     if (caseError || !auditCase) {
       return res.status(404).json({
@@ -290,32 +374,66 @@ app.post("/analysis/metadata-extract", async (req, res) => {
       });
     }
 
+    const accessError = checkCaseAccess(req.principal, auditCase);
+    if (accessError) {
+      return res.status(403).json(accessError);
+    }
+
+    const stateError = checkOperation(auditCase, "metadata_extraction");
+    if (stateError) {
+      return res.status(409).json(stateError);
+    }
+
     let processedCount = 0;
     const processingErrors = [];
+    const duplicateEvidences = [];
 
     // 2️⃣ Procesar cada evidencia
     for (const evidence of evidences) {
-      const { evidence_id, file_url } = evidence;
+      const { evidence_id, file_url, stage = null, sequence = null } = evidence;
       
       if (!evidence_id || !file_url) {
         processingErrors.push({ evidence_id, error: "Campos incompletos" });
         continue;
       }
 
+      // Etapa declarada del proceso (opcional): ordena la línea temporal del caso
+      if (stage !== null && !Object.values(EVIDENCE_STAGES).includes(stage)) {
+        processingErrors.push({ evidence_id, error: `Etapa no válida: ${stage}` });
+        continue;
+      }
+
+      if (sequence !== null && (!Number.isInteger(sequence) || sequence < 0)) {
+        processingErrors.push({ evidence_id, error: "sequence debe ser un entero ≥ 0" });
+        continue;
+      }
+
       try {
         // 3️⃣ Extraer metadatos técnicos
         const extractionResult = await extractEvidenceMetadata(file_url);
-        
-        // 4️⃣ Persistir en evidence_metadata (SOLO HECHOS)
-        const { error: insertError } = await supabase
-          .from("evidence_metadata")
-          .insert({
-            case_id,
+
+        // Descarga rechazada (esquema, host, red privada, tamaño…): se registra el motivo, no se persiste
+        if (extractionResult.download_refusal) {
+          processingErrors.push({
             evidence_id,
-            metadata: extractionResult.metadata,
-            extraction_version: extractionResult.extraction_version,
-            extracted_at: extractionResult.extracted_at || new Date().toISOString()
+            error: extractionResult.extraction_error,
+            refusal_reason: extractionResult.download_refusal
           });
+          continue;
+        }
+
+        // 4️⃣ Persistir en evidence_metadata (SOLO HECHOS)
+        const { error: insertError } = await storage.evidenceMetadata.insert({
+          case_id,
+          evidence_id,
+          stage,
+          sequence,
+          metadata: extractionResult.metadata,
+          content_sha256: extractionResult.source?.sha256 ?? null,
+          content_bytes: extractionResult.source?.bytes ?? null,
+          extraction_version: extractionResult.extraction_version,
+          extracted_at: extractionResult.extracted_at || new Date().toISOString()
+        });
 
         if (insertError) {
           processingErrors.push({ evidence_id, error: insertError.message });
@@ -323,6 +441,53 @@ app.post("/analysis/metadata-extract", async (req, res) => {
         } else {
           processedCount++;
           console.log(`Metadatos extraídos para evidencia: ${evidence_id}`);
+
+          // 4️⃣.1 Reutilización del mismo archivo en otros casos (constancia, no bloqueo)
+          if (extractionResult.source?.sha256) {
+            const { data: duplicate, error: duplicateError } = await evidenceIndex.registerEvidence({
+              case_id,
+              evidence_id,
+              content_sha256: extractionResult.source.sha256,
+              actor: actorOf(req.principal)
+            });
+
+            if (duplicateError) {
+              console.error(`Error comprobando duplicados de ${evidence_id}:`, duplicateError.message);
+            } else if (duplicate.matches.length > 0) {
+              duplicateEvidences.push(evidence_id);
+              console.log(`Evidencia ${evidence_id} coincide con ${duplicate.matches.length} evidencia(s) de otros casos`);
+            }
+          }
+
+          // 4️⃣.2 Huellas perceptuales (índice de búsqueda por parecido)
+          if (extractionResult.perceptual_hashes) {
+            const { error: hashError } = await storage.perceptualHashes.insert({
+              case_id,
+              evidence_id,
+              content_sha256: extractionResult.source?.sha256 ?? null,
+              ...extractionResult.perceptual_hashes,
+              computed_at: new Date().toISOString()
+            });
+
+            if (hashError) {
+              console.error(`Error guardando huellas perceptuales de ${evidence_id}:`, hashError.message);
+            }
+          }
+
+          // 4️⃣.3 Residuo de ruido y espectro (entrada de las señales noise/spectral de BLOQUE 3.2)
+          if (extractionResult.pixel_forensics) {
+            const { error: forensicsError } = await storage.pixelForensics.insert({
+              case_id,
+              evidence_id,
+              content_sha256: extractionResult.source?.sha256 ?? null,
+              ...extractionResult.pixel_forensics,
+              computed_at: new Date().toISOString()
+            });
+
+            if (forensicsError) {
+              console.error(`Error guardando medidas de píxel de ${evidence_id}:`, forensicsError.message);
+            }
+          }
         }
 
       } catch (error) {
@@ -333,30 +498,40 @@ app.post("/analysis/metadata-extract", async (req, res) => {
     }
 
     // 5️⃣ Registrar en audit_logs
-    const { error: logError } = await supabase
-      .from("audit_logs")
-      .insert({
-        case_id,
-        action: "metadata_extracted",
-        details: {
-          evidences_processed: processedCount,
-          total_evidences: evidences.length,
-          errors: processingErrors.length > 0 ? processingErrors : undefined
-        },
-        actor_type: "system",
-        actor_id: "evidence-metadata-forensics-3.1"
-      });
+    const { error: logError } = await auditChain.append({
+      case_id,
+      action: "metadata_extracted",
+      details: {
+        component: "evidence-metadata-forensics-3.1",
+        evidences_processed: processedCount,
+        total_evidences: evidences.length,
+        duplicate_evidences: duplicateEvidences.length > 0 ? duplicateEvidences : undefined,
+        errors: processingErrors.length > 0 ? processingErrors : undefined
+      },
+      ...actorOf(req.principal)
+    });
 
     if (logError) {
       console.error("Error registrando log de extracción:", logError);
       // 🚫 NO FALLAMOS - el proceso se completó
     }
 
+    // 🚦 Con evidencia extraída el caso pasa a evidence_collected
+    if (processedCount > 0) {
+      const { error: transitionError } = await lifecycle.transition(auditCase, CASE_STATUS.EVIDENCE_COLLECTED, {
+        ...actorOf(req.principal),
+        trigger: "metadata_extracted"
+      });
+
+      if (transitionError) throw transitionError;
+    }
+
     // 6️⃣ Respuesta normalizada
     return res.status(200).json({
       case_id,
       evidences_processed: processedCount,
-      metadata_extracted: processedCount > 0
+      metadata_extracted: processedCount > 0,
+      duplicate_evidences: duplicateEvidences.length > 0 ? duplicateEvidences : undefined
     });
 
   } catch (err) {
@@ -369,93 +544,147 @@ app.post("/analysis/metadata-extract", async (req, res) => {
   }
 });
 
+// ================================
+// PROGRESIÓN DE ETAPAS DEL PROCESO
+// ================================
+
+app.post("/analysis/process-progression", requireAnalysisRunner, async (req, res) => {
+  try {
+    const { case_id, evidences } = req.body;
+
+    if (!case_id || !Array.isArray(evidences) || evidences.length === 0) {
+      return res.status(400).json({
+        error: "PARAMETROS_INCOMPLETOS",
+        required: ["case_id", "evidences"]
+      });
+    }
+
+    // 1️⃣ Caso y estado
+    const { data: auditCase, error: caseError } = await storage.cases.findByCaseId(case_id);
+
+    if (caseError || !auditCase) {
+      return res.status(404).json({
+        error: "CASO_NO_ENCONTRADO"
+      });
+    }
+
+    const stateError = checkOperation(auditCase, "process_progression");
+    if (stateError) {
+      return res.status(409).json(stateError);
+    }
+
+    // 2️⃣ Etapa, orden y hash de contenido registrados en la extracción (BLOQUE 3.1)
+    const { data: evidenceRows, error: evidenceError } = await storage.evidenceMetadata.listByCase(case_id);
+
+    if (evidenceError) throw evidenceError;
+
+    const latestRows = new Map(evidenceRows.map(row => [row.evidence_id, row]));
+    const unknown = [];
+    const staged = [];
+
+    evidences.forEach(({ evidence_id, file_url }) => {
+      const row = latestRows.get(evidence_id);
+      if (!row || !file_url) {
+        unknown.push({ evidence_id, reason: PROGRESSION_SKIPS.NOT_EXTRACTED });
+        return;
+      }
+      staged.push({
+        evidence_id,
+        file_url,
+        stage: row.stage ?? null,
+        sequence: row.sequence ?? null,
+        content_sha256: row.content_sha256 ?? null
+      });
+    });
+
+    // 3️⃣ Alineación con la final y similitud estructural por etapa
+    const progression = await analyzeProcessProgression(staged);
+    progression.skipped = [...unknown, ...progression.skipped];
+
+    // 4️⃣ Persistir por caso (lectura de revisores)
+    const { data: stored, error: insertError } = await storage.processProgressions.insert({
+      case_id,
+      ...progression,
+      analyzed_at: new Date().toISOString()
+    });
+
+    if (insertError) throw insertError;
+
+    // 5️⃣ Registrar en audit_logs
+    const { error: logError } = await auditChain.append({
+      case_id,
+      action: "process_progression_analyzed",
+      details: {
+        component: "process-progression-3.1",
+        progression_version: progression.progression_version,
+        pattern: progression.pattern,
+        final_evidence_id: progression.final_evidence_id,
+        stages_analyzed: progression.stages.length,
+        indicators: progression.indicators.map(indicator => indicator.type),
+        skipped: progression.skipped.length > 0 ? progression.skipped : undefined
+      },
+      ...actorOf(req.principal)
+    });
+
+    if (logError) {
+      console.error("Error registrando log de progresión:", logError);
+      // 🚫 NO FALLAMOS - el análisis se completó
+    }
+
+    return res.status(200).json({
+      case_id,
+      ...progression,
+      analyzed_at: stored.analyzed_at
+    });
+
+  } catch (err) {
+    console.error("ERROR en progresión del proceso:", err.message);
+
+    return res.status(500).json({
+      error: "ERROR_PROGRESION_PROCESO",
+      message: "Fallo analizando la progresión de etapas del proceso."
+    });
+  }
+});
+
 // ================================
 // BLOQUE 3.2 — AI SIGNAL DETECTION LAYER
 // ================================
 
-// 🧠 Técnicas de IA simuladas (en producción se integrarían modelos reales)
-const aiSignalTechniques = {
-  // 1️⃣ CLIP Similarity
-  clip_similarity: () => ({
-    score: Math.random() * 0.3 + 0.5, // 0.5-0.8
-    reliability: 0.6
-  }),
-
-  // 2️⃣ Noise / Residual Analysis
-  noise_analysis: () => ({
-    score: Math.random() * 0.4 + 0.4, // 0.4-0.8
-    reliability: 0.7
-  }),
-
-  // 3️⃣ Frequency / Spectral Analysis
-  spectral_analysis: () => ({
-    score: Math.random() * 0.5 + 0.3, // 0.3-0.8
-    reliability: 0.6
-  }),
-
-  // 4️⃣ Model Fingerprinting
-  model_fingerprinting: (metadata) => {
-    const knownModels = ["Stable Diffusion", "DALL-E", "Midjourney", "Adobe Firefly"];
-    const detected = metadata.software ? 
-      knownModels.find(model => metadata.software.includes(model)) : null;
-    
+// Estado del archivo aportado a los detectores que leen píxeles
+const FILE_INPUT_STATUS = Object.freeze({
+  NOT_PROVIDED: "not_provided",
+  VERIFIED: "verified",
+  DOWNLOAD_REFUSED: "download_refused",
+  CONTENT_MISMATCH: "content_mismatch"   // el archivo no es el extraído (content_sha256 distinto)
+});
+
+// Descarga el archivo de una evidencia y lo verifica contra el hash registrado en la extracción
+async function fetchEvidenceFile(file_url, content_sha256) {
+  if (!file_url) {
+    return { file_path: null, file_input: { status: FILE_INPUT_STATUS.NOT_PROVIDED } };
+  }
+
+  const { data: download, error } = await evidenceFetcher.download(file_url);
+  if (error) {
     return {
-      score: detected ? 0.8 : 0.2,
-      reliability: detected ? 0.9 : 0.3,
-      model: detected || "No detectable"
+      file_path: null,
+      file_input: { status: FILE_INPUT_STATUS.DOWNLOAD_REFUSED, detail: `${error.reason}: ${error.message}` }
     };
-  },
-
-  // 5️⃣ Dataset Resemblance
-  dataset_resemblance: () => ({
-    score: Math.random() * 0.5 + 0.2, // 0.2-0.7
-    reliability: 0.5
-  })
-};
-
-// Función para calcular agregación ponderada
-function calculateWeightedAggregation(signals) {
-  let totalScore = 0;
-  let totalReliability = 0;
-  
-  Object.values(signals).forEach(signal => {
-    if (signal && typeof signal.score === 'number' && typeof signal.reliability === 'number') {
-      totalScore += signal.score * signal.reliability;
-      totalReliability += signal.reliability;
-    }
-  });
-  
-  return totalReliability > 0 ? totalScore / totalReliability : 0;
-}
+  }
 
-// Función para calcular confianza
-function calculateConfidence(signals, metadataIntegrity) {
-  const scores = Object.values(signals)
-    .filter(s => s && typeof s.score === 'number')
-    .map(s => s.score);
-  
-  if (scores.length === 0) return "LOW";
-  
-  // Calcular varianza
-  const mean = scores.reduce((a, b) => a + b) / scores.length;
-  const variance = scores.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / scores.length;
-  
-  // Factores para confianza
-  const scoreCount = scores.length;
-  const lowVariance = variance < 0.05;
-  const highReliability = Object.values(signals)
-    .filter(s => s && s.reliability > 0.7).length >= 3;
-  
-  if (scoreCount >= 4 && lowVariance && highReliability && metadataIntegrity) {
-    return "HIGH";
-  } else if (scoreCount >= 3 && metadataIntegrity) {
-    return "MEDIUM";
-  } else {
-    return "LOW";
+  if (content_sha256 && download.sha256 !== content_sha256) {
+    await fs.unlink(download.path).catch(() => {});
+    return {
+      file_path: null,
+      file_input: { status: FILE_INPUT_STATUS.CONTENT_MISMATCH, detail: `sha256 ${download.sha256}` }
+    };
   }
+
+  return { file_path: download.path, file_input: { status: FILE_INPUT_STATUS.VERIFIED, sha256: download.sha256 } };
 }
 
-app.post("/analysis/ai-signals", async (req, res) => {
+app.post("/analysis/ai-signals", requireAnalysisRunner, async (req, res) => {
   // 🚫 DECLARACIÓN DE NO-DECISIÓN
   console.log('===========================================');
   console.log('BLOQUE 3.2 — AI SIGNAL DETECTION LAYER');
@@ -464,7 +693,7 @@ app.post("/analysis/ai-signals", async (req, res) => {
   console.log('===========================================');
 
   try {
-    const { case_id } = req.body;
+    const { case_id, evidences: evidenceFiles } = req.body;
 
     if (!case_id) {
       return res.status(400).json({
@@ -473,12 +702,37 @@ app.post("/analysis/ai-signals", async (req, res) => {
       });
     }
 
+    if (req.body.evidence_ids !== undefined && evidenceFiles !== undefined) {
+      return res.status(400).json({
+        error: "PARAMETROS_INVALIDOS",
+        message: "Use evidence_ids o evidences, no ambos"
+      });
+    }
+
+    // evidences: [{ evidence_id, file_url }] aporta el archivo a los detectores que leen píxeles
+    if (evidenceFiles !== undefined &&
+        (!Array.isArray(evidenceFiles) || evidenceFiles.length === 0 ||
+          evidenceFiles.some(evidence => typeof evidence?.evidence_id !== "string" ||
+            (evidence.file_url !== undefined && typeof evidence.file_url !== "string")))) {
+      return res.status(400).json({
+        error: "PARAMETROS_INVALIDOS",
+        message: "evidences debe ser una lista no vacía de { evidence_id, file_url }"
+      });
+    }
+
+    const evidence_ids = evidenceFiles ? evidenceFiles.map(evidence => evidence.evidence_id) : req.body.evidence_ids;
+    const fileUrls = new Map((evidenceFiles || []).map(evidence => [evidence.evidence_id, evidence.file_url]));
+
+    if (evidence_ids !== undefined &&
+        (!Array.isArray(evidence_ids) || evidence_ids.length === 0 || evidence_ids.some(id => typeof id !== "string"))) {
+      return res.status(400).json({
+        error: "PARAMETROS_INVALIDOS",
+        message: "evidence_ids debe ser una lista no vacía de identificadores"
+      });
+    }
+
     // 1️⃣ Obtener caso (SOLO LECTURA)
-    const { data: auditCase, error: caseError } = await supabase
-      .from("audit_cases")
-      .select("case_id")
-      .eq("case_id", case_id)
-      .single();
+    const { data: auditCase, error: caseError } = await storage.cases.findByCaseId(case_id);
 
     if (caseError || !auditCase) {
       return res.status(404).json({
@@ -486,69 +740,141 @@ app.post("/analysis/ai-signals", async (req, res) => {
       });
     }
 
-    // 2️⃣ Obtener metadatos extraídos
-    const { data: evidenceMetadata, error: metadataError } = await supabase
-      .from("evidence_metadata")
-      .select("*")
-      .eq("case_id", case_id)
-      .order("extracted_at", { ascending: false })
-      .limit(1);
+    const stateError = checkOperation(auditCase, "ai_signals");
+    if (stateError) {
+      return res.status(409).json(stateError);
+    }
+
+    // 2️⃣ Última extracción de cada evidencia (todas, o las pedidas)
+    const { data: evidenceRows, error: metadataError } = await storage.evidenceMetadata.listByCase(case_id);
+
+    if (metadataError) throw metadataError;
+
+    const latestRows = new Map(evidenceRows.map(row => [row.evidence_id, row]));
 
-    if (metadataError || !evidenceMetadata || evidenceMetadata.length === 0) {
+    if (latestRows.size === 0) {
       return res.status(400).json({
         error: "METADATOS_NO_DISPONIBLES",
         message: "Primero ejecute la extracción de metadatos (BLOQUE 3.1)"
       });
     }
 
-    const metadata = evidenceMetadata[0].metadata;
-    const metadataIntegrity = Object.keys(metadata).length > 5; // Heurística simple
+    const missing = (evidence_ids || []).filter(evidence_id => !latestRows.has(evidence_id));
+    if (missing.length > 0) {
+      return res.status(404).json({
+        error: "EVIDENCIA_NO_ENCONTRADA",
+        evidence_ids: missing
+      });
+    }
 
-    // 3️⃣ Ejecutar técnicas de IA independientes
-    const ai_signals = {
-      clip: aiSignalTechniques.clip_similarity(),
-      noise: aiSignalTechniques.noise_analysis(),
-      spectral: aiSignalTechniques.spectral_analysis(),
-      fingerprint: aiSignalTechniques.model_fingerprinting(metadata),
-      dataset: aiSignalTechniques.dataset_resemblance()
-    };
+    const targets = evidence_ids ? evidence_ids.map(evidence_id => latestRows.get(evidence_id)) : [...latestRows.values()];
 
-    // 4️⃣ Calcular agregación (INTERNO, no decisorio)
-    const aggregated_score = calculateWeightedAggregation(ai_signals);
-    const confidence = calculateConfidence(ai_signals, metadataIntegrity);
+    // 3️⃣ Técnicas registradas por evidencia (deterministas; las no disponibles quedan como not_executed)
+    const analyzed_at = new Date().toISOString();
+    const models = detectorRegistry.models();
+    const evidences = [];
 
-    // 5️⃣ Persistir en ai_signal_results
-    const { error: insertError } = await supabase
-      .from("ai_signal_results")
-      .insert({
-        case_id,
+    for (const evidenceMetadata of targets) {
+      const { evidence_id } = evidenceMetadata;
+      const metadata = evidenceMetadata.metadata || {};
+      const metadataIntegrity = Object.keys(metadata).length > 5; // Heurística simple
+
+      // Medidas de píxel de la misma evidencia (ausentes si no es imagen o no se pudieron calcular)
+      const { data: pixelForensics, error: forensicsError } =
+        await storage.pixelForensics.findLatest(case_id, evidence_id);
+
+      if (forensicsError) {
+        console.error(`Error leyendo medidas de píxel de ${evidence_id}:`, forensicsError.message);
+      }
+
+      // Archivo verificado contra el hash de la extracción (solo si se aporta file_url)
+      const { file_path, file_input } = await fetchEvidenceFile(fileUrls.get(evidence_id), evidenceMetadata.content_sha256);
+
+      let ai_signals;
+      try {
+        ai_signals = await detectorRegistry.runAll({
+          case_id,
+          evidence_id,
+          metadata,
+          pixel_forensics: pixelForensics ?? null,
+          file_path
+        });
+      } finally {
+        if (file_path) await fs.unlink(file_path).catch(() => {});
+      }
+
+      // Agregación por evidencia (INTERNO, no decisorio)
+      const result = {
+        evidence_id,
+        evidence_record_id: evidenceMetadata.id ?? null,
+        stage: evidenceMetadata.stage ?? null,
+        role: roleOfStage(evidenceMetadata.stage ?? null),
         ai_signals,
-        aggregated_score,
-        confidence,
-        analysis_version: "3.2.0",
-        analyzed_at: new Date().toISOString()
+        aggregated_score: signalAggregator.aggregate(ai_signals),
+        confidence: signalAggregator.confidence(ai_signals, metadataIntegrity),
+        metadata_integrity: metadataIntegrity,
+        file_input,
+        models,
+        calibration: signalAggregator.calibration
+      };
+
+      // 4️⃣ Persistir una fila de ai_signal_results por evidencia
+      const { role, ...row } = result;
+      const { error: insertError } = await storage.aiSignalResults.insert({
+        case_id,
+        ...row,
+        analysis_version: AI_SIGNAL_ANALYSIS_VERSION,
+        analyzed_at
       });
 
-    if (insertError) {
-      console.error("Error insertando resultados de señales de IA:", insertError);
-      // 🚫 NO FALLAMOS - continuamos
+      if (insertError) {
+        console.error(`Error insertando señales de IA de ${evidence_id}:`, insertError);
+        // 🚫 NO FALLAMOS - continuamos
+      }
+
+      evidences.push(result);
+    }
+
+    // 5️⃣ Resumen del caso: última fila de cada evidencia (incluye las no reanalizadas ahora)
+    const { data: storedRows, error: listError } = await storage.aiSignalResults.listByCase(case_id);
+
+    if (listError) {
+      console.error("Error leyendo señales de IA del caso:", listError.message);
     }
 
+    const summary = summarizeCaseSignals(listError ? evidences.map(result => ({ ...result, analyzed_at })) : storedRows);
+
     // 6️⃣ Registrar en audit_logs
-    const { error: logError } = await supabase
-      .from("audit_logs")
-      .insert({
-        case_id,
-        action: "ai_signal_analysis_executed",
-        details: {
-          signals_count: Object.keys(ai_signals).length,
-          aggregated_score,
-          confidence,
-          metadata_integrity: metadataIntegrity
-        },
-        actor_type: "system",
-        actor_id: "ai-signal-detection-3.2"
-      });
+    const { error: logError } = await auditChain.append({
+      case_id,
+      action: "ai_signal_analysis_executed",
+      details: {
+        component: "ai-signal-detection-3.2",
+        analysis_version: AI_SIGNAL_ANALYSIS_VERSION,
+        detector_registry_version: DETECTOR_REGISTRY_VERSION,
+        detectors: Object.fromEntries(detectorRegistry.list()
+          .map(({ technique, detector_id, detector_version }) => [technique, detector_id ? `${detector_id}@${detector_version}` : null])),
+        evidences: evidences.map(result => ({
+          evidence_id: result.evidence_id,
+          role: result.role,
+          signals_executed: Object.keys(result.ai_signals)
+            .filter(technique => result.ai_signals[technique].status === DETECTOR_STATUS.EXECUTED),
+          aggregated_score: result.aggregated_score,
+          confidence: result.confidence,
+          metadata_integrity: result.metadata_integrity,
+          file_input: result.file_input.status
+        })),
+        calibration: signalAggregator.calibration,
+        models: models.map(model => ({
+          technique: model.technique,
+          model_id: model.model_id,
+          model_sha256: model.model_sha256,
+          manifest_version: model.manifest_version
+        })),
+        summary
+      },
+      ...actorOf(req.principal)
+    });
 
     if (logError) {
       console.error("Error registrando log de análisis:", logError);
@@ -558,10 +884,9 @@ app.post("/analysis/ai-signals", async (req, res) => {
     // 7️⃣ Respuesta normalizada
     return res.status(200).json({
       case_id,
-      ai_signals,
-      aggregated_score,
-      confidence,
-      analysis_version: "3.2.0"
+      evidences,
+      summary,
+      analysis_version: AI_SIGNAL_ANALYSIS_VERSION
     });
 
   } catch (err) {
@@ -578,7 +903,19 @@ app.post("/analysis/ai-signals", async (req, res) => {
 // BLOQUE 2.4 — CONSISTENCY EVALUATION ENGINE
 // ================================
 
-app.post("/analysis/consistency", async (req, res) => {
+// Estructura de cada evidencia (capas PSD, archivos nativos): has_layered_files y
+// has_process_evidence se derivan de ella
+function evidenceStructuresOf(evidenceRows) {
+  return (evidenceRows || [])
+    .filter(row => row.metadata?.layer_summary || row.metadata?.native_archive)
+    .map(row => ({
+      evidence_id: row.evidence_id,
+      layer_summary: row.metadata.layer_summary ?? null,
+      native_archive: row.metadata.native_archive ?? null
+    }));
+}
+
+app.post("/analysis/consistency", requireAnalysisRunner, async (req, res) => {
   // 🚫 DECLARACIÓN DE NO-DECISIÓN
   console.log('===========================================');
   console.log('BLOQUE 2.4 — EVIDENCE VS DECLARATION CONSISTENCY');
@@ -598,16 +935,7 @@ app.post("/analysis/consistency", async (req, res) => {
     }
 
     // 1️⃣ Obtener caso y declaraciones (SOLO LECTURA)
-    const { data: auditCase, error: caseError } = await supabase
-      .from("audit_cases")
-      .select(`
-        *,
-        intake_frozen (
-          aura_intake_json
-        )
-      `)
-      .eq("case_id", case_id)
-      .single();
+    const { data: auditCase, error: caseError } = await storage.cases.findWithIntake(case_id);
 
     if (caseError || !auditCase) {
       return res.status(404).json({
@@ -615,39 +943,37 @@ app.post("/analysis/consistency", async (req, res) => {
       });
     }
 
+    const stateError = checkOperation(auditCase, "consistency");
+    if (stateError) {
+      return res.status(409).json(stateError);
+    }
+
     // 2️⃣ Obtener resultados técnicos previos
     // a) Metadatos flags (de audit_logs de metadata_analysis_executed)
-    const { data: metadataLogs } = await supabase
-      .from("audit_logs")
-      .select("details")
-      .eq("case_id", case_id)
-      .eq("action", "metadata_analysis_executed")
-      .order("created_at", { ascending: false })
-      .limit(1);
+    const { data: metadataLog } =
+      await storage.auditLogs.findLatest(case_id, "metadata_analysis_executed");
 
     // b) Metadatos extraídos
-    const { data: evidenceMetadata } = await supabase
-      .from("evidence_metadata")
-      .select("metadata")
-      .eq("case_id", case_id)
-      .order("extracted_at", { ascending: false })
-      .limit(1);
-
-    // c) Señales de IA
-    const { data: aiSignalResults } = await supabase
-      .from("ai_signal_results")
-      .select("*")
-      .eq("case_id", case_id)
-      .order("analyzed_at", { ascending: false })
-      .limit(1);
+    const { data: evidenceMetadata } = await storage.evidenceMetadata.findLatest(case_id);
+
+    // c) Señales de IA por evidencia → resumen del caso (la obra final es la que cuenta para GIT ≤ 2)
+    const { data: aiSignalRows } = await storage.aiSignalResults.listByCase(case_id);
+    const aiSignalSummary = aiSignalRows?.length ? summarizeCaseSignals(aiSignalRows) : null;
+
+    // d) Estructura (capas, archivos nativos) de todas las evidencias
+    const { data: evidenceRows } = await storage.evidenceMetadata.listByCase(case_id);
+
+    // e) Reutilización de archivos en otros casos (duplicate_evidence_detected)
+    const { data: duplicateFlags } = await evidenceIndex.flagsForCase(case_id);
 
     // 3️⃣ Preparar datos para evaluación
     const intake_declarations = auditCase.intake_frozen.aura_intake_json;
     
     const technical_evidence = {
-      metadata_flags: metadataLogs?.[0]?.details?.flags || [],
-      extracted_metadata: evidenceMetadata?.[0]?.metadata || {},
-      ai_signals: aiSignalResults?.[0] || null
+      metadata_flags: [...(metadataLog?.details?.flags || []), ...(duplicateFlags || [])],
+      extracted_metadata: evidenceMetadata?.metadata || {},
+      ai_signals: aiSignalSummary?.final_work || null,
+      evidence_structures: evidenceStructuresOf(evidenceRows)
     };
 
     // 4️⃣ Evaluar consistencia (motor no-decisorio)
@@ -659,25 +985,32 @@ app.post("/analysis/consistency", async (req, res) => {
     });
 
     // 5️⃣ Registrar en audit_logs
-    const { error: logError } = await supabase
-      .from("audit_logs")
-      .insert({
-        case_id,
-        action: "consistency_evaluation_executed",
-        details: {
-          consistency_result: consistencyResult.consistency_result,
-          affected_dimensions: consistencyResult.affected_dimensions,
-          engine_version: consistencyResult.engine_version
-        },
-        actor_type: "system",
-        actor_id: "consistency-engine-2.4"
-      });
+    const { error: logError } = await auditChain.append({
+      case_id,
+      action: "consistency_evaluation_executed",
+      details: {
+        component: "consistency-engine-2.4",
+        consistency_result: consistencyResult.consistency_result,
+        affected_dimensions: consistencyResult.affected_dimensions,
+        engine_version: consistencyResult.engine_version,
+        catalog_version: consistencyResult.catalog_version
+      },
+      ...actorOf(req.principal)
+    });
 
     if (logError) {
       console.error("Error registrando log de consistencia:", logError);
       // 🚫 NO FALLAMOS - la evaluación se completó
     }
 
+    // 🚦 Evaluación registrada → caso analizado
+    const { error: transitionError } = await lifecycle.transition(auditCase, CASE_STATUS.ANALYZED, {
+      ...actorOf(req.principal),
+      trigger: "consistency_evaluation_executed"
+    });
+
+    if (transitionError) throw transitionError;
+
     // 6️⃣ Respuesta normalizada
     return res.status(200).json(consistencyResult);
 
@@ -696,7 +1029,7 @@ app.post("/analysis/consistency", async (req, res) => {
 // ENDPOINT DE PIPELINE COMPLETO
 // ================================
 
-app.post("/analysis/pipeline", async (req, res) => {
+app.post("/analysis/pipeline", requireAnalysisRunner, async (req, res) => {
   console.log('===========================================');
   console.log('PIPELINE COMPLETO AURA');
   console.log('Secuencia: 2.2 → 3.1 → 3.2 → 2.4');
@@ -713,16 +1046,7 @@ app.post("/analysis/pipeline", async (req, res) => {
     }
 
     // 1️⃣ Obtener declaraciones del caso
-    const { data: auditCase, error: caseError } = await supabase
-      .from("audit_cases")
-      .select(`
-        *,
-        intake_frozen (
-          aura_intake_json
-        )
-      `)
-      .eq("case_id", case_id)
-      .single();
+    const { data: auditCase, error: caseError } = await storage.cases.findWithIntake(case_id);
 
     if (caseError || !auditCase) {
       return res.status(404).json({
@@ -730,6 +1054,11 @@ app.post("/analysis/pipeline", async (req, res) => {
       });
     }
 
+    const stateError = checkOperation(auditCase, "pipeline");
+    if (stateError) {
+      return res.status(409).json(stateError);
+    }
+
     const intake_json = auditCase.intake_frozen.aura_intake_json;
     const results = {
       case_id,
@@ -738,6 +1067,12 @@ app.post("/analysis/pipeline", async (req, res) => {
       generated_at: new Date().toISOString()
     };
 
+    // Las llamadas internas actúan con la credencial del principal que lanzó el pipeline
+    const internalHeaders = {
+      'Content-Type': 'application/json',
+      'Authorization': req.headers.authorization
+    };
+
     // 2️⃣ PASO 1: Análisis de metadatos (2.2) si hay file_url
     if (file_urls && file_urls.length > 0) {
       const metadataResult = await analyzeMetadata({
@@ -749,38 +1084,47 @@ app.post("/analysis/pipeline", async (req, res) => {
     }
 
     // 3️⃣ PASO 2: Extracción de metadatos (3.1) si hay evidencias
-    if (file_urls && file_urls.length > 0) {
-      const evidences = file_urls.map((url, index) => ({
-        evidence_id: `EVIDENCE_${index + 1}`,
-        file_url: url
-      }));
+    const evidences = (file_urls || []).map((url, index) => ({
+      evidence_id: `EVIDENCE_${index + 1}`,
+      file_url: url
+    }));
 
+    if (evidences.length > 0) {
       const extractionResult = await fetch(`http://localhost:${process.env.PORT || 10000}/analysis/metadata-extract`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: internalHeaders,
         body: JSON.stringify({ case_id, evidences })
       }).then(r => r.json());
 
       results.steps.metadata_extraction = extractionResult;
     }
 
-    // 4️⃣ PASO 3: Señales de IA (3.2)
+    // 4️⃣ PASO 3: Señales de IA (3.2), con archivo para las evidencias extraídas
+    const { data: evidenceRows } = await storage.evidenceMetadata.listByCase(case_id);
+    const extractedIds = new Set((evidenceRows || []).map(row => row.evidence_id));
+    const extractedEvidences = evidences.filter(evidence => extractedIds.has(evidence.evidence_id));
+
     const aiSignalsResult = await fetch(`http://localhost:${process.env.PORT || 10000}/analysis/ai-signals`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ case_id })
+      headers: internalHeaders,
+      body: JSON.stringify({
+        case_id,
+        ...(extractedEvidences.length > 0 && { evidences: extractedEvidences })
+      })
     }).then(r => r.json());
 
     results.steps.ai_signal_detection = aiSignalsResult;
 
     // 5️⃣ PASO 4: Evaluación de consistencia (2.4)
+
     const consistencyResult = await evaluateConsistency({
       case_id,
       intake_declarations: intake_json,
       technical_evidence: {
         metadata_flags: results.steps.metadata_analysis?.metadata_flags || [],
         extracted_metadata: {},
-        ai_signals: results.steps.ai_signal_detection || {}
+        ai_signals: results.steps.ai_signal_detection?.summary?.final_work || {},
+        evidence_structures: evidenceStructuresOf(evidenceRows)
       },
       evidence_list: evidence_list || { files: [] }
     });
@@ -800,6 +1144,817 @@ app.post("/analysis/pipeline", async (req, res) => {
   }
 });
 
+// ================================
+// HUMAN REVIEW — DECISIÓN CERTIFICADORA
+// ================================
+
+app.post("/cases/:case_id/reviews", requireAuditor, async (req, res) => {
+  console.log('===========================================');
+  console.log('HUMAN REVIEW — APERTURA');
+  console.log('Único punto de decisión certificadora (Canon §3)');
+  console.log('===========================================');
+
+  try {
+    const { case_id } = req.params;
+
+    // 1️⃣ Obtener caso
+    const { data: auditCase, error: caseError } = await storage.cases.findByCaseId(case_id);
+
+    if (caseError || !auditCase) {
+      return res.status(404).json({
+        error: "CASO_NO_ENCONTRADO"
+      });
+    }
+
+    const stateError = checkOperation(auditCase, "review_open");
+    if (stateError) {
+      return res.status(409).json(stateError);
+    }
+
+    // 2️⃣ Una sola revisión abierta por caso
+    const { data: openReview, error: openError } = await storage.reviews.findOpen(case_id);
+
+    if (openError) throw openError;
+
+    if (openReview) {
+      return res.status(409).json({
+        error: "REVISION_YA_ABIERTA",
+        review_id: openReview.id
+      });
+    }
+
+    // 3️⃣ Abrir revisión (antes de mover el caso: un fallo aquí no deja el caso bloqueado)
+    const { data: review, error: reviewError } = await storage.reviews.insert({
+      case_id,
+      opened_by: req.principal.id,
+      status: REVIEW_STATUS.OPEN
+    });
+
+    if (reviewError) throw reviewError;
+
+    // 4️⃣ Caso → in_review (condicional: solo una apertura puede ganar; la perdedora se retira)
+    const { error: transitionError } = await lifecycle.transition(auditCase, CASE_STATUS.IN_REVIEW, {
+      ...actorOf(req.principal),
+      trigger: "review_opened",
+      details: { review_id: review.id }
+    });
+
+    if (transitionError) {
+      const { error: removeError } = await storage.reviews.remove(review.id);
+      if (removeError) console.error("ERROR retirando revisión huérfana:", removeError.message);
+      throw transitionError;
+    }
+
+    // 5️⃣ Registrar en audit_logs con la identidad real del auditor
+    const { error: logError } = await auditChain.append({
+      case_id,
+      action: "review_opened",
+      details: {
+        review_id: review.id
+      },
+      ...actorOf(req.principal)
+    });
+
+    if (logError) throw logError;
+
+    return res.status(201).json({
+      case_id,
+      review_id: review.id,
+      status: review.status
+    });
+
+  } catch (err) {
+    console.error("ERROR en apertura de revisión:", err.message);
+
+    return res.status(500).json({
+      error: "ERROR_REVISION_HUMANA",
+      message: "Fallo en apertura de revisión humana."
+    });
+  }
+});
+
+app.post("/cases/:case_id/reviews/:review_id/decision", requireAuditor, async (req, res) => {
+  try {
+    const { case_id, review_id } = req.params;
+    const { final_git, final_cg, justifications } = req.body;
+
+    // 1️⃣ Obtener revisión abierta
+    const { data: review, error: reviewError } = await storage.reviews.findById(case_id, review_id);
+
+    if (reviewError || !review) {
+      return res.status(404).json({
+        error: "REVISION_NO_ENCONTRADA"
+      });
+    }
+
+    if (review.status !== REVIEW_STATUS.OPEN) {
+      return res.status(409).json({
+        error: "REVISION_CERRADA",
+        status: review.status
+      });
+    }
+
+    // 2️⃣ Dimensiones afectadas según la última evaluación de consistencia (BLOQUE 2.4)
+    const { data: consistencyLog } =
+      await storage.auditLogs.findLatest(case_id, "consistency_evaluation_executed");
+
+    if (!consistencyLog) {
+      return res.status(409).json({
+        error: "CONSISTENCIA_NO_EVALUADA",
+        message: "Primero ejecute la evaluación de consistencia (BLOQUE 2.4)"
+      });
+    }
+
+    const affected_dimensions = consistencyLog.details?.affected_dimensions || [];
+
+    // 3️⃣ Validar decisión humana completa
+    const validation = validateReviewDecision({
+      decision: { final_git, final_cg, justifications },
+      affected_dimensions
+    });
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: "DECISION_INCOMPLETA",
+        affected_dimensions,
+        errors: validation.errors
+      });
+    }
+
+    // 4️⃣ Registrar decisión (cada decisión es una fila nueva, nunca se sobrescribe)
+    const { data: decision, error: decisionError } = await storage.reviewDecisions.insert({
+      review_id,
+      case_id,
+      decided_by: req.principal.id,
+      final_git,
+      final_cg,
+      affected_dimensions,
+      justifications,
+      consistency_log_id: consistencyLog.id
+    });
+
+    if (decisionError) throw decisionError;
+
+    // 5️⃣ Registrar en audit_logs
+    const { error: logError } = await auditChain.append({
+      case_id,
+      action: "review_decision_recorded",
+      details: {
+        review_id,
+        decision_id: decision.id,
+        final_git,
+        final_cg,
+        affected_dimensions,
+        justifications
+      },
+      ...actorOf(req.principal)
+    });
+
+    if (logError) throw logError;
+
+    return res.status(201).json({
+      case_id,
+      review_id,
+      decision_id: decision.id,
+      final_git,
+      final_cg
+    });
+
+  } catch (err) {
+    console.error("ERROR registrando decisión de revisión:", err.message);
+
+    return res.status(500).json({
+      error: "ERROR_REVISION_HUMANA",
+      message: "Fallo registrando la decisión del auditor."
+    });
+  }
+});
+
+app.post("/cases/:case_id/reviews/:review_id/certify", requireAuditor, (req, res) =>
+  closeReview(req, res, REVIEW_STATUS.CERTIFIED)
+);
+
+app.post("/cases/:case_id/reviews/:review_id/reject", requireAuditor, (req, res) =>
+  closeReview(req, res, REVIEW_STATUS.REJECTED)
+);
+
+// Cierre de revisión: certificar exige decisión registrada; ambos exigen justificación.
+// Cada paso es reanudable: un cierre interrumpido (p. ej. fallo al emitir el certificado)
+// se completa repitiendo la misma petición, sin duplicar transiciones ni registros.
+async function closeReview(req, res, outcome) {
+  try {
+    const { case_id, review_id } = req.params;
+    const { justification } = req.body;
+    const targetStatus = outcome === REVIEW_STATUS.CERTIFIED ? CASE_STATUS.CERTIFIED : CASE_STATUS.REJECTED;
+    const closeAction = outcome === REVIEW_STATUS.CERTIFIED ? "review_certified" : "review_rejected";
+
+    // 1️⃣ Obtener revisión (abierta, o ya cerrada con el mismo resultado si se reanuda)
+    const { data: review, error: reviewError } = await storage.reviews.findById(case_id, review_id);
+
+    if (reviewError || !review) {
+      return res.status(404).json({
+        error: "REVISION_NO_ENCONTRADA"
+      });
+    }
+
+    if (review.status !== REVIEW_STATUS.OPEN && review.status !== outcome) {
+      return res.status(409).json({
+        error: "REVISION_CERRADA",
+        status: review.status
+      });
+    }
+
+    // 2️⃣ Justificación escrita obligatoria
+    const validation = validateActionJustification(justification);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: "JUSTIFICACION_REQUERIDA",
+        errors: validation.errors
+      });
+    }
+
+    // 3️⃣ Decisión vigente (obligatoria para certificar)
+    const { data: decision, error: decisionError } =
+      await storage.reviewDecisions.findLatest(review_id);
+
+    if (decisionError) throw decisionError;
+
+    if (outcome === REVIEW_STATUS.CERTIFIED && !decision) {
+      return res.status(409).json({
+        error: "DECISION_NO_REGISTRADA",
+        message: "Registre GIT y CG finales antes de certificar."
+      });
+    }
+
+    // 4️⃣ Cerrar caso (máquina de estados) y revisión
+    const { data: auditCase, error: caseError } = await storage.cases.findByCaseId(case_id);
+
+    if (caseError || !auditCase) {
+      return res.status(404).json({
+        error: "CASO_NO_ENCONTRADO"
+      });
+    }
+
+    // Reanudación: el caso ya está en el estado destino por obra de esta revisión
+    const { data: lastStatusLog, error: statusLogError } =
+      await storage.auditLogs.findLatest(case_id, "case_status_changed");
+
+    if (statusLogError) throw statusLogError;
+
+    const resuming = auditCase.status === targetStatus &&
+      lastStatusLog?.details?.to === targetStatus &&
+      lastStatusLog?.details?.review_id === review_id;
+
+    if (!resuming) {
+      const stateError = review.status === REVIEW_STATUS.OPEN
+        ? checkOperation(auditCase, "review_action")
+        : { error: "REVISION_CERRADA", status: review.status };
+
+      if (stateError) {
+        return res.status(409).json(stateError);
+      }
+
+      const { error: transitionError } = await lifecycle.transition(auditCase, targetStatus, {
+        ...actorOf(req.principal),
+        trigger: closeAction,
+        patch: outcome === REVIEW_STATUS.CERTIFIED
+          ? { final_git: decision.final_git, final_cg: decision.final_cg }
+          : {},
+        details: { review_id }
+      });
+
+      if (transitionError) throw transitionError;
+    }
+
+    if (review.status === REVIEW_STATUS.OPEN) {
+      const { error: updateReviewError } = await storage.reviews.update(review_id, {
+        status: outcome,
+        closed_by: req.principal.id,
+        closed_at: new Date().toISOString(),
+        closing_justification: justification,
+        decision_id: decision?.id ?? null
+      });
+
+      if (updateReviewError) throw updateReviewError;
+    }
+
+    // 5️⃣ Registrar en audit_logs (una sola vez por revisión)
+    const { data: lastCloseLog, error: closeLogError } = await storage.auditLogs.findLatest(case_id, closeAction);
+
+    if (closeLogError) throw closeLogError;
+
+    if (lastCloseLog?.details?.review_id !== review_id) {
+      const { error: logError } = await auditChain.append({
+        case_id,
+        action: closeAction,
+        details: {
+          review_id,
+          decision_id: decision?.id ?? null,
+          final_git: decision?.final_git ?? null,
+          final_cg: decision?.final_cg ?? null,
+          justification
+        },
+        ...actorOf(req.principal)
+      });
+
+      if (logError) throw logError;
+    }
+
+    // 6️⃣ Certificación → artefacto inmutable firmado (idempotente por versión del caso)
+    let certificate_id = null;
+
+    if (outcome === REVIEW_STATUS.CERTIFIED) {
+      const { data: issued, error: issueError } = await certificates.issue({
+        auditCase: { ...auditCase, status: CASE_STATUS.CERTIFIED },
+        review_id,
+        decision,
+        actor: actorOf(req.principal)
+      });
+
+      if (issueError) throw issueError;
+
+      certificate_id = issued.certificate.certificate_id;
+    }
+
+    return res.status(200).json({
+      case_id,
+      review_id,
+      status: outcome,
+      final_git: decision?.final_git ?? null,
+      final_cg: decision?.final_cg ?? null,
+      certificate_id
+    });
+
+  } catch (err) {
+    console.error("ERROR cerrando revisión:", err.message);
+
+    return res.status(500).json({
+      error: "ERROR_REVISION_HUMANA",
+      message: "Fallo cerrando la revisión humana."
+    });
+  }
+}
+
+// ================================
+// REAPERTURA DE CASO (NUEVA VERSIÓN)
+// ================================
+
+app.post("/cases/:case_id/reopen", requireAuditor, async (req, res) => {
+  try {
+    const { case_id } = req.params;
+    const { justification } = req.body;
+
+    // 1️⃣ Obtener caso cerrado
+    const { data: auditCase, error: caseError } = await storage.cases.findByCaseId(case_id);
+
+    if (caseError || !auditCase) {
+      return res.status(404).json({
+        error: "CASO_NO_ENCONTRADO"
+      });
+    }
+
+    const stateError = checkOperation(auditCase, "reopen");
+    if (stateError) {
+      return res.status(409).json(stateError);
+    }
+
+    // 2️⃣ Justificación escrita obligatoria
+    const validation = validateActionJustification(justification);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: "JUSTIFICACION_REQUERIDA",
+        errors: validation.errors
+      });
+    }
+
+    // 3️⃣ Archivar versión vigente y abrir la siguiente (nunca se sobrescribe)
+    const { data: reopened, error: reopenError } = await lifecycle.reopen(auditCase, {
+      ...actorOf(req.principal),
+      justification
+    });
+
+    if (reopenError) throw reopenError;
+
+    return res.status(200).json({
+      case_id,
+      status: reopened.status,
+      case_version: reopened.case_version,
+      previous_version: auditCase.case_version ?? 1
+    });
+
+  } catch (err) {
+    console.error("ERROR en reapertura de caso:", err.message);
+
+    return res.status(500).json({
+      error: "ERROR_REAPERTURA_CASO",
+      message: "Fallo en reapertura del caso."
+    });
+  }
+});
+
+// ================================
+// CERTIFICADOS PÚBLICOS
+// ================================
+
+app.get("/certificates/:id", async (req, res) => {
+  try {
+    const { data: record, error } = await storage.certificates.findById(req.params.id);
+
+    if (error || !record) {
+      return res.status(404).json({
+        error: "CERTIFICADO_NO_ENCONTRADO"
+      });
+    }
+
+    // Artefacto tal cual fue firmado + clave pública para verificación independiente
+    return res.status(200).json({
+      certificate: record.certificate,
+      certificate_hash: record.certificate_hash,
+      signature: record.signature,
+      public_key_pem: record.signature.key_id === signingKey.key_id ? signingKey.public_key_pem : null
+    });
+
+  } catch (err) {
+    console.error("ERROR obteniendo certificado:", err.message);
+
+    return res.status(500).json({
+      error: "ERROR_CERTIFICADO",
+      message: "Fallo obteniendo el certificado."
+    });
+  }
+});
+
+app.get("/certificates/:id/verify", async (req, res) => {
+  try {
+    const { data: verification, error } = await certificates.verify(req.params.id);
+
+    if (error) throw error;
+
+    if (!verification) {
+      return res.status(404).json({
+        error: "CERTIFICADO_NO_ENCONTRADO"
+      });
+    }
+
+    return res.status(200).json(verification);
+
+  } catch (err) {
+    console.error("ERROR verificando certificado:", err.message);
+
+    return res.status(500).json({
+      error: "ERROR_VERIFICACION_CERTIFICADO",
+      message: "Fallo en verificación del certificado."
+    });
+  }
+});
+
+// ================================
+// VERIFICACIÓN DE CADENA DE AUDITORÍA
+// ================================
+
+app.get("/cases/:case_id/audit/verify", requireCaseReader, async (req, res) => {
+  try {
+    const { case_id } = req.params;
+
+    // 1️⃣ Obtener caso (SOLO LECTURA)
+    const { data: auditCase, error: caseError } = await storage.cases.findByCaseId(case_id);
+
+    if (caseError || !auditCase) {
+      return res.status(404).json({
+        error: "CASO_NO_ENCONTRADO"
+      });
+    }
+
+    const accessError = checkCaseAccess(req.principal, auditCase);
+    if (accessError) {
+      return res.status(403).json(accessError);
+    }
+
+    // 2️⃣ Recorrer la cadena (la verificación no escribe en audit_logs)
+    const { data: verification, error: verifyError } = await auditChain.verify(case_id);
+
+    if (verifyError) throw verifyError;
+
+    // 3️⃣ Respuesta: integridad + primer eslabón roto (si existe)
+    return res.status(200).json(verification);
+
+  } catch (err) {
+    console.error("ERROR en verificación de cadena de auditoría:", err.message);
+
+    return res.status(500).json({
+      error: "ERROR_VERIFICACION_AUDITORIA",
+      message: "Fallo en verificación de la cadena de auditoría."
+    });
+  }
+});
+
+// ================================
+// CADENAS DE EXPORTACIÓN (SOLO LECTURA)
+// ================================
+
+app.get("/cases/:case_id/export-chains", requireCaseReader, async (req, res) => {
+  try {
+    const { case_id } = req.params;
+
+    // 1️⃣ Obtener caso (SOLO LECTURA)
+    const { data: auditCase, error: caseError } = await storage.cases.findByCaseId(case_id);
+
+    if (caseError || !auditCase) {
+      return res.status(404).json({
+        error: "CASO_NO_ENCONTRADO"
+      });
+    }
+
+    const accessError = checkCaseAccess(req.principal, auditCase);
+    if (accessError) {
+      return res.status(403).json(accessError);
+    }
+
+    // 2️⃣ Cadenas reconstruidas en la extracción (BLOQUE 3.1)
+    const { data: evidenceRows, error: evidenceError } = await storage.evidenceMetadata.listByCase(case_id);
+
+    if (evidenceError) throw evidenceError;
+
+    // 3️⃣ Respuesta: una cadena por extracción de evidencia
+    return res.status(200).json({
+      case_id,
+      export_chains: evidenceRows.map(row => ({
+        evidence_id: row.evidence_id,
+        extraction_version: row.extraction_version,
+        extracted_at: row.extracted_at,
+        export_chain: row.metadata?.export_chain ?? null,
+        pdf_revisions: row.metadata?.pdf_structure?.revisions ?? null,
+        pdf_anomalies: row.metadata?.pdf_structure?.anomalies ?? null
+      }))
+    });
+
+  } catch (err) {
+    console.error("ERROR obteniendo cadenas de exportación:", err.message);
+
+    return res.status(500).json({
+      error: "ERROR_CADENAS_EXPORTACION",
+      message: "Fallo obteniendo cadenas de exportación."
+    });
+  }
+});
+
+// ================================
+// LÍNEA TEMPORAL DEL CASO
+// ================================
+
+app.get("/cases/:case_id/timeline", requireCaseReader, async (req, res) => {
+  try {
+    const { case_id } = req.params;
+
+    // 1️⃣ Caso y declaración (año de ejecución declarado)
+    const { data: auditCase, error: caseError } = await storage.cases.findWithIntake(case_id);
+
+    if (caseError || !auditCase) {
+      return res.status(404).json({
+        error: "CASO_NO_ENCONTRADO"
+      });
+    }
+
+    const accessError = checkCaseAccess(req.principal, auditCase);
+    if (accessError) {
+      return res.status(403).json(accessError);
+    }
+
+    // 2️⃣ Metadatos extraídos de todas las evidencias (BLOQUE 3.1)
+    const { data: evidenceRows, error: evidenceError } = await storage.evidenceMetadata.listByCase(case_id);
+
+    if (evidenceError) throw evidenceError;
+
+    // 3️⃣ Línea temporal normalizada con anomalías intra e inter-archivo
+    const timeline = buildCaseTimeline(evidenceRows, {
+      declared_year: auditCase.intake_frozen.aura_intake_json?.artist_declaration?.execution_year ?? null
+    });
+
+    return res.status(200).json({
+      case_id,
+      ...timeline
+    });
+
+  } catch (err) {
+    console.error("ERROR construyendo línea temporal:", err.message);
+
+    return res.status(500).json({
+      error: "ERROR_LINEA_TEMPORAL",
+      message: "Fallo construyendo la línea temporal del caso."
+    });
+  }
+});
+
+// ================================
+// PROGRESIÓN DEL PROCESO (LECTURA DE REVISORES)
+// ================================
+
+app.get("/cases/:case_id/process-progression", requireCaseReader, async (req, res) => {
+  try {
+    const { case_id } = req.params;
+
+    const { data: auditCase, error: caseError } = await storage.cases.findByCaseId(case_id);
+
+    if (caseError || !auditCase) {
+      return res.status(404).json({
+        error: "CASO_NO_ENCONTRADO"
+      });
+    }
+
+    const accessError = checkCaseAccess(req.principal, auditCase);
+    if (accessError) {
+      return res.status(403).json(accessError);
+    }
+
+    // Último análisis registrado para el caso
+    const { data: progression, error: progressionError } = await storage.processProgressions.findLatest(case_id);
+
+    if (progressionError) throw progressionError;
+
+    if (!progression) {
+      return res.status(404).json({
+        error: "PROGRESION_NO_ANALIZADA"
+      });
+    }
+
+    return res.status(200).json(progression);
+
+  } catch (err) {
+    console.error("ERROR leyendo progresión del proceso:", err.message);
+
+    return res.status(500).json({
+      error: "ERROR_PROGRESION_PROCESO",
+      message: "Fallo leyendo la progresión de etapas del proceso."
+    });
+  }
+});
+
+app.get("/cases/:case_id/ai-signals", requireCaseReader, async (req, res) => {
+  try {
+    const { case_id } = req.params;
+
+    const { data: auditCase, error: caseError } = await storage.cases.findByCaseId(case_id);
+
+    if (caseError || !auditCase) {
+      return res.status(404).json({
+        error: "CASO_NO_ENCONTRADO"
+      });
+    }
+
+    const accessError = checkCaseAccess(req.principal, auditCase);
+    if (accessError) {
+      return res.status(403).json(accessError);
+    }
+
+    const { data: rows, error: listError } = await storage.aiSignalResults.listByCase(case_id);
+
+    if (listError) throw listError;
+
+    if (rows.length === 0) {
+      return res.status(404).json({
+        error: "SEÑALES_NO_ANALIZADAS",
+        message: "Ejecute POST /analysis/ai-signals para este caso."
+      });
+    }
+
+    // Última fila de cada evidencia, con su papel en el caso
+    const latest = new Map(rows.map(row => [row.evidence_id, row]));
+
+    return res.status(200).json({
+      case_id,
+      evidences: [...latest.values()].map(row => ({ ...row, role: roleOfStage(row.stage ?? null) })),
+      summary: summarizeCaseSignals(rows)
+    });
+
+  } catch (err) {
+    console.error("ERROR leyendo señales de IA:", err.message);
+
+    return res.status(500).json({
+      error: "ERROR_DETECCION_SEÑALES_IA",
+      message: "Fallo leyendo las señales de IA del caso."
+    });
+  }
+});
+
+// ================================
+// BÚSQUEDA POR PARECIDO PERCEPTUAL
+// ================================
+
+/*
+ * Coste O(archivo): cada consulta lee y compara TODAS las huellas de todos los casos.
+ * No hay índice todavía (BK-tree sobre distancia de Hamming o cubos por prefijo del hash);
+ * hasta entonces la ruta queda restringida a auditores y sistema, y el recorrido se acota
+ * a MAX_SIMILAR_SCAN_ROWS huellas: por encima se rechaza en vez de buscar en un subconjunto.
+ */
+const MAX_SIMILAR_RESULTS = 100;
+const MAX_SIMILAR_SCAN_ROWS = 50000;
+
+app.post("/evidence/similar", requireArchiveSearcher, async (req, res) => {
+  try {
+    const { case_id, evidence_id, limit = 20 } = req.body;
+
+    if (!case_id || !evidence_id) {
+      return res.status(400).json({
+        error: "PARAMETROS_INCOMPLETOS",
+        required: ["case_id", "evidence_id"]
+      });
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SIMILAR_RESULTS) {
+      return res.status(400).json({
+        error: "PARAMETROS_INVALIDOS",
+        message: `limit debe ser un entero entre 1 y ${MAX_SIMILAR_RESULTS}`
+      });
+    }
+
+    // 1️⃣ Caso y huellas de la evidencia consultada
+    const { data: auditCase, error: caseError } = await storage.cases.findByCaseId(case_id);
+
+    if (caseError || !auditCase) {
+      return res.status(404).json({
+        error: "CASO_NO_ENCONTRADO"
+      });
+    }
+
+    const { data: query, error: queryError } = await storage.perceptualHashes.findLatest(case_id, evidence_id);
+
+    if (queryError) throw queryError;
+
+    if (!query) {
+      return res.status(404).json({
+        error: "HUELLA_NO_ENCONTRADA",
+        message: "La evidencia no tiene huellas perceptuales (no es imagen o no se ha extraído)."
+      });
+    }
+
+    // 2️⃣ Última huella de cada evidencia del archivo completo (todos los casos)
+    const { data: rows, error: listError } =
+      await storage.perceptualHashes.listAll({ maxRows: MAX_SIMILAR_SCAN_ROWS + 1 });
+
+    if (listError) throw listError;
+
+    // Un resultado parcial no diría "no hay parecidos": se rechaza explícitamente
+    if (rows.length > MAX_SIMILAR_SCAN_ROWS) {
+      return res.status(503).json({
+        error: "ARCHIVO_EXCEDE_LIMITE_BUSQUEDA",
+        message: `El archivo supera ${MAX_SIMILAR_SCAN_ROWS} huellas; la búsqueda requiere un índice.`,
+        max_scan_rows: MAX_SIMILAR_SCAN_ROWS
+      });
+    }
+
+    const candidates = new Map();
+    rows.filter(row => !(row.case_id === case_id && row.evidence_id === evidence_id))
+      .forEach(row => candidates.set(`${row.case_id}/${row.evidence_id}`, row));
+
+    // 3️⃣ Distancias y coincidencias bajo umbral
+    const matches = [...candidates.values()]
+      .map(row => ({ row, comparison: compareHashes(query, row) }))
+      .filter(({ comparison }) => comparison.match_type)
+      .sort((a, b) => closestDistance(a.comparison) - closestDistance(b.comparison))
+      .slice(0, limit);
+
+    // Estado de cada caso coincidente (p. ej. obra ya certificada)
+    const caseStatuses = new Map();
+    for (const { row } of matches) {
+      if (!caseStatuses.has(row.case_id)) {
+        const { data: matchedCase } = await storage.cases.findByCaseId(row.case_id);
+        caseStatuses.set(row.case_id, matchedCase?.status ?? null);
+      }
+    }
+
+    return res.status(200).json({
+      case_id,
+      evidence_id,
+      hash_version: PERCEPTUAL_HASH_VERSION,
+      thresholds: SIMILARITY_THRESHOLDS,
+      query_flat: query.flat,
+      candidates_compared: candidates.size,
+      matches: matches.map(({ row, comparison }) => ({
+        case_id: row.case_id,
+        evidence_id: row.evidence_id,
+        same_case: row.case_id === case_id,
+        case_status: caseStatuses.get(row.case_id),
+        content_sha256: row.content_sha256,
+        ...comparison
+      }))
+    });
+
+  } catch (err) {
+    console.error("ERROR en búsqueda por parecido:", err.message);
+
+    return res.status(500).json({
+      error: "ERROR_BUSQUEDA_SIMILARES",
+      message: "Fallo en la búsqueda de evidencias similares."
+    });
+  }
+});
+
+function closestDistance({ phash_distance, dhash_distance, crop_distance }) {
+  return Math.min(phash_distance, dhash_distance, crop_distance);
+}
+
 // ================================
 // HEALTH CHECK
 // ================================
@@ -809,6 +1964,9 @@ app.get("/health", (req, res) => {
     status: "ok",
     service: "aura-forensic-service",
     version: "3.1.0",
+    storage_backend: storage.backend,
+    ai_detectors: detectorRegistry.list(),
+    ai_signal_calibration: signalAggregator.calibration,
     blocks_available: ["2.2", "2.4", "3.1", "3.2"],
     principles: [
       "NO valida autenticidad",
@@ -821,8 +1979,22 @@ app.get("/health", (req, res) => {
       metadata_analysis: "POST /analysis/metadata",
       metadata_extraction: "POST /analysis/metadata-extract",
       ai_signals: "POST /analysis/ai-signals",
+      ai_signals_read: "GET /cases/:case_id/ai-signals",
       consistency: "POST /analysis/consistency",
-      pipeline: "POST /analysis/pipeline"
+      pipeline: "POST /analysis/pipeline",
+      audit_verify: "GET /cases/:case_id/audit/verify",
+      export_chains: "GET /cases/:case_id/export-chains",
+      timeline: "GET /cases/:case_id/timeline",
+      evidence_similar: "POST /evidence/similar",
+      process_progression: "POST /analysis/process-progression",
+      process_progression_read: "GET /cases/:case_id/process-progression",
+      review_open: "POST /cases/:case_id/reviews",
+      review_decision: "POST /cases/:case_id/reviews/:review_id/decision",
+      review_certify: "POST /cases/:case_id/reviews/:review_id/certify",
+      review_reject: "POST /cases/:case_id/reviews/:review_id/reject",
+      case_reopen: "POST /cases/:case_id/reopen",
+      certificate: "GET /certificates/:id",
+      certificate_verify: "GET /certificates/:id/verify"
     }
   });
 });
@@ -837,11 +2009,22 @@ app.listen(PORT, () => {
   console.log(`🔗 Health check: http://localhost:${PORT}/health`);
   console.log(`📌 PRINCIPIO FORENSE: Análisis técnico, no-decisorio.`);
   console.log(`\n🎯 ENDPOINTS DISPONIBLES:`);
-  console.log(`   POST /intake-freeze           - Congelar declaraciones`);
+  console.log(`   POST /intake-freeze           - Congelar declaraciones (artist)`);
   console.log(`   POST /analysis/metadata       - BLOQUE 2.2: Análisis metadatos`);
   console.log(`   POST /analysis/metadata-extract - BLOQUE 3.1: Extracción metadatos`);
-  console.log(`   POST /analysis/ai-signals     - BLOQUE 3.2: Señales de IA`);
+  console.log(`   POST /analysis/ai-signals     - BLOQUE 3.2: Señales de IA por evidencia`);
+  console.log(`   GET  /cases/:case_id/ai-signals - Señales por evidencia y resumen (obra final / proceso)`);
   console.log(`   POST /analysis/consistency    - BLOQUE 2.4: Evaluación de consistencia`);
   console.log(`   POST /analysis/pipeline       - Pipeline completo (2.2 → 3.1 → 3.2 → 2.4)`);
+  console.log(`   GET  /cases/:case_id/audit/verify - Verificar cadena de auditoría`);
+  console.log(`   GET  /cases/:case_id/export-chains - Cadenas de edición/exportación por evidencia`);
+  console.log(`   GET  /cases/:case_id/timeline - Línea temporal normalizada de todas las evidencias`);
+  console.log(`   POST /evidence/similar        - Evidencias parecidas (pHash/dHash/recortes) en todo el archivo (auditor/system)`);
+  console.log(`   POST /analysis/process-progression - Progresión de etapas intermedias hacia la final (SSIM)`);
+  console.log(`   GET  /cases/:case_id/process-progression - Último análisis de progresión del caso`);
+  console.log(`   POST /cases/:case_id/reviews  - HUMAN REVIEW (auditores autenticados)`);
+  console.log(`   POST /cases/:case_id/reopen   - Reabrir caso cerrado (nueva versión)`);
+  console.log(`   GET  /certificates/:id        - Certificado firmado (público)`);
+  console.log(`   GET  /certificates/:id/verify - Verificar firma y hashes referenciados`);
   console.log(`\n⚠️  SISTEMA NO-DECISORIO: Solo genera hechos técnicos y señales auxiliares`);
 });
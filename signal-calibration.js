@@ -0,0 +1,437 @@
+// signal-calibration.js - BLOQUE 3.2 (CALIBRACIÓN DE SEÑALES)
+// Pesos de fiabilidad y umbrales de confianza medidos sobre un corpus etiquetado (ROC/AUC, FPR)
+
+import fs from 'fs';
+import crypto from 'crypto';
+import Ajv from 'ajv';
+import { DETECTOR_STATUS } from './ai-detectors.js';
+
+// ================================
+// CONSTANTES Y ENUMS (INMUTABLES)
+// ================================
+
+export const CALIBRATION_FORMAT_VERSION = '1.0.0';
+
+export const CORPUS_LABELS = Object.freeze({
+  HUMAN: 'human',
+  AI: 'ai',
+  HYBRID: 'hybrid'   // se mide aparte: no entra en la ROC humano/IA
+});
+
+// Umbrales sobre aggregated_score que usa el motor de consistencia (score > umbral)
+export const OPERATING_THRESHOLDS = Object.freeze([0.3, 0.6, 0.7, 0.8]);
+
+// Canon §1.5 (preferir falsos negativos): cada nivel exige AUC mínima y FPR máxima medidas
+// en su umbral operativo; el número mínimo de señales calibradas se deriva del corpus
+export const CONFIDENCE_TARGETS = Object.freeze({
+  HIGH: Object.freeze({ min_auc: 0.9, max_fpr: 0.01, threshold: 0.7 }),
+  MEDIUM: Object.freeze({ min_auc: 0.75, max_fpr: 0.05, threshold: 0.6 })
+});
+
+// Por debajo de este número de muestras por clase una técnica no se calibra (peso 0)
+export const MIN_SAMPLES_PER_CLASS = 10;
+
+// Validación cruzada estratificada por etiqueta: las métricas agregadas y la confianza
+// se miden sobre puntuaciones de registros que no participaron en el ajuste de pesos
+export const CROSS_VALIDATION_FOLDS = 5;
+
+// ================================
+// 🚫 DECLARACIÓN DE NO-DECISIÓN
+// ================================
+
+/*
+ * La calibración cambia cuánto pesa cada señal y cuándo la confianza es MEDIUM o HIGH;
+ * no convierte la agregación en un veredicto. Sin archivo de calibración se conservan
+ * los valores declarados por cada detector y se marca el resultado como no calibrado.
+ * Una técnica cuyo detector (versión o modelo) no es el calibrado no pesa en la agregación.
+ */
+
+// ================================
+// ESQUEMA DEL ARCHIVO 1.0.0
+// ================================
+
+const CALIBRATION_SCHEMA = {
+  type: 'object',
+  required: ['calibration_format', 'calibration_version', 'created_at', 'techniques', 'confidence'],
+  properties: {
+    calibration_format: { const: CALIBRATION_FORMAT_VERSION },
+    calibration_version: { type: 'string', minLength: 1 },
+    created_at: { type: 'string', minLength: 1 },
+    techniques: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        required: ['detector_id', 'detector_version', 'reliability_weight'],
+        properties: {
+          detector_id: { type: 'string' },
+          detector_version: { type: 'string' },
+          model_sha256: { type: ['string', 'null'] },
+          reliability_weight: { type: 'number', minimum: 0, maximum: 1 }
+        }
+      }
+    },
+    confidence: {
+      type: 'object',
+      required: ['HIGH', 'MEDIUM'],
+      properties: {
+        HIGH: { type: 'object', required: ['min_signals'], properties: { min_signals: { type: ['integer', 'null'], minimum: 1 } } },
+        MEDIUM: { type: 'object', required: ['min_signals'], properties: { min_signals: { type: ['integer', 'null'], minimum: 1 } } }
+      }
+    }
+  }
+};
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const validateCalibration = ajv.compile(CALIBRATION_SCHEMA);
+
+/**
+ * 📐 Carga del archivo de calibración (AURA_CALIBRATION_FILE)
+ *
+ * @param {Object} env - process.env
+ * @returns {Object|null} Calibración con su sha256, o null si no está configurada
+ * @throws {Error} Si el archivo configurado no existe o no es válido
+ */
+export function loadCalibration(env = process.env) {
+  if (!env.AURA_CALIBRATION_FILE) return null;
+
+  const bytes = fs.readFileSync(env.AURA_CALIBRATION_FILE);
+  const calibration = JSON.parse(bytes.toString('utf8'));
+
+  if (!validateCalibration(calibration)) {
+    throw new Error(`Calibración no válida: ${ajv.errorsText(validateCalibration.errors)}`);
+  }
+
+  return {
+    ...calibration,
+    sha256: crypto.createHash('sha256').update(bytes).digest('hex')
+  };
+}
+
+/**
+ * ⚖️ Agregación y confianza de las señales de una evidencia
+ *
+ * @param {Object|null} calibration - Resultado de loadCalibration (null = valores declarados)
+ * @returns {{ calibration: Object|null, aggregate: Function, signalCount: Function, confidence: Function }}
+ */
+export function createSignalAggregator(calibration = null) {
+  // Señales ejecutadas con el peso que les corresponde
+  function weightedSignals(signals) {
+    return Object.entries(signals)
+      .filter(([, signal]) => signal?.status === DETECTOR_STATUS.EXECUTED && typeof signal.score === 'number')
+      .map(([technique, signal]) => ({ signal, weight: weightOf(technique, signal) }))
+      .filter(({ weight }) => typeof weight === 'number' && weight > 0);
+  }
+
+  function weightOf(technique, signal) {
+    if (!calibration) return signal.reliability;
+
+    const entry = calibration.techniques[technique];
+    const sameDetector = entry &&
+      entry.detector_id === signal.detector_id &&
+      entry.detector_version === signal.detector_version &&
+      (!entry.model_sha256 || entry.model_sha256 === signal.model_sha256);
+
+    return sameDetector ? entry.reliability_weight : 0;
+  }
+
+  /**
+   * Media de las puntuaciones ponderada por fiabilidad (0 si no hay señales con peso).
+   */
+  function aggregate(signals) {
+    let totalScore = 0;
+    let totalWeight = 0;
+
+    weightedSignals(signals).forEach(({ signal, weight }) => {
+      totalScore += signal.score * weight;
+      totalWeight += weight;
+    });
+
+    return totalWeight > 0 ? totalScore / totalWeight : 0;
+  }
+
+  /**
+   * Número de señales que pesan en la agregación (ejecutadas y con peso > 0).
+   */
+  function signalCount(signals) {
+    return weightedSignals(signals).length;
+  }
+
+  /**
+   * LOW / MEDIUM / HIGH. Calibrada: número mínimo de señales medido por nivel.
+   * Sin calibración: heurística declarada (varianza, número de señales fiables).
+   */
+  function confidence(signals, metadataIntegrity) {
+    if (calibration) {
+      if (!metadataIntegrity) return 'LOW';
+      const count = signalCount(signals);
+      const meets = (level) => calibration.confidence[level].min_signals !== null && count >= calibration.confidence[level].min_signals;
+
+      if (meets('HIGH')) return 'HIGH';
+      if (meets('MEDIUM')) return 'MEDIUM';
+      return 'LOW';
+    }
+
+    return declaredConfidence(signals, metadataIntegrity);
+  }
+
+  return {
+    calibration: calibration
+      ? { calibration_version: calibration.calibration_version, sha256: calibration.sha256 }
+      : null,
+    aggregate,
+    signalCount,
+    confidence
+  };
+}
+
+// Heurística previa a la calibración (valores sin respaldo medido)
+function declaredConfidence(signals, metadataIntegrity) {
+  const scores = Object.values(signals)
+    .filter(s => s && typeof s.score === 'number')
+    .map(s => s.score);
+
+  if (scores.length === 0) return 'LOW';
+
+  // Calcular varianza
+  const mean = scores.reduce((a, b) => a + b) / scores.length;
+  const variance = scores.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / scores.length;
+
+  // Factores para confianza
+  const scoreCount = scores.length;
+  const lowVariance = variance < 0.05;
+  const highReliability = Object.values(signals)
+    .filter(s => s && s.reliability > 0.7).length >= 3;
+
+  if (scoreCount >= 4 && lowVariance && highReliability && metadataIntegrity) {
+    return 'HIGH';
+  } else if (scoreCount >= 3 && metadataIntegrity) {
+    return 'MEDIUM';
+  } else {
+    return 'LOW';
+  }
+}
+
+// ================================
+// MÉTRICAS (CLI DE CALIBRACIÓN)
+// ================================
+
+/**
+ * 📈 Curva ROC y AUC (Mann-Whitney, empates cuentan 0.5)
+ *
+ * @param {Array<{ score: number, positive: boolean }>} samples
+ * @returns {{ auc: number|null, points: Array<{ threshold: number, fpr: number, tpr: number }> }}
+ */
+export function computeRoc(samples) {
+  const positives = samples.filter(sample => sample.positive).map(sample => sample.score);
+  const negatives = samples.filter(sample => !sample.positive).map(sample => sample.score);
+  if (positives.length === 0 || negatives.length === 0) return { auc: null, points: [] };
+
+  let wins = 0;
+  positives.forEach(positive => {
+    negatives.forEach(negative => {
+      if (positive > negative) wins += 1;
+      else if (positive === negative) wins += 0.5;
+    });
+  });
+
+  // Un punto por umbral distinto (positivo si score ≥ umbral)
+  const thresholds = [...new Set(samples.map(sample => sample.score))].sort((a, b) => b - a);
+  const points = [{ threshold: null, fpr: 0, tpr: 0 }, ...thresholds.map(threshold => ({
+    threshold: round4(threshold),
+    fpr: round4(negatives.filter(score => score >= threshold).length / negatives.length),
+    tpr: round4(positives.filter(score => score >= threshold).length / positives.length)
+  }))];
+
+  return { auc: round4(wins / (positives.length * negatives.length)), points };
+}
+
+/**
+ * Proporción de puntuaciones por encima de cada umbral operativo (score > umbral).
+ */
+export function ratesAt(scores, thresholds = OPERATING_THRESHOLDS) {
+  return Object.fromEntries(thresholds.map(threshold => [
+    String(threshold),
+    scores.length > 0 ? round4(scores.filter(score => score > threshold).length / scores.length) : null
+  ]));
+}
+
+/**
+ * 🧪 Calibración a partir de las señales de un corpus etiquetado
+ *
+ * Los pesos publicados se ajustan con el corpus completo. La agregación y los niveles de
+ * confianza se evalúan con validación cruzada (CROSS_VALIDATION_FOLDS): cada registro se
+ * puntúa con pesos ajustados sin él, así que las FPR informadas son sobre datos no vistos.
+ * aggregate_in_sample conserva la medida sobre el mismo corpus del ajuste, solo como referencia.
+ *
+ * @param {Object} params
+ * @param {Array<Object>} params.records - { label, signals (runAll), metadata_integrity, key? }
+ * @param {Array<Object>} params.detectors - Entradas de registry.list()
+ * @param {string} params.calibration_version
+ * @param {Object} params.corpus - Descripción del corpus (recuentos, hash, omitidos)
+ * @param {string} params.detector_registry_version
+ * @returns {Object} Contenido del archivo de calibración
+ */
+export function buildCalibration({ records, detectors, calibration_version, corpus, detector_registry_version }) {
+  // 1️⃣ Por técnica (corpus completo): ROC humano/IA, FPR/TPR operativos, tasa en híbridos y peso
+  const techniques = fitTechniques(records, detectors);
+
+  // 2️⃣ Puntuaciones fuera de pliegue: pesos ajustados sin el pliegue evaluado
+  const folds = assignFolds(records);
+  const heldOut = new Array(records.length);
+
+  for (let fold = 0; fold < CROSS_VALIDATION_FOLDS; fold++) {
+    const training = records.filter((record, index) => folds[index] !== fold);
+    const aggregator = weightsAggregator(fitTechniques(training, detectors));
+
+    records.forEach((record, index) => {
+      if (folds[index] === fold) heldOut[index] = scoreRecord(aggregator, record);
+    });
+  }
+
+  const inSample = records.map(record => scoreRecord(weightsAggregator(techniques), record));
+
+  // 3️⃣ Confianza: menor número de señales con el que se cumplen AUC y FPR objetivo fuera de pliegue.
+  // Los registros sin integridad de metadatos quedan fuera: confidence() los fuerza a LOW
+  const eligible = heldOut.filter(record => record.metadata_integrity);
+  const maxSignals = Object.values(techniques).filter(entry => entry.reliability_weight > 0).length;
+  const confidence = {};
+
+  Object.entries(CONFIDENCE_TARGETS).forEach(([level, target]) => {
+    confidence[level] = { min_signals: null, ...target };
+
+    for (let count = 1; count <= maxSignals; count++) {
+      const metrics = aggregateMetrics(eligible.filter(record => record.signals >= count));
+      if (metrics.samples.human < MIN_SAMPLES_PER_CLASS || metrics.samples.ai < MIN_SAMPLES_PER_CLASS) break;
+
+      const fpr = metrics.fpr_at[String(target.threshold)];
+      if (metrics.auc >= target.min_auc && fpr <= target.max_fpr) {
+        confidence[level] = {
+          min_signals: count,
+          ...target,
+          measured_auc: metrics.auc,
+          measured_fpr: fpr,
+          evaluation: 'cross_validation',
+          samples: metrics.samples
+        };
+        break;
+      }
+    }
+  });
+
+  return {
+    calibration_format: CALIBRATION_FORMAT_VERSION,
+    calibration_version,
+    created_at: new Date().toISOString(),
+    detector_registry_version,
+    corpus,
+    operating_thresholds: OPERATING_THRESHOLDS,
+    min_samples_per_class: MIN_SAMPLES_PER_CLASS,
+    techniques,
+    aggregate: {
+      evaluation: 'cross_validation',
+      folds: CROSS_VALIDATION_FOLDS,
+      ...aggregateMetrics(heldOut)
+    },
+    aggregate_in_sample: aggregateMetrics(inSample),
+    confidence
+  };
+}
+
+// Pesos por técnica ajustados sobre un conjunto de registros (peso = 2·AUC − 1)
+function fitTechniques(records, detectors) {
+  const techniques = {};
+
+  detectors.filter(detector => detector.detector_id).forEach(detector => {
+    const executed = records
+      .map(record => ({ label: record.label, signal: record.signals[detector.technique] }))
+      .filter(({ signal }) => signal?.status === DETECTOR_STATUS.EXECUTED && typeof signal.score === 'number');
+
+    const scoresOf = (label) => executed.filter(sample => sample.label === label).map(sample => sample.signal.score);
+    const human = scoresOf(CORPUS_LABELS.HUMAN);
+    const ai = scoresOf(CORPUS_LABELS.AI);
+    const hybrid = scoresOf(CORPUS_LABELS.HYBRID);
+    const sufficient = human.length >= MIN_SAMPLES_PER_CLASS && ai.length >= MIN_SAMPLES_PER_CLASS;
+
+    const roc = sufficient ? computeRoc([
+      ...human.map(score => ({ score, positive: false })),
+      ...ai.map(score => ({ score, positive: true }))
+    ]) : { auc: null, points: [] };
+
+    techniques[detector.technique] = {
+      detector_id: detector.detector_id,
+      detector_version: detector.detector_version,
+      model_sha256: detector.model?.model_sha256 ?? null,
+      declared_reliability: detector.reliability,
+      samples: { human: human.length, ai: ai.length, hybrid: hybrid.length },
+      status: sufficient ? 'calibrated' : 'insufficient_samples',
+      auc: roc.auc,
+      roc: roc.points,
+      fpr_at: ratesAt(human),
+      tpr_at: ratesAt(ai),
+      hybrid_positive_rate_at: ratesAt(hybrid),
+      reliability_weight: sufficient ? round4(Math.max(0, 2 * roc.auc - 1)) : 0
+    };
+  });
+
+  return techniques;
+}
+
+// Agregador con solo los pesos (sin niveles de confianza)
+function weightsAggregator(techniques) {
+  return createSignalAggregator({
+    techniques,
+    confidence: { HIGH: { min_signals: null }, MEDIUM: { min_signals: null } }
+  });
+}
+
+function scoreRecord(aggregator, record) {
+  return {
+    label: record.label,
+    metadata_integrity: record.metadata_integrity !== false,
+    score: aggregator.aggregate(record.signals),
+    signals: aggregator.signalCount(record.signals)
+  };
+}
+
+// Pliegue estable por etiqueta: orden por key (ruta en el corpus) o por posición, reparto circular
+function assignFolds(records) {
+  const folds = new Array(records.length).fill(0);
+
+  Object.values(CORPUS_LABELS).forEach(label => {
+    records
+      .map((record, index) => ({ record, index }))
+      .filter(({ record }) => record.label === label)
+      .sort((a, b) => String(a.record.key ?? '').localeCompare(String(b.record.key ?? '')) || a.index - b.index)
+      .forEach(({ index }, position) => {
+        folds[index] = position % CROSS_VALIDATION_FOLDS;
+      });
+  });
+
+  return folds;
+}
+
+function aggregateMetrics(subset) {
+  const human = subset.filter(record => record.label === CORPUS_LABELS.HUMAN).map(record => record.score);
+  const ai = subset.filter(record => record.label === CORPUS_LABELS.AI).map(record => record.score);
+  const hybrid = subset.filter(record => record.label === CORPUS_LABELS.HYBRID).map(record => record.score);
+  const roc = computeRoc([
+    ...human.map(score => ({ score, positive: false })),
+    ...ai.map(score => ({ score, positive: true }))
+  ]);
+  return {
+    samples: { human: human.length, ai: ai.length, hybrid: hybrid.length },
+    auc: roc.auc,
+    roc: roc.points,
+    fpr_at: ratesAt(human),
+    tpr_at: ratesAt(ai),
+    hybrid_positive_rate_at: ratesAt(hybrid)
+  };
+}
+
+// ================================
+// FUNCIONES AUXILIARES
+// ================================
+
+function round4(value) {
+  return Math.round(value * 10000) / 10000;
+}
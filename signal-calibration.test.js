@@ -0,0 +1,152 @@
+// signal-calibration.test.js - TESTS DE CALIBRACIÓN DE SEÑALES
+// ROC/AUC, tasas en umbrales operativos, pesos por técnica y validación cruzada por pliegues
+
+import assert from 'assert/strict';
+import {
+  computeRoc,
+  ratesAt,
+  buildCalibration,
+  CORPUS_LABELS,
+  CROSS_VALIDATION_FOLDS,
+  MIN_SAMPLES_PER_CLASS
+} from './signal-calibration.js';
+import { DETECTOR_STATUS } from './ai-detectors.js';
+
+const DETECTORS = [
+  { technique: 'noise', detector_id: 'noise-residual', detector_version: '1.0.0', reliability: 0.25 },
+  { technique: 'spectral', detector_id: 'spectral-peaks', detector_version: '1.0.0', reliability: 0.35 },
+  { technique: 'clip', detector_id: null, available: false }
+];
+
+const signal = (technique, score) => {
+  const detector = DETECTORS.find(entry => entry.technique === technique);
+  return { detector_id: detector.detector_id, detector_version: detector.detector_version, status: DETECTOR_STATUS.EXECUTED, score };
+};
+
+// n registros de una etiqueta con la misma puntuación en las técnicas dadas
+const records = (label, count, scores, extra = {}) => Array.from({ length: count }, (_, index) => ({
+  key: `${label}/${String(index).padStart(3, '0')}.png`,
+  label,
+  metadata_integrity: true,
+  signals: Object.fromEntries(Object.entries(scores).map(([technique, score]) => [technique, signal(technique, score)])),
+  ...extra
+}));
+
+const calibrate = (corpusRecords) => buildCalibration({
+  records: corpusRecords,
+  detectors: DETECTORS,
+  calibration_version: 'test-1',
+  corpus: { name: 'sintético' },
+  detector_registry_version: '1.0.0'
+});
+
+const withoutDate = ({ created_at, ...calibration }) => calibration;
+
+export const signalCalibrationTests = {
+  test1_roc_auc: async () => {
+    console.log('Test 1 (ROC): AUC de Mann-Whitney con empates a 0.5 y un punto por umbral distinto');
+    const roc = computeRoc([
+      { score: 0.9, positive: true },
+      { score: 0.4, positive: false },
+      { score: 0.4, positive: true },
+      { score: 0.1, positive: false }
+    ]);
+
+    assert.equal(roc.auc, 0.875);
+    assert.deepEqual(roc.points, [
+      { threshold: null, fpr: 0, tpr: 0 },
+      { threshold: 0.9, fpr: 0, tpr: 0.5 },
+      { threshold: 0.4, fpr: 0.5, tpr: 1 },
+      { threshold: 0.1, fpr: 1, tpr: 1 }
+    ]);
+
+    assert.equal(computeRoc([{ score: 1, positive: true }, { score: 0, positive: false }]).auc, 1);
+    assert.equal(computeRoc([{ score: 0, positive: true }, { score: 1, positive: false }]).auc, 0);
+    assert.equal(computeRoc([{ score: 0.5, positive: true }, { score: 0.5, positive: false }]).auc, 0.5);
+    assert.deepEqual(computeRoc([{ score: 0.5, positive: true }]), { auc: null, points: [] });
+  },
+
+  test2_operating_rates: async () => {
+    console.log('Test 2 (UMBRALES): proporción con score estrictamente mayor que cada umbral operativo');
+    assert.deepEqual(ratesAt([0.3, 0.6, 0.65, 0.9]), { '0.3': 0.75, '0.6': 0.5, '0.7': 0.25, '0.8': 0.25 });
+    assert.deepEqual(ratesAt([]), { '0.3': null, '0.6': null, '0.7': null, '0.8': null });
+  },
+
+  test3_technique_weights: async () => {
+    console.log('Test 3 (PESOS): peso = 2·AUC − 1 con el corpus completo; pocas muestras → peso 0; híbridos fuera de la ROC');
+    const calibration = calibrate([
+      ...records(CORPUS_LABELS.HUMAN, 12, { noise: 0.2, spectral: 0.5 }),
+      ...records(CORPUS_LABELS.AI, 12, { noise: 0.8 }),
+      ...records(CORPUS_LABELS.AI, MIN_SAMPLES_PER_CLASS - 1, { spectral: 0.9 }),
+      ...records(CORPUS_LABELS.HYBRID, 4, { noise: 0.1 })
+    ]);
+
+    const { noise, spectral } = calibration.techniques;
+    assert.deepEqual(Object.keys(calibration.techniques), ['noise', 'spectral']);
+    assert.deepEqual([noise.status, noise.auc, noise.reliability_weight], ['calibrated', 1, 1]);
+    assert.deepEqual(noise.samples, { human: 12, ai: 12, hybrid: 4 });
+    assert.equal(noise.fpr_at['0.3'], 0);
+    assert.equal(noise.hybrid_positive_rate_at['0.3'], 0);
+
+    assert.deepEqual([spectral.status, spectral.auc, spectral.reliability_weight], ['insufficient_samples', null, 0]);
+    assert.equal(spectral.declared_reliability, 0.35);
+  },
+
+  test4_cross_validation_folds: async () => {
+    console.log('Test 4 (PLIEGUES): pliegues estratificados por etiqueta y ordenados por key; métricas fuera de pliegue');
+    // 12 por clase → pliegues de 3, 3, 2, 2, 2: al entrenar sin los pliegues 0 y 1 quedan 9 por clase (< 10)
+    // y la técnica no se calibra, así que esos 6 registros por clase (posiciones 0, 1, 5, 6, 10, 11) puntúan 0
+    const ai = records(CORPUS_LABELS.AI, 12, {}).map((record, index) => ({
+      ...record,
+      signals: { noise: signal('noise', (60 + 2 * index) / 100) }
+    }));
+    const corpus = [...records(CORPUS_LABELS.HUMAN, 12, { noise: 0.1 }), ...ai];
+    const calibration = calibrate(corpus);
+
+    assert.equal(calibration.aggregate.evaluation, 'cross_validation');
+    assert.equal(calibration.aggregate.folds, CROSS_VALIDATION_FOLDS);
+    assert.equal(calibration.aggregate_in_sample.auc, 1);
+    assert.equal(calibration.aggregate_in_sample.tpr_at['0.7'], 0.5);
+
+    assert.equal(calibration.aggregate.auc, 0.625);
+    assert.equal(calibration.aggregate.tpr_at['0.6'], 0.5);
+    assert.equal(calibration.aggregate.tpr_at['0.7'], 0.25);
+    assert.equal(calibration.aggregate.fpr_at['0.3'], 0);
+
+    // El reparto depende de key, no del orden de llegada de los registros
+    const rotate = (list) => [...list.slice(2), ...list.slice(0, 2)];
+    const rotated = calibrate([...corpus.filter(record => record.label === CORPUS_LABELS.HUMAN), ...rotate(ai)]);
+    assert.deepEqual(withoutDate(rotated), withoutDate(calibration));
+
+    // Sin key el orden de llegada decide el pliegue
+    const unkeyed = calibrate([...corpus.filter(record => record.label === CORPUS_LABELS.HUMAN), ...rotate(ai).map(({ key, ...record }) => record)]);
+    assert.equal(unkeyed.aggregate.tpr_at['0.7'], 0.3333);
+  },
+
+  test5_confidence_levels: async () => {
+    console.log('Test 5 (CONFIANZA): mínimo de señales que cumple AUC y FPR objetivo fuera de pliegue; sin integridad no cuenta');
+    const separated = calibrate([
+      ...records(CORPUS_LABELS.HUMAN, 30, { noise: 0.1, spectral: 0.1 }),
+      ...records(CORPUS_LABELS.AI, 30, { noise: 0.9, spectral: 0.9 }),
+      ...records(CORPUS_LABELS.HUMAN, 5, { noise: 0.95, spectral: 0.95 }, { metadata_integrity: false })
+    ]);
+
+    assert.equal(separated.confidence.HIGH.min_signals, 1);
+    assert.equal(separated.confidence.HIGH.evaluation, 'cross_validation');
+    assert.deepEqual([separated.confidence.HIGH.measured_auc, separated.confidence.HIGH.measured_fpr], [1, 0]);
+    assert.deepEqual(separated.confidence.HIGH.samples, { human: 30, ai: 30, hybrid: 0 });
+    assert.equal(separated.confidence.MEDIUM.min_signals, 1);
+
+    // 3 de 30 humanos por encima de 0.7: FPR 0.1 > 0.05 → ningún nivel alcanzable pese a AUC 1
+    const overlapping = calibrate([
+      ...records(CORPUS_LABELS.HUMAN, 27, { noise: 0.1, spectral: 0.1 }),
+      ...records(CORPUS_LABELS.HUMAN, 3, { noise: 0.8, spectral: 0.8 }).map(record => ({ ...record, key: `${record.key}-b` })),
+      ...records(CORPUS_LABELS.AI, 30, { noise: 0.9, spectral: 0.9 })
+    ]);
+
+    assert.equal(overlapping.aggregate.auc, 1);
+    assert.equal(overlapping.confidence.HIGH.min_signals, null);
+    assert.equal(overlapping.confidence.MEDIUM.min_signals, null);
+    assert.equal(overlapping.confidence.HIGH.measured_fpr, undefined);
+  }
+};
@@ -0,0 +1,269 @@
+// software-catalog.js - CATÁLOGO DE SOFTWARE Y HERRAMIENTAS GENERATIVAS
+// Identificación por alias, versión y categoría compartida por el analizador (2.2) y el motor (2.4)
+
+// ================================
+// CONSTANTES Y ENUMS (INMUTABLES)
+// ================================
+
+// Cualquier cambio en entradas, alias o reglas de cobertura incrementa la versión
+export const SOFTWARE_CATALOG_VERSION = '1.0.0';
+
+export const TOOL_CATEGORIES = Object.freeze({
+  DETERMINISTIC_EDITOR: 'deterministic_editor',   // edición controlada por la persona, sin síntesis
+  GENERATIVE: 'generative',                       // síntesis de contenido por modelo
+  HYBRID_FEATURE: 'hybrid_feature',               // función generativa dentro de un editor (Generative Fill)
+  SYSTEM: 'system'                                // codificadores, motores PDF y librerías sin intervención creativa
+});
+
+const C = TOOL_CATEGORIES;
+
+/*
+ * Entrada: { id, name, vendor, category, aliases, version_pattern?, parent?, related? }
+ * - aliases: frases comparadas por tokens completos ("sd" no coincide con "sdxl")
+ * - version_pattern: expresión con un grupo de captura; si falta se toma el número que sigue al alias
+ * - parent: editor que contiene la función híbrida
+ * - related: herramientas cuya declaración cubre a esta (interfaz ↔ modelo)
+ */
+export const SOFTWARE_CATALOG = Object.freeze([
+  // 🖌️ Editores deterministas
+  { id: 'photoshop', name: 'Adobe Photoshop', vendor: 'Adobe', category: C.DETERMINISTIC_EDITOR, aliases: ['photoshop', 'adobe photoshop', 'ps cc'] },
+  { id: 'lightroom', name: 'Adobe Lightroom', vendor: 'Adobe', category: C.DETERMINISTIC_EDITOR, aliases: ['lightroom', 'lightroom classic', 'photoshop lightroom', 'adobe photoshop lightroom', 'camera raw'] },
+  { id: 'illustrator', name: 'Adobe Illustrator', vendor: 'Adobe', category: C.DETERMINISTIC_EDITOR, aliases: ['illustrator', 'adobe illustrator'] },
+  { id: 'indesign', name: 'Adobe InDesign', vendor: 'Adobe', category: C.DETERMINISTIC_EDITOR, aliases: ['indesign', 'adobe indesign'] },
+  { id: 'premiere', name: 'Adobe Premiere Pro', vendor: 'Adobe', category: C.DETERMINISTIC_EDITOR, aliases: ['premiere', 'premiere pro'] },
+  { id: 'after_effects', name: 'Adobe After Effects', vendor: 'Adobe', category: C.DETERMINISTIC_EDITOR, aliases: ['after effects'] },
+  { id: 'acrobat', name: 'Adobe Acrobat', vendor: 'Adobe', category: C.DETERMINISTIC_EDITOR, aliases: ['acrobat', 'acrobat pro'] },
+  { id: 'gimp', name: 'GIMP', vendor: 'GIMP', category: C.DETERMINISTIC_EDITOR, aliases: ['gimp'] },
+  { id: 'krita', name: 'Krita', vendor: 'KDE', category: C.DETERMINISTIC_EDITOR, aliases: ['krita'] },
+  { id: 'procreate', name: 'Procreate', vendor: 'Savage Interactive', category: C.DETERMINISTIC_EDITOR, aliases: ['procreate', 'procreate dreams'] },
+  { id: 'clip_studio', name: 'Clip Studio Paint', vendor: 'Celsys', category: C.DETERMINISTIC_EDITOR, aliases: ['clip studio', 'clip studio paint', 'csp', 'manga studio'] },
+  { id: 'affinity_photo', name: 'Affinity Photo', vendor: 'Serif', category: C.DETERMINISTIC_EDITOR, aliases: ['affinity photo'] },
+  { id: 'affinity_designer', name: 'Affinity Designer', vendor: 'Serif', category: C.DETERMINISTIC_EDITOR, aliases: ['affinity designer'] },
+  { id: 'corel_painter', name: 'Corel Painter', vendor: 'Corel', category: C.DETERMINISTIC_EDITOR, aliases: ['corel painter', 'painter'] },
+  { id: 'paint_tool_sai', name: 'PaintTool SAI', vendor: 'SYSTEMAX', category: C.DETERMINISTIC_EDITOR, aliases: ['painttool sai', 'paint tool sai', 'sai'] },
+  { id: 'medibang', name: 'MediBang Paint', vendor: 'MediBang', category: C.DETERMINISTIC_EDITOR, aliases: ['medibang', 'medibang paint'] },
+  { id: 'ibis_paint', name: 'ibisPaint', vendor: 'ibis', category: C.DETERMINISTIC_EDITOR, aliases: ['ibispaint', 'ibis paint'] },
+  { id: 'photopea', name: 'Photopea', vendor: 'Photopea', category: C.DETERMINISTIC_EDITOR, aliases: ['photopea'] },
+  { id: 'inkscape', name: 'Inkscape', vendor: 'Inkscape', category: C.DETERMINISTIC_EDITOR, aliases: ['inkscape'] },
+  { id: 'blender', name: 'Blender', vendor: 'Blender Foundation', category: C.DETERMINISTIC_EDITOR, aliases: ['blender'] },
+  { id: 'capture_one', name: 'Capture One', vendor: 'Capture One', category: C.DETERMINISTIC_EDITOR, aliases: ['capture one'] },
+  { id: 'darktable', name: 'darktable', vendor: 'darktable', category: C.DETERMINISTIC_EDITOR, aliases: ['darktable'] },
+  { id: 'rawtherapee', name: 'RawTherapee', vendor: 'RawTherapee', category: C.DETERMINISTIC_EDITOR, aliases: ['rawtherapee'] },
+  { id: 'figma', name: 'Figma', vendor: 'Figma', category: C.DETERMINISTIC_EDITOR, aliases: ['figma'] },
+  { id: 'canva', name: 'Canva', vendor: 'Canva', category: C.DETERMINISTIC_EDITOR, aliases: ['canva'] },
+  { id: 'word', name: 'Microsoft Word', vendor: 'Microsoft', category: C.DETERMINISTIC_EDITOR, aliases: ['microsoft word', 'word'] },
+  { id: 'ableton', name: 'Ableton Live', vendor: 'Ableton', category: C.DETERMINISTIC_EDITOR, aliases: ['ableton', 'ableton live'] },
+  { id: 'logic_pro', name: 'Logic Pro', vendor: 'Apple', category: C.DETERMINISTIC_EDITOR, aliases: ['logic pro'] },
+  { id: 'fl_studio', name: 'FL Studio', vendor: 'Image-Line', category: C.DETERMINISTIC_EDITOR, aliases: ['fl studio', 'fruity loops'] },
+  { id: 'audacity', name: 'Audacity', vendor: 'Audacity', category: C.DETERMINISTIC_EDITOR, aliases: ['audacity'] },
+  { id: 'davinci_resolve', name: 'DaVinci Resolve', vendor: 'Blackmagic Design', category: C.DETERMINISTIC_EDITOR, aliases: ['davinci resolve'] },
+
+  // ✨ Funciones generativas dentro de editores
+  { id: 'photoshop_generative_fill', name: 'Photoshop Generative Fill', vendor: 'Adobe', category: C.HYBRID_FEATURE, aliases: ['generative fill', 'generative expand', 'generative remove'], parent: 'photoshop', related: ['firefly'] },
+  { id: 'lightroom_generative_remove', name: 'Lightroom Generative Remove', vendor: 'Adobe', category: C.HYBRID_FEATURE, aliases: ['lightroom generative remove'], parent: 'lightroom', related: ['firefly'] },
+  { id: 'canva_magic', name: 'Canva Magic Studio', vendor: 'Canva', category: C.HYBRID_FEATURE, aliases: ['magic studio', 'magic edit', 'magic expand'], parent: 'canva' },
+
+  // 🤖 Herramientas generativas (imagen, vídeo, audio)
+  { id: 'stable_diffusion', name: 'Stable Diffusion', vendor: 'Stability AI', category: C.GENERATIVE, aliases: ['stable diffusion', 'sd', 'sdxl', 'sd xl', 'sd3', 'sd 1.5', 'sd 2.1'] },
+  { id: 'sd_webui', name: 'Stable Diffusion WebUI', vendor: 'AUTOMATIC1111', category: C.GENERATIVE, aliases: ['automatic1111', 'a1111', 'sd webui', 'stable diffusion webui', 'sd forge', 'webui forge'], related: ['stable_diffusion'] },
+  { id: 'comfyui', name: 'ComfyUI', vendor: 'Comfy Org', category: C.GENERATIVE, aliases: ['comfyui', 'comfy ui'], related: ['stable_diffusion', 'flux'] },
+  { id: 'invokeai', name: 'InvokeAI', vendor: 'Invoke', category: C.GENERATIVE, aliases: ['invokeai', 'invoke ai'], related: ['stable_diffusion'] },
+  { id: 'novelai', name: 'NovelAI', vendor: 'Anlatan', category: C.GENERATIVE, aliases: ['novelai', 'novel ai'] },
+  { id: 'midjourney', name: 'Midjourney', vendor: 'Midjourney', category: C.GENERATIVE, aliases: ['midjourney', 'mj'], version_pattern: /--v(?:ersion)?\s*(\d+(?:\.\d+)?)/i },
+  { id: 'dall_e', name: 'DALL·E', vendor: 'OpenAI', category: C.GENERATIVE, aliases: ['dall e', 'dalle', 'dall·e', 'gpt image', 'gpt 4o image'] },
+  { id: 'firefly', name: 'Adobe Firefly', vendor: 'Adobe', category: C.GENERATIVE, aliases: ['firefly', 'adobe firefly'] },
+  { id: 'flux', name: 'FLUX', vendor: 'Black Forest Labs', category: C.GENERATIVE, aliases: ['flux', 'flux.1', 'flux 1'] },
+  { id: 'imagen', name: 'Imagen', vendor: 'Google', category: C.GENERATIVE, aliases: ['imagen', 'gemini image'] },
+  { id: 'leonardo', name: 'Leonardo.Ai', vendor: 'Leonardo', category: C.GENERATIVE, aliases: ['leonardo ai', 'leonardo.ai'] },
+  { id: 'ideogram', name: 'Ideogram', vendor: 'Ideogram', category: C.GENERATIVE, aliases: ['ideogram'] },
+  { id: 'runway', name: 'Runway', vendor: 'Runway', category: C.GENERATIVE, aliases: ['runway', 'runwayml', 'runway gen'] },
+  { id: 'sora', name: 'Sora', vendor: 'OpenAI', category: C.GENERATIVE, aliases: ['sora'] },
+  { id: 'kling', name: 'Kling', vendor: 'Kuaishou', category: C.GENERATIVE, aliases: ['kling'] },
+  { id: 'suno', name: 'Suno', vendor: 'Suno', category: C.GENERATIVE, aliases: ['suno', 'suno ai'] },
+  { id: 'udio', name: 'Udio', vendor: 'Udio', category: C.GENERATIVE, aliases: ['udio'] },
+  { id: 'musicgen', name: 'MusicGen', vendor: 'Meta', category: C.GENERATIVE, aliases: ['musicgen', 'audiocraft'] },
+  { id: 'stable_audio', name: 'Stable Audio', vendor: 'Stability AI', category: C.GENERATIVE, aliases: ['stable audio'] },
+  { id: 'aiva', name: 'AIVA', vendor: 'AIVA Technologies', category: C.GENERATIVE, aliases: ['aiva'] },
+  { id: 'soundraw', name: 'Soundraw', vendor: 'Soundraw', category: C.GENERATIVE, aliases: ['soundraw'] },
+  { id: 'boomy', name: 'Boomy', vendor: 'Boomy', category: C.GENERATIVE, aliases: ['boomy'] },
+  { id: 'mubert', name: 'Mubert', vendor: 'Mubert', category: C.GENERATIVE, aliases: ['mubert'] },
+  { id: 'riffusion', name: 'Riffusion', vendor: 'Riffusion', category: C.GENERATIVE, aliases: ['riffusion'] },
+  { id: 'elevenlabs', name: 'ElevenLabs', vendor: 'ElevenLabs', category: C.GENERATIVE, aliases: ['elevenlabs', 'eleven labs'] },
+
+  // ⚙️ Codificadores y motores de exportación
+  { id: 'acrobat_distiller', name: 'Acrobat Distiller', vendor: 'Adobe', category: C.SYSTEM, aliases: ['acrobat distiller', 'distiller', 'adobe pdf library'] },
+  { id: 'quartz_pdf', name: 'macOS Quartz PDFContext', vendor: 'Apple', category: C.SYSTEM, aliases: ['quartz pdfcontext', 'quartz'] },
+  { id: 'skia', name: 'Skia/PDF', vendor: 'Google', category: C.SYSTEM, aliases: ['skia', 'skia pdf'] },
+  { id: 'ghostscript', name: 'Ghostscript', vendor: 'Artifex', category: C.SYSTEM, aliases: ['ghostscript', 'gpl ghostscript'] },
+  { id: 'pdftex', name: 'pdfTeX', vendor: 'TeX', category: C.SYSTEM, aliases: ['pdftex', 'xetex', 'luatex', 'dvipdfmx'] },
+  { id: 'lame', name: 'LAME', vendor: 'LAME', category: C.SYSTEM, aliases: ['lame'] },
+  { id: 'ffmpeg', name: 'FFmpeg', vendor: 'FFmpeg', category: C.SYSTEM, aliases: ['ffmpeg', 'lavf', 'lavc'] },
+  { id: 'libpng', name: 'libpng', vendor: 'libpng', category: C.SYSTEM, aliases: ['libpng'] },
+  { id: 'imagemagick', name: 'ImageMagick', vendor: 'ImageMagick', category: C.SYSTEM, aliases: ['imagemagick', 'graphicsmagick'] },
+  { id: 'picasa', name: 'Picasa', vendor: 'Google', category: C.SYSTEM, aliases: ['picasa'] }
+].map(entry => Object.freeze({ ...entry, aliases: Object.freeze(entry.aliases.map(tokenize)) })));
+
+const CATALOG_BY_ID = new Map(SOFTWARE_CATALOG.map(entry => [entry.id, entry]));
+
+// Tokens que pueden preceder al número de versión ("Photoshop CC 2019", "Lightroom Classic 13.0")
+const VERSION_PREFIX_TOKENS = Object.freeze(['cc', 'classic', 'pro', 'v', 'ver', 'version']);
+
+// ================================
+// 🚫 DECLARACIÓN DE NO-DECISIÓN
+// ================================
+
+/*
+ * El catálogo solo traduce cadenas de software a herramientas conocidas.
+ * Identificar una herramienta generativa es un hecho textual sobre los metadatos,
+ * NO una determinación de uso de IA en la obra.
+ */
+
+/**
+ * 🔎 Identificación de herramientas en una cadena de software
+ *
+ * @param {string} text - Valor de Software, CreatorTool, agente C2PA, etc.
+ * @returns {Array} [{ id, name, vendor, category, version, parent }] (vacío si no está catalogada)
+ */
+export function identifySoftware(text) {
+  if (typeof text !== 'string' || !text.trim()) return [];
+
+  const tokens = tokenize(text);
+  const matches = [];
+
+  SOFTWARE_CATALOG.forEach(entry => {
+    const position = entry.aliases
+      .map(alias => ({ alias, index: findTokens(tokens, alias) }))
+      .filter(({ index }) => index !== -1)
+      .sort((a, b) => b.alias.length - a.alias.length)[0];
+
+    if (!position) return;
+
+    matches.push({
+      id: entry.id,
+      name: entry.name,
+      vendor: entry.vendor,
+      category: entry.category,
+      version: extractVersion(text, tokens, entry, position),
+      parent: entry.parent ?? null,
+      span: [position.index, position.index + position.alias.length]
+    });
+  });
+
+  // Un alias contenido en el de otra coincidencia no es una herramienta distinta
+  // ("acrobat" en "acrobat distiller", "photoshop" en "photoshop lightroom")
+  return matches
+    .filter(match => !matches.some(other => other !== match &&
+      other.span[0] <= match.span[0] && other.span[1] >= match.span[1] &&
+      other.span[1] - other.span[0] > match.span[1] - match.span[0]))
+    .map(({ span, ...match }) => match);
+}
+
+/**
+ * ⚖️ Contraste de herramientas detectadas frente a declaradas
+ *
+ * Reglas de cobertura:
+ * - Una detección catalogada queda cubierta si se declaró la misma herramienta o una relacionada
+ *   (interfaz ↔ modelo, función híbrida ↔ motor generativo).
+ * - Declarar solo un fabricante ("Adobe") cubre sus editores deterministas, nunca sus herramientas
+ *   generativas ni funciones híbridas.
+ * - Las herramientas de sistema (codificadores, motores PDF) no requieren declaración.
+ * - Una detección no catalogada queda cubierta si todos los tokens de una declaración no catalogada
+ *   (incluido un fabricante) aparecen en ella, o al revés.
+ *
+ * @param {Array<string>} detected - Cadenas de software detectadas
+ * @param {Array<string>} declared - Herramientas declaradas en la ingesta
+ * @returns {Object} { catalog_version, detections, undeclared }
+ */
+export function compareTools(detected, declared) {
+  const declaredEntries = (declared || []).filter(value => typeof value === 'string' && value.trim()).map(value => ({
+    value,
+    tokens: tokenize(value),
+    tools: identifySoftware(value)
+  }));
+
+  const declaredIds = new Set(declaredEntries.flatMap(entry => entry.tools.map(tool => tool.id)));
+  const declaredVendors = new Set(declaredEntries
+    .filter(entry => entry.tools.length === 0)
+    .map(entry => entry.tokens.join(' '))
+    .filter(value => SOFTWARE_CATALOG.some(tool => tokenize(tool.vendor).join(' ') === value)));
+  const unresolved = declaredEntries.filter(entry => entry.tools.length === 0);
+
+  const detections = [...new Set((detected || []).filter(value => typeof value === 'string' && value.trim()))].map(value => {
+    const tools = identifySoftware(value);
+
+    const covered = tools.length > 0
+      ? tools.every(tool => isCovered(tool, declaredIds, declaredVendors))
+      : unresolved.some(entry => tokenSubset(entry.tokens, tokenize(value)) || tokenSubset(tokenize(value), entry.tokens));
+
+    return { value, tools, catalogued: tools.length > 0, declared: covered };
+  });
+
+  return {
+    catalog_version: SOFTWARE_CATALOG_VERSION,
+    detections,
+    undeclared: detections.filter(detection => !detection.declared).map(detection => detection.value)
+  };
+}
+
+/**
+ * 🏷️ ¿Requiere declaración? (falso solo para herramientas de sistema catalogadas)
+ *
+ * @param {string} text - Cadena de software detectada
+ * @returns {boolean}
+ */
+export function requiresDeclaration(text) {
+  const tools = identifySoftware(text);
+  return tools.length === 0 || tools.some(tool => tool.category !== TOOL_CATEGORIES.SYSTEM);
+}
+
+// ================================
+// FUNCIONES AUXILIARES
+// ================================
+
+function isCovered(tool, declaredIds, declaredVendors) {
+  if (tool.category === TOOL_CATEGORIES.SYSTEM) return true;
+  if (declaredIds.has(tool.id)) return true;
+
+  const entry = CATALOG_BY_ID.get(tool.id);
+  if ((entry.related || []).some(id => declaredIds.has(id))) return true;
+  if ([...declaredIds].some(id => (CATALOG_BY_ID.get(id).related || []).includes(tool.id))) return true;
+
+  return tool.category === TOOL_CATEGORIES.DETERMINISTIC_EDITOR &&
+    declaredVendors.has(tokenize(tool.vendor).join(' '));
+}
+
+// Minúsculas sin diacríticos; los puntos solo se conservan dentro de números de versión
+function tokenize(text) {
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[·]/g, ' ')
+    .split(/[^a-z0-9.]+/)
+    .flatMap(token => /^v?\d+(\.\d+)*$/.test(token) ? [token] : token.split('.'))
+    .filter(Boolean);
+}
+
+function findTokens(tokens, alias) {
+  for (let i = 0; i + alias.length <= tokens.length; i++) {
+    if (alias.every((token, offset) => tokens[i + offset] === token)) return i;
+  }
+  return -1;
+}
+
+function tokenSubset(subset, tokens) {
+  return subset.length > 0 && subset.every(token => tokens.includes(token));
+}
+
+function extractVersion(text, tokens, entry, { alias, index }) {
+  if (entry.version_pattern) {
+    const match = entry.version_pattern.exec(text);
+    if (match) return match[1];
+  }
+
+  let next = index + alias.length;
+  while (VERSION_PREFIX_TOKENS.includes(tokens[next])) next++;
+
+  const candidate = tokens[next];
+  return candidate && /^v?\d+(\.\d+)*$/.test(candidate) ? candidate.replace(/^v/, '') : null;
+}
@@ -0,0 +1,213 @@
+// storage-local.js - ADAPTADOR LOCAL (APPEND-ONLY)
+// Backend embebido para desarrollo y pruebas sin red
+
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+// ================================
+// CONSTANTES (INMUTABLES)
+// ================================
+
+// Restricciones UNIQUE equivalentes a las del esquema Postgres (supabase/migrations), simples o compuestas
+const UNIQUE_KEYS = Object.freeze({
+  intake_frozen: [["server_hash"]],
+  audit_cases: [["case_id"]],
+  audit_logs: [["case_id", "sequence"]],
+  audit_case_versions: [["case_id", "case_version"]],
+  certificates: [["certificate_id"]]
+});
+
+// Columnas con DEFAULT now() en Postgres
+const TIMESTAMP_DEFAULTS = Object.freeze({
+  intake_frozen: "received_at",
+  audit_cases: "created_at",
+  audit_logs: "created_at",
+  audit_case_versions: "archived_at",
+  case_reviews: "opened_at",
+  review_decisions: "decided_at",
+  certificates: "created_at"
+});
+
+// ================================
+// 🚫 PRINCIPIO DE NO-DESTRUCCIÓN
+// ================================
+
+/*
+ * Cada tabla es un fichero JSONL de solo anexado.
+ * Un UPDATE añade una nueva versión completa de la fila; nunca se reescribe una línea.
+ * Un DELETE añade una lápida ({ id, _deleted: true }) que retira la fila de la vista.
+ * La vista actual de cada fila es su última versión.
+ */
+
+/**
+ * 🗄️ Adaptador local basado en ficheros JSONL
+ *
+ * @param {Object} config
+ * @param {string} config.dataDir - Directorio donde se guardan las tablas
+ * @returns {Object} Adaptador de persistencia
+ */
+export function createLocalAdapter({ dataDir }) {
+  const tables = new Map();   // table -> Map(id -> row)
+  const queues = new Map();   // table -> Promise (serializa escrituras)
+
+  async function loadTable(table) {
+    if (tables.has(table)) return tables.get(table);
+
+    const rows = new Map();
+    try {
+      const content = await fs.readFile(tablePath(dataDir, table), "utf8");
+      content.split("\n").filter(Boolean).forEach(line => {
+        const row = JSON.parse(line);
+        if (row._deleted) rows.delete(row.id);
+        else rows.set(row.id, row);
+      });
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+
+    tables.set(table, rows);
+    return rows;
+  }
+
+  function serialize(table, operation) {
+    const previous = queues.get(table) || Promise.resolve();
+    const next = previous.then(operation, operation);
+    queues.set(table, next.catch(() => {}));
+    return next;
+  }
+
+  async function appendVersion(table, row) {
+    await fs.mkdir(dataDir, { recursive: true });
+    await fs.appendFile(tablePath(dataDir, table), JSON.stringify(row) + "\n");
+  }
+
+  return {
+    backend: "local",
+
+    insert(table, row) {
+      return serialize(table, async () => {
+        try {
+          const rows = await loadTable(table);
+
+          const conflict = findUniqueConflict(table, rows, row);
+          if (conflict) {
+            return {
+              data: null,
+              error: {
+                code: "23505",
+                message: `duplicate key value violates unique constraint "${table}_${conflict.join("_")}_key"`
+              }
+            };
+          }
+
+          const stored = {
+            id: crypto.randomUUID(),
+            ...withTimestampDefault(table, row)
+          };
+
+          await appendVersion(table, stored);
+          rows.set(stored.id, stored);
+
+          return { data: stored, error: null };
+        } catch (error) {
+          return { data: null, error: { message: error.message } };
+        }
+      });
+    },
+
+    async select(table, { where = {}, orderBy = null, limit = null, offset = 0 } = {}) {
+      try {
+        const rows = await loadTable(table);
+        let result = [...rows.values()].filter(row => matches(row, where));
+
+        if (orderBy) {
+          const direction = orderBy.ascending ?? true ? 1 : -1;
+          result.sort((a, b) => compareValues(a[orderBy.column], b[orderBy.column]) * direction);
+        }
+
+        if (offset || limit) {
+          result = result.slice(offset, limit ? offset + limit : undefined);
+        }
+
+        return { data: result, error: null };
+      } catch (error) {
+        return { data: null, error: { message: error.message } };
+      }
+    },
+
+    update(table, where, patch) {
+      return serialize(table, async () => {
+        try {
+          const rows = await loadTable(table);
+          const updated = [];
+
+          for (const row of [...rows.values()].filter(row => matches(row, where))) {
+            const version = { ...row, ...patch, id: row.id };
+            await appendVersion(table, version);
+            rows.set(row.id, version);
+            updated.push(version);
+          }
+
+          return { data: updated, error: null };
+        } catch (error) {
+          return { data: null, error: { message: error.message } };
+        }
+      });
+    },
+
+    remove(table, where) {
+      return serialize(table, async () => {
+        try {
+          const rows = await loadTable(table);
+          const removed = [];
+
+          for (const row of [...rows.values()].filter(row => matches(row, where))) {
+            await appendVersion(table, { id: row.id, _deleted: true });
+            rows.delete(row.id);
+            removed.push(row);
+          }
+
+          return { data: removed, error: null };
+        } catch (error) {
+          return { data: null, error: { message: error.message } };
+        }
+      });
+    }
+  };
+}
+
+// ================================
+// FUNCIONES AUXILIARES
+// ================================
+
+function tablePath(dataDir, table) {
+  return path.join(dataDir, `${table}.jsonl`);
+}
+
+function withTimestampDefault(table, row) {
+  const column = TIMESTAMP_DEFAULTS[table];
+  if (!column || row[column]) return row;
+  return { ...row, [column]: new Date().toISOString() };
+}
+
+function findUniqueConflict(table, rows, row) {
+  const constraints = UNIQUE_KEYS[table] || [];
+  return constraints.find(columns =>
+    columns.every(column => row[column] !== undefined) &&
+    [...rows.values()].some(existing =>
+      columns.every(column => existing[column] === row[column])
+    )
+  );
+}
+
+function matches(row, where) {
+  return Object.entries(where).every(([column, value]) => row[column] === value);
+}
+
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return 1;
+  if (b === undefined || b === null) return -1;
+  return a < b ? -1 : 1;
+}
@@ -0,0 +1,67 @@
+// storage-supabase.js - ADAPTADOR SUPABASE
+// Backend de producción: PostgreSQL gestionado por Supabase
+
+import { createClient } from "@supabase/supabase-js";
+
+/**
+ * 🗄️ Adaptador Supabase
+ * Traduce las primitivas de la capa de persistencia al query builder de Supabase.
+ * Los errores se devuelven tal cual ({ data, error }), incluido el código 23505.
+ * El esquema (tablas, columnas y claves únicas) se despliega desde supabase/migrations/.
+ *
+ * @param {Object} config
+ * @param {string} config.url - SUPABASE_URL
+ * @param {string} config.key - SUPABASE_SERVICE_ROLE_KEY
+ * @returns {Object} Adaptador de persistencia
+ */
+export function createSupabaseAdapter({ url, key }) {
+  const client = createClient(url, key);
+
+  return {
+    backend: "supabase",
+
+    async insert(table, row) {
+      return client.from(table).insert(row).select().single();
+    },
+
+    async select(table, { where = {}, orderBy = null, limit = null, offset = 0 } = {}) {
+      let query = client.from(table).select("*");
+
+      for (const [column, value] of Object.entries(where)) {
+        query = query.eq(column, value);
+      }
+
+      if (orderBy) {
+        query = query.order(orderBy.column, { ascending: orderBy.ascending ?? true });
+      }
+
+      if (offset && limit) {
+        query = query.range(offset, offset + limit - 1);
+      } else if (limit) {
+        query = query.limit(limit);
+      }
+
+      return query;
+    },
+
+    async update(table, where, patch) {
+      let query = client.from(table).update(patch);
+
+      for (const [column, value] of Object.entries(where)) {
+        query = query.eq(column, value);
+      }
+
+      return query.select();
+    },
+
+    async remove(table, where) {
+      let query = client.from(table).delete();
+
+      for (const [column, value] of Object.entries(where)) {
+        query = query.eq(column, value);
+      }
+
+      return query.select();
+    }
+  };
+}
@@ -0,0 +1,255 @@
+// storage.js - CAPA DE PERSISTENCIA
+// Repositorios por tabla sobre un adaptador intercambiable (Supabase | local)
+
+import path from "path";
+import { createSupabaseAdapter } from './storage-supabase.js';
+import { createLocalAdapter } from './storage-local.js';
+
+// ================================
+// CONSTANTES Y ENUMS (INMUTABLES)
+// ================================
+
+export const STORAGE_BACKENDS = Object.freeze({
+  SUPABASE: 'supabase',
+  LOCAL: 'local'
+});
+
+const TABLES = Object.freeze({
+  INTAKE_FROZEN: 'intake_frozen',
+  AUDIT_CASES: 'audit_cases',
+  AUDIT_LOGS: 'audit_logs',
+  EVIDENCE_METADATA: 'evidence_metadata',
+  EVIDENCE_PERCEPTUAL_HASHES: 'evidence_perceptual_hashes',
+  EVIDENCE_PIXEL_FORENSICS: 'evidence_pixel_forensics',
+  AI_SIGNAL_RESULTS: 'ai_signal_results',
+  PROCESS_PROGRESSIONS: 'process_progressions',
+  AUDIT_CASE_VERSIONS: 'audit_case_versions',
+  CASE_REVIEWS: 'case_reviews',
+  REVIEW_DECISIONS: 'review_decisions',
+  CERTIFICATES: 'certificates'
+});
+
+// Tamaño de página para lecturas de tabla completa (PostgREST trunca en max-rows, 1000 por defecto)
+const PAGE_SIZE = 1000;
+
+// ================================
+// FUNCIÓN PRINCIPAL
+// ================================
+
+/**
+ * 🗄️ Inicialización de la capa de persistencia
+ *
+ * Selección por configuración:
+ * - AURA_STORAGE=supabase (por defecto) → requiere SUPABASE_URL y SUPABASE_SERVICE_ROLE_KEY
+ * - AURA_STORAGE=local → ficheros JSONL append-only en AURA_DATA_DIR (./data por defecto)
+ *
+ * Todos los métodos devuelven { data, error } con la misma semántica que Supabase.
+ *
+ * @param {Object} env - Variables de entorno (process.env por defecto)
+ * @returns {Object} Repositorios por tabla
+ */
+export function createStorage(env = process.env) {
+  const backend = env.AURA_STORAGE || STORAGE_BACKENDS.SUPABASE;
+
+  let adapter;
+
+  if (backend === STORAGE_BACKENDS.SUPABASE) {
+    if (!env.SUPABASE_URL || !env.SUPABASE_SERVICE_ROLE_KEY) {
+      throw new Error("Variables de entorno SUPABASE_URL y SUPABASE_SERVICE_ROLE_KEY son requeridas (AURA_STORAGE=supabase)");
+    }
+    adapter = createSupabaseAdapter({
+      url: env.SUPABASE_URL,
+      key: env.SUPABASE_SERVICE_ROLE_KEY
+    });
+  } else if (backend === STORAGE_BACKENDS.LOCAL) {
+    adapter = createLocalAdapter({
+      dataDir: path.resolve(env.AURA_DATA_DIR || './data')
+    });
+  } else {
+    throw new Error(`Backend de persistencia no soportado: ${backend}`);
+  }
+
+  return createRepositories(adapter);
+}
+
+// ================================
+// REPOSITORIOS POR TABLA
+// ================================
+
+// Orden en memoria: numérico para columnas numéricas (sequence), textual para el resto (ISO, uuid)
+function compareValues(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b));
+}
+
+function createRepositories(adapter) {
+  const findOne = async (table, where) => {
+    const { data, error } = await adapter.select(table, { where, limit: 1 });
+    return { data: data?.[0] ?? null, error };
+  };
+
+  const findLatest = async (table, where, column) => {
+    const { data, error } = await adapter.select(table, {
+      where,
+      orderBy: { column, ascending: false },
+      limit: 1
+    });
+    return { data: data?.[0] ?? null, error };
+  };
+
+  // Lectura completa paginada por id (orden estable); se detiene en la primera página vacía,
+  // así que un max-rows del servidor menor que PAGE_SIZE tampoco trunca el resultado.
+  // Con maxRows deja de pedir páginas al alcanzarlo (el llamante decide qué hacer si se supera)
+  const selectAll = async (table, { where = {}, orderBy = null, maxRows = Infinity } = {}) => {
+    const rows = [];
+
+    while (rows.length < maxRows) {
+      const { data, error } = await adapter.select(table, {
+        where,
+        orderBy: { column: 'id', ascending: true },
+        limit: PAGE_SIZE,
+        offset: rows.length
+      });
+
+      if (error) return { data: null, error };
+      if (!data || data.length === 0) break;
+      rows.push(...data);
+    }
+
+    if (orderBy) {
+      const direction = orderBy.ascending ?? true ? 1 : -1;
+      rows.sort((a, b) => compareValues(a[orderBy.column], b[orderBy.column]) * direction);
+    }
+
+    return { data: rows, error: null };
+  };
+
+  return {
+    backend: adapter.backend,
+
+    intakes: {
+      insert: (row) => adapter.insert(TABLES.INTAKE_FROZEN, row),
+      findById: (id) => findOne(TABLES.INTAKE_FROZEN, { id })
+    },
+
+    cases: {
+      insert: (row) => adapter.insert(TABLES.AUDIT_CASES, row),
+      findByCaseId: (case_id) => findOne(TABLES.AUDIT_CASES, { case_id }),
+      // UPDATE condicional: solo si el caso sigue en el estado leído
+      updateIfStatus: (case_id, status, patch) =>
+        adapter.update(TABLES.AUDIT_CASES, { case_id, status }, patch),
+
+      // Caso + declaración congelada (equivalente al join audit_cases → intake_frozen)
+      async findWithIntake(case_id) {
+        const { data: auditCase, error } = await findOne(TABLES.AUDIT_CASES, { case_id });
+        if (error || !auditCase) return { data: null, error };
+
+        const { data: intake, error: intakeError } =
+          await findOne(TABLES.INTAKE_FROZEN, { id: auditCase.intake_frozen_id });
+        if (intakeError || !intake) return { data: null, error: intakeError };
+
+        return {
+          data: { ...auditCase, intake_frozen: intake },
+          error: null
+        };
+      }
+    },
+
+    auditLogs: {
+      insert: (row) => adapter.insert(TABLES.AUDIT_LOGS, row),
+      findLatest: (case_id, action) =>
+        findLatest(TABLES.AUDIT_LOGS, { case_id, action }, 'created_at'),
+      findChainHead: (case_id) =>
+        findLatest(TABLES.AUDIT_LOGS, { case_id }, 'sequence'),
+      // Cadena completa: paginada para que max-rows no deje fuera entradas al verificarla
+      listByCase: (case_id) =>
+        selectAll(TABLES.AUDIT_LOGS, {
+          where: { case_id },
+          orderBy: { column: 'sequence', ascending: true }
+        })
+    },
+
+    evidenceMetadata: {
+      insert: (row) => adapter.insert(TABLES.EVIDENCE_METADATA, row),
+      findLatest: (case_id) =>
+        findLatest(TABLES.EVIDENCE_METADATA, { case_id }, 'extracted_at'),
+      listByCase: (case_id) =>
+        adapter.select(TABLES.EVIDENCE_METADATA, {
+          where: { case_id },
+          orderBy: { column: 'extracted_at', ascending: true }
+        }),
+      // Índice por contenido: mismo archivo en cualquier caso
+      listByContentHash: (content_sha256) =>
+        adapter.select(TABLES.EVIDENCE_METADATA, {
+          where: { content_sha256 },
+          orderBy: { column: 'extracted_at', ascending: true }
+        })
+    },
+
+    // Huellas perceptuales de imágenes: índice de búsqueda por parecido sobre todo el archivo
+    perceptualHashes: {
+      insert: (row) => adapter.insert(TABLES.EVIDENCE_PERCEPTUAL_HASHES, row),
+      findLatest: (case_id, evidence_id) =>
+        findLatest(TABLES.EVIDENCE_PERCEPTUAL_HASHES, { case_id, evidence_id }, 'computed_at'),
+      // Recorrido completo del archivo (sin índice): maxRows acota el coste de cada búsqueda
+      listAll: ({ maxRows } = {}) =>
+        selectAll(TABLES.EVIDENCE_PERCEPTUAL_HASHES, {
+          orderBy: { column: 'computed_at', ascending: true },
+          maxRows
+        })
+    },
+
+    // Residuo de ruido y espectro por evidencia: medidas en bruto detrás de las señales noise/spectral
+    pixelForensics: {
+      insert: (row) => adapter.insert(TABLES.EVIDENCE_PIXEL_FORENSICS, row),
+      findLatest: (case_id, evidence_id) =>
+        findLatest(TABLES.EVIDENCE_PIXEL_FORENSICS, { case_id, evidence_id }, 'computed_at')
+    },
+
+    processProgressions: {
+      insert: (row) => adapter.insert(TABLES.PROCESS_PROGRESSIONS, row),
+      findLatest: (case_id) =>
+        findLatest(TABLES.PROCESS_PROGRESSIONS, { case_id }, 'analyzed_at')
+    },
+
+    // Una fila por evidencia analizada (evidence_id, stage)
+    aiSignalResults: {
+      insert: (row) => adapter.insert(TABLES.AI_SIGNAL_RESULTS, row),
+      findLatest: (case_id) =>
+        findLatest(TABLES.AI_SIGNAL_RESULTS, { case_id }, 'analyzed_at'),
+      listByCase: (case_id) =>
+        adapter.select(TABLES.AI_SIGNAL_RESULTS, {
+          where: { case_id },
+          orderBy: { column: 'analyzed_at', ascending: true }
+        })
+    },
+
+    caseVersions: {
+      insert: (row) => adapter.insert(TABLES.AUDIT_CASE_VERSIONS, row),
+      // Solo para deshacer un archivado cuya reapertura no llegó a producirse
+      remove: (id) => adapter.remove(TABLES.AUDIT_CASE_VERSIONS, { id })
+    },
+
+    reviews: {
+      insert: (row) => adapter.insert(TABLES.CASE_REVIEWS, row),
+      findById: (case_id, id) => findOne(TABLES.CASE_REVIEWS, { case_id, id }),
+      findOpen: (case_id) => findOne(TABLES.CASE_REVIEWS, { case_id, status: 'open' }),
+      update: (id, patch) => adapter.update(TABLES.CASE_REVIEWS, { id }, patch),
+      // Solo para deshacer una apertura que no llegó a mover el caso (sin rastro en audit_logs)
+      remove: (id) => adapter.remove(TABLES.CASE_REVIEWS, { id })
+    },
+
+    // Cada decisión registrada es una fila nueva: la vigente es la última
+    reviewDecisions: {
+      insert: (row) => adapter.insert(TABLES.REVIEW_DECISIONS, row),
+      findLatest: (review_id) =>
+        findLatest(TABLES.REVIEW_DECISIONS, { review_id }, 'decided_at')
+    },
+
+    // Artefactos inmutables: solo inserción
+    certificates: {
+      insert: (row) => adapter.insert(TABLES.CERTIFICATES, row),
+      findById: (certificate_id) => findOne(TABLES.CERTIFICATES, { certificate_id })
+    }
+  };
+}
@@ -0,0 +1,181 @@
+-- 20261018000000_storage_lifecycle_certificates_evidence.sql - ESQUEMA DEL BACKEND SUPABASE
+-- Tablas, columnas y claves únicas que usa la capa de persistencia (storage.js) sobre el esquema base
+-- (intake_frozen, audit_cases, audit_logs, evidence_metadata, ai_signal_results).
+--
+-- Las claves únicas son las mismas que emula el backend local (UNIQUE_KEYS en storage-local.js):
+-- de ellas dependen los conflictos 23505 sobre los que se apoyan la cadena de auditoría,
+-- el archivado de versiones y la emisión única de certificados.
+
+-- ================================
+-- DECLARACIÓN CONGELADA
+-- ================================
+
+alter table intake_frozen
+  add column if not exists schema_version text;
+
+-- ================================
+-- CADENA DE AUDITORÍA
+-- ================================
+
+alter table audit_logs
+  add column if not exists sequence integer,
+  add column if not exists prev_hash text,
+  add column if not exists entry_hash text;
+
+-- Una sola entrada por posición de la cadena: dos anexados concurrentes sobre la misma cabeza
+-- chocan aquí (23505) y el perdedor reintenta; sin esta clave la cadena se bifurcaría en silencio
+alter table audit_logs
+  drop constraint if exists audit_logs_case_id_sequence_key,
+  add constraint audit_logs_case_id_sequence_key unique (case_id, sequence);
+
+create index if not exists audit_logs_case_id_action_idx on audit_logs (case_id, action);
+
+-- ================================
+-- CICLO DE VIDA Y VERSIONES DEL CASO
+-- ================================
+
+alter table audit_cases
+  add column if not exists case_version integer not null default 1,
+  add column if not exists owner_id text,
+  add column if not exists final_git integer,
+  add column if not exists final_cg text;
+
+alter table audit_cases
+  drop constraint if exists audit_cases_status_check,
+  add constraint audit_cases_status_check check (status in (
+    'draft', 'evidence_collected', 'analyzed', 'in_review', 'certified', 'rejected', 'reopened'
+  ));
+
+create table if not exists audit_case_versions (
+  id uuid primary key default gen_random_uuid(),
+  case_id text not null,
+  case_version integer not null,
+  snapshot jsonb not null,
+  archived_by text,
+  reopen_justification text,
+  archived_at timestamptz not null default now(),
+  unique (case_id, case_version)
+);
+
+-- ================================
+-- REVISIÓN HUMANA
+-- ================================
+
+create table if not exists case_reviews (
+  id uuid primary key default gen_random_uuid(),
+  case_id text not null,
+  status text not null check (status in ('open', 'certified', 'rejected')),
+  opened_by text not null,
+  opened_at timestamptz not null default now(),
+  closed_by text,
+  closed_at timestamptz,
+  closing_justification text,
+  decision_id uuid
+);
+
+create index if not exists case_reviews_case_id_status_idx on case_reviews (case_id, status);
+
+create table if not exists review_decisions (
+  id uuid primary key default gen_random_uuid(),
+  review_id uuid not null,
+  case_id text not null,
+  decided_by text not null,
+  final_git integer not null,
+  final_cg text not null,
+  affected_dimensions jsonb not null default '[]',
+  justifications jsonb not null default '{}',
+  consistency_log_id uuid,
+  decided_at timestamptz not null default now()
+);
+
+create index if not exists review_decisions_review_id_idx on review_decisions (review_id, decided_at);
+
+-- ================================
+-- CERTIFICADOS
+-- ================================
+
+-- Artefactos inmutables: uno por versión del caso
+create table if not exists certificates (
+  id uuid primary key default gen_random_uuid(),
+  certificate_id text not null unique,
+  case_id text not null,
+  case_version integer not null,
+  certificate jsonb not null,
+  certificate_hash text not null,
+  signature jsonb not null,
+  created_at timestamptz not null default now()
+);
+
+-- ================================
+-- EVIDENCIAS
+-- ================================
+
+alter table evidence_metadata
+  add column if not exists stage text,
+  add column if not exists sequence integer,
+  add column if not exists content_sha256 text,
+  add column if not exists content_bytes bigint;
+
+create index if not exists evidence_metadata_content_sha256_idx on evidence_metadata (content_sha256);
+
+create table if not exists evidence_perceptual_hashes (
+  id uuid primary key default gen_random_uuid(),
+  case_id text not null,
+  evidence_id text not null,
+  content_sha256 text,
+  hash_version text not null,
+  width integer,
+  height integer,
+  flat boolean not null default false,
+  phash text not null,
+  dhash text not null,
+  block_hashes jsonb not null default '[]',
+  computed_at timestamptz not null default now()
+);
+
+create index if not exists evidence_perceptual_hashes_evidence_idx
+  on evidence_perceptual_hashes (case_id, evidence_id, computed_at);
+
+create table if not exists evidence_pixel_forensics (
+  id uuid primary key default gen_random_uuid(),
+  case_id text not null,
+  evidence_id text not null,
+  content_sha256 text,
+  forensics_version text not null,
+  "window" jsonb,
+  noise_residual jsonb,
+  spectrum jsonb,
+  computed_at timestamptz not null default now()
+);
+
+create index if not exists evidence_pixel_forensics_evidence_idx
+  on evidence_pixel_forensics (case_id, evidence_id, computed_at);
+
+create table if not exists process_progressions (
+  id uuid primary key default gen_random_uuid(),
+  case_id text not null,
+  progression_version text not null,
+  final_evidence_id text,
+  pattern text not null,
+  stages jsonb not null default '[]',
+  indicators jsonb not null default '[]',
+  skipped jsonb not null default '[]',
+  analyzed_at timestamptz not null default now()
+);
+
+create index if not exists process_progressions_case_id_idx on process_progressions (case_id, analyzed_at);
+
+-- ================================
+-- SEÑALES DE IA POR EVIDENCIA
+-- ================================
+
+alter table ai_signal_results
+  add column if not exists evidence_id text,
+  add column if not exists evidence_record_id uuid,
+  add column if not exists stage text,
+  add column if not exists metadata_integrity boolean,
+  add column if not exists file_input jsonb,
+  add column if not exists models jsonb,
+  add column if not exists calibration jsonb;
+
+create index if not exists ai_signal_results_case_id_idx on ai_signal_results (case_id, analyzed_at);
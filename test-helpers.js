@@ -0,0 +1,68 @@
+// test-helpers.js - UTILIDADES COMPARTIDAS DE LOS TESTS
+// Persistencia local temporal, servidor HTTP efímero y manipulación directa de tablas JSONL
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import http from "http";
+import { createStorage } from './storage.js';
+
+// ================================
+// PERSISTENCIA TEMPORAL
+// ================================
+
+/**
+ * 🗂️ Ejecuta `run` sobre un backend local en un directorio temporal propio.
+ * `open()` crea una capa de persistencia nueva sobre el mismo directorio (relee las tablas).
+ */
+export async function withLocalStorage(run) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "aura-test-"));
+  const open = () => createStorage({ AURA_STORAGE: "local", AURA_DATA_DIR: dataDir });
+
+  try {
+    return await run({ dataDir, open });
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+}
+
+// ================================
+// MANIPULACIÓN DIRECTA (FUERA DE LA API)
+// ================================
+
+function readRows(dataDir, table) {
+  return fs.readFileSync(path.join(dataDir, `${table}.jsonl`), "utf8")
+    .split("\n").filter(Boolean).map(line => JSON.parse(line));
+}
+
+// Equivale a un UPDATE directo: nueva versión editada de la última fila que cumple `match`
+export function tamperRow(dataDir, table, match, edit) {
+  const row = readRows(dataDir, table).filter(match).pop();
+  fs.appendFileSync(path.join(dataDir, `${table}.jsonl`), JSON.stringify(edit(structuredClone(row))) + "\n");
+}
+
+// Equivale a un DELETE directo: el fichero se reescribe sin las filas que cumplen `match`
+export function deleteRows(dataDir, table, match) {
+  const kept = readRows(dataDir, table).filter(row => !match(row));
+  fs.writeFileSync(path.join(dataDir, `${table}.jsonl`), kept.map(row => JSON.stringify(row) + "\n").join(""));
+}
+
+// ================================
+// SERVIDOR HTTP EFÍMERO
+// ================================
+
+/**
+ * 🌐 Levanta `handler` (función http o app Express) en 127.0.0.1 con puerto libre
+ * y ejecuta `run(baseUrl)`; el servidor se cierra siempre al terminar.
+ */
+export async function withHttpServer(handler, run) {
+  const server = http.createServer(handler);
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+
+  try {
+    return await run(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+}
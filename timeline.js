@@ -0,0 +1,343 @@
+// timeline.js - BLOQUE 3.1 (LÍNEA TEMPORAL)
+// Eventos fechados normalizados por evidencia y anomalías de orden intra e inter-archivo
+
+import { reconstructExportChain } from './xmp-history.js';
+
+// ================================
+// CONSTANTES Y ENUMS (INMUTABLES)
+// ================================
+
+export const TIMELINE_VERSION = '1.0.0';
+
+// Etapa declarada de cada evidencia dentro del proceso (orden canónico de realización)
+export const EVIDENCE_STAGES = Object.freeze({
+  REFERENCE: 'reference',   // material de referencia: fuera del orden del proceso
+  SKETCH: 'sketch',
+  PROCESS: 'process',
+  FINAL: 'final'
+});
+
+export const STAGE_RANK = Object.freeze({
+  [EVIDENCE_STAGES.SKETCH]: 1,
+  [EVIDENCE_STAGES.PROCESS]: 2,
+  [EVIDENCE_STAGES.FINAL]: 3
+});
+
+export const TIMELINE_ANOMALIES = Object.freeze({
+  FUTURE_DATE: 'FUTURE_DATE',                         // fecha posterior al momento del análisis
+  MODIFY_BEFORE_CREATE: 'MODIFY_BEFORE_CREATE',       // modificación anterior a la creación en el mismo archivo
+  DECLARED_YEAR_MISMATCH: 'DECLARED_YEAR_MISMATCH',   // año local de creación ≠ execution_year declarado
+  STAGE_ORDER_INVERSION: 'STAGE_ORDER_INVERSION'      // etapa previa creada después de una etapa posterior
+});
+
+export const TIMEZONE_STATUS = Object.freeze({
+  EXPLICIT: 'explicit',   // desplazamiento escrito en el propio valor
+  INFERRED: 'inferred',   // desplazamiento deducido por exiftool de otras etiquetas
+  FLOATING: 'floating'    // hora local sin zona: instante incierto en ±14 h
+});
+
+export const EVENT_KINDS = Object.freeze({
+  CREATION: 'creation',
+  MODIFICATION: 'modification',
+  METADATA: 'metadata',
+  EDIT: 'edit'
+});
+
+// Campos de fecha: clave cruda de exiftool y clave normalizada (normalizeMetadata)
+const DATE_FIELDS = Object.freeze([
+  { field: 'DateTimeOriginal', normalized: 'date_time_original', kind: EVENT_KINDS.CREATION },
+  { field: 'CreateDate', normalized: 'create_date', kind: EVENT_KINDS.CREATION },
+  { field: 'DateCreated', normalized: 'date_created', kind: EVENT_KINDS.CREATION },
+  { field: 'CreationDate', normalized: 'creation_date', kind: EVENT_KINDS.CREATION },
+  { field: 'ModifyDate', normalized: 'modify_date', kind: EVENT_KINDS.MODIFICATION },
+  { field: 'MetadataDate', normalized: 'metadatadate', kind: EVENT_KINDS.METADATA }
+]);
+
+// Máxima diferencia entre hora local y UTC (UTC-12 … UTC+14)
+const FLOATING_TOLERANCE_MS = 14 * 60 * 60 * 1000;
+
+// Deriva de reloj admitida entre fechas con zona conocida
+const CLOCK_TOLERANCE_MS = 10 * 60 * 1000;
+
+// ================================
+// 🚫 DECLARACIÓN DE NO-DECISIÓN
+// ================================
+
+/*
+ * Las fechas de un archivo las escriben el dispositivo, el software o el usuario y pueden no ser fiables.
+ * Este módulo solo ordena las fechas declaradas y señala órdenes imposibles entre ellas.
+ * Una anomalía temporal es un hecho técnico para el auditor, NO una prueba de falsificación.
+ */
+
+/**
+ * 🕒 Línea temporal de una evidencia
+ *
+ * Acepta tanto metadatos crudos de exiftool (analyzeMetadata) como los normalizados
+ * persistidos en evidence_metadata.
+ *
+ * @param {Object} metadata - Metadatos de la evidencia
+ * @param {Object} options - { evidence_id, stage, sequence, declared_year, now }
+ * @returns {Object} { evidence_id, stage, sequence, events, creation_event, anomalies }
+ */
+export function buildEvidenceTimeline(metadata, { evidence_id = null, stage = null, sequence = null, declared_year = null, now = new Date() } = {}) {
+  const events = collectEvents(metadata || {}).map(event => ({ evidence_id, ...event }));
+  events.sort(compareEvents);
+
+  const creationEvents = events.filter(event => event.kind === EVENT_KINDS.CREATION);
+  const creation_event = creationEvents[0] ?? null;
+
+  const anomalies = [];
+  const add = (type, detail, fields) => anomalies.push({ type, evidence_id, fields, detail });
+
+  // 1️⃣ Fechas futuras
+  events.forEach(event => {
+    if (isAfter(event, { utc: now.toISOString(), timezone: TIMEZONE_STATUS.EXPLICIT })) {
+      add(TIMELINE_ANOMALIES.FUTURE_DATE, `${event.field} ${event.raw} es posterior a ${now.toISOString()}`, [event.field]);
+    }
+  });
+
+  // 2️⃣ Modificación anterior a la creación (mismo archivo)
+  events
+    .filter(event => event.kind === EVENT_KINDS.MODIFICATION)
+    .forEach(modification => {
+      const created = creationEvents.find(creation =>
+        creation.source === modification.source && isAfter(creation, modification)
+      );
+      if (created) {
+        add(TIMELINE_ANOMALIES.MODIFY_BEFORE_CREATE,
+          `${modification.field} ${modification.raw} anterior a ${created.field} ${created.raw}`,
+          [modification.field, created.field]);
+      }
+    });
+
+  // 3️⃣ Año de creación (hora local del archivo) frente al año declarado
+  const isFinalWork = !stage || stage === EVIDENCE_STAGES.FINAL;
+  if (declared_year && creation_event && isFinalWork && creation_event.local_year !== declared_year) {
+    add(TIMELINE_ANOMALIES.DECLARED_YEAR_MISMATCH,
+      `Declarado ${declared_year}, ${creation_event.field} ${creation_event.local_year}`,
+      [creation_event.field]);
+  }
+
+  return {
+    evidence_id,
+    stage,
+    sequence,
+    events,
+    creation_event,
+    anomalies
+  };
+}
+
+/**
+ * 🗓️ Línea temporal del caso (todas las evidencias)
+ *
+ * @param {Array} evidences - [{ evidence_id, stage, sequence, metadata }]
+ * @param {Object} options - { declared_year, now }
+ * @returns {Object} Eventos ordenados, resumen por evidencia y anomalías intra / inter-archivo
+ */
+export function buildCaseTimeline(evidences, { declared_year = null, now = new Date() } = {}) {
+  const timelines = (evidences || []).map(evidence => buildEvidenceTimeline(evidence.metadata, {
+    evidence_id: evidence.evidence_id,
+    stage: evidence.stage ?? null,
+    sequence: evidence.sequence ?? null,
+    declared_year,
+    now
+  }));
+
+  return {
+    timeline_version: TIMELINE_VERSION,
+    generated_at: now.toISOString(),
+    declared_year,
+    events: timelines.flatMap(timeline => timeline.events).sort(compareEvents),
+    evidences: timelines.map(timeline => ({
+      evidence_id: timeline.evidence_id,
+      stage: timeline.stage,
+      sequence: timeline.sequence,
+      event_count: timeline.events.length,
+      created_at: timeline.creation_event?.utc ?? null,
+      created_timezone: timeline.creation_event?.timezone ?? null,
+      dated: Boolean(timeline.creation_event)
+    })),
+    anomalies: [
+      ...timelines.flatMap(timeline => timeline.anomalies),
+      ...stageOrderAnomalies(timelines)
+    ]
+  };
+}
+
+// ================================
+// RECOLECCIÓN DE EVENTOS
+// ================================
+
+function collectEvents(metadata) {
+  const events = [];
+  const push = (source, field, kind, value) => {
+    const parsed = parseTimestamp(value);
+    if (parsed) events.push({ source, field, kind, ...parsed });
+  };
+
+  // 1️⃣ Campos de fecha EXIF / XMP / IPTC (crudos o normalizados)
+  DATE_FIELDS.forEach(({ field, normalized, kind }) => {
+    push('tags', field, kind, metadata[field] ?? metadata[normalized]);
+  });
+
+  // 2️⃣ Historial XMP (xmpMM:History)
+  const chain = metadata.export_chain ?? reconstructExportChain(metadata);
+  (chain?.steps || []).forEach(step => {
+    push('xmp_history', `History[${step.index}].${step.action || 'when'}`, EVENT_KINDS.EDIT, step.when);
+  });
+
+  // 3️⃣ Revisiones incrementales PDF
+  (metadata.pdf_structure?.revisions || []).forEach(revision => {
+    push('pdf_revision', `Revision[${revision.index}].CreationDate`, EVENT_KINDS.CREATION, revision.info?.creation_date);
+    push('pdf_revision', `Revision[${revision.index}].ModDate`, EVENT_KINDS.MODIFICATION, revision.info?.mod_date);
+  });
+
+  // 4️⃣ Archivos nativos de pintura
+  if (metadata.native_archive) {
+    push('native_archive', 'created_at', EVENT_KINDS.CREATION, metadata.native_archive.created_at);
+    push('native_archive', 'modified_at', EVENT_KINDS.MODIFICATION, metadata.native_archive.modified_at);
+  }
+
+  return events;
+}
+
+// ================================
+// ANOMALÍAS INTER-ARCHIVO
+// ================================
+
+// Orden esperado: boceto → proceso (por sequence) → final. Las referencias no participan.
+function stageOrderAnomalies(timelines) {
+  const staged = timelines.filter(timeline => STAGE_RANK[timeline.stage] && timeline.creation_event);
+  const anomalies = [];
+
+  staged.forEach(earlier => {
+    staged.forEach(later => {
+      if (compareStages(earlier, later) >= 0) return;
+      if (!isAfter(earlier.creation_event, later.creation_event)) return;
+
+      anomalies.push({
+        type: TIMELINE_ANOMALIES.STAGE_ORDER_INVERSION,
+        evidence_id: earlier.evidence_id,
+        related_evidence_id: later.evidence_id,
+        fields: [earlier.creation_event.field, later.creation_event.field],
+        detail: `${stageLabel(earlier)} (${earlier.creation_event.utc}) posterior a ${stageLabel(later)} (${later.creation_event.utc})`
+      });
+    });
+  });
+
+  return anomalies;
+}
+
+/**
+ * Orden canónico de dos evidencias con etapa (rango de etapa y, dentro de ella, sequence).
+ */
+export function compareStages(a, b) {
+  const byRank = STAGE_RANK[a.stage] - STAGE_RANK[b.stage];
+  if (byRank !== 0) return byRank;
+  if (Number.isInteger(a.sequence) && Number.isInteger(b.sequence)) return a.sequence - b.sequence;
+  return 0;   // misma etapa sin orden declarado
+}
+
+function stageLabel(timeline) {
+  return `${timeline.evidence_id} [${timeline.stage}${Number.isInteger(timeline.sequence) ? ` #${timeline.sequence}` : ''}]`;
+}
+
+// ================================
+// FECHAS Y ZONAS HORARIAS
+// ================================
+
+/*
+ * Formatos aceptados:
+ * - ExifDateTime / ExifDate de exiftool-vendored (instancia o su JSON con rawValue)
+ * - "YYYY:MM:DD hh:mm:ss[.sss][Z|±hh:mm]" (EXIF) e ISO 8601 "YYYY-MM-DDThh:mm:ss[.sss][Z|±hh:mm]"
+ * - "YYYY-MM-DD", "YYYY:MM:DD" y "YYYY" (precisión de día / año)
+ * - Date
+ */
+function parseTimestamp(value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : fromParts(dateParts(value), 0, TIMEZONE_STATUS.EXPLICIT, value.toISOString());
+  }
+
+  if (typeof value === 'object') {
+    if (!Number.isInteger(value.year)) return typeof value.rawValue === 'string' ? parseTimestamp(value.rawValue) : null;
+
+    const offset = Number.isFinite(value.tzoffsetMinutes) ? value.tzoffsetMinutes : null;
+    const timezone = offset === null
+      ? TIMEZONE_STATUS.FLOATING
+      : (value.inferredZone ? TIMEZONE_STATUS.INFERRED : TIMEZONE_STATUS.EXPLICIT);
+
+    return fromParts(value, offset, timezone, value.rawValue ?? null);
+  }
+
+  if (typeof value !== 'string') return null;
+
+  const match = /^(\d{4})(?:[:-](\d{2})(?:[:-](\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?)?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/.exec(value.trim());
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second, fraction, zone] = match;
+  const offset = zone === undefined ? null : (zone === 'Z' ? 0 : parseOffset(zone));
+
+  return fromParts({
+    year: Number(year),
+    month: month === undefined ? undefined : Number(month),
+    day: day === undefined ? undefined : Number(day),
+    hour: hour === undefined ? undefined : Number(hour),
+    minute: minute === undefined ? undefined : Number(minute),
+    second: second === undefined ? undefined : Number(second),
+    millisecond: fraction === undefined ? 0 : Number(fraction.slice(0, 3).padEnd(3, '0'))
+  }, offset, offset === null ? TIMEZONE_STATUS.FLOATING : TIMEZONE_STATUS.EXPLICIT, value);
+}
+
+// Instante UTC: hora local menos el desplazamiento (hora flotante → se trata como UTC con tolerancia)
+function fromParts(parts, offset, timezone, raw) {
+  const precision = parts.hour !== undefined ? 'time' : (parts.month !== undefined ? 'day' : 'year');
+  const local = Date.UTC(parts.year, (parts.month ?? 1) - 1, parts.day ?? 1,
+    parts.hour ?? 0, parts.minute ?? 0, parts.second ?? 0, parts.millisecond ?? 0);
+
+  if (Number.isNaN(local) || parts.year < 1000) return null;
+
+  return {
+    utc: new Date(local - (offset ?? 0) * 60000).toISOString(),
+    offset_minutes: offset,
+    timezone,
+    precision,
+    local_year: parts.year,
+    raw: raw === null ? null : String(raw)
+  };
+}
+
+function dateParts(date) {
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    hour: date.getUTCHours(),
+    minute: date.getUTCMinutes(),
+    second: date.getUTCSeconds(),
+    millisecond: date.getUTCMilliseconds()
+  };
+}
+
+function parseOffset(zone) {
+  const [, sign, hours, minutes] = /^([+-])(\d{2}):?(\d{2})$/.exec(zone);
+  return (sign === '-' ? -1 : 1) * (Number(hours) * 60 + Number(minutes));
+}
+
+// a es posterior a b más allá de toda incertidumbre (zona flotante, precisión, deriva de reloj)
+function isAfter(a, b) {
+  return Date.parse(a.utc) - uncertainty(a) > Date.parse(b.utc) + uncertainty(b) + CLOCK_TOLERANCE_MS;
+}
+
+function uncertainty(event) {
+  const zone = event.timezone === TIMEZONE_STATUS.FLOATING ? FLOATING_TOLERANCE_MS : 0;
+  if (event.precision === 'year') return zone + 366 * 24 * 60 * 60 * 1000;
+  if (event.precision === 'day') return zone + 24 * 60 * 60 * 1000;
+  return zone;
+}
+
+function compareEvents(a, b) {
+  return Date.parse(a.utc) - Date.parse(b.utc) || a.field.localeCompare(b.field);
+}
@@ -0,0 +1,130 @@
+// timeline.test.js - TESTS DE LA LÍNEA TEMPORAL
+// Orden de eventos en UTC, zonas horarias (explícita, inferida, flotante) y anomalías intra e inter-archivo
+
+import assert from 'assert/strict';
+import {
+  buildEvidenceTimeline,
+  buildCaseTimeline,
+  TIMELINE_ANOMALIES,
+  TIMEZONE_STATUS,
+  EVENT_KINDS
+} from './timeline.js';
+
+const NOW = new Date('2026-10-18T12:00:00Z');
+
+const typesOf = (anomalies) => anomalies.map(anomaly => anomaly.type);
+
+export const timelineTests = {
+  test1_utc_ordering: async () => {
+    console.log('Test 1 (ORDEN): eventos de distintos formatos y zonas se ordenan por instante UTC');
+    const timeline = buildEvidenceTimeline({
+      ModifyDate: '2026:03:01 18:00:00+01:00',
+      DateTimeOriginal: { year: 2026, month: 3, day: 1, hour: 10, minute: 0, second: 0, tzoffsetMinutes: -300, inferredZone: true, rawValue: '2026:03:01 10:00:00' },
+      create_date: '2026-03-01T08:30:00Z',
+      MetadataDate: '2026:03:01 12:00:00'
+    }, { evidence_id: 'ev-1', now: NOW });
+
+    assert.deepEqual(timeline.events.map(event => [event.field, event.utc, event.timezone]), [
+      ['CreateDate', '2026-03-01T08:30:00.000Z', TIMEZONE_STATUS.EXPLICIT],
+      ['MetadataDate', '2026-03-01T12:00:00.000Z', TIMEZONE_STATUS.FLOATING],
+      ['DateTimeOriginal', '2026-03-01T15:00:00.000Z', TIMEZONE_STATUS.INFERRED],
+      ['ModifyDate', '2026-03-01T17:00:00.000Z', TIMEZONE_STATUS.EXPLICIT]
+    ]);
+    assert.equal(timeline.events[0].evidence_id, 'ev-1');
+    assert.equal(timeline.events[1].offset_minutes, null);
+    assert.equal(timeline.events[2].offset_minutes, -300);
+    assert.equal(timeline.events[3].offset_minutes, 60);
+
+    // La creación de referencia es la más temprana, no la primera etiqueta de la lista
+    assert.equal(timeline.creation_event.field, 'CreateDate');
+    assert.equal(timeline.creation_event.kind, EVENT_KINDS.CREATION);
+    assert.deepEqual(timeline.anomalies, []);
+  },
+
+  test2_modify_before_create: async () => {
+    console.log('Test 2 (MISMO ARCHIVO): modificación anterior a la creación solo si lo es pese a zona flotante y deriva');
+    const explicit = buildEvidenceTimeline({
+      CreateDate: '2026:03:01 12:00:00+01:00',
+      ModifyDate: '2026:03:01 10:00:00+01:00'
+    }, { now: NOW });
+    assert.deepEqual(typesOf(explicit.anomalies), [TIMELINE_ANOMALIES.MODIFY_BEFORE_CREATE]);
+    assert.deepEqual(explicit.anomalies[0].fields, ['ModifyDate', 'CreateDate']);
+
+    // Deriva de reloj de 5 minutos: tolerada
+    const drift = buildEvidenceTimeline({
+      CreateDate: '2026:03:01 12:00:00Z',
+      ModifyDate: '2026:03:01 11:55:00Z'
+    }, { now: NOW });
+    assert.deepEqual(drift.anomalies, []);
+
+    // Hora flotante 10 h antes: cabe en la incertidumbre de ±14 h
+    const floating = buildEvidenceTimeline({
+      CreateDate: '2026:03:01 20:00:00+01:00',
+      ModifyDate: '2026:03:01 10:00:00'
+    }, { now: NOW });
+    assert.deepEqual(floating.anomalies, []);
+
+    // Fechas de día sin hora: el mismo día no es anterior
+    const dayPrecision = buildEvidenceTimeline({ CreateDate: '2026-03-01', ModifyDate: '2026-03-01' }, { now: NOW });
+    assert.deepEqual(dayPrecision.anomalies, []);
+  },
+
+  test3_future_and_declared_year: async () => {
+    console.log('Test 3 (FECHAS): fecha futura frente a now; el año declarado se compara con el año local del archivo');
+    const future = buildEvidenceTimeline({ CreateDate: '2026:10:19 12:00:00Z' }, { now: NOW });
+    assert.deepEqual(typesOf(future.anomalies), [TIMELINE_ANOMALIES.FUTURE_DATE]);
+
+    // 00:30 del 1 de enero en UTC+01:00 es 2025 en UTC pero 2026 en hora local: coincide con lo declarado
+    const newYear = buildEvidenceTimeline({ CreateDate: '2026:01:01 00:30:00+01:00' }, { declared_year: 2026, now: NOW });
+    assert.equal(newYear.creation_event.utc, '2025-12-31T23:30:00.000Z');
+    assert.deepEqual(newYear.anomalies, []);
+
+    const mismatch = buildEvidenceTimeline({ CreateDate: '2024:06:01 10:00:00Z' }, { declared_year: 2026, now: NOW });
+    assert.deepEqual(typesOf(mismatch.anomalies), [TIMELINE_ANOMALIES.DECLARED_YEAR_MISMATCH]);
+
+    // El año declarado es el de la obra final: un boceto de otro año no es anomalía
+    const sketch = buildEvidenceTimeline({ CreateDate: '2024:06:01 10:00:00Z' }, { stage: 'sketch', declared_year: 2026, now: NOW });
+    assert.deepEqual(sketch.anomalies, []);
+  },
+
+  test4_stage_order: async () => {
+    console.log('Test 4 (ETAPAS): boceto → proceso (por sequence) → final; inversión solo fuera de la incertidumbre');
+    const evidence = (evidence_id, stage, sequence, CreateDate) => ({ evidence_id, stage, sequence, metadata: { CreateDate } });
+
+    const timeline = buildCaseTimeline([
+      evidence('final', 'final', null, '2026:03:05 10:00:00Z'),
+      evidence('proceso-2', 'process', 2, '2026:03:03 10:00:00Z'),
+      evidence('proceso-1', 'process', 1, '2026:03:04 10:00:00Z'),
+      evidence('boceto', 'sketch', null, '2026:03:01 10:00:00Z'),
+      evidence('referencia', 'reference', null, '2026:03:09 10:00:00Z')
+    ], { now: NOW });
+
+    assert.deepEqual(timeline.anomalies.map(anomaly => [anomaly.type, anomaly.evidence_id, anomaly.related_evidence_id]), [
+      [TIMELINE_ANOMALIES.STAGE_ORDER_INVERSION, 'proceso-1', 'proceso-2']
+    ]);
+    assert.deepEqual(timeline.events.map(event => event.evidence_id), ['boceto', 'proceso-2', 'proceso-1', 'final', 'referencia']);
+
+    // Boceto flotante 8 h después del final con zona: sin inversión demostrable
+    const floating = buildCaseTimeline([
+      evidence('boceto', 'sketch', null, '2026:03:05 18:00:00'),
+      evidence('final', 'final', null, '2026:03:05 10:00:00Z')
+    ], { now: NOW });
+    assert.deepEqual(floating.anomalies, []);
+  },
+
+  test5_case_summary: async () => {
+    console.log('Test 5 (CASO): resumen por evidencia con instante y zona de creación; sin fechas → dated=false');
+    const timeline = buildCaseTimeline([
+      { evidence_id: 'con-fecha', stage: 'final', metadata: { CreateDate: '2026:03:01 10:00:00-03:00' } },
+      { evidence_id: 'sin-fecha', metadata: { Software: 'Krita' } }
+    ], { declared_year: 2026, now: NOW });
+
+    assert.equal(timeline.generated_at, NOW.toISOString());
+    assert.deepEqual(timeline.evidences, [
+      { evidence_id: 'con-fecha', stage: 'final', sequence: null, event_count: 1, created_at: '2026-03-01T13:00:00.000Z', created_timezone: TIMEZONE_STATUS.EXPLICIT, dated: true },
+      { evidence_id: 'sin-fecha', stage: null, sequence: null, event_count: 0, created_at: null, created_timezone: null, dated: false }
+    ]);
+    assert.deepEqual(timeline.anomalies, []);
+    assert.deepEqual(buildCaseTimeline(null, { now: NOW }).events, []);
+  }
+};
@@ -0,0 +1,176 @@
+// xmp-history.js - BLOQUE 3.1 (CADENA DE EDICIÓN / EXPORTACIÓN)
+// Reconstrucción de la cadena xmpMM:History / DerivedFrom / Ingredients
+
+// ================================
+// CONSTANTES Y ENUMS (INMUTABLES)
+// ================================
+
+export const EXPORT_CHAIN_VERSION = '1.0.0';
+
+export const CHAIN_BREAK_REASONS = Object.freeze({
+  TIMESTAMP_REGRESSION: 'TIMESTAMP_REGRESSION',             // un paso es anterior al paso previo
+  INSTANCE_ID_MISMATCH: 'INSTANCE_ID_MISMATCH',             // InstanceID actual ≠ último guardado del historial
+  DERIVED_FROM_UNLINKED: 'DERIVED_FROM_UNLINKED',           // DerivedFrom apunta a una instancia ausente del historial
+  DOCUMENT_ID_MISMATCH: 'DOCUMENT_ID_MISMATCH',             // DerivedFrom de otro documento original
+  DUPLICATE_INSTANCE_ID: 'DUPLICATE_INSTANCE_ID'            // dos pasos comparten InstanceID
+});
+
+// Acciones XMP que producen una nueva instancia del documento
+const INSTANCE_ACTIONS = Object.freeze(['created', 'saved', 'derived', 'converted', 'copied', 'produced', 'published']);
+
+// ================================
+// 🚫 DECLARACIÓN DE NO-DECISIÓN
+// ================================
+
+/*
+ * El historial XMP lo escribe cada aplicación a su criterio y puede borrarse o reescribirse.
+ * Este módulo solo reconstruye la cadena declarada y señala dónde no enlaza.
+ * Una ruptura NO implica manipulación: es un hecho técnico para el auditor.
+ */
+
+/**
+ * 🔗 Reconstrucción de la cadena de edición / exportación
+ *
+ * @param {Object} tags - Etiquetas exiftool (con -struct) del archivo
+ * @returns {Object|null} Cadena ordenada con pasos, ingredientes y rupturas; null si no hay datos xmpMM
+ */
+export function reconstructExportChain(tags) {
+  const history = asArray(tags?.History);
+  const derivedFrom = tags?.DerivedFrom && typeof tags.DerivedFrom === 'object' ? tags.DerivedFrom : null;
+  const ingredients = asArray(tags?.Ingredients);
+
+  if (history.length === 0 && !derivedFrom && ingredients.length === 0 && !tags?.DocumentID && !tags?.InstanceID) {
+    return null;
+  }
+
+  // 1️⃣ Pasos del historial (el orden XMP es cronológico por especificación)
+  const steps = history.map((entry, index) => ({
+    index,
+    action: entry.Action ?? null,
+    software_agent: entry.SoftwareAgent ?? null,
+    when: toIsoDate(entry.When),
+    instance_id: entry.InstanceID ?? null,
+    changed: entry.Changed ?? null,
+    parameters: entry.Parameters ?? null
+  }));
+
+  const chain = {
+    chain_version: EXPORT_CHAIN_VERSION,
+    document_id: tags.DocumentID ?? null,
+    original_document_id: tags.OriginalDocumentID ?? null,
+    instance_id: tags.InstanceID ?? null,
+    derived_from: derivedFrom && {
+      document_id: derivedFrom.DocumentID ?? null,
+      instance_id: derivedFrom.InstanceID ?? null,
+      original_document_id: derivedFrom.OriginalDocumentID ?? null
+    },
+    ingredients: ingredients.map(ingredient => ({
+      document_id: ingredient.DocumentID ?? null,
+      instance_id: ingredient.InstanceID ?? null,
+      file_path: ingredient.FilePath ?? null
+    })),
+    steps,
+    software: [...new Set(steps.map(step => step.software_agent).filter(Boolean))],
+    breaks: []
+  };
+
+  // 2️⃣ Comprobaciones de enlace
+  checkTimestamps(chain);
+  checkInstanceIds(chain);
+  checkDerivedFrom(chain);
+
+  chain.linked = chain.breaks.length === 0;
+  return chain;
+}
+
+// ================================
+// COMPROBACIONES DE ENLACE
+// ================================
+
+function checkTimestamps(chain) {
+  let previous = null;
+
+  chain.steps.forEach(step => {
+    if (!step.when) return;
+
+    if (previous && Date.parse(step.when) < Date.parse(previous.when)) {
+      addBreak(chain, CHAIN_BREAK_REASONS.TIMESTAMP_REGRESSION, step.index,
+        `${step.when} es anterior al paso ${previous.index} (${previous.when})`);
+    }
+
+    previous = step;
+  });
+}
+
+function checkInstanceIds(chain) {
+  const seen = new Map();
+
+  chain.steps.forEach(step => {
+    if (!step.instance_id) return;
+
+    if (seen.has(step.instance_id)) {
+      addBreak(chain, CHAIN_BREAK_REASONS.DUPLICATE_INSTANCE_ID, step.index,
+        `${step.instance_id} ya aparece en el paso ${seen.get(step.instance_id)}`);
+    } else {
+      seen.set(step.instance_id, step.index);
+    }
+  });
+
+  // La instancia vigente del archivo debe ser la del último paso que creó una instancia
+  const lastInstance = [...chain.steps]
+    .reverse()
+    .find(step => step.instance_id && INSTANCE_ACTIONS.includes(step.action));
+
+  if (lastInstance && chain.instance_id && lastInstance.instance_id !== chain.instance_id) {
+    addBreak(chain, CHAIN_BREAK_REASONS.INSTANCE_ID_MISMATCH, lastInstance.index,
+      `InstanceID del archivo ${chain.instance_id} ≠ último paso ${lastInstance.instance_id}`);
+  }
+}
+
+function checkDerivedFrom(chain) {
+  const derived = chain.derived_from;
+  if (!derived) return;
+
+  const instances = chain.steps.map(step => step.instance_id).filter(Boolean);
+
+  if (derived.instance_id && instances.length > 0 && !instances.includes(derived.instance_id)) {
+    addBreak(chain, CHAIN_BREAK_REASONS.DERIVED_FROM_UNLINKED, null,
+      `DerivedFrom ${derived.instance_id} no figura en el historial`);
+  }
+
+  const original = chain.original_document_id;
+  const derivedOriginal = derived.original_document_id ?? derived.document_id;
+
+  if (original && derivedOriginal && original !== derivedOriginal) {
+    addBreak(chain, CHAIN_BREAK_REASONS.DOCUMENT_ID_MISMATCH, null,
+      `OriginalDocumentID ${original} ≠ DerivedFrom ${derivedOriginal}`);
+  }
+}
+
+// ================================
+// FUNCIONES AUXILIARES
+// ================================
+
+function addBreak(chain, reason, step, detail) {
+  chain.breaks.push({ reason, step, detail });
+}
+
+function asArray(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : [value]).filter(entry => entry && typeof entry === 'object');
+}
+
+// exiftool-vendored entrega ExifDateTime (o su forma JSON con rawValue) o cadenas "YYYY:MM:DD hh:mm:ss±hh:mm"
+function toIsoDate(value) {
+  if (!value) return null;
+
+  const raw = typeof value === 'string'
+    ? value
+    : (typeof value.toISOString === 'function' ? value.toISOString() : value.rawValue);
+  if (typeof raw !== 'string') return null;
+
+  const normalized = raw.replace(/^(\d{4}):(\d{2}):(\d{2})[ T]/, '$1-$2-$3T');
+  const timestamp = Date.parse(normalized);
+
+  return Number.isNaN(timestamp) ? null : new Date(timestamp).toISOString();
+}
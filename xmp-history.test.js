@@ -0,0 +1,82 @@
+// xmp-history.test.js - TESTS DE LA CADENA DE EDICIÓN / EXPORTACIÓN
+// Cadena enlazada y cada tipo de ruptura sobre etiquetas xmpMM con la forma que entrega exiftool
+
+import assert from 'assert/strict';
+import { reconstructExportChain, CHAIN_BREAK_REASONS } from './xmp-history.js';
+
+// Documento creado en Photoshop, guardado y exportado a PNG (InstanceID vigente = último guardado)
+const linkedTags = () => ({
+  DocumentID: 'xmp.did:B',
+  OriginalDocumentID: 'xmp.did:A',
+  InstanceID: 'xmp.iid:3',
+  DerivedFrom: { DocumentID: 'xmp.did:A', InstanceID: 'xmp.iid:2', OriginalDocumentID: 'xmp.did:A' },
+  History: [
+    { Action: 'created', InstanceID: 'xmp.iid:1', When: '2026:03:01 10:00:00+01:00', SoftwareAgent: 'Adobe Photoshop 25.0' },
+    { Action: 'saved', InstanceID: 'xmp.iid:2', When: '2026:03:01 12:30:00+01:00', SoftwareAgent: 'Adobe Photoshop 25.0', Changed: '/' },
+    { Action: 'converted', Parameters: 'from application/vnd.adobe.photoshop to image/png' },
+    { Action: 'saved', InstanceID: 'xmp.iid:3', When: { rawValue: '2026:03:01 12:31:00+01:00' }, SoftwareAgent: 'Adobe Photoshop 25.0' }
+  ]
+});
+
+const reasonsOf = (chain) => chain.breaks.map(entry => entry.reason);
+
+export const xmpHistoryTests = {
+  test1_linked_chain: async () => {
+    console.log('Test 1 (ENLAZADA): historial cronológico, InstanceID vigente y DerivedFrom presentes → sin rupturas');
+    const chain = reconstructExportChain(linkedTags());
+
+    assert.equal(chain.linked, true);
+    assert.deepEqual(chain.breaks, []);
+    assert.equal(chain.steps.length, 4);
+    assert.equal(chain.steps[0].when, '2026-03-01T09:00:00.000Z');
+    assert.equal(chain.steps[3].when, '2026-03-01T11:31:00.000Z');
+    assert.equal(chain.steps[2].when, null);
+    assert.deepEqual(chain.software, ['Adobe Photoshop 25.0']);
+    assert.deepEqual(chain.derived_from, { document_id: 'xmp.did:A', instance_id: 'xmp.iid:2', original_document_id: 'xmp.did:A' });
+  },
+
+  test2_no_xmp: async () => {
+    console.log('Test 2 (SIN DATOS): sin xmpMM no hay cadena que reconstruir');
+    assert.equal(reconstructExportChain({}), null);
+    assert.equal(reconstructExportChain(null), null);
+    assert.equal(reconstructExportChain({ History: 'texto plano' }), null);
+
+    const single = reconstructExportChain({ InstanceID: 'xmp.iid:9', History: { Action: 'saved', InstanceID: 'xmp.iid:9' } });
+    assert.equal(single.steps.length, 1);
+    assert.equal(single.linked, true);
+  },
+
+  test3_timestamp_regression: async () => {
+    console.log('Test 3 (TIEMPO): un paso anterior al previo rompe la cadena en ese paso');
+    const tags = linkedTags();
+    tags.History[1].When = '2026:02:28 09:00:00+01:00';
+
+    const chain = reconstructExportChain(tags);
+    assert.equal(chain.linked, false);
+    assert.deepEqual(chain.breaks.map(entry => [entry.reason, entry.step]), [[CHAIN_BREAK_REASONS.TIMESTAMP_REGRESSION, 1]]);
+  },
+
+  test4_instance_breaks: async () => {
+    console.log('Test 4 (INSTANCIAS): InstanceID del archivo distinto del último guardado e InstanceID repetido');
+    const mismatch = linkedTags();
+    mismatch.InstanceID = 'xmp.iid:externo';
+    assert.deepEqual(reasonsOf(reconstructExportChain(mismatch)), [CHAIN_BREAK_REASONS.INSTANCE_ID_MISMATCH]);
+
+    const duplicate = linkedTags();
+    duplicate.History[1].InstanceID = 'xmp.iid:1';
+    const chain = reconstructExportChain(duplicate);
+    assert.ok(reasonsOf(chain).includes(CHAIN_BREAK_REASONS.DUPLICATE_INSTANCE_ID));
+    assert.equal(chain.breaks.find(entry => entry.reason === CHAIN_BREAK_REASONS.DUPLICATE_INSTANCE_ID).step, 1);
+  },
+
+  test5_derived_from_breaks: async () => {
+    console.log('Test 5 (DERIVACIÓN): DerivedFrom ausente del historial o de otro documento original');
+    const unlinked = linkedTags();
+    unlinked.DerivedFrom.InstanceID = 'xmp.iid:desconocida';
+    assert.deepEqual(reasonsOf(reconstructExportChain(unlinked)), [CHAIN_BREAK_REASONS.DERIVED_FROM_UNLINKED]);
+
+    const otherDocument = linkedTags();
+    otherDocument.DerivedFrom = { DocumentID: 'xmp.did:Z', InstanceID: 'xmp.iid:2' };
+    assert.deepEqual(reasonsOf(reconstructExportChain(otherDocument)), [CHAIN_BREAK_REASONS.DOCUMENT_ID_MISMATCH]);
+  }
+};